@@ -9,9 +9,12 @@ import path from 'path';
 import fs from 'fs';
 
 import config from './config/index.js';
-import { testConnection, initializeDatabase } from './config/database.js';
+import { initializeStorage } from './repositories/index.js';
 import logger from './utils/logger.js';
 import routes from './routes/index.js';
+import JobQueue from './services/JobQueue.js';
+import CalendarSyncService from './services/CalendarSyncService.js';
+import { registerIngestionJobs } from './jobs/ingestionJobs.js';
 import { 
   globalErrorHandler, 
   notFoundHandler 
@@ -67,7 +70,7 @@ class Application {
         'http://localhost:5173'
       ],
       methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-Device-Id', 'X-Admin-Key'],
       credentials: true
     }));
     
@@ -155,10 +158,10 @@ class Application {
   async initialize() {
     try {
       
-      await testConnection();
-      
-      await initializeDatabase();
+      await initializeStorage();
       
+      registerIngestionJobs(JobQueue);
+      await JobQueue.recover();
       
     } catch (error) {
       logger.logError(error, { context: 'APP_INITIALIZATION' });
@@ -174,7 +177,10 @@ class Application {
         logger.info(`Server running on port ${config.port}`);
       });
       
+      CalendarSyncService.start();
+      
       const gracefulShutdown = async (signal) => {
+        CalendarSyncService.stop();
         
         server.close(async () => {
           try {
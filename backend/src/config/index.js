@@ -7,26 +7,67 @@ const configSchema = Joi.object({
   NODE_ENV: Joi.string().valid('development', 'production', 'test').default('development'),
   PORT: Joi.number().default(3002),
   
-  // Database
-  DB_HOST: Joi.string().required(),
+  // Storage
+  STORAGE_BACKEND: Joi.string().valid('tidb', 'memory').default('tidb'),
+  
+  // Database (only needed for the tidb storage backend)
+  DB_HOST: Joi.string().when('STORAGE_BACKEND', { is: 'tidb', then: Joi.required() }),
   DB_PORT: Joi.number().default(4000),
-  DB_USER: Joi.string().required(),
-  DB_PASSWORD: Joi.string().required(),
-  DB_NAME: Joi.string().required(),
+  DB_USER: Joi.string().when('STORAGE_BACKEND', { is: 'tidb', then: Joi.required() }),
+  DB_PASSWORD: Joi.string().when('STORAGE_BACKEND', { is: 'tidb', then: Joi.required() }),
+  DB_NAME: Joi.string().when('STORAGE_BACKEND', { is: 'tidb', then: Joi.required() }),
   DB_SSL: Joi.boolean().default(true),
   
-  // OpenAI
-  OPENAI_API_KEY: Joi.string().required(),
+  // LLM (OpenAI or any OpenAI-compatible server)
+  LLM_BASE_URL: Joi.string().uri().optional(),
+  OPENAI_API_KEY: Joi.string().when('LLM_BASE_URL', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() }),
   OPENAI_MODEL: Joi.string().default('gpt-4o-mini'),
   OPENAI_EMBEDDING_MODEL: Joi.string().default('text-embedding-ada-002'),
+  LLM_TAGS_MODEL: Joi.string().optional(),
+  LLM_MEME_CONTEXT_MODEL: Joi.string().optional(),
+  LLM_MEME_USE_CASES_MODEL: Joi.string().optional(),
+  LLM_MEME_TEXT_MODEL: Joi.string().optional(),
+  LLM_VISION_MODEL: Joi.string().optional(),
+  LLM_TEXT_EMOTION_MODEL: Joi.string().optional(),
+  LLM_TIMEOUT_MS: Joi.number().integer().min(1000).default(60000),
+  LLM_MAX_RETRIES: Joi.number().integer().min(0).default(2),
+  LLM_JSON_MODE: Joi.boolean().default(true),
+  LLM_REPAIR_ATTEMPTS: Joi.number().integer().min(0).default(2),
+  EMBEDDING_BATCH_SIZE: Joi.number().integer().min(1).max(2048).default(64),
+  // Model that produced vectors stored before migration 010; they stay untagged without it
+  // What OPENAI_EMBEDDING_MODEL defaulted to when vectors were stored untagged
+  LEGACY_EMBEDDING_MODEL: Joi.string().default('text-embedding-ada-002'),
+  // Comma-separated models POST /api/ingest/reembed may move vectors to, besides OPENAI_EMBEDDING_MODEL
+  REEMBED_ALLOWED_MODELS: Joi.string().allow('').default(''),
+  
+  // Emotion detection
+  EMOTION_PROVIDER: Joi.string().default('aws'),
+  EMOTION_FALLBACK_PROVIDER: Joi.string().default('openai'),
   
   // External APIs
   YOUTUBE_API_KEY: Joi.string().optional(),
+  YOUTUBE_DAILY_QUOTA: Joi.number().integer().min(0).default(10000),
+  YOUTUBE_API_BASE_URL: Joi.string().uri().default('https://www.googleapis.com/youtube/v3'),
+  IMGFLIP_API_BASE_URL: Joi.string().uri().default('https://api.imgflip.com'),
+  
+  // Meme rendering
+  MEME_RENDERER: Joi.string().valid('local', 'imgflip').default('local'),
+  MEME_IMGFLIP_FALLBACK: Joi.boolean().default(false),
+  MEME_FONT_FAMILY: Joi.string().default("Impact, Anton, 'Arial Black', 'DejaVu Sans', sans-serif"),
+  PUBLIC_BASE_URL: Joi.string().uri().optional(),
+  TRUSTED_HOSTS: Joi.string().default('localhost,127.0.0.1,[::1]'),
   
   // Microsoft Teams/Graph
   MICROSOFT_CLIENT_ID: Joi.string().optional(),
   MICROSOFT_CLIENT_SECRET: Joi.string().optional(),
   MICROSOFT_TENANT_ID: Joi.string().optional(),
+  GRAPH_API_BASE_URL: Joi.string().uri().default('https://graph.microsoft.com/v1.0'),
+  DEFAULT_TIME_ZONE: Joi.string().default('UTC'),
+  CALENDAR_SYNC_INTERVAL_MINUTES: Joi.number().min(0).default(15),
+  CALENDAR_SYNC_WINDOW_DAYS: Joi.number().integer().min(1).default(14),
+  
+  // Admin endpoints (re-embedding, meme layout editing); disabled when unset
+  ADMIN_API_KEY: Joi.string().min(16).optional(),
   
   // Logging
   LOG_LEVEL: Joi.string().valid('error', 'warn', 'info', 'debug').default('info'),
@@ -36,6 +77,21 @@ const configSchema = Joi.object({
   RATE_LIMIT_WINDOW: Joi.number().default(15),
   RATE_LIMIT_MAX_REQUESTS: Joi.number().default(100),
   
+  // Ingestion pipeline; a rate of 0 means unlimited
+  PIPELINE_CONCURRENCY: Joi.number().integer().min(1).default(4),
+  YOUTUBE_CONCURRENCY: Joi.number().integer().min(1).default(4),
+  YOUTUBE_RATE_PER_SECOND: Joi.number().min(0).default(5),
+  LLM_CONCURRENCY: Joi.number().integer().min(1).default(4),
+  LLM_RATE_PER_SECOND: Joi.number().min(0).default(5),
+  IMGFLIP_CONCURRENCY: Joi.number().integer().min(1).default(2),
+  IMGFLIP_RATE_PER_SECOND: Joi.number().min(0).default(2),
+  API_RETRY_ATTEMPTS: Joi.number().integer().min(1).default(3),
+  API_RETRY_BASE_MS: Joi.number().integer().min(0).default(500),
+  
+  // Background jobs
+  JOB_CONCURRENCY: Joi.number().integer().min(1).default(1),
+  JOB_MAX_ATTEMPTS: Joi.number().integer().min(1).default(3),
+  
 }).unknown();
 
 const { error, value: envVars } = configSchema.validate(process.env);
@@ -47,6 +103,14 @@ if (error) {
 const config = {
   env: envVars.NODE_ENV,
   port: envVars.PORT,
+  // Origin used in links to files we serve; defaults to the origin of the request, if trusted
+  publicBaseUrl: envVars.PUBLIC_BASE_URL || null,
+  // Host names whose Host header may stand in for PUBLIC_BASE_URL
+  trustedHosts: envVars.TRUSTED_HOSTS.split(',').map(host => host.trim().toLowerCase()).filter(Boolean),
+  
+  storage: {
+    backend: envVars.STORAGE_BACKEND
+  },
   
   database: {
     host: envVars.DB_HOST,
@@ -58,24 +122,69 @@ const config = {
     url: `mysql://${envVars.DB_USER}:${envVars.DB_PASSWORD}@${envVars.DB_HOST}:${envVars.DB_PORT}/${envVars.DB_NAME}?ssl={"rejectUnauthorized":true}`
   },
   
-  openai: {
-    apiKey: envVars.OPENAI_API_KEY,
-    model: envVars.OPENAI_MODEL,
-    embeddingModel: envVars.OPENAI_EMBEDDING_MODEL
+  llm: {
+    baseUrl: envVars.LLM_BASE_URL || null,
+    // Local servers usually ignore the key, but the client needs one
+    apiKey: envVars.OPENAI_API_KEY || 'not-needed',
+    // A real key or a local server, as opposed to the placeholder key above
+    isConfigured: Boolean(envVars.OPENAI_API_KEY || envVars.LLM_BASE_URL),
+    timeoutMs: envVars.LLM_TIMEOUT_MS,
+    maxRetries: envVars.LLM_MAX_RETRIES,
+    // Sends response_format json_object; turn off for servers that reject it
+    jsonMode: envVars.LLM_JSON_MODE,
+    repairAttempts: envVars.LLM_REPAIR_ATTEMPTS,
+    embeddingBatchSize: envVars.EMBEDDING_BATCH_SIZE,
+    legacyEmbeddingModel: envVars.LEGACY_EMBEDDING_MODEL,
+    reembedModels: [...new Set([
+      envVars.OPENAI_EMBEDDING_MODEL,
+      ...envVars.REEMBED_ALLOWED_MODELS.split(',').map(model => model.trim()).filter(Boolean)
+    ])],
+    models: {
+      default: envVars.OPENAI_MODEL,
+      embedding: envVars.OPENAI_EMBEDDING_MODEL,
+      tags: envVars.LLM_TAGS_MODEL || envVars.OPENAI_MODEL,
+      memeContext: envVars.LLM_MEME_CONTEXT_MODEL || envVars.OPENAI_MODEL,
+      memeUseCases: envVars.LLM_MEME_USE_CASES_MODEL || envVars.OPENAI_MODEL,
+      memeText: envVars.LLM_MEME_TEXT_MODEL || envVars.OPENAI_MODEL,
+      vision: envVars.LLM_VISION_MODEL || envVars.OPENAI_MODEL,
+      textEmotion: envVars.LLM_TEXT_EMOTION_MODEL || envVars.OPENAI_MODEL
+    }
+  },
+  
+  memes: {
+    renderer: envVars.MEME_RENDERER,
+    imgflipFallback: envVars.MEME_IMGFLIP_FALLBACK,
+    fontFamily: envVars.MEME_FONT_FAMILY
+  },
+  
+  emotion: {
+    provider: envVars.EMOTION_PROVIDER,
+    fallbackProvider: envVars.EMOTION_FALLBACK_PROVIDER
   },
   
   external: {
     youtube: {
-      apiKey: envVars.YOUTUBE_API_KEY
+      apiKey: envVars.YOUTUBE_API_KEY,
+      dailyQuota: envVars.YOUTUBE_DAILY_QUOTA,
+      baseUrl: envVars.YOUTUBE_API_BASE_URL
+    },
+    imgflip: {
+      baseUrl: envVars.IMGFLIP_API_BASE_URL
     },
     microsoft: {
       clientId: envVars.MICROSOFT_CLIENT_ID,
       clientSecret: envVars.MICROSOFT_CLIENT_SECRET,
       tenantId: envVars.MICROSOFT_TENANT_ID,
-      redirectUri: envVars.MICROSOFT_REDIRECT_URI || 'http://localhost:3002/api/auth/callback'
+      redirectUri: envVars.MICROSOFT_REDIRECT_URI || 'http://localhost:3002/api/auth/callback',
+      graphBaseUrl: envVars.GRAPH_API_BASE_URL,
+      defaultTimeZone: envVars.DEFAULT_TIME_ZONE
     }
   },
   
+  admin: {
+    apiKey: envVars.ADMIN_API_KEY || null
+  },
+  
   logging: {
     level: envVars.LOG_LEVEL,
     file: envVars.LOG_FILE
@@ -85,6 +194,29 @@ const config = {
     windowMs: envVars.RATE_LIMIT_WINDOW * 60 * 1000,
     max: envVars.RATE_LIMIT_MAX_REQUESTS
   },
+  
+  pipeline: {
+    concurrency: envVars.PIPELINE_CONCURRENCY,
+    retry: {
+      attempts: envVars.API_RETRY_ATTEMPTS,
+      baseDelayMs: envVars.API_RETRY_BASE_MS
+    },
+    apis: {
+      youtube: { concurrency: envVars.YOUTUBE_CONCURRENCY, ratePerSecond: envVars.YOUTUBE_RATE_PER_SECOND },
+      llm: { concurrency: envVars.LLM_CONCURRENCY, ratePerSecond: envVars.LLM_RATE_PER_SECOND },
+      imgflip: { concurrency: envVars.IMGFLIP_CONCURRENCY, ratePerSecond: envVars.IMGFLIP_RATE_PER_SECOND }
+    }
+  },
+  
+  jobs: {
+    concurrency: envVars.JOB_CONCURRENCY,
+    maxAttempts: envVars.JOB_MAX_ATTEMPTS
+  },
+  
+  calendarSync: {
+    intervalMinutes: envVars.CALENDAR_SYNC_INTERVAL_MINUTES,
+    windowDays: envVars.CALENDAR_SYNC_WINDOW_DAYS
+  },
 };
 
 export default config;
\ No newline at end of file
@@ -0,0 +1,139 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { getConnection } from './database.js';
+import logger from '../utils/logger.js';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3})-([a-z0-9-]+)\.js$/;
+
+const toRows = (result) => Array.isArray(result) ? result : (result?.rows || []);
+
+const ensureLedger = async (conn) => {
+  await conn.execute(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+export const loadMigrations = async () => {
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  const migrations = [];
+
+  for (const file of files.sort()) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+
+    const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+    if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new Error(`Migration ${file} must export up and down functions`);
+    }
+
+    migrations.push({
+      version: parseInt(match[1], 10),
+      name: match[2],
+      up: module.up,
+      down: module.down
+    });
+  }
+
+  const versions = new Set();
+  for (const migration of migrations) {
+    if (versions.has(migration.version)) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+    versions.add(migration.version);
+  }
+
+  return migrations;
+};
+
+const getAppliedVersions = async (conn) => {
+  const result = await conn.execute('SELECT version FROM schema_migrations ORDER BY version');
+  return new Set(toRows(result).map(row => Number(row.version)));
+};
+
+export const runMigrations = async (conn = getConnection()) => {
+  await ensureLedger(conn);
+
+  const migrations = await loadMigrations();
+  const applied = await getAppliedVersions(conn);
+  const pending = migrations.filter(migration => !applied.has(migration.version));
+
+  for (const migration of pending) {
+    logger.info('Applying migration', { version: migration.version, name: migration.name });
+    await migration.up(conn);
+    await conn.execute(
+      'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+      [migration.version, migration.name]
+    );
+  }
+
+  logger.info('Database migrations up to date', { applied: pending.length, total: migrations.length });
+  return pending.map(migration => migration.version);
+};
+
+export const rollbackMigrations = async (steps = 1, conn = getConnection()) => {
+  await ensureLedger(conn);
+
+  const migrations = await loadMigrations();
+  const applied = await getAppliedVersions(conn);
+  const toRollback = migrations
+    .filter(migration => applied.has(migration.version))
+    .reverse()
+    .slice(0, steps);
+
+  for (const migration of toRollback) {
+    logger.info('Rolling back migration', { version: migration.version, name: migration.name });
+    await migration.down(conn);
+    await conn.execute('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+  }
+
+  return toRollback.map(migration => migration.version);
+};
+
+export const getMigrationStatus = async (conn = getConnection()) => {
+  await ensureLedger(conn);
+
+  const migrations = await loadMigrations();
+  const applied = await getAppliedVersions(conn);
+
+  return migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: applied.has(migration.version)
+  }));
+};
+
+// Usage: node src/config/migrate.js [up | down [steps] | status]
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const [command = 'up', argument] = process.argv.slice(2);
+
+  try {
+    if (command === 'up') {
+      const versions = await runMigrations();
+      console.log(versions.length ? `Applied migrations: ${versions.join(', ')}` : 'No pending migrations');
+    } else if (command === 'down') {
+      const steps = Math.max(1, parseInt(argument, 10) || 1);
+      const versions = await rollbackMigrations(steps);
+      console.log(versions.length ? `Rolled back migrations: ${versions.join(', ')}` : 'Nothing to roll back');
+    } else if (command === 'status') {
+      const status = await getMigrationStatus();
+      status.forEach(migration => {
+        console.log(`${migration.applied ? '[x]' : '[ ]'} ${String(migration.version).padStart(3, '0')}-${migration.name}`);
+      });
+    } else {
+      console.error(`Unknown command: ${command}. Use up, down [steps] or status.`);
+      process.exit(1);
+    }
+    process.exit(0);
+  } catch (error) {
+    logger.error('Migration failed', { error: error.message });
+    process.exit(1);
+  }
+}
+
+export default { runMigrations, rollbackMigrations, getMigrationStatus, loadMigrations };
@@ -1,17 +1,14 @@
 import AgentOrchestrator from '../services/AgentOrchestrator.js';
+import JobQueue from '../services/JobQueue.js';
+import { JOB_TYPES, storeJobUpload, removeJobUpload } from '../jobs/ingestionJobs.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import logger from '../utils/logger.js';
 
+const MAX_PLAYLIST_MINUTES = 24 * 60;
+
 class AgentController {
 
   ingestVideos = asyncHandler(async (req, res) => {
-    if (!req.file) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Please upload a selfie image'
-      });
-    }
-    
     if (!req.body.description) {
       return res.status(400).json({
         status: 'error',
@@ -19,45 +16,39 @@ class AgentController {
       });
     }
     
+    let selfiePath = null;
+
     try {
       const userEmail = req.body.userEmail || req.session?.userPrincipalName || req.body.email || null;
-      const userToken = req.session?.accessToken || null;
+      selfiePath = req.file ? await storeJobUpload(req.file.buffer) : null;
       
-      const input = {
-        selfieBuffer: req.file.buffer,
+      const jobId = await JobQueue.enqueue(JOB_TYPES.VIDEO_INGESTION, {
+        selfiePath,
         description: req.body.description.trim(),
         userEmail,
-        userToken
-      };
+        emotionOptions: req.emotionOptions
+      }, { userId: req.userId });
       
-      logger.info('Video ingestion workflow request', { 
+      logger.info('Video ingestion job queued', { 
+        jobId,
+        hasSelfie: !!selfiePath,
         hasDescription: !!req.body.description,
-        hasUserEmail: !!userEmail,
-        hasUserToken: !!userToken
+        hasUserEmail: !!userEmail
       });
       
-      // Use the standard ingestion workflow
-      const result = await AgentOrchestrator.executeIngestionWorkflowWithUserInfo(input);
-      
-      res.status(200).json({
+      res.status(202).json({
         status: 'success',
         data: {
-          sessionId: result.sessionId,
-          analysis: {
-            tags: result.analysis.tags || [],
-            emotions: result.analysis.emotions?.emotions || [],
-            calendar: {
-              eventCount: result.analysis.calendar?.eventCount || 0,
-              hasEvents: (result.analysis.calendar?.eventCount || 0) > 0
-            },
-            totalVideosStored: result.analysis.totalVideosStored,
-            basedOnLikedVideos: result.analysis.basedOnLikedVideos || 0
-          }
+          jobId,
+          status: 'queued',
+          statusUrl: `/api/jobs/${jobId}`
         }
       });
       
     } catch (error) {
-      logger.error('Ingestion workflow failed', error);
+      // The job never ran, so nothing else will clean up its upload
+      await removeJobUpload(selfiePath);
+      logger.error('Failed to queue ingestion workflow', error);
       res.status(500).json({
         status: 'error',
         message: error.message || 'Failed to ingest videos'
@@ -66,17 +57,19 @@ class AgentController {
   });
 
   filterVideos = asyncHandler(async (req, res) => {
-    if (!req.file) {
+    if (!req.body.description) {
       return res.status(400).json({
         status: 'error',
-        message: 'Please upload a selfie image'
+        message: 'Please provide a description for filtering'
       });
     }
     
-    if (!req.body.description) {
+    const hasMaxMinutes = req.body.maxMinutes !== undefined && req.body.maxMinutes !== null && req.body.maxMinutes !== '';
+    const maxMinutes = hasMaxMinutes ? Number(req.body.maxMinutes) : null;
+    if (hasMaxMinutes && !(maxMinutes > 0 && maxMinutes <= MAX_PLAYLIST_MINUTES)) {
       return res.status(400).json({
         status: 'error',
-        message: 'Please provide a description for filtering'
+        message: `maxMinutes must be a number between 0 and ${MAX_PLAYLIST_MINUTES}`
       });
     }
     
@@ -85,16 +78,22 @@ class AgentController {
       const userToken = req.session?.accessToken || null;
       
       const input = {
-        selfieBuffer: req.file.buffer,
+        selfieBuffer: req.file?.buffer || null,
         description: req.body.description.trim(),
         userEmail,
-        userToken
+        userToken,
+        userId: req.userId,
+        emotionOptions: req.emotionOptions,
+        maxMinutes
       };
       
       logger.info('Video filtering workflow request', { 
+        maxMinutes,
+        hasSelfie: !!req.file,
         hasDescription: !!req.body.description,
         hasUserEmail: !!userEmail,
-        hasUserToken: !!userToken
+        hasUserToken: !!userToken,
+        hasUserId: !!req.userId
       });
       
       const result = await AgentOrchestrator.executeFilteringWorkflow(input);
@@ -103,13 +102,15 @@ class AgentController {
         status: 'success',
         data: {
           filteredVideos: result.data.filteredVideos,
-          totalVideos: result.data.totalVideos
+          totalVideos: result.data.totalVideos,
+          playlist: result.data.playlist,
+          emotion: result.data.emotion
         }
       });
       
     } catch (error) {
       logger.error('Filtering workflow failed', error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         status: 'error',
         message: error.message || 'Failed to filter videos'
       });
@@ -118,42 +119,36 @@ class AgentController {
 
   ingestLikedVideos = asyncHandler(async (req, res) => {
     const { likedVideoIds } = req.body;
-    
-    if (!likedVideoIds || !Array.isArray(likedVideoIds) || likedVideoIds.length === 0) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Please provide liked video IDs'
-      });
-    }
+    const hasPostedIds = Array.isArray(likedVideoIds) && likedVideoIds.length > 0;
     
     try {
       const userEmail = req.body.userEmail || req.session?.userPrincipalName || req.body.email || null;
-      const userToken = req.session?.accessToken || null;
       
-      logger.info('Liked videos ingestion request', { 
-        likedVideoCount: likedVideoIds.length,
-        hasUserEmail: !!userEmail,
-        hasUserToken: !!userToken
-      });
+      const jobId = await JobQueue.enqueue(JOB_TYPES.LIKED_VIDEOS_INGESTION, {
+        likedVideoIds: hasPostedIds ? likedVideoIds : null,
+        userId: req.userId,
+        userEmail
+      }, { userId: req.userId });
       
-      const result = await AgentOrchestrator.executeLikedVideosIngestion({
-        likedVideoIds,
-        userEmail,
-        userToken
+      logger.info('Liked videos ingestion job queued', { 
+        jobId,
+        likedVideoCount: hasPostedIds ? likedVideoIds.length : 0,
+        usesStoredLikes: !hasPostedIds,
+        hasUserEmail: !!userEmail
       });
       
-      res.status(200).json({
+      res.status(202).json({
         status: 'success',
         success: true,
         data: {
-          totalVideosStored: result.data.totalVideosStored,
-          videosAnalyzed: result.data.videosAnalyzed,
-          message: `Successfully ingested ${result.data.totalVideosStored} similar videos based on ${likedVideoIds.length} liked videos`
+          jobId,
+          status: 'queued',
+          statusUrl: `/api/jobs/${jobId}`
         }
       });
       
     } catch (error) {
-      logger.error('Liked videos ingestion failed', error);
+      logger.error('Failed to queue liked videos ingestion', error);
       res.status(500).json({
         status: 'error',
         message: error.message || 'Failed to ingest videos based on liked videos'
@@ -1,40 +1,13 @@
-import { ConfidentialClientApplication } from '@azure/msal-node';
 import path from 'path';
-import config from '../config/index.js';
 import logger from '../utils/logger.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import TeamsService from '../services/TeamsService.js';
+import MicrosoftAuthService from '../services/MicrosoftAuthService.js';
+import CalendarSyncService from '../services/CalendarSyncService.js';
 
 class AuthController {
-  constructor() {
-    this.msalConfig = {
-      auth: {
-        clientId: config.external.microsoft.clientId,
-        authority: `https://login.microsoftonline.com/${config.external.microsoft.tenantId}`,
-        clientSecret: config.external.microsoft.clientSecret
-      }
-    };
-    
-    this.msalClient = new ConfidentialClientApplication(this.msalConfig);
-    this.SCOPES = [
-      'openid', 
-      'profile', 
-      'email', 
-      'Calendars.Read',
-      'Chat.Read',
-      'Chat.ReadWrite',
-      'ChatMessage.Send',
-      'OnlineMeetings.Read',
-      'OnlineMeetings.ReadWrite'
-    ];
-  }
-
   login = asyncHandler(async (req, res) => {
-    const authUrl = await this.msalClient.getAuthCodeUrl({
-      scopes: this.SCOPES,
-      redirectUri: config.external.microsoft.redirectUri,
-      prompt: 'consent'
-    });
+    const authUrl = await MicrosoftAuthService.getAuthCodeUrl();
     
     res.redirect(authUrl);
   });
@@ -47,11 +20,7 @@ class AuthController {
     }
 
     try {
-      const response = await this.msalClient.acquireTokenByCode({
-        code: code,
-        scopes: this.SCOPES,
-        redirectUri: config.external.microsoft.redirectUri
-      });
+      const response = await MicrosoftAuthService.acquireTokenByCode(code);
       
       req.session.accessToken = response.accessToken;
       req.session.account = response.account;
@@ -60,15 +29,16 @@ class AuthController {
       req.session.userEmail = response.account.username;
       
       try {
-        
-        await TeamsService.getUserCalendarEvents(response.account.username, {
-          userToken: response.accessToken,
-          userEmail: response.account.username,
-          forceRefresh: true
-        });
-        
-      } catch (cacheError) {
-        logger.warn('Failed to fetch and cache meetings on login', { error: cacheError.message });
+        await TeamsService.syncUserTimeZone(response.account.username, response.accessToken);
+      } catch (timeZoneError) {
+        logger.warn('Failed to read mailbox time zone on login', { error: timeZoneError.message });
+      }
+      
+      try {
+        await CalendarSyncService.register(response.account.username, response.account.homeAccountId);
+        await CalendarSyncService.syncUser(response.account.username, { accessToken: response.accessToken });
+      } catch (syncError) {
+        logger.warn('Failed to sync meetings on login', { error: syncError.message });
       }
       
       res.sendFile(path.join(process.cwd(), 'public', 'auth-success.html'));
@@ -79,7 +49,15 @@ class AuthController {
     }
   });
 
+  // Background sync would otherwise keep using the refresh token after sign-out
   logout = asyncHandler(async (req, res) => {
+    const { account } = req.session;
+
+    if (account) {
+      await CalendarSyncService.unregister(account.username);
+      await MicrosoftAuthService.removeAccount(account.homeAccountId);
+    }
+
     req.session.destroy();
     res.json({ message: 'Logged out' });
   });
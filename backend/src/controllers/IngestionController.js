@@ -1,67 +1,39 @@
-import YouTubeService from '../services/YouTubeService.js';
-import { getConnection } from '../config/database.js';
+import WatchHistory from '../models/WatchHistory.js';
+import YouTubeVideoModel from '../models/YouTubeVideo.js';
+import MemeTemplate from '../models/MemeTemplate.js';
+import Job from '../models/Job.js';
+import JobQueue from '../services/JobQueue.js';
+import EmbeddingMigrationService, { EMBEDDING_TARGETS } from '../services/EmbeddingMigrationService.js';
+import YouTubeQuotaService from '../services/YouTubeQuotaService.js';
+import { JOB_TYPES } from '../jobs/ingestionJobs.js';
+import config from '../config/index.js';
 import logger from '../utils/logger.js';
-import { asyncHandler } from '../middleware/errorHandler.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
 
 class IngestionController {
 
   resetWatched = asyncHandler(async (req, res) => {
     const { videoIds } = req.body;
-    
+    const resetAll = !Array.isArray(videoIds) || videoIds.length === 0;
 
-    let query;
-    let params = [];
-    let affectedRows;
-
-    if (videoIds && videoIds.length > 0) {
-      const placeholders = videoIds.map(() => '?').join(',');
-      query = `
-        UPDATE youtube_videos 
-        SET watched = 0 
-        WHERE video_id IN (${placeholders}) AND watched = 1
-      `;
-      params = videoIds;
-      
-      const conn = getConnection();
-      const result = await conn.execute(query, params);
-      affectedRows = result.affectedRows || result.rowsAffected || result.changedRows || 0;
-      
-    } else {
-      query = `
-        UPDATE youtube_videos 
-        SET watched = 0 
-        WHERE watched = 1
-      `;
-      
-      const conn = getConnection();
-      const result = await conn.execute(query);
-      affectedRows = result.affectedRows || result.rowsAffected || result.changedRows || 0;
-    }
+    const affectedRows = await WatchHistory.reset(req.userId, resetAll ? null : videoIds);
 
     res.status(200).json({
       status: 'success',
       data: {
         videosReset: affectedRows,
         videoIds: videoIds || null,
-        resetAll: !videoIds || videoIds.length === 0
+        resetAll
       }
     });
   });
 
   getContentStats = asyncHandler(async (req, res) => {
 
-    const conn = getConnection();
-    const videosResult = await conn.execute(
-      'SELECT COUNT(*) as total FROM youtube_videos'
-    );
-    const videosRows = videosResult.rows || videosResult;
-    const totalVideos = videosRows[0]?.total || 0;
-
-    const memesResult = await conn.execute(
-      'SELECT COUNT(*) as total FROM meme_templates'
-    );
-    const memesRows = memesResult.rows || memesResult;
-    const totalMemes = memesRows[0]?.total || 0;
+    const [totalVideos, totalMemes] = await Promise.all([
+      YouTubeVideoModel.getCount(),
+      MemeTemplate.getCount()
+    ]);
     
     res.status(200).json({
       status: 'success',
@@ -71,6 +43,62 @@ class IngestionController {
       }
     });
   });
+
+  getYouTubeQuota = asyncHandler(async (req, res) => {
+    const usage = await YouTubeQuotaService.getUsage();
+
+    res.status(200).json({
+      status: 'success',
+      data: usage
+    });
+  });
+
+  getEmbeddingStatus = asyncHandler(async (req, res) => {
+    const status = await EmbeddingMigrationService.getStatus();
+
+    res.status(200).json({
+      status: 'success',
+      data: status
+    });
+  });
+
+  reembed = asyncHandler(async (req, res) => {
+    const model = req.body.model || config.llm.models.embedding;
+    const targets = req.body.targets || EMBEDDING_TARGETS;
+
+    // Searches only match the active model, so any other target would empty them until switched
+    if (!config.llm.reembedModels.includes(model)) {
+      throw new AppError(`model must be one of: ${config.llm.reembedModels.join(', ')} (see REEMBED_ALLOWED_MODELS)`, 400);
+    }
+    if (!Array.isArray(targets) || targets.length === 0 || targets.some(target => !EMBEDDING_TARGETS.includes(target))) {
+      throw new AppError(`targets must be a non-empty list of: ${EMBEDDING_TARGETS.join(', ')}`, 400);
+    }
+
+    // Two runs over the same rows would only pay for every embedding twice
+    const unfinished = await Job.findByStatus(['queued', 'running']);
+    const running = unfinished.find(job => job.type === JOB_TYPES.REEMBEDDING);
+    if (running) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'A re-embedding job is already queued or running',
+        data: { jobId: running.id, statusUrl: `/api/jobs/${running.id}` }
+      });
+    }
+
+    const jobId = await JobQueue.enqueue(JOB_TYPES.REEMBEDDING, { model, targets }, { userId: req.userId });
+    logger.info('Re-embedding job queued', { jobId, model, targets });
+
+    res.status(202).json({
+      status: 'success',
+      data: {
+        jobId,
+        model,
+        targets,
+        status: 'queued',
+        statusUrl: `/api/jobs/${jobId}`
+      }
+    });
+  });
 }
 
 export default new IngestionController();
\ No newline at end of file
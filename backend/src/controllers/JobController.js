@@ -0,0 +1,104 @@
+import JobQueue from '../services/JobQueue.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const TERMINAL_STATUSES = new Set(['completed', 'failed']);
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+const formatJob = (job) => ({
+  id: job.id,
+  type: job.type,
+  status: job.status,
+  stage: job.stage,
+  progress: {
+    stored: job.progress?.stored || 0,
+    failed: job.progress?.failed || 0,
+    ...job.progress
+  },
+  result: job.result,
+  error: job.error,
+  attempts: job.attempts,
+  createdAt: job.created_at,
+  startedAt: job.started_at,
+  finishedAt: job.finished_at
+});
+
+class JobController {
+  // Jobs and their results are only visible to the caller that started them
+  async findOwnJob(req) {
+    const job = await JobQueue.getJob(req.params.id);
+
+    if (!job || job.user_id !== req.userId) {
+      return null;
+    }
+    return job;
+  }
+
+  getJob = asyncHandler(async (req, res) => {
+    const job = await this.findOwnJob(req);
+
+    if (!job) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Job not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: formatJob(job)
+    });
+  });
+
+  streamJobEvents = asyncHandler(async (req, res) => {
+    const job = await this.findOwnJob(req);
+
+    if (!job) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Job not found'
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const send = (eventName, data) => {
+      res.write(`event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
+      res.flush?.();
+    };
+
+    const heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n');
+      res.flush?.();
+    }, HEARTBEAT_INTERVAL_MS);
+
+    const unsubscribe = JobQueue.subscribe(job.id, (event) => {
+      send(event.event, event);
+
+      if (TERMINAL_STATUSES.has(event.status)) {
+        close();
+      }
+    });
+
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
+
+    req.on('close', close);
+
+    const snapshot = await JobQueue.getJob(job.id);
+    send('snapshot', formatJob(snapshot));
+
+    if (TERMINAL_STATUSES.has(snapshot.status)) {
+      close();
+    }
+  });
+}
+
+export default new JobController();
@@ -1,25 +1,86 @@
 import MemeService from '../services/MemeService.js';
 import MemeTemplate from '../models/MemeTemplate.js';
+import JobQueue from '../services/JobQueue.js';
+import { JOB_TYPES } from '../jobs/ingestionJobs.js';
 import logger from '../utils/logger.js';
+import config from '../config/index.js';
+import { validateBoxLayout } from '../utils/memeLayout.js';
+
+// Locally rendered memes come back as paths; clients and Teams cards need absolute URLs.
+// Routes using this check the Host header with requireTrustedHost.
+const toPublicUrl = (req, url) => {
+  if (!url?.startsWith('/')) return url;
+  return new URL(url, config.publicBaseUrl || `${req.protocol}://${req.get('host')}`).href;
+};
+
+const withPublicUrls = (req, meme) => ({
+  ...meme,
+  imageUrl: toPublicUrl(req, meme.imageUrl),
+  downloadUrl: toPublicUrl(req, meme.downloadUrl)
+});
+
+const parseCount = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  return /^\d+$/.test(String(value)) ? parseInt(value, 10) : NaN;
+};
+
+const memeNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Meme not found'
+});
+
+// Route handlers are passed unbound, so this lives outside the class
+const updateFavorite = async (req, res, isFavorite) => {
+  try {
+    const meme = await MemeService.setMemeFavorite(req.userId, req.params.memeId, isFavorite);
+    if (!meme) {
+      return memeNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: withPublicUrls(req, meme)
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'SET_MEME_FAVORITE_CONTROLLER' });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update favourite',
+      error: error.message
+    });
+  }
+};
+
+const templateNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Meme template not found'
+});
+
+const invalidLayout = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Invalid box layout',
+  error: error.message
+});
 
 class MemeController {
   async ingestMemes(req, res) {
     try {
-      const { 
-        count = 50,
-        delay = 1000
-      } = req.body;
+      const { count = 50 } = req.body;
 
 
-      const result = await MemeService.ingestMemes({
-        count: parseInt(count),
-        delay: parseInt(delay)
-      });
+      const jobId = await JobQueue.enqueue(JOB_TYPES.MEME_INGESTION, {
+        count: parseInt(count)
+      }, { userId: req.userId });
 
-      res.status(200).json({
+      res.status(202).json({
         success: true,
-        message: 'Meme ingestion completed',
-        data: result
+        message: 'Meme ingestion queued',
+        data: {
+          jobId,
+          status: 'queued',
+          statusUrl: `/api/jobs/${jobId}`
+        }
       });
     } catch (error) {
       logger.logError(error, { context: 'MEME_INGESTION_CONTROLLER' });
@@ -37,13 +98,6 @@ class MemeController {
       const { description, video_id } = req.body;
       const selfie = req.file;
       
-      if (!selfie) {
-        return res.status(400).json({
-          success: false,
-          message: 'Selfie image is required'
-        });
-      }
-
       if (!description) {
         return res.status(400).json({
           success: false,
@@ -53,10 +107,13 @@ class MemeController {
 
 
       const result = await MemeService.createMemeFromUserData({
-        selfie: selfie.buffer,
+        selfie: selfie?.buffer || null,
         description,
-        video_id
+        video_id,
+        emotionOptions: req.emotionOptions,
+        userId: req.userId
       });
+      result.createdMeme.imageUrl = toPublicUrl(req, result.createdMeme.imageUrl);
 
       res.status(200).json({
         success: true,
@@ -66,13 +123,273 @@ class MemeController {
     } catch (error) {
       logger.logError(error, { context: 'CREATE_MEME_FROM_USER_DATA_CONTROLLER' });
 
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: 'Failed to create meme from user data',
         error: error.message
       });
     }
   }
+
+  async getMemeImage(req, res) {
+    const filePath = MemeService.getRenderedMemePath(req.params.imageId);
+    const notFound = () => res.status(404).json({
+      success: false,
+      message: 'Meme image not found'
+    });
+
+    if (!filePath) {
+      return notFound();
+    }
+
+    // Helmet defaults to same-origin, which would stop the frontend's <img> from loading it
+    res.set({
+      'Cross-Origin-Resource-Policy': 'cross-origin',
+      'Cache-Control': 'public, max-age=31536000, immutable'
+    });
+    res.type('png').sendFile(filePath, (error) => {
+      if (error && !res.headersSent) {
+        notFound();
+      }
+    });
+  }
+
+  async listMemes(req, res) {
+    try {
+      const limit = parseCount(req.query.limit, 50);
+      const offset = parseCount(req.query.offset, 0);
+
+      if (!(limit >= 1 && limit <= 100) || Number.isNaN(offset)) {
+        return res.status(400).json({
+          success: false,
+          message: 'limit must be 1-100 and offset a non-negative integer'
+        });
+      }
+
+      const { memes, total } = await MemeService.listMemes(req.userId, {
+        favoritesOnly: req.query.favorites === 'true',
+        limit,
+        offset
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          memes: memes.map(meme => withPublicUrls(req, meme)),
+          count: memes.length,
+          total
+        }
+      });
+    } catch (error) {
+      logger.logError(error, { context: 'LIST_MEMES_CONTROLLER' });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to load memes',
+        error: error.message
+      });
+    }
+  }
+
+  async getMeme(req, res) {
+    try {
+      const meme = await MemeService.getMeme(req.userId, req.params.memeId);
+      if (!meme) {
+        return memeNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        data: withPublicUrls(req, meme)
+      });
+    } catch (error) {
+      logger.logError(error, { context: 'GET_MEME_CONTROLLER' });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to load meme',
+        error: error.message
+      });
+    }
+  }
+
+  async favoriteMeme(req, res) {
+    return updateFavorite(req, res, true);
+  }
+
+  async unfavoriteMeme(req, res) {
+    return updateFavorite(req, res, false);
+  }
+
+  async deleteMeme(req, res) {
+    try {
+      const removed = await MemeService.deleteMeme(req.userId, req.params.memeId);
+      if (!removed) {
+        return memeNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Meme deleted',
+        data: { id: req.params.memeId, removed }
+      });
+    } catch (error) {
+      logger.logError(error, { context: 'DELETE_MEME_CONTROLLER' });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete meme',
+        error: error.message
+      });
+    }
+  }
+
+  async downloadMeme(req, res) {
+    try {
+      const download = await MemeService.getMemeDownload(req.userId, req.params.memeId);
+      if (!download) {
+        return memeNotFound(res);
+      }
+
+      if (!download.filePath) {
+        return res.redirect(download.url);
+      }
+
+      res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+      res.download(download.filePath, download.filename, (error) => {
+        if (error && !res.headersSent) {
+          memeNotFound(res);
+        }
+      });
+    } catch (error) {
+      logger.logError(error, { context: 'DOWNLOAD_MEME_CONTROLLER' });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to download meme',
+        error: error.message
+      });
+    }
+  }
+
+  async getTemplateLayout(req, res) {
+    try {
+      const layout = await MemeService.getTemplateLayout(req.params.templateId);
+      if (!layout) {
+        return templateNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        data: layout
+      });
+    } catch (error) {
+      logger.logError(error, { context: 'GET_TEMPLATE_LAYOUT_CONTROLLER' });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to load box layout',
+        error: error.message
+      });
+    }
+  }
+
+  async updateTemplateLayout(req, res) {
+    try {
+      const current = await MemeService.getTemplateLayout(req.params.templateId);
+      if (!current) {
+        return templateNotFound(res);
+      }
+
+      const { error, value } = validateBoxLayout(req.body?.boxLayout, current.boxCount);
+      if (error) {
+        return invalidLayout(res, error);
+      }
+
+      const layout = await MemeService.updateTemplateLayout(current.templateId, value);
+      res.status(200).json({
+        success: true,
+        message: 'Box layout saved',
+        data: layout
+      });
+    } catch (error) {
+      logger.logError(error, { context: 'UPDATE_TEMPLATE_LAYOUT_CONTROLLER' });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to save box layout',
+        error: error.message
+      });
+    }
+  }
+
+  async resetTemplateLayout(req, res) {
+    try {
+      const layout = await MemeService.resetTemplateLayout(req.params.templateId);
+      if (!layout) {
+        return templateNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Box layout reset',
+        data: layout
+      });
+    } catch (error) {
+      logger.logError(error, { context: 'RESET_TEMPLATE_LAYOUT_CONTROLLER' });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reset box layout',
+        error: error.message
+      });
+    }
+  }
+
+  // Renders the posted layout, or the stored one, with box outlines; nothing is saved
+  async previewTemplateLayout(req, res) {
+    try {
+      const current = await MemeService.getTemplateLayout(req.params.templateId);
+      if (!current) {
+        return templateNotFound(res);
+      }
+
+      const { boxLayout, texts } = req.body || {};
+      let layout = current.boxLayout;
+      if (boxLayout !== undefined) {
+        const { error, value } = validateBoxLayout(boxLayout, current.boxCount);
+        if (error) {
+          return invalidLayout(res, error);
+        }
+        layout = value;
+      }
+
+      const validTexts = Array.isArray(texts)
+        && texts.length === current.boxCount
+        && texts.every(text => typeof text === 'string' && text.length <= 200);
+      if (texts !== undefined && !validTexts) {
+        return res.status(400).json({
+          success: false,
+          message: `texts must be ${current.boxCount} strings of at most 200 characters`
+        });
+      }
+
+      const image = await MemeService.renderLayoutPreview(current, layout, texts);
+      res.set({
+        'Cross-Origin-Resource-Policy': 'cross-origin',
+        'Cache-Control': 'no-store'
+      });
+      res.type('png').send(image);
+    } catch (error) {
+      logger.logError(error, { context: 'PREVIEW_TEMPLATE_LAYOUT_CONTROLLER' });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to render layout preview',
+        error: error.message
+      });
+    }
+  }
 }
 
 export default new MemeController();
\ No newline at end of file
@@ -1,7 +1,18 @@
 import TeamsService from '../services/TeamsService.js';
-import { asyncHandler } from '../middleware/errorHandler.js';
+import CalendarSyncService from '../services/CalendarSyncService.js';
+import MicrosoftAuthService from '../services/MicrosoftAuthService.js';
+import YouTubeVideoModel from '../models/YouTubeVideo.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
 import logger from '../utils/logger.js';
 
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
 class TeamsController {
   getTodaysMeetings = asyncHandler(async (req, res) => {
     if (!req.session?.accessToken) {
@@ -12,10 +23,22 @@ class TeamsController {
     
     try {
       const userEmail = req.session.userEmail || req.session.userPrincipalName;
-      const events = await TeamsService.getCachedMeetings(userEmail);
+      const hours = parseInt(req.query.hours, 10);
+      const windowOptions = hours > 0
+        ? { window: 'upcoming', hours: Math.min(hours, 24 * 7) }
+        : { window: 'today' };
+      
+      const { timeZone, start, end } = await TeamsService.getMeetingWindow(userEmail, windowOptions);
+      const events = await TeamsService.getCachedMeetings(userEmail, { start, end }) || [];
 
       res.json({
         count: events.length,
+        timeZone,
+        window: {
+          type: windowOptions.window,
+          start: start.toISOString(),
+          end: end.toISOString()
+        },
         events: events,
         meetings: events.map(event => ({
           subject: event.subject,
@@ -34,8 +57,87 @@ class TeamsController {
     }
   });
 
+  syncMeetings = asyncHandler(async (req, res) => {
+    const userEmail = req.session?.userEmail || req.session?.userPrincipalName;
+    const homeAccountId = req.session?.account?.homeAccountId;
+    
+    if (!userEmail || !homeAccountId) {
+      return res.status(401).json({
+        message: 'Not authenticated. Go to /api/auth/login'
+      });
+    }
+    
+    await CalendarSyncService.register(userEmail, homeAccountId);
+    const summary = await CalendarSyncService.syncUser(userEmail, { full: req.body?.full === true });
+    
+    res.status(200).json({
+      status: 'success',
+      data: summary
+    });
+  });
 
-
+  shareToMeeting = asyncHandler(async (req, res) => {
+    if (!req.session?.accessToken) {
+      return res.status(401).json({
+        message: 'Not authenticated. Go to /api/auth/login'
+      });
+    }
+    
+    const { type, videoId, imageUrl, pageUrl, templateName, message } = req.body || {};
+    if (message && String(message).length > 500) {
+      throw new AppError('message must be at most 500 characters', 400);
+    }
+    
+    let card;
+    if (type === 'video') {
+      if (!videoId) {
+        throw new AppError('videoId is required to share a video', 400);
+      }
+      
+      const video = await YouTubeVideoModel.findById(videoId);
+      if (!video) {
+        throw new AppError('Video not found', 404);
+      }
+      
+      card = TeamsService.buildShareCard({
+        title: video.title,
+        subtitle: video.channel_title,
+        imageUrl: `https://i.ytimg.com/vi/${encodeURIComponent(video.video_id)}/hqdefault.jpg`,
+        linkUrl: video.url || `https://www.youtube.com/watch?v=${encodeURIComponent(video.video_id)}`,
+        linkTitle: 'Watch on YouTube',
+        message
+      });
+    } else if (type === 'meme') {
+      if (!isHttpUrl(imageUrl) || (pageUrl && !isHttpUrl(pageUrl))) {
+        throw new AppError('imageUrl (and pageUrl, if given) must be http(s) URLs', 400);
+      }
+      
+      card = TeamsService.buildShareCard({
+        title: templateName ? `${templateName} meme` : 'Meme',
+        imageUrl,
+        linkUrl: pageUrl || imageUrl,
+        linkTitle: 'Open meme',
+        message
+      });
+    } else {
+      throw new AppError('type must be "video" or "meme"', 400);
+    }
+    
+    // The session token may be stale; prefer a fresh one from the MSAL cache
+    const homeAccountId = req.session.account?.homeAccountId;
+    const token = homeAccountId
+      ? await MicrosoftAuthService.acquireTokenForAccount(homeAccountId).catch(() => req.session.accessToken)
+      : req.session.accessToken;
+    
+    const result = await TeamsService.shareToMeeting(req.params.id, card, token);
+    
+    logger.info('Shared to meeting', { meetingId: req.params.id, type });
+    
+    res.status(201).json({
+      status: 'success',
+      data: result
+    });
+  });
 }
 
 export default new TeamsController();
\ No newline at end of file
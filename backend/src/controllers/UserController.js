@@ -0,0 +1,80 @@
+import User from '../models/User.js';
+import LikedVideo from '../models/LikedVideo.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+class UserController {
+  touchUser(req) {
+    return User.upsert({
+      id: req.userId,
+      email: req.isAnonymous ? null : req.session?.userEmail,
+      displayName: req.session?.account?.name,
+      isAnonymous: req.isAnonymous
+    });
+  }
+
+  getProfile = asyncHandler(async (req, res) => {
+    const user = await this.touchUser(req);
+    const likedVideos = await LikedVideo.findByUser(req.userId);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        id: user.id,
+        email: user.email,
+        displayName: user.display_name,
+        isAnonymous: !!user.is_anonymous,
+        createdAt: user.created_at,
+        likedVideoCount: likedVideos.length
+      }
+    });
+  });
+
+  listLikedVideos = asyncHandler(async (req, res) => {
+    const likedVideos = await LikedVideo.findByUser(req.userId);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        likedVideos,
+        count: likedVideos.length
+      }
+    });
+  });
+
+  likeVideo = asyncHandler(async (req, res) => {
+    const videoId = req.body.videoId || req.body.video_id;
+
+    if (!videoId) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide a videoId'
+      });
+    }
+
+    await this.touchUser(req);
+    await LikedVideo.add(req.userId, {
+      videoId,
+      title: req.body.title,
+      description: req.body.description,
+      channelTitle: req.body.channelTitle || req.body.channel_title,
+      url: req.body.url
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: { videoId, liked: true }
+    });
+  });
+
+  unlikeVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+    const removed = await LikedVideo.remove(req.userId, videoId);
+
+    res.status(200).json({
+      status: 'success',
+      data: { videoId, liked: false, removed }
+    });
+  });
+}
+
+export default new UserController();
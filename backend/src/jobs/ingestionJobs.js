@@ -0,0 +1,116 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import AgentOrchestrator from '../services/AgentOrchestrator.js';
+import MemeService from '../services/MemeService.js';
+import EmbeddingMigrationService from '../services/EmbeddingMigrationService.js';
+import logger from '../utils/logger.js';
+
+export const JOB_TYPES = {
+  VIDEO_INGESTION: 'video-ingestion',
+  LIKED_VIDEOS_INGESTION: 'liked-videos-ingestion',
+  MEME_INGESTION: 'meme-ingestion',
+  REEMBEDDING: 'reembedding'
+};
+
+const UPLOADS_DIR = path.join(process.cwd(), 'uploads', 'jobs');
+
+export const storeJobUpload = async (buffer) => {
+  await fs.mkdir(UPLOADS_DIR, { recursive: true });
+  
+  const filePath = path.join(UPLOADS_DIR, `${uuidv4()}.upload`);
+  await fs.writeFile(filePath, buffer);
+  return filePath;
+};
+
+export const removeJobUpload = async (filePath) => {
+  if (!filePath) return;
+
+  try {
+    await fs.unlink(filePath);
+  } catch (error) {
+    logger.warn('Failed to remove job upload', { filePath, error: error.message });
+  }
+};
+
+const runVideoIngestion = async (payload, { reportProgress }) => {
+  const { selfiePath, description, userEmail, emotionOptions } = payload;
+  
+  try {
+    const selfieBuffer = selfiePath ? await fs.readFile(selfiePath) : null;
+    
+    const result = await AgentOrchestrator.executeIngestionWorkflowWithUserInfo({
+      selfieBuffer,
+      description,
+      userEmail,
+      emotionOptions,
+      onProgress: reportProgress
+    });
+    
+    return {
+      sessionId: result.sessionId,
+      analysis: {
+        tags: result.analysis.tags || [],
+        emotions: result.analysis.emotions?.emotions || {},
+        primaryEmotion: result.analysis.emotions?.primaryEmotion || null,
+        emotionSource: result.analysis.emotions?.source || null,
+        faces: (result.analysis.emotions?.faces || []).map(({ index, primaryEmotion, boundingBox }) => ({ index, primaryEmotion, boundingBox })),
+        selectedFaceIndex: result.analysis.emotions?.selectedFaceIndex ?? null,
+        teamMood: result.analysis.emotions?.teamMood || null,
+        calendar: {
+          eventCount: result.analysis.calendar?.eventCount || 0,
+          hasEvents: (result.analysis.calendar?.eventCount || 0) > 0
+        },
+        totalVideosStored: result.analysis.totalVideosStored,
+        totalVideosFailed: result.analysis.totalVideosFailed,
+        totalVideosAlreadyEmbedded: result.analysis.totalVideosAlreadyEmbedded,
+        basedOnLikedVideos: result.analysis.basedOnLikedVideos || 0,
+        youtubeQuota: result.analysis.youtubeQuota
+      }
+    };
+  } finally {
+    await removeJobUpload(selfiePath);
+  }
+};
+
+const runLikedVideosIngestion = async (payload, { reportProgress }) => {
+  const result = await AgentOrchestrator.executeLikedVideosIngestion({
+    likedVideoIds: payload.likedVideoIds,
+    userId: payload.userId,
+    userEmail: payload.userEmail,
+    onProgress: reportProgress
+  });
+  
+  return {
+    sessionId: result.sessionId,
+    totalVideosStored: result.data.totalVideosStored,
+    totalVideosFailed: result.data.totalVideosFailed,
+    totalVideosAlreadyEmbedded: result.data.totalVideosAlreadyEmbedded,
+    videosAnalyzed: result.data.videosAnalyzed,
+    basedOnLikedVideos: result.data.basedOnLikedVideos,
+    youtubeQuota: result.data.youtubeQuota,
+    message: `Successfully ingested ${result.data.totalVideosStored} similar videos based on ${result.data.basedOnLikedVideos} liked videos`
+  };
+};
+
+const runMemeIngestion = async (payload, { reportProgress }) => {
+  return MemeService.ingestMemes({
+    count: payload.count,
+    onProgress: reportProgress
+  });
+};
+
+const runReembedding = async (payload, { reportProgress }) => {
+  return EmbeddingMigrationService.reembed({
+    model: payload.model,
+    targets: payload.targets,
+    onProgress: reportProgress
+  });
+};
+
+export const registerIngestionJobs = (queue) => {
+  queue.register(JOB_TYPES.VIDEO_INGESTION, runVideoIngestion);
+  queue.register(JOB_TYPES.LIKED_VIDEOS_INGESTION, runLikedVideosIngestion);
+  queue.register(JOB_TYPES.MEME_INGESTION, runMemeIngestion);
+  queue.register(JOB_TYPES.REEMBEDDING, runReembedding);
+};
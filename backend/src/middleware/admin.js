@@ -0,0 +1,32 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+
+const keysMatch = (given, expected) => {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Admin endpoints take the shared ADMIN_API_KEY in X-Admin-Key, and are off without one
+const requireAdminKey = (req, res, next) => {
+  if (!config.admin.apiKey) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Admin endpoints are disabled. Set ADMIN_API_KEY to enable them'
+    });
+  }
+
+  const given = req.get('X-Admin-Key');
+  if (!given || !keysMatch(given, config.admin.apiKey)) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'A valid X-Admin-Key header is required'
+    });
+  }
+
+  next();
+};
+
+export {
+  requireAdminKey
+};
@@ -105,11 +105,15 @@ const globalErrorHandler = (err, req, res, next) => {
   let error = { ...err };
   error.message = err.message;
   
+  if (err.retryAfterSeconds) {
+    res.set('Retry-After', String(err.retryAfterSeconds));
+  }
+  
   if (err.name === 'ValidationError') {
     error = handleValidationError(err);
   } else if (err.message.includes('Duplicate entry')) {
     error = handleDuplicateKeyError(err);
-  } else if (err.name === 'OpenAIError' || err.message.includes('OpenAI')) {
+  } else if (!(err instanceof AppError) && (err.name === 'OpenAIError' || err.message.includes('OpenAI'))) {
     error = handleOpenAIError(err);
   } else if (err.name === 'DatabaseError' || err.message.includes('database')) {
     error = handleDatabaseError(err);
@@ -0,0 +1,18 @@
+import config from '../config/index.js';
+
+// Without PUBLIC_BASE_URL, absolute links (Teams cards, the gallery) are built from the
+// client-sent Host header, so it has to name one of TRUSTED_HOSTS
+const requireTrustedHost = (req, res, next) => {
+  if (config.publicBaseUrl || config.trustedHosts.includes(req.hostname?.toLowerCase())) {
+    return next();
+  }
+
+  res.status(400).json({
+    status: 'error',
+    message: 'Untrusted Host header. Set PUBLIC_BASE_URL, or add this host to TRUSTED_HOSTS'
+  });
+};
+
+export {
+  requireTrustedHost
+};
@@ -0,0 +1,36 @@
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+const resolveUserIdentity = (req, res, next) => {
+  const principal = req.session?.userPrincipalName;
+  // EventSource cannot send custom headers, so streams pass the device id as a query parameter
+  const deviceId = req.get('X-Device-Id') || req.query.deviceId;
+
+  if (principal) {
+    req.userId = principal.toLowerCase();
+    req.isAnonymous = false;
+  } else if (deviceId && DEVICE_ID_PATTERN.test(deviceId)) {
+    req.userId = `device:${deviceId}`;
+    req.isAnonymous = true;
+  } else {
+    req.userId = null;
+    req.isAnonymous = true;
+  }
+
+  next();
+};
+
+const requireUserIdentity = (req, res, next) => {
+  if (!req.userId) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Sign in with Teams or send an X-Device-Id header to identify this client'
+    });
+  }
+
+  next();
+};
+
+export {
+  resolveUserIdentity,
+  requireUserIdentity
+};
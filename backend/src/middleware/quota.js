@@ -0,0 +1,18 @@
+import YouTubeQuotaService, { QuotaExceededError } from '../services/YouTubeQuotaService.js';
+
+// Rejects with 429 and Retry-After before a job is queued that couldn't make a single call
+const requireYouTubeQuota = (units) => async (req, res, next) => {
+  try {
+    const usage = await YouTubeQuotaService.getUsage();
+    if (usage.remaining < units) {
+      return next(new QuotaExceededError(usage));
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export {
+  requireYouTubeQuota
+};
@@ -1,3 +1,4 @@
+import EmotionService from '../services/EmotionService.js';
 
 const sanitizeInput = (req, res, next) => {
   const sanitize = (obj) => {
@@ -29,6 +30,35 @@ const sanitizeInput = (req, res, next) => {
   next();
 };
 
+// Multipart fields arrive as strings, so faceIndex and teamMood are coerced here
+const validateEmotionOptions = (req, res, next) => {
+  const { emotionProvider, faceIndex, teamMood } = req.body || {};
+  
+  if (emotionProvider && !EmotionService.hasProvider(emotionProvider)) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Unknown emotion provider: ${emotionProvider}. Available: ${EmotionService.listProviders().map(p => p.name).join(', ')}`
+    });
+  }
+  
+  const hasFaceIndex = faceIndex !== undefined && faceIndex !== null && faceIndex !== '';
+  if (hasFaceIndex && !/^\d+$/.test(String(faceIndex))) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'faceIndex must be a non-negative integer'
+    });
+  }
+  
+  req.emotionOptions = {
+    provider: emotionProvider || null,
+    faceIndex: hasFaceIndex ? parseInt(faceIndex, 10) : null,
+    teamMood: teamMood === true || teamMood === 'true'
+  };
+  
+  next();
+};
+
 export {
-  sanitizeInput
+  sanitizeInput,
+  validateEmotionOptions
 };
\ No newline at end of file
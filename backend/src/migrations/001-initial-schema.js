@@ -0,0 +1,61 @@
+export const up = async (conn) => {
+  await conn.execute(`
+    CREATE TABLE IF NOT EXISTS teams_meetings (
+      id VARCHAR(255) PRIMARY KEY,
+      user_email VARCHAR(255) NOT NULL,
+      subject VARCHAR(500),
+      start_time DATETIME,
+      end_time DATETIME,
+      duration_minutes INT,
+      body_preview TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+      INDEX idx_user_start (user_email, start_time)
+    )
+  `);
+
+  await conn.execute(`
+    CREATE TABLE IF NOT EXISTS youtube_videos (
+      video_id VARCHAR(255) PRIMARY KEY,
+      title VARCHAR(500),
+      description TEXT,
+      channel_title VARCHAR(255),
+      url VARCHAR(500),
+      search_tag VARCHAR(255),
+      session_id VARCHAR(36),
+      watched BOOLEAN DEFAULT FALSE,
+      content_embedding VECTOR(1536),
+      comments JSON,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+      INDEX idx_session (session_id),
+      INDEX idx_search_tag (search_tag),
+      INDEX idx_watched (watched)
+    )
+  `);
+
+  await conn.execute(`
+    CREATE TABLE IF NOT EXISTS meme_templates (
+      id VARCHAR(255) PRIMARY KEY,
+      name VARCHAR(500) NOT NULL,
+      url VARCHAR(1000) NOT NULL,
+      box_count INT,
+      captions INT,
+      use_cases TEXT,
+      use_cases_embedding VECTOR(1536),
+      box_guidelines TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+      INDEX idx_name (name)
+    )
+  `);
+};
+
+export const down = async (conn) => {
+  await conn.execute('DROP TABLE IF EXISTS meme_templates');
+  await conn.execute('DROP TABLE IF EXISTS youtube_videos');
+  await conn.execute('DROP TABLE IF EXISTS teams_meetings');
+};
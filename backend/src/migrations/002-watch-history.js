@@ -0,0 +1,16 @@
+export const up = async (conn) => {
+  await conn.execute(`
+    CREATE TABLE IF NOT EXISTS video_watch_history (
+      user_id VARCHAR(255) NOT NULL,
+      video_id VARCHAR(255) NOT NULL,
+      watched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+      PRIMARY KEY (user_id, video_id),
+      INDEX idx_video (video_id)
+    )
+  `);
+};
+
+export const down = async (conn) => {
+  await conn.execute('DROP TABLE IF EXISTS video_watch_history');
+};
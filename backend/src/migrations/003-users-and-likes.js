@@ -0,0 +1,33 @@
+export const up = async (conn) => {
+  await conn.execute(`
+    CREATE TABLE IF NOT EXISTS users (
+      id VARCHAR(255) PRIMARY KEY,
+      email VARCHAR(255),
+      display_name VARCHAR(255),
+      is_anonymous BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+      INDEX idx_email (email)
+    )
+  `);
+
+  await conn.execute(`
+    CREATE TABLE IF NOT EXISTS user_liked_videos (
+      user_id VARCHAR(255) NOT NULL,
+      video_id VARCHAR(255) NOT NULL,
+      title VARCHAR(500),
+      description TEXT,
+      channel_title VARCHAR(255),
+      url VARCHAR(500),
+      liked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+      PRIMARY KEY (user_id, video_id)
+    )
+  `);
+};
+
+export const down = async (conn) => {
+  await conn.execute('DROP TABLE IF EXISTS user_liked_videos');
+  await conn.execute('DROP TABLE IF EXISTS users');
+};
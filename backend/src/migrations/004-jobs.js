@@ -0,0 +1,27 @@
+export const up = async (conn) => {
+  await conn.execute(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id VARCHAR(36) PRIMARY KEY,
+      type VARCHAR(64) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'queued',
+      stage VARCHAR(64),
+      user_id VARCHAR(255),
+      payload JSON,
+      progress JSON,
+      result JSON,
+      error TEXT,
+      attempts INT DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      started_at TIMESTAMP NULL,
+      finished_at TIMESTAMP NULL,
+
+      INDEX idx_status (status),
+      INDEX idx_user (user_id)
+    )
+  `);
+};
+
+export const down = async (conn) => {
+  await conn.execute('DROP TABLE IF EXISTS jobs');
+};
@@ -0,0 +1,7 @@
+export const up = async (conn) => {
+  await conn.execute('ALTER TABLE users ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64)');
+};
+
+export const down = async (conn) => {
+  await conn.execute('ALTER TABLE users DROP COLUMN IF EXISTS time_zone');
+};
@@ -0,0 +1,28 @@
+export const up = async (conn) => {
+  await conn.execute(`
+    CREATE TABLE IF NOT EXISTS msal_token_cache (
+      cache_key VARCHAR(255) PRIMARY KEY,
+      cache_data LONGTEXT NOT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `);
+
+  await conn.execute(`
+    CREATE TABLE IF NOT EXISTS calendar_sync_state (
+      user_email VARCHAR(255) PRIMARY KEY,
+      home_account_id VARCHAR(255) NOT NULL,
+      delta_link TEXT,
+      window_start DATETIME,
+      window_end DATETIME,
+      last_synced_at DATETIME,
+      last_error TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+export const down = async (conn) => {
+  await conn.execute('DROP TABLE IF EXISTS calendar_sync_state');
+  await conn.execute('DROP TABLE IF EXISTS msal_token_cache');
+};
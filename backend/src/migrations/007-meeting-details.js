@@ -0,0 +1,21 @@
+const COLUMNS = [
+  ['organizer_name', 'VARCHAR(255)'],
+  ['organizer_email', 'VARCHAR(255)'],
+  ['attendee_count', 'INT'],
+  ['importance', 'VARCHAR(16)'],
+  ['is_online_meeting', 'BOOLEAN'],
+  ['show_as', 'VARCHAR(32)'],
+  ['categories', 'JSON']
+];
+
+export const up = async (conn) => {
+  for (const [name, type] of COLUMNS) {
+    await conn.execute(`ALTER TABLE teams_meetings ADD COLUMN IF NOT EXISTS ${name} ${type}`);
+  }
+};
+
+export const down = async (conn) => {
+  for (const [name] of [...COLUMNS].reverse()) {
+    await conn.execute(`ALTER TABLE teams_meetings DROP COLUMN IF EXISTS ${name}`);
+  }
+};
@@ -0,0 +1,7 @@
+export const up = async (conn) => {
+  await conn.execute('ALTER TABLE youtube_videos ADD COLUMN IF NOT EXISTS duration_seconds INT');
+};
+
+export const down = async (conn) => {
+  await conn.execute('ALTER TABLE youtube_videos DROP COLUMN IF EXISTS duration_seconds');
+};
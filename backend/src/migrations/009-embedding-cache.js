@@ -0,0 +1,17 @@
+export const up = async (conn) => {
+  // Stored as JSON rather than VECTOR so any model's dimension fits
+  await conn.execute(`
+    CREATE TABLE IF NOT EXISTS embedding_cache (
+      model VARCHAR(100) NOT NULL,
+      content_hash CHAR(64) NOT NULL,
+      embedding JSON NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+      PRIMARY KEY (model, content_hash)
+    )
+  `);
+};
+
+export const down = async (conn) => {
+  await conn.execute('DROP TABLE IF EXISTS embedding_cache');
+};
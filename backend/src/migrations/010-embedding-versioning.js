@@ -0,0 +1,35 @@
+import config from '../config/index.js';
+
+const EMBEDDING_COLUMNS = [
+  ['youtube_videos', 'content_embedding'],
+  ['meme_templates', 'use_cases_embedding']
+];
+
+// Nothing records which model produced the vectors stored before this migration, and
+// OPENAI_EMBEDDING_MODEL may already name the next one, so they are tagged with
+// LEGACY_EMBEDDING_MODEL, which defaults to the model used until now. Searches only match
+// vectors tagged with the active model.
+export const up = async (conn) => {
+  for (const [table, column] of EMBEDDING_COLUMNS) {
+    await conn.execute(`ALTER TABLE ${table} MODIFY COLUMN ${column} VECTOR`);
+    await conn.execute(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(100)`);
+    await conn.execute(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS embedding_dimensions INT`);
+    await conn.execute(`ALTER TABLE ${table} ADD INDEX IF NOT EXISTS idx_embedding_model (embedding_model)`);
+    await conn.execute(`
+      UPDATE ${table}
+      SET embedding_model = ?, embedding_dimensions = VEC_DIMS(${column})
+      WHERE ${column} IS NOT NULL AND embedding_model IS NULL
+    `, [config.llm.legacyEmbeddingModel]);
+  }
+};
+
+// Vectors that don't fit the original VECTOR(1536) columns are dropped
+export const down = async (conn) => {
+  for (const [table, column] of [...EMBEDDING_COLUMNS].reverse()) {
+    await conn.execute(`UPDATE ${table} SET ${column} = NULL WHERE VEC_DIMS(${column}) <> 1536`);
+    await conn.execute(`ALTER TABLE ${table} DROP INDEX IF EXISTS idx_embedding_model`);
+    await conn.execute(`ALTER TABLE ${table} DROP COLUMN IF EXISTS embedding_dimensions`);
+    await conn.execute(`ALTER TABLE ${table} DROP COLUMN IF EXISTS embedding_model`);
+    await conn.execute(`ALTER TABLE ${table} MODIFY COLUMN ${column} VECTOR(1536)`);
+  }
+};
@@ -0,0 +1,18 @@
+export const up = async (conn) => {
+  // usage_date is the Pacific Time day, which is when YouTube resets the quota
+  await conn.execute(`
+    CREATE TABLE IF NOT EXISTS youtube_quota_usage (
+      usage_date DATE NOT NULL,
+      endpoint VARCHAR(50) NOT NULL,
+      units INT NOT NULL DEFAULT 0,
+      calls INT NOT NULL DEFAULT 0,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+      PRIMARY KEY (usage_date, endpoint)
+    )
+  `);
+};
+
+export const down = async (conn) => {
+  await conn.execute('DROP TABLE IF EXISTS youtube_quota_usage');
+};
@@ -0,0 +1,27 @@
+import { toRows } from '../repositories/tidb/helpers.js';
+import { seededBoxLayout, seededTemplateIds } from '../utils/memeLayoutSeeds.js';
+
+// box_layout_source is 'seed' for the shipped layouts and 'custom' once edited; templates
+// without a layout are captioned with the generic top/bottom one
+export const up = async (conn) => {
+  await conn.execute('ALTER TABLE meme_templates ADD COLUMN IF NOT EXISTS box_layout JSON');
+  await conn.execute('ALTER TABLE meme_templates ADD COLUMN IF NOT EXISTS box_layout_source VARCHAR(20)');
+
+  for (const id of seededTemplateIds()) {
+    const result = await conn.execute('SELECT box_count FROM meme_templates WHERE id = ?', [id]);
+    const [row] = toRows(result);
+    const layout = row && seededBoxLayout(id, row.box_count);
+    if (!layout) continue;
+
+    await conn.execute(`
+      UPDATE meme_templates
+      SET box_layout = ?, box_layout_source = 'seed'
+      WHERE id = ? AND box_layout IS NULL
+    `, [JSON.stringify(layout), id]);
+  }
+};
+
+export const down = async (conn) => {
+  await conn.execute('ALTER TABLE meme_templates DROP COLUMN IF EXISTS box_layout_source');
+  await conn.execute('ALTER TABLE meme_templates DROP COLUMN IF EXISTS box_layout');
+};
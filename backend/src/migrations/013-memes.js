@@ -0,0 +1,29 @@
+// Every meme created, so it can be found, favourited and downloaded again. image_id names
+// the file in uploads/memes/ for locally rendered memes; Imgflip renders only have a URL.
+export const up = async (conn) => {
+  await conn.execute(`
+    CREATE TABLE IF NOT EXISTS memes (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(255),
+      template_id VARCHAR(255),
+      template_name VARCHAR(500),
+      texts JSON NOT NULL,
+      explanation TEXT,
+      emotion JSON,
+      video_id VARCHAR(255),
+      video_title VARCHAR(500),
+      image_id VARCHAR(36),
+      image_url VARCHAR(1000) NOT NULL,
+      page_url VARCHAR(1000),
+      renderer VARCHAR(20),
+      is_favorite BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+      INDEX idx_user_created (user_id, created_at)
+    )
+  `);
+};
+
+export const down = async (conn) => {
+  await conn.execute('DROP TABLE IF EXISTS memes');
+};
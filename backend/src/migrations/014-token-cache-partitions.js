@@ -0,0 +1,60 @@
+import { toRows } from '../repositories/tidb/helpers.js';
+
+const SHARED_CACHE_KEY = 'delegated';
+const PARTITION_PREFIX = 'account:';
+// AppMetadata isn't tied to an account, so every partition keeps a copy
+const ACCOUNT_SECTIONS = ['Account', 'IdToken', 'AccessToken', 'RefreshToken'];
+
+const entriesFor = (section, homeAccountId) => Object.fromEntries(
+  Object.entries(section || {}).filter(([, entry]) => entry.home_account_id === homeAccountId)
+);
+
+const writeCache = (conn, key, cache) => conn.execute(`
+  INSERT INTO msal_token_cache (cache_key, cache_data)
+  VALUES (?, ?)
+  ON DUPLICATE KEY UPDATE cache_data = VALUES(cache_data)
+`, [key, JSON.stringify(cache)]);
+
+// Splits the one cache every user shared into a row per account, so signed-in users
+// keep their refresh tokens
+export const up = async (conn) => {
+  const result = await conn.execute(
+    'SELECT cache_data FROM msal_token_cache WHERE cache_key = ?',
+    [SHARED_CACHE_KEY]
+  );
+  const data = toRows(result)[0]?.cache_data;
+  if (!data) return;
+
+  const cache = JSON.parse(data);
+  const homeAccountIds = Object.values(cache.Account || {}).map(account => account.home_account_id);
+
+  for (const homeAccountId of homeAccountIds) {
+    const partition = { ...cache };
+    for (const section of ACCOUNT_SECTIONS) {
+      partition[section] = entriesFor(cache[section], homeAccountId);
+    }
+
+    await writeCache(conn, `${PARTITION_PREFIX}${homeAccountId}`, partition);
+  }
+
+  await conn.execute('DELETE FROM msal_token_cache WHERE cache_key = ?', [SHARED_CACHE_KEY]);
+};
+
+export const down = async (conn) => {
+  const result = await conn.execute(
+    'SELECT cache_data FROM msal_token_cache WHERE cache_key LIKE ?',
+    [`${PARTITION_PREFIX}%`]
+  );
+  const partitions = toRows(result).map(row => JSON.parse(row.cache_data));
+  if (partitions.length === 0) return;
+
+  const cache = {};
+  for (const partition of partitions) {
+    for (const [section, entries] of Object.entries(partition)) {
+      cache[section] = { ...cache[section], ...entries };
+    }
+  }
+
+  await writeCache(conn, SHARED_CACHE_KEY, cache);
+  await conn.execute('DELETE FROM msal_token_cache WHERE cache_key LIKE ?', [`${PARTITION_PREFIX}%`]);
+};
@@ -0,0 +1,11 @@
+// Watched state lives per user in video_watch_history (002); the shared flag is unused
+export const up = async (conn) => {
+  await conn.execute('ALTER TABLE youtube_videos DROP INDEX IF EXISTS idx_watched');
+  await conn.execute('ALTER TABLE youtube_videos DROP COLUMN IF EXISTS watched');
+};
+
+// The flag comes back unset for every video
+export const down = async (conn) => {
+  await conn.execute('ALTER TABLE youtube_videos ADD COLUMN IF NOT EXISTS watched BOOLEAN DEFAULT FALSE');
+  await conn.execute('ALTER TABLE youtube_videos ADD INDEX IF NOT EXISTS idx_watched (watched)');
+};
@@ -0,0 +1,54 @@
+import { getRepository } from '../repositories/index.js';
+import logger from '../utils/logger.js';
+
+class CalendarSyncState {
+  static async register(userEmail, homeAccountId) {
+    try {
+      await getRepository('calendarSync').register(userEmail, homeAccountId);
+      return true;
+    } catch (error) {
+      logger.logError(error, { userEmail });
+      throw error;
+    }
+  }
+  
+  static async unregister(userEmail) {
+    try {
+      await getRepository('calendarSync').remove(userEmail);
+      return true;
+    } catch (error) {
+      logger.logError(error, { userEmail });
+      throw error;
+    }
+  }
+  
+  static async update(userEmail, changes) {
+    try {
+      await getRepository('calendarSync').update(userEmail, changes);
+      return true;
+    } catch (error) {
+      logger.logError(error, { userEmail });
+      throw error;
+    }
+  }
+  
+  static async findByUser(userEmail) {
+    try {
+      return await getRepository('calendarSync').findByUser(userEmail);
+    } catch (error) {
+      logger.logError(error, { userEmail });
+      throw error;
+    }
+  }
+  
+  static async findAll() {
+    try {
+      return await getRepository('calendarSync').findAll();
+    } catch (error) {
+      logger.logError(error, { context: 'FIND_CALENDAR_SYNC_STATES' });
+      throw error;
+    }
+  }
+}
+
+export default CalendarSyncState;
@@ -0,0 +1,70 @@
+import { getRepository } from '../repositories/index.js';
+import logger from '../utils/logger.js';
+
+const JSON_COLUMNS = ['payload', 'progress', 'result'];
+
+const parseJson = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'string') return value;
+  
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+};
+
+const parseRow = (row) => {
+  if (!row) return null;
+  
+  const parsed = { ...row };
+  JSON_COLUMNS.forEach(column => {
+    parsed[column] = parseJson(row[column]);
+  });
+  return parsed;
+};
+
+class Job {
+  static async create(jobData) {
+    try {
+      await getRepository('jobs').create(jobData);
+      
+      logger.info('Job created', { id: jobData.id, type: jobData.type });
+      return true;
+    } catch (error) {
+      logger.logError(error, { jobId: jobData.id, type: jobData.type });
+      throw error;
+    }
+  }
+  
+  static async update(id, changes) {
+    try {
+      return await getRepository('jobs').update(id, changes);
+    } catch (error) {
+      logger.logError(error, { jobId: id });
+      throw error;
+    }
+  }
+  
+  static async findById(id) {
+    try {
+      const row = await getRepository('jobs').findById(id);
+      return parseRow(row);
+    } catch (error) {
+      logger.logError(error, { jobId: id });
+      throw error;
+    }
+  }
+  
+  static async findByStatus(statuses) {
+    try {
+      const rows = await getRepository('jobs').findByStatus(statuses);
+      return rows.map(parseRow);
+    } catch (error) {
+      logger.logError(error, { context: 'FIND_JOBS_BY_STATUS', statuses });
+      throw error;
+    }
+  }
+}
+
+export default Job;
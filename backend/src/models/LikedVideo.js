@@ -0,0 +1,37 @@
+import { getRepository } from '../repositories/index.js';
+import logger from '../utils/logger.js';
+
+class LikedVideo {
+  static async add(userId, videoData) {
+    try {
+      await getRepository('likedVideos').add(userId, videoData);
+      
+      logger.info('Video liked', { userId, videoId: videoData.videoId });
+      return true;
+    } catch (error) {
+      logger.logError(error, { userId, videoId: videoData.videoId });
+      throw error;
+    }
+  }
+  
+  static async remove(userId, videoId) {
+    try {
+      const removed = await getRepository('likedVideos').remove(userId, videoId);
+      return removed > 0;
+    } catch (error) {
+      logger.logError(error, { userId, videoId });
+      throw error;
+    }
+  }
+  
+  static async findByUser(userId) {
+    try {
+      return await getRepository('likedVideos').findByUser(userId);
+    } catch (error) {
+      logger.logError(error, { context: 'FIND_LIKED_VIDEOS', userId });
+      throw error;
+    }
+  }
+}
+
+export default LikedVideo;
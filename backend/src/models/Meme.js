@@ -0,0 +1,64 @@
+import { getRepository } from '../repositories/index.js';
+import logger from '../utils/logger.js';
+
+// Memes users have created. Everything but creation is scoped to the creator, so another
+// user's meme id behaves like one that doesn't exist.
+class Meme {
+  static async create(memeData) {
+    try {
+      await getRepository('memes').create(memeData);
+
+      logger.info('Meme saved', { id: memeData.id, userId: memeData.userId, templateId: memeData.templateId });
+      return true;
+    } catch (error) {
+      logger.logError(error, { memeId: memeData.id, userId: memeData.userId });
+      throw error;
+    }
+  }
+
+  static async findForUser(userId, id) {
+    try {
+      const meme = await getRepository('memes').findById(id);
+      return meme && meme.user_id === userId ? meme : null;
+    } catch (error) {
+      logger.logError(error, { context: 'FIND_MEME', userId, id });
+      throw error;
+    }
+  }
+
+  static async findByUser(userId, { favoritesOnly = false, limit = 50, offset = 0 } = {}) {
+    try {
+      const repository = getRepository('memes');
+      const [memes, total] = await Promise.all([
+        repository.findByUser(userId, { favoritesOnly, limit, offset }),
+        repository.countByUser(userId, { favoritesOnly })
+      ]);
+      return { memes, total };
+    } catch (error) {
+      logger.logError(error, { context: 'FIND_USER_MEMES', userId });
+      throw error;
+    }
+  }
+
+  static async setFavorite(userId, id, isFavorite) {
+    try {
+      const updated = await getRepository('memes').setFavorite(userId, id, isFavorite);
+      return updated > 0;
+    } catch (error) {
+      logger.logError(error, { context: 'SET_MEME_FAVORITE', userId, id });
+      throw error;
+    }
+  }
+
+  static async remove(userId, id) {
+    try {
+      const removed = await getRepository('memes').remove(userId, id);
+      return removed > 0;
+    } catch (error) {
+      logger.logError(error, { context: 'REMOVE_MEME', userId, id });
+      throw error;
+    }
+  }
+}
+
+export default Meme;
@@ -1,50 +1,17 @@
-import { getConnection } from '../config/database.js';
+import { getRepository } from '../repositories/index.js';
+import config from '../config/index.js';
 import logger from '../utils/logger.js';
 
 class MemeTemplate {
+  // A box layout already stored for the template is kept, so edits survive re-ingestion
   static async upsert(memeData) {
-    const conn = getConnection();
-    
     try {
-      const {
-        id,
-        name,
-        url,
-        boxCount,
-        captions,
-        useCases,
-        useCasesEmbedding,
-        boxGuidelines
-      } = memeData;
-      
-      const useCasesVector = useCasesEmbedding ? `[${useCasesEmbedding.join(',')}]` : null;
-      
-      await conn.execute(`
-        INSERT INTO meme_templates (
-          id, name, url, box_count, captions,
-          use_cases, use_cases_embedding, box_guidelines
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-        ON DUPLICATE KEY UPDATE
-          name = VALUES(name),
-          url = VALUES(url),
-          box_count = VALUES(box_count),
-          captions = VALUES(captions),
-          use_cases = COALESCE(VALUES(use_cases), use_cases),
-          use_cases_embedding = COALESCE(VALUES(use_cases_embedding), use_cases_embedding),
-          box_guidelines = COALESCE(VALUES(box_guidelines), box_guidelines),
-          updated_at = CURRENT_TIMESTAMP
-      `, [
-        id,
-        name,
-        url,
-        boxCount,
-        captions,
-        useCases || null,
-        useCasesVector,
-        boxGuidelines || null
-      ]);
+      await getRepository('memeTemplates').upsert({
+        ...memeData,
+        embeddingModel: memeData.embeddingModel || config.llm.models.embedding
+      });
       
-      logger.info('Meme template upserted', { id, name: name?.substring(0, 50) });
+      logger.info('Meme template upserted', { id: memeData.id, name: memeData.name?.substring(0, 50) });
       return true;
     } catch (error) {
       logger.logError(error, { memeData: { id: memeData.id } });
@@ -53,34 +20,15 @@ class MemeTemplate {
   }
   
   static async findSimilar(embedding, limit = 10, threshold = 0.8) {
-    const conn = getConnection();
-    
     try {
-      const vectorString = `[${embedding.join(',')}]`;
-      
-      const result = await conn.execute(`
-        SELECT 
-          id,
-          name,
-          url,
-          box_count,
-          captions,
-          use_cases,
-          box_guidelines,
-          (1 - VEC_COSINE_DISTANCE(use_cases_embedding, ?)) as similarity
-        FROM meme_templates
-        WHERE use_cases_embedding IS NOT NULL
-        HAVING similarity >= ?
-        ORDER BY similarity DESC
-        LIMIT ?
-      `, [vectorString, threshold, limit]);
+      const rows = await getRepository('memeTemplates').findSimilar(embedding, config.llm.models.embedding, limit, threshold);
       
       logger.info('Meme similarity search result', { 
-        rowCount: Array.isArray(result) ? result.length : result?.rows?.length || 0,
-        hasRows: Array.isArray(result) ? result.length > 0 : !!result?.rows
+        rowCount: rows.length,
+        hasRows: rows.length > 0
       });
       
-      return Array.isArray(result) ? result : (result?.rows || []);
+      return rows;
     } catch (error) {
       logger.logError(error, { context: 'FIND_SIMILAR_MEMES' });
       throw error;
@@ -88,31 +36,59 @@ class MemeTemplate {
   }
   
   static async findByImgflipId(imgflipId) {
-    const conn = getConnection();
-    
     try {
-      const result = await conn.execute(`
-        SELECT * FROM meme_templates WHERE id = ?
-      `, [imgflipId]);
-      
-      return Array.isArray(result) ? result[0] || null : (result?.rows?.[0] || null);
+      return await getRepository('memeTemplates').findById(imgflipId);
     } catch (error) {
       logger.logError(error, { imgflipId });
       throw error;
     }
   }
   
+  // Templates embedded with any model other than `model`, in id order after `afterId`
+  static async findStaleEmbeddings(model, afterId = null, limit = 100) {
+    try {
+      return await getRepository('memeTemplates').findStaleEmbeddings(model, afterId, limit);
+    } catch (error) {
+      logger.logError(error, { context: 'FIND_STALE_MEME_EMBEDDINGS', model });
+      throw error;
+    }
+  }
+
+  static async updateEmbedding(id, embedding, model) {
+    try {
+      await getRepository('memeTemplates').updateEmbedding(id, embedding, model);
+      return true;
+    } catch (error) {
+      logger.logError(error, { context: 'UPDATE_MEME_EMBEDDING', id });
+      throw error;
+    }
+  }
+
+  // `source` is 'seed' or 'custom'; a null layout reverts to the generic one
+  static async updateBoxLayout(id, layout, source = 'custom') {
+    try {
+      await getRepository('memeTemplates').updateBoxLayout(id, layout, source);
+
+      logger.info('Meme box layout updated', { id, source: layout ? source : null });
+      return true;
+    } catch (error) {
+      logger.logError(error, { context: 'UPDATE_MEME_BOX_LAYOUT', id });
+      throw error;
+    }
+  }
+
+  static async getEmbeddingStats() {
+    try {
+      return await getRepository('memeTemplates').getEmbeddingStats();
+    } catch (error) {
+      logger.logError(error, { context: 'GET_MEME_EMBEDDING_STATS' });
+      throw error;
+    }
+  }
 
   static async getCount() {
-    const conn = getConnection();
-    
     try {
-      const result = await conn.execute(`
-        SELECT COUNT(*) as total FROM meme_templates
-      `);
-      
-      const rows = Array.isArray(result) ? result : (result?.rows || []);
-      return rows[0]?.total || 0;
+      return await getRepository('memeTemplates').count();
     } catch (error) {
       logger.logError(error, { context: 'GET_MEME_COUNT' });
       throw error;
@@ -120,4 +96,4 @@ class MemeTemplate {
   }
 }
 
-export default MemeTemplate;
\ No newline at end of file
+export default MemeTemplate;
@@ -0,0 +1,35 @@
+import { getRepository } from '../repositories/index.js';
+import logger from '../utils/logger.js';
+
+class TeamsMeeting {
+  static async upsert(meetingData) {
+    try {
+      await getRepository('meetings').upsert(meetingData);
+      return true;
+    } catch (error) {
+      logger.logError(error, { meetingId: meetingData.id, userEmail: meetingData.userEmail });
+      throw error;
+    }
+  }
+  
+  static async remove(userEmail, id) {
+    try {
+      await getRepository('meetings').remove(userEmail, id);
+      return true;
+    } catch (error) {
+      logger.logError(error, { meetingId: id, userEmail });
+      throw error;
+    }
+  }
+  
+  static async findInWindow(userEmail, from, to) {
+    try {
+      return await getRepository('meetings').findInWindow(userEmail, from, to);
+    } catch (error) {
+      logger.logError(error, { context: 'FIND_MEETINGS_IN_WINDOW', userEmail });
+      throw error;
+    }
+  }
+}
+
+export default TeamsMeeting;
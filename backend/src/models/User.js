@@ -0,0 +1,36 @@
+import { getRepository } from '../repositories/index.js';
+import logger from '../utils/logger.js';
+
+class User {
+  static async upsert(userData) {
+    try {
+      await getRepository('users').upsert(userData);
+      
+      return await this.findById(userData.id);
+    } catch (error) {
+      logger.logError(error, { userId: userData.id });
+      throw error;
+    }
+  }
+  
+  static async setTimeZone(id, timeZone) {
+    try {
+      await getRepository('users').updateTimeZone(id, timeZone);
+      return true;
+    } catch (error) {
+      logger.logError(error, { userId: id, timeZone });
+      throw error;
+    }
+  }
+  
+  static async findById(id) {
+    try {
+      return await getRepository('users').findById(id);
+    } catch (error) {
+      logger.logError(error, { userId: id });
+      throw error;
+    }
+  }
+}
+
+export default User;
@@ -0,0 +1,35 @@
+import { getRepository } from '../repositories/index.js';
+import logger from '../utils/logger.js';
+
+class WatchHistory {
+  static async markWatched(userId, videoIds) {
+    try {
+      if (!userId || !Array.isArray(videoIds) || videoIds.length === 0) {
+        return false;
+      }
+
+      await getRepository('watchHistory').markWatched(userId, videoIds);
+      
+      logger.info('Videos marked as watched', { 
+        userId,
+        count: videoIds.length 
+      });
+      
+      return true;
+    } catch (error) {
+      logger.logError(error, { userId, videoIds });
+      throw error;
+    }
+  }
+
+  static async reset(userId, videoIds = null) {
+    try {
+      return await getRepository('watchHistory').reset(userId, videoIds);
+    } catch (error) {
+      logger.logError(error, { context: 'RESET_WATCH_HISTORY', userId });
+      throw error;
+    }
+  }
+}
+
+export default WatchHistory;
@@ -0,0 +1,25 @@
+import { getRepository } from '../repositories/index.js';
+import logger from '../utils/logger.js';
+
+class YouTubeQuota {
+  static async record(date, endpoint, units) {
+    try {
+      await getRepository('youtubeQuota').record(date, endpoint, units);
+      return true;
+    } catch (error) {
+      logger.logError(error, { context: 'RECORD_YOUTUBE_QUOTA', date, endpoint });
+      throw error;
+    }
+  }
+
+  static async findByDate(date) {
+    try {
+      return await getRepository('youtubeQuota').findByDate(date);
+    } catch (error) {
+      logger.logError(error, { context: 'FIND_YOUTUBE_QUOTA', date });
+      throw error;
+    }
+  }
+}
+
+export default YouTubeQuota;
@@ -1,53 +1,16 @@
-import { getConnection } from '../config/database.js';
+import { getRepository } from '../repositories/index.js';
+import config from '../config/index.js';
 import logger from '../utils/logger.js';
 
 class YouTubeVideoModel {
   static async upsert(videoData) {
-    const conn = getConnection();
-    
     try {
-      const {
-        videoId,
-        title,
-        description,
-        channelTitle,
-        url,
-        searchTag,
-        sessionId,
-        embedding,
-        comments
-      } = videoData;
-      
-      const embeddingVector = embedding ? `[${embedding.join(',')}]` : null;
-      
-      await conn.execute(`
-        INSERT INTO youtube_videos (
-          video_id, title, description, channel_title, url, 
-          search_tag, session_id, content_embedding, comments
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-        ON DUPLICATE KEY UPDATE
-          title = VALUES(title),
-          description = VALUES(description),
-          channel_title = VALUES(channel_title),
-          url = VALUES(url),
-          search_tag = COALESCE(VALUES(search_tag), search_tag),
-          session_id = COALESCE(VALUES(session_id), session_id),
-          content_embedding = COALESCE(VALUES(content_embedding), content_embedding),
-          comments = COALESCE(VALUES(comments), comments),
-          updated_at = CURRENT_TIMESTAMP
-      `, [
-        videoId,
-        title,
-        description,
-        channelTitle,
-        url,
-        searchTag,
-        sessionId,
-        embeddingVector,
-        comments ? JSON.stringify(comments) : null
-      ]);
+      await getRepository('videos').upsert({
+        ...videoData,
+        embeddingModel: videoData.embeddingModel || config.llm.models.embedding
+      });
       
-      logger.info('YouTube video upserted', { videoId, title: title?.substring(0, 50) });
+      logger.info('YouTube video upserted', { videoId: videoData.videoId, title: videoData.title?.substring(0, 50) });
       return true;
     } catch (error) {
       logger.logError(error, { videoData: { videoId: videoData.videoId } });
@@ -55,71 +18,89 @@ class YouTubeVideoModel {
     }
   }
   
-  static async findSimilar(embedding, limit = 10, threshold = 0.8) {
-    const conn = getConnection();
-    
+  static async findSimilar(embedding, limit = 10, threshold = 0.8, userId = null) {
     try {
-      const vectorString = `[${embedding.join(',')}]`;
-      
-      const result = await conn.execute(`
-        SELECT 
-          video_id,
-          title,
-          description,
-          channel_title,
-          url,
-          search_tag,
-          comments,
-          (1 - VEC_COSINE_DISTANCE(content_embedding, ?)) as similarity
-        FROM youtube_videos
-        WHERE content_embedding IS NOT NULL 
-          AND watched = FALSE
-        HAVING similarity >= ?
-        ORDER BY similarity DESC
-        LIMIT ?
-      `, [vectorString, threshold, limit]);
+      const rows = await getRepository('videos').findSimilar(embedding, config.llm.models.embedding, limit, threshold, userId);
       
       logger.info('Similarity search result', { 
-        rowCount: Array.isArray(result) ? result.length : result?.rows?.length || 0,
-        hasRows: Array.isArray(result) ? result.length > 0 : !!result?.rows 
+        rowCount: rows.length,
+        hasRows: rows.length > 0
       });
       
-      return Array.isArray(result) ? result : (result?.rows || []);
+      return rows;
     } catch (error) {
       logger.logError(error, { context: 'FIND_SIMILAR_VIDEOS' });
       throw error;
     }
   }
-  
 
-  static async markAsWatched(videoIds) {
-    const conn = getConnection();
-    
+  static async findById(videoId) {
     try {
-      if (!Array.isArray(videoIds) || videoIds.length === 0) {
-        return false;
-      }
+      return await getRepository('videos').findById(videoId);
+    } catch (error) {
+      logger.logError(error, { context: 'FIND_VIDEO', videoId });
+      throw error;
+    }
+  }
 
-      const placeholders = videoIds.map(() => '?').join(',');
-      
-      await conn.execute(`
-        UPDATE youtube_videos 
-        SET watched = TRUE, updated_at = CURRENT_TIMESTAMP
-        WHERE video_id IN (${placeholders})
-      `, videoIds);
-      
-      logger.info('Videos marked as watched', { 
-        videoIds, 
-        count: videoIds.length 
-      });
-      
+  // Ids among `videoIds` that are already stored with an embedding from the active model
+  static async findEmbeddedIds(videoIds) {
+    try {
+      return await getRepository('videos').findEmbeddedIds(videoIds, config.llm.models.embedding);
+    } catch (error) {
+      logger.logError(error, { context: 'FIND_EMBEDDED_VIDEOS', count: videoIds.length });
+      throw error;
+    }
+  }
+
+  // Videos embedded with any model other than `model`, in video id order after `afterId`
+  static async findStaleEmbeddings(model, afterId = null, limit = 100) {
+    try {
+      return await getRepository('videos').findStaleEmbeddings(model, afterId, limit);
+    } catch (error) {
+      logger.logError(error, { context: 'FIND_STALE_VIDEO_EMBEDDINGS', model });
+      throw error;
+    }
+  }
+
+  static async updateEmbedding(videoId, embedding, model) {
+    try {
+      await getRepository('videos').updateEmbedding(videoId, embedding, model);
+      return true;
+    } catch (error) {
+      logger.logError(error, { context: 'UPDATE_VIDEO_EMBEDDING', videoId });
+      throw error;
+    }
+  }
+
+  static async getEmbeddingStats() {
+    try {
+      return await getRepository('videos').getEmbeddingStats();
+    } catch (error) {
+      logger.logError(error, { context: 'GET_VIDEO_EMBEDDING_STATS' });
+      throw error;
+    }
+  }
+
+  static async updateDuration(videoId, durationSeconds) {
+    try {
+      await getRepository('videos').updateDuration(videoId, durationSeconds);
       return true;
     } catch (error) {
-      logger.logError(error, { videoIds });
+      logger.logError(error, { context: 'UPDATE_VIDEO_DURATION', videoId });
+      throw error;
+    }
+  }
+
+  static async getCount() {
+    try {
+      return await getRepository('videos').count();
+    } catch (error) {
+      logger.logError(error, { context: 'GET_VIDEO_COUNT' });
       throw error;
     }
   }
 
 }
 
-export default YouTubeVideoModel;
\ No newline at end of file
+export default YouTubeVideoModel;
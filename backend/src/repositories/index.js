@@ -0,0 +1,23 @@
+import config from '../config/index.js';
+import { createTidbRepositories } from './tidb/index.js';
+import { createMemoryRepositories } from './memory/index.js';
+
+const FACTORIES = {
+  tidb: createTidbRepositories,
+  memory: createMemoryRepositories
+};
+
+let repositories = null;
+
+export const getRepositories = () => {
+  if (!repositories) {
+    repositories = FACTORIES[config.storage.backend]();
+  }
+  return repositories;
+};
+
+export const getRepository = (name) => getRepositories()[name];
+
+export const initializeStorage = () => getRepositories().initialize();
+
+export default { getRepositories, getRepository, initializeStorage };
@@ -0,0 +1,49 @@
+class CalendarSyncRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async register(userEmail, homeAccountId) {
+    const existing = this.store.calendarSync.get(userEmail);
+
+    this.store.calendarSync.set(userEmail, {
+      user_email: userEmail,
+      home_account_id: homeAccountId,
+      delta_link: existing?.delta_link || null,
+      window_start: existing?.window_start || null,
+      window_end: existing?.window_end || null,
+      last_synced_at: existing?.last_synced_at || null,
+      last_error: existing?.last_error || null
+    });
+  }
+
+  async update(userEmail, { deltaLink, windowStart, windowEnd, lastSyncedAt, lastError }) {
+    const state = this.store.calendarSync.get(userEmail);
+    if (!state) return;
+
+    Object.assign(state, {
+      delta_link: deltaLink || null,
+      window_start: windowStart || null,
+      window_end: windowEnd || null,
+      last_synced_at: lastSyncedAt || null,
+      last_error: lastError || null
+    });
+  }
+
+  async remove(userEmail) {
+    this.store.calendarSync.delete(userEmail);
+  }
+
+  async findByUser(userEmail) {
+    const state = this.store.calendarSync.get(userEmail);
+    return state ? { ...state } : null;
+  }
+
+  async findAll() {
+    return [...this.store.calendarSync.values()]
+      .map(state => ({ ...state }))
+      .sort((a, b) => (a.last_synced_at || 0) - (b.last_synced_at || 0));
+  }
+}
+
+export default CalendarSyncRepository;
@@ -0,0 +1,27 @@
+const cacheKey = (model, hash) => `${model}:${hash}`;
+
+class EmbeddingCacheRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async getMany(model, hashes) {
+    const found = new Map();
+
+    for (const hash of hashes) {
+      const embedding = this.store.embeddingCache.get(cacheKey(model, hash));
+      if (embedding) {
+        found.set(hash, embedding);
+      }
+    }
+    return found;
+  }
+
+  async setMany(model, entries) {
+    for (const { hash, embedding } of entries) {
+      this.store.embeddingCache.set(cacheKey(model, hash), embedding);
+    }
+  }
+}
+
+export default EmbeddingCacheRepository;
@@ -0,0 +1,67 @@
+const UPDATABLE_FIELDS = ['status', 'stage', 'progress', 'result', 'error', 'attempts'];
+
+// Rows are deep-copied in and out so callers can't mutate stored state, matching a real database
+const clone = (value) => value === null || value === undefined ? value : structuredClone(value);
+
+class JobRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async create({ id, type, userId, payload }) {
+    const now = new Date();
+
+    this.store.jobs.set(id, {
+      id,
+      type,
+      status: 'queued',
+      stage: 'queued',
+      user_id: userId || null,
+      payload: clone(payload || {}),
+      progress: {},
+      result: null,
+      error: null,
+      attempts: 0,
+      created_at: now,
+      updated_at: now,
+      started_at: null,
+      finished_at: null
+    });
+  }
+
+  async update(id, changes) {
+    const job = this.store.jobs.get(id);
+    const fields = UPDATABLE_FIELDS.filter(field => changes[field] !== undefined);
+
+    if (!job || fields.length === 0) {
+      return false;
+    }
+
+    const now = new Date();
+    fields.forEach(field => {
+      job[field] = clone(changes[field]);
+    });
+
+    if (changes.status === 'running') {
+      job.started_at = now;
+    } else if (changes.status === 'completed' || changes.status === 'failed') {
+      job.finished_at = now;
+    }
+    job.updated_at = now;
+
+    return true;
+  }
+
+  async findById(id) {
+    return clone(this.store.jobs.get(id) || null);
+  }
+
+  async findByStatus(statuses) {
+    return [...this.store.jobs.values()]
+      .filter(job => statuses.includes(job.status))
+      .sort((a, b) => a.created_at - b.created_at)
+      .map(clone);
+  }
+}
+
+export default JobRepository;
@@ -0,0 +1,37 @@
+class LikedVideoRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  likesFor(userId) {
+    if (!this.store.likedVideos.has(userId)) {
+      this.store.likedVideos.set(userId, new Map());
+    }
+    return this.store.likedVideos.get(userId);
+  }
+
+  async add(userId, { videoId, title, description, channelTitle, url }) {
+    const likes = this.likesFor(userId);
+    const existing = likes.get(videoId);
+
+    likes.set(videoId, {
+      video_id: videoId,
+      title: title || existing?.title || null,
+      description: description || existing?.description || null,
+      channel_title: channelTitle || existing?.channel_title || null,
+      url: url || existing?.url || null,
+      liked_at: existing?.liked_at || new Date()
+    });
+  }
+
+  async remove(userId, videoId) {
+    return this.likesFor(userId).delete(videoId) ? 1 : 0;
+  }
+
+  async findByUser(userId) {
+    return [...this.likesFor(userId).values()]
+      .sort((a, b) => b.liked_at - a.liked_at);
+  }
+}
+
+export default LikedVideoRepository;
@@ -0,0 +1,52 @@
+class MeetingRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async upsert(meeting) {
+    const existing = this.store.meetings.get(meeting.id);
+    const now = new Date();
+
+    this.store.meetings.set(meeting.id, {
+      id: meeting.id,
+      user_email: meeting.userEmail,
+      subject: meeting.subject,
+      start_time: meeting.startTime,
+      end_time: meeting.endTime,
+      duration_minutes: meeting.durationMinutes,
+      body_preview: meeting.bodyPreview || '',
+      organizer_name: meeting.organizerName ?? null,
+      organizer_email: meeting.organizerEmail ?? null,
+      attendee_count: meeting.attendeeCount ?? null,
+      importance: meeting.importance ?? null,
+      is_online_meeting: meeting.isOnlineMeeting ?? null,
+      show_as: meeting.showAs ?? null,
+      categories: meeting.categories || [],
+      created_at: existing?.created_at || now,
+      updated_at: now
+    });
+  }
+
+  async remove(userEmail, id) {
+    if (this.store.meetings.get(id)?.user_email === userEmail) {
+      this.store.meetings.delete(id);
+    }
+  }
+
+  async findInWindow(userEmail, from, to) {
+    const fromTime = new Date(from).getTime();
+    const toTime = new Date(to).getTime();
+
+    return [...this.store.meetings.values()]
+      .filter(meeting => {
+        if (meeting.user_email !== userEmail || !meeting.start_time) return false;
+
+        const start = new Date(meeting.start_time).getTime();
+        const end = meeting.end_time ? new Date(meeting.end_time).getTime() : start;
+        return (start >= fromTime && start <= toTime) || (start < fromTime && end > fromTime);
+      })
+      .sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+  }
+}
+
+export default MeetingRepository;
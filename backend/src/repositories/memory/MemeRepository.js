@@ -0,0 +1,64 @@
+const clone = (value) => value === null || value === undefined ? value : structuredClone(value);
+
+class MemeRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async create(meme) {
+    this.store.memes.set(meme.id, {
+      id: meme.id,
+      user_id: meme.userId || null,
+      template_id: meme.templateId || null,
+      template_name: meme.templateName || null,
+      texts: clone(meme.texts || []),
+      explanation: meme.explanation || null,
+      emotion: clone(meme.emotion || null),
+      video_id: meme.videoId || null,
+      video_title: meme.videoTitle || null,
+      image_id: meme.imageId || null,
+      image_url: meme.imageUrl,
+      page_url: meme.pageUrl || null,
+      renderer: meme.renderer || null,
+      is_favorite: false,
+      created_at: new Date()
+    });
+  }
+
+  async findById(id) {
+    return clone(this.store.memes.get(id) || null);
+  }
+
+  memesOf(userId, favoritesOnly) {
+    return [...this.store.memes.values()]
+      .filter(meme => meme.user_id === userId && (!favoritesOnly || meme.is_favorite));
+  }
+
+  async findByUser(userId, { favoritesOnly, limit, offset }) {
+    return this.memesOf(userId, favoritesOnly)
+      .sort((a, b) => b.created_at - a.created_at || (a.id < b.id ? -1 : 1))
+      .slice(offset, offset + limit)
+      .map(clone);
+  }
+
+  async countByUser(userId, { favoritesOnly }) {
+    return this.memesOf(userId, favoritesOnly).length;
+  }
+
+  async setFavorite(userId, id, isFavorite) {
+    const meme = this.store.memes.get(id);
+    if (!meme || meme.user_id !== userId) return 0;
+
+    meme.is_favorite = isFavorite;
+    return 1;
+  }
+
+  async remove(userId, id) {
+    const meme = this.store.memes.get(id);
+    if (!meme || meme.user_id !== userId) return 0;
+
+    return this.store.memes.delete(id) ? 1 : 0;
+  }
+}
+
+export default MemeRepository;
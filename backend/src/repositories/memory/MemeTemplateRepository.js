@@ -0,0 +1,78 @@
+import { rankBySimilarity, countByEmbeddingModel, isStaleEmbedding } from '../../utils/vector.js';
+
+class MemeTemplateRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async upsert(memeData) {
+    const existing = this.store.memeTemplates.get(memeData.id);
+    const now = new Date();
+
+    this.store.memeTemplates.set(memeData.id, {
+      id: memeData.id,
+      name: memeData.name,
+      url: memeData.url,
+      box_count: memeData.boxCount ?? null,
+      captions: memeData.captions ?? null,
+      use_cases: memeData.useCases || existing?.use_cases || null,
+      use_cases_embedding: memeData.useCasesEmbedding || existing?.use_cases_embedding || null,
+      embedding_model: memeData.useCasesEmbedding ? memeData.embeddingModel : existing?.embedding_model ?? null,
+      box_guidelines: memeData.boxGuidelines || existing?.box_guidelines || null,
+      box_layout: existing?.box_layout || memeData.boxLayout || null,
+      box_layout_source: existing?.box_layout ? existing.box_layout_source : (memeData.boxLayout ? memeData.boxLayoutSource : null),
+      created_at: existing?.created_at || now,
+      updated_at: now
+    });
+  }
+
+  async findSimilar(embedding, model, limit, threshold) {
+    const candidates = [...this.store.memeTemplates.values()]
+      .filter(template => template.embedding_model === model && template.use_cases_embedding?.length === embedding.length);
+
+    return rankBySimilarity(candidates, embedding, template => template.use_cases_embedding, { limit, threshold })
+      .map(({ row, similarity }) => {
+        const { use_cases_embedding, embedding_model, created_at, updated_at, ...template } = row;
+        return { ...template, similarity };
+      });
+  }
+
+  async findById(id) {
+    return this.store.memeTemplates.get(id) || null;
+  }
+
+  async findStaleEmbeddings(model, afterId, limit) {
+    return [...this.store.memeTemplates.values()]
+      .filter(template => isStaleEmbedding(template, template.use_cases_embedding, model) && template.id > (afterId || ''))
+      .sort((a, b) => (a.id < b.id ? -1 : 1))
+      .slice(0, limit)
+      .map(({ id, name, use_cases }) => ({ id, name, use_cases }));
+  }
+
+  async updateEmbedding(id, embedding, model) {
+    const row = this.store.memeTemplates.get(id);
+    if (row) {
+      row.use_cases_embedding = embedding || null;
+      row.embedding_model = embedding ? model : null;
+    }
+  }
+
+  async updateBoxLayout(id, layout, source) {
+    const row = this.store.memeTemplates.get(id);
+    if (row) {
+      row.box_layout = layout || null;
+      row.box_layout_source = layout ? source : null;
+      row.updated_at = new Date();
+    }
+  }
+
+  async getEmbeddingStats() {
+    return countByEmbeddingModel([...this.store.memeTemplates.values()], template => template.use_cases_embedding);
+  }
+
+  async count() {
+    return this.store.memeTemplates.size;
+  }
+}
+
+export default MemeTemplateRepository;
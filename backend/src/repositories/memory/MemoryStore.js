@@ -0,0 +1,19 @@
+// Process-local tables for STORAGE_BACKEND=memory; everything is lost on restart
+class MemoryStore {
+  constructor() {
+    this.videos = new Map();
+    this.memeTemplates = new Map();
+    this.memes = new Map();
+    this.meetings = new Map();
+    this.users = new Map();
+    this.likedVideos = new Map();
+    this.watchHistory = new Map();
+    this.jobs = new Map();
+    this.tokenCache = new Map();
+    this.calendarSync = new Map();
+    this.embeddingCache = new Map();
+    this.youtubeQuota = new Map();
+  }
+}
+
+export default MemoryStore;
@@ -0,0 +1,19 @@
+class TokenCacheRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async get(key) {
+    return this.store.tokenCache.get(key) || null;
+  }
+
+  async set(key, data) {
+    this.store.tokenCache.set(key, data);
+  }
+
+  async remove(key) {
+    this.store.tokenCache.delete(key);
+  }
+}
+
+export default TokenCacheRepository;
@@ -0,0 +1,33 @@
+class UserRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async upsert({ id, email, displayName, isAnonymous }) {
+    const existing = this.store.users.get(id);
+    const now = new Date();
+
+    this.store.users.set(id, {
+      id,
+      email: email || existing?.email || null,
+      display_name: displayName || existing?.display_name || null,
+      is_anonymous: isAnonymous ? 1 : 0,
+      time_zone: existing?.time_zone || null,
+      created_at: existing?.created_at || now,
+      last_seen_at: now
+    });
+  }
+
+  async updateTimeZone(id, timeZone) {
+    const user = this.store.users.get(id);
+    if (user) {
+      user.time_zone = timeZone;
+    }
+  }
+
+  async findById(id) {
+    return this.store.users.get(id) || null;
+  }
+}
+
+export default UserRepository;
@@ -0,0 +1,106 @@
+import { rankBySimilarity, countByEmbeddingModel, isStaleEmbedding } from '../../utils/vector.js';
+
+const pickDefined = (value, fallback) => value !== null && value !== undefined ? value : fallback;
+
+class VideoRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async upsert(videoData) {
+    const existing = this.store.videos.get(videoData.videoId);
+    const now = new Date();
+    const embedding = videoData.embedding || null;
+
+    this.store.videos.set(videoData.videoId, {
+      video_id: videoData.videoId,
+      title: videoData.title,
+      description: videoData.description,
+      channel_title: videoData.channelTitle,
+      url: videoData.url,
+      search_tag: pickDefined(videoData.searchTag, existing?.search_tag ?? null),
+      session_id: pickDefined(videoData.sessionId, existing?.session_id ?? null),
+      content_embedding: pickDefined(embedding, existing?.content_embedding ?? null),
+      embedding_model: embedding ? videoData.embeddingModel : existing?.embedding_model ?? null,
+      comments: pickDefined(videoData.comments, existing?.comments ?? null),
+      duration_seconds: pickDefined(videoData.durationSeconds, existing?.duration_seconds ?? null),
+      created_at: existing?.created_at || now,
+      updated_at: now
+    });
+  }
+
+  async findSimilar(embedding, model, limit, threshold, userId = null) {
+    const watched = userId ? this.store.watchHistory.get(userId) : null;
+    const candidates = [...this.store.videos.values()]
+      .filter(video => video.embedding_model === model && video.content_embedding?.length === embedding.length)
+      .filter(video => !watched || !watched.has(video.video_id));
+
+    return rankBySimilarity(candidates, embedding, video => video.content_embedding, { limit, threshold })
+      .map(({ row, similarity }) => ({
+        video_id: row.video_id,
+        title: row.title,
+        description: row.description,
+        channel_title: row.channel_title,
+        url: row.url,
+        search_tag: row.search_tag,
+        comments: row.comments,
+        duration_seconds: row.duration_seconds,
+        similarity
+      }));
+  }
+
+  async findById(videoId) {
+    const row = this.store.videos.get(videoId);
+    if (!row) return null;
+
+    return {
+      video_id: row.video_id,
+      title: row.title,
+      description: row.description,
+      channel_title: row.channel_title,
+      url: row.url,
+      search_tag: row.search_tag,
+      duration_seconds: row.duration_seconds
+    };
+  }
+
+  async findEmbeddedIds(videoIds, model) {
+    return new Set(videoIds.filter(videoId => {
+      const video = this.store.videos.get(videoId);
+      return video?.content_embedding && video.embedding_model === model;
+    }));
+  }
+
+  async findStaleEmbeddings(model, afterId, limit) {
+    return [...this.store.videos.values()]
+      .filter(video => isStaleEmbedding(video, video.content_embedding, model) && video.video_id > (afterId || ''))
+      .sort((a, b) => (a.video_id < b.video_id ? -1 : 1))
+      .slice(0, limit)
+      .map(({ video_id, title, description, comments }) => ({ video_id, title, description, comments }));
+  }
+
+  async updateEmbedding(videoId, embedding, model) {
+    const row = this.store.videos.get(videoId);
+    if (row) {
+      row.content_embedding = embedding || null;
+      row.embedding_model = embedding ? model : null;
+    }
+  }
+
+  async getEmbeddingStats() {
+    return countByEmbeddingModel([...this.store.videos.values()], video => video.content_embedding);
+  }
+
+  async updateDuration(videoId, durationSeconds) {
+    const row = this.store.videos.get(videoId);
+    if (row) {
+      row.duration_seconds = durationSeconds;
+    }
+  }
+
+  async count() {
+    return this.store.videos.size;
+  }
+}
+
+export default VideoRepository;
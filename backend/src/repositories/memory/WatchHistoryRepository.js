@@ -0,0 +1,30 @@
+class WatchHistoryRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async markWatched(userId, videoIds) {
+    if (!this.store.watchHistory.has(userId)) {
+      this.store.watchHistory.set(userId, new Map());
+    }
+
+    const history = this.store.watchHistory.get(userId);
+    const now = new Date();
+    videoIds.forEach(videoId => history.set(videoId, now));
+  }
+
+  async reset(userId, videoIds = null) {
+    const history = this.store.watchHistory.get(userId);
+    if (!history) return 0;
+
+    if (Array.isArray(videoIds) && videoIds.length > 0) {
+      return videoIds.filter(videoId => history.delete(videoId)).length;
+    }
+
+    const count = history.size;
+    history.clear();
+    return count;
+  }
+}
+
+export default WatchHistoryRepository;
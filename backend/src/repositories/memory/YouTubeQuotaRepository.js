@@ -0,0 +1,26 @@
+class YouTubeQuotaRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async record(date, endpoint, units) {
+    const day = this.store.youtubeQuota.get(date) || new Map();
+    const entry = day.get(endpoint) || { endpoint, units: 0, calls: 0 };
+
+    entry.units += units;
+    entry.calls++;
+    day.set(endpoint, entry);
+    this.store.youtubeQuota.set(date, day);
+  }
+
+  async findByDate(date) {
+    const day = this.store.youtubeQuota.get(date);
+    if (!day) return [];
+
+    return [...day.values()]
+      .map(entry => ({ ...entry }))
+      .sort((a, b) => b.units - a.units);
+  }
+}
+
+export default YouTubeQuotaRepository;
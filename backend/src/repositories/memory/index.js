@@ -0,0 +1,33 @@
+import logger from '../../utils/logger.js';
+import MemoryStore from './MemoryStore.js';
+import VideoRepository from './VideoRepository.js';
+import MemeTemplateRepository from './MemeTemplateRepository.js';
+import MemeRepository from './MemeRepository.js';
+import MeetingRepository from './MeetingRepository.js';
+import UserRepository from './UserRepository.js';
+import LikedVideoRepository from './LikedVideoRepository.js';
+import WatchHistoryRepository from './WatchHistoryRepository.js';
+import JobRepository from './JobRepository.js';
+import TokenCacheRepository from './TokenCacheRepository.js';
+import CalendarSyncRepository from './CalendarSyncRepository.js';
+import EmbeddingCacheRepository from './EmbeddingCacheRepository.js';
+import YouTubeQuotaRepository from './YouTubeQuotaRepository.js';
+
+export const createMemoryRepositories = (store = new MemoryStore()) => ({
+  videos: new VideoRepository(store),
+  memeTemplates: new MemeTemplateRepository(store),
+  memes: new MemeRepository(store),
+  meetings: new MeetingRepository(store),
+  users: new UserRepository(store),
+  likedVideos: new LikedVideoRepository(store),
+  watchHistory: new WatchHistoryRepository(store),
+  jobs: new JobRepository(store),
+  tokenCache: new TokenCacheRepository(store),
+  calendarSync: new CalendarSyncRepository(store),
+  embeddingCache: new EmbeddingCacheRepository(store),
+  youtubeQuota: new YouTubeQuotaRepository(store),
+
+  async initialize() {
+    logger.warn('Using in-memory storage; data will not survive a restart');
+  }
+});
@@ -0,0 +1,62 @@
+import { toRows } from './helpers.js';
+import { toUtcSqlDateTime, fromUtcSqlDateTime } from '../../utils/time.js';
+
+const parseStateRow = (row) => row ? {
+  ...row,
+  window_start: fromUtcSqlDateTime(row.window_start),
+  window_end: fromUtcSqlDateTime(row.window_end),
+  last_synced_at: fromUtcSqlDateTime(row.last_synced_at)
+} : null;
+
+class CalendarSyncRepository {
+  constructor(getConnection) {
+    this.getConnection = getConnection;
+  }
+
+  async register(userEmail, homeAccountId) {
+    await this.getConnection().execute(`
+      INSERT INTO calendar_sync_state (user_email, home_account_id)
+      VALUES (?, ?)
+      ON DUPLICATE KEY UPDATE home_account_id = VALUES(home_account_id)
+    `, [userEmail, homeAccountId]);
+  }
+
+  async update(userEmail, { deltaLink, windowStart, windowEnd, lastSyncedAt, lastError }) {
+    await this.getConnection().execute(`
+      UPDATE calendar_sync_state
+      SET delta_link = ?, window_start = ?, window_end = ?, last_synced_at = ?, last_error = ?
+      WHERE user_email = ?
+    `, [
+      deltaLink || null,
+      toUtcSqlDateTime(windowStart),
+      toUtcSqlDateTime(windowEnd),
+      toUtcSqlDateTime(lastSyncedAt),
+      lastError || null,
+      userEmail
+    ]);
+  }
+
+  async remove(userEmail) {
+    await this.getConnection().execute(`
+      DELETE FROM calendar_sync_state WHERE user_email = ?
+    `, [userEmail]);
+  }
+
+  async findByUser(userEmail) {
+    const result = await this.getConnection().execute(`
+      SELECT * FROM calendar_sync_state WHERE user_email = ?
+    `, [userEmail]);
+
+    return parseStateRow(toRows(result)[0]);
+  }
+
+  async findAll() {
+    const result = await this.getConnection().execute(`
+      SELECT * FROM calendar_sync_state ORDER BY last_synced_at ASC
+    `);
+
+    return toRows(result).map(parseStateRow);
+  }
+}
+
+export default CalendarSyncRepository;
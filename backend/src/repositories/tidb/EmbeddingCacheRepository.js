@@ -0,0 +1,36 @@
+import { toRows } from './helpers.js';
+
+class EmbeddingCacheRepository {
+  constructor(getConnection) {
+    this.getConnection = getConnection;
+  }
+
+  // Map of content hash -> embedding for the hashes that are cached
+  async getMany(model, hashes) {
+    if (hashes.length === 0) return new Map();
+
+    const placeholders = hashes.map(() => '?').join(',');
+    const result = await this.getConnection().execute(`
+      SELECT content_hash, embedding FROM embedding_cache
+      WHERE model = ? AND content_hash IN (${placeholders})
+    `, [model, ...hashes]);
+
+    return new Map(toRows(result).map(row => [
+      row.content_hash,
+      typeof row.embedding === 'string' ? JSON.parse(row.embedding) : row.embedding
+    ]));
+  }
+
+  async setMany(model, entries) {
+    if (entries.length === 0) return;
+
+    const placeholders = entries.map(() => '(?, ?, ?)').join(',');
+    await this.getConnection().execute(`
+      INSERT INTO embedding_cache (model, content_hash, embedding)
+      VALUES ${placeholders}
+      ON DUPLICATE KEY UPDATE embedding = VALUES(embedding)
+    `, entries.flatMap(({ hash, embedding }) => [model, hash, JSON.stringify(embedding)]));
+  }
+}
+
+export default EmbeddingCacheRepository;
@@ -0,0 +1,83 @@
+import { toRows } from './helpers.js';
+
+const UPDATABLE_COLUMNS = {
+  status: 'status',
+  stage: 'stage',
+  progress: 'progress',
+  result: 'result',
+  error: 'error',
+  attempts: 'attempts'
+};
+
+const JSON_COLUMNS = new Set(['payload', 'progress', 'result']);
+
+class JobRepository {
+  constructor(getConnection) {
+    this.getConnection = getConnection;
+  }
+
+  async create({ id, type, userId, payload }) {
+    await this.getConnection().execute(`
+      INSERT INTO jobs (
+        id, type, status, stage, user_id, payload, progress
+      ) VALUES (?, ?, 'queued', 'queued', ?, ?, ?)
+    `, [
+      id,
+      type,
+      userId || null,
+      JSON.stringify(payload || {}),
+      JSON.stringify({})
+    ]);
+  }
+
+  async update(id, changes) {
+    const assignments = [];
+    const params = [];
+
+    for (const [key, column] of Object.entries(UPDATABLE_COLUMNS)) {
+      if (changes[key] === undefined) continue;
+
+      assignments.push(`${column} = ?`);
+      params.push(JSON_COLUMNS.has(column) ? JSON.stringify(changes[key]) : changes[key]);
+    }
+
+    if (changes.status === 'running') {
+      assignments.push('started_at = CURRENT_TIMESTAMP');
+    } else if (changes.status === 'completed' || changes.status === 'failed') {
+      assignments.push('finished_at = CURRENT_TIMESTAMP');
+    }
+
+    if (assignments.length === 0) {
+      return false;
+    }
+
+    await this.getConnection().execute(`
+      UPDATE jobs
+      SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [...params, id]);
+
+    return true;
+  }
+
+  async findById(id) {
+    const result = await this.getConnection().execute(`
+      SELECT * FROM jobs WHERE id = ?
+    `, [id]);
+
+    return toRows(result)[0] || null;
+  }
+
+  async findByStatus(statuses) {
+    const placeholders = statuses.map(() => '?').join(',');
+    const result = await this.getConnection().execute(`
+      SELECT * FROM jobs
+      WHERE status IN (${placeholders})
+      ORDER BY created_at ASC
+    `, statuses);
+
+    return toRows(result);
+  }
+}
+
+export default JobRepository;
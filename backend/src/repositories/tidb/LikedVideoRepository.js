@@ -0,0 +1,49 @@
+import { toRows, toAffectedCount } from './helpers.js';
+
+class LikedVideoRepository {
+  constructor(getConnection) {
+    this.getConnection = getConnection;
+  }
+
+  async add(userId, { videoId, title, description, channelTitle, url }) {
+    await this.getConnection().execute(`
+      INSERT INTO user_liked_videos (
+        user_id, video_id, title, description, channel_title, url
+      ) VALUES (?, ?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        title = COALESCE(VALUES(title), title),
+        description = COALESCE(VALUES(description), description),
+        channel_title = COALESCE(VALUES(channel_title), channel_title),
+        url = COALESCE(VALUES(url), url)
+    `, [
+      userId,
+      videoId,
+      title || null,
+      description || null,
+      channelTitle || null,
+      url || null
+    ]);
+  }
+
+  async remove(userId, videoId) {
+    const result = await this.getConnection().execute(`
+      DELETE FROM user_liked_videos
+      WHERE user_id = ? AND video_id = ?
+    `, [userId, videoId]);
+
+    return toAffectedCount(result);
+  }
+
+  async findByUser(userId) {
+    const result = await this.getConnection().execute(`
+      SELECT video_id, title, description, channel_title, url, liked_at
+      FROM user_liked_videos
+      WHERE user_id = ?
+      ORDER BY liked_at DESC
+    `, [userId]);
+
+    return toRows(result);
+  }
+}
+
+export default LikedVideoRepository;
@@ -0,0 +1,97 @@
+import { toRows } from './helpers.js';
+import { toUtcSqlDateTime, fromUtcSqlDateTime } from '../../utils/time.js';
+
+const parseMeetingRow = (row) => ({
+  ...row,
+  start_time: fromUtcSqlDateTime(row.start_time),
+  end_time: fromUtcSqlDateTime(row.end_time),
+  is_online_meeting: row.is_online_meeting === null || row.is_online_meeting === undefined
+    ? null
+    : Boolean(row.is_online_meeting),
+  categories: typeof row.categories === 'string' ? JSON.parse(row.categories) : (row.categories || [])
+});
+
+class MeetingRepository {
+  constructor(getConnection) {
+    this.getConnection = getConnection;
+  }
+
+  async upsert(meeting) {
+    const {
+      id,
+      userEmail,
+      subject,
+      startTime,
+      endTime,
+      durationMinutes,
+      bodyPreview,
+      organizerName,
+      organizerEmail,
+      attendeeCount,
+      importance,
+      isOnlineMeeting,
+      showAs,
+      categories
+    } = meeting;
+
+    await this.getConnection().execute(`
+      INSERT INTO teams_meetings (
+        id, user_email, subject, start_time, end_time, duration_minutes, body_preview,
+        organizer_name, organizer_email, attendee_count, importance, is_online_meeting, show_as, categories
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        subject = VALUES(subject),
+        start_time = VALUES(start_time),
+        end_time = VALUES(end_time),
+        duration_minutes = VALUES(duration_minutes),
+        body_preview = VALUES(body_preview),
+        organizer_name = VALUES(organizer_name),
+        organizer_email = VALUES(organizer_email),
+        attendee_count = VALUES(attendee_count),
+        importance = VALUES(importance),
+        is_online_meeting = VALUES(is_online_meeting),
+        show_as = VALUES(show_as),
+        categories = VALUES(categories),
+        updated_at = NOW()
+    `, [
+      id,
+      userEmail,
+      subject,
+      toUtcSqlDateTime(startTime),
+      toUtcSqlDateTime(endTime),
+      durationMinutes,
+      bodyPreview || '',
+      organizerName ?? null,
+      organizerEmail ?? null,
+      attendeeCount ?? null,
+      importance ?? null,
+      isOnlineMeeting ?? null,
+      showAs ?? null,
+      JSON.stringify(categories || [])
+    ]);
+  }
+
+  async remove(userEmail, id) {
+    await this.getConnection().execute(`
+      DELETE FROM teams_meetings WHERE user_email = ? AND id = ?
+    `, [userEmail, id]);
+  }
+
+  // Meetings starting inside the window plus the one already in progress at its start
+  async findInWindow(userEmail, from, to) {
+    const result = await this.getConnection().execute(`
+      SELECT * FROM teams_meetings 
+      WHERE user_email = ? 
+      AND (
+        (start_time >= ? AND start_time <= ?)  
+        OR 
+        (start_time < ? AND end_time > ?)       
+      )
+      ORDER BY start_time ASC
+    `, [userEmail, toUtcSqlDateTime(from), toUtcSqlDateTime(to), toUtcSqlDateTime(from), toUtcSqlDateTime(from)]);
+
+    return toRows(result).map(parseMeetingRow);
+  }
+}
+
+export default MeetingRepository;
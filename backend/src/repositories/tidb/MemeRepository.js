@@ -0,0 +1,101 @@
+import { toRows, toAffectedCount } from './helpers.js';
+
+const parseJson = (value) => typeof value === 'string' ? JSON.parse(value) : (value ?? null);
+
+const parseMemeRow = (row) => ({
+  ...row,
+  texts: parseJson(row.texts) || [],
+  emotion: parseJson(row.emotion),
+  is_favorite: Boolean(row.is_favorite)
+});
+
+class MemeRepository {
+  constructor(getConnection) {
+    this.getConnection = getConnection;
+  }
+
+  async create(meme) {
+    const {
+      id,
+      userId,
+      templateId,
+      templateName,
+      texts,
+      explanation,
+      emotion,
+      videoId,
+      videoTitle,
+      imageId,
+      imageUrl,
+      pageUrl,
+      renderer
+    } = meme;
+
+    await this.getConnection().execute(`
+      INSERT INTO memes (
+        id, user_id, template_id, template_name, texts, explanation, emotion,
+        video_id, video_title, image_id, image_url, page_url, renderer
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      id,
+      userId || null,
+      templateId || null,
+      templateName || null,
+      JSON.stringify(texts || []),
+      explanation || null,
+      emotion ? JSON.stringify(emotion) : null,
+      videoId || null,
+      videoTitle || null,
+      imageId || null,
+      imageUrl,
+      pageUrl || null,
+      renderer || null
+    ]);
+  }
+
+  async findById(id) {
+    const result = await this.getConnection().execute('SELECT * FROM memes WHERE id = ?', [id]);
+    const row = toRows(result)[0];
+    return row ? parseMemeRow(row) : null;
+  }
+
+  async findByUser(userId, { favoritesOnly, limit, offset }) {
+    const result = await this.getConnection().execute(`
+      SELECT *
+      FROM memes
+      WHERE user_id = ? ${favoritesOnly ? 'AND is_favorite = TRUE' : ''}
+      ORDER BY created_at DESC, id
+      LIMIT ? OFFSET ?
+    `, [userId, limit, offset]);
+
+    return toRows(result).map(parseMemeRow);
+  }
+
+  async countByUser(userId, { favoritesOnly }) {
+    const result = await this.getConnection().execute(`
+      SELECT COUNT(*) AS total
+      FROM memes
+      WHERE user_id = ? ${favoritesOnly ? 'AND is_favorite = TRUE' : ''}
+    `, [userId]);
+
+    return Number(toRows(result)[0]?.total || 0);
+  }
+
+  async setFavorite(userId, id, isFavorite) {
+    const result = await this.getConnection().execute(`
+      UPDATE memes SET is_favorite = ? WHERE id = ? AND user_id = ?
+    `, [isFavorite, id, userId]);
+
+    return toAffectedCount(result);
+  }
+
+  async remove(userId, id) {
+    const result = await this.getConnection().execute(`
+      DELETE FROM memes WHERE id = ? AND user_id = ?
+    `, [id, userId]);
+
+    return toAffectedCount(result);
+  }
+}
+
+export default MemeRepository;
@@ -0,0 +1,144 @@
+import { toRows, toVectorString } from './helpers.js';
+
+const parseTemplateRow = (row) => ({
+  ...row,
+  box_layout: typeof row.box_layout === 'string' ? JSON.parse(row.box_layout) : (row.box_layout ?? null)
+});
+
+class MemeTemplateRepository {
+  constructor(getConnection) {
+    this.getConnection = getConnection;
+  }
+
+  async upsert(memeData) {
+    const {
+      id,
+      name,
+      url,
+      boxCount,
+      captions,
+      useCases,
+      useCasesEmbedding,
+      embeddingModel,
+      boxGuidelines,
+      boxLayout,
+      boxLayoutSource
+    } = memeData;
+
+    await this.getConnection().execute(`
+      INSERT INTO meme_templates (
+        id, name, url, box_count, captions,
+        use_cases, use_cases_embedding, embedding_model, embedding_dimensions, box_guidelines,
+        box_layout, box_layout_source
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        name = VALUES(name),
+        url = VALUES(url),
+        box_count = VALUES(box_count),
+        captions = VALUES(captions),
+        use_cases = COALESCE(VALUES(use_cases), use_cases),
+        use_cases_embedding = COALESCE(VALUES(use_cases_embedding), use_cases_embedding),
+        embedding_model = COALESCE(VALUES(embedding_model), embedding_model),
+        embedding_dimensions = COALESCE(VALUES(embedding_dimensions), embedding_dimensions),
+        box_guidelines = COALESCE(VALUES(box_guidelines), box_guidelines),
+        box_layout_source = IF(box_layout IS NULL, VALUES(box_layout_source), box_layout_source),
+        box_layout = COALESCE(box_layout, VALUES(box_layout)),
+        updated_at = CURRENT_TIMESTAMP
+    `, [
+      id,
+      name,
+      url,
+      boxCount,
+      captions,
+      useCases || null,
+      toVectorString(useCasesEmbedding),
+      useCasesEmbedding ? embeddingModel : null,
+      useCasesEmbedding ? useCasesEmbedding.length : null,
+      boxGuidelines || null,
+      boxLayout ? JSON.stringify(boxLayout) : null,
+      boxLayout ? boxLayoutSource : null
+    ]);
+  }
+
+  // Only vectors from `model` with the same dimension are comparable
+  async findSimilar(embedding, model, limit, threshold) {
+    const result = await this.getConnection().execute(`
+      SELECT 
+        id,
+        name,
+        url,
+        box_count,
+        captions,
+        use_cases,
+        box_guidelines,
+        box_layout,
+        (1 - VEC_COSINE_DISTANCE(use_cases_embedding, ?)) as similarity
+      FROM meme_templates
+      WHERE use_cases_embedding IS NOT NULL
+        AND embedding_model = ? AND embedding_dimensions = ?
+      HAVING similarity >= ?
+      ORDER BY similarity DESC
+      LIMIT ?
+    `, [toVectorString(embedding), model, embedding.length, threshold, limit]);
+
+    return toRows(result).map(parseTemplateRow);
+  }
+
+  async findById(id) {
+    const result = await this.getConnection().execute(`
+      SELECT * FROM meme_templates WHERE id = ?
+    `, [id]);
+
+    const row = toRows(result)[0];
+    return row ? parseTemplateRow(row) : null;
+  }
+
+  // Keyset-paginated so a row that keeps failing can't stall the caller
+  async findStaleEmbeddings(model, afterId, limit) {
+    const result = await this.getConnection().execute(`
+      SELECT id, name, use_cases
+      FROM meme_templates
+      WHERE use_cases_embedding IS NOT NULL
+        AND (embedding_model IS NULL OR embedding_model <> ?)
+        AND id > ?
+      ORDER BY id
+      LIMIT ?
+    `, [model, afterId || '', limit]);
+
+    return toRows(result);
+  }
+
+  async updateEmbedding(id, embedding, model) {
+    await this.getConnection().execute(`
+      UPDATE meme_templates
+      SET use_cases_embedding = ?, embedding_model = ?, embedding_dimensions = ?
+      WHERE id = ?
+    `, [toVectorString(embedding), embedding ? model : null, embedding ? embedding.length : null, id]);
+  }
+
+  async updateBoxLayout(id, layout, source) {
+    await this.getConnection().execute(`
+      UPDATE meme_templates
+      SET box_layout = ?, box_layout_source = ?
+      WHERE id = ?
+    `, [layout ? JSON.stringify(layout) : null, layout ? source : null, id]);
+  }
+
+  async getEmbeddingStats() {
+    const result = await this.getConnection().execute(`
+      SELECT embedding_model AS model, embedding_dimensions AS dimensions, COUNT(*) AS total
+      FROM meme_templates
+      WHERE use_cases_embedding IS NOT NULL
+      GROUP BY embedding_model, embedding_dimensions
+    `);
+
+    return toRows(result).map(row => ({ model: row.model, dimensions: row.dimensions, total: Number(row.total) }));
+  }
+
+  async count() {
+    const result = await this.getConnection().execute('SELECT COUNT(*) as total FROM meme_templates');
+    return Number(toRows(result)[0]?.total || 0);
+  }
+}
+
+export default MemeTemplateRepository;
@@ -0,0 +1,31 @@
+import { toRows } from './helpers.js';
+
+class TokenCacheRepository {
+  constructor(getConnection) {
+    this.getConnection = getConnection;
+  }
+
+  async get(key) {
+    const result = await this.getConnection().execute(`
+      SELECT cache_data FROM msal_token_cache WHERE cache_key = ?
+    `, [key]);
+
+    return toRows(result)[0]?.cache_data || null;
+  }
+
+  async set(key, data) {
+    await this.getConnection().execute(`
+      INSERT INTO msal_token_cache (cache_key, cache_data)
+      VALUES (?, ?)
+      ON DUPLICATE KEY UPDATE cache_data = VALUES(cache_data)
+    `, [key, data]);
+  }
+
+  async remove(key) {
+    await this.getConnection().execute(`
+      DELETE FROM msal_token_cache WHERE cache_key = ?
+    `, [key]);
+  }
+}
+
+export default TokenCacheRepository;
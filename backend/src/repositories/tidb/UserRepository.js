@@ -0,0 +1,41 @@
+import { toRows } from './helpers.js';
+
+class UserRepository {
+  constructor(getConnection) {
+    this.getConnection = getConnection;
+  }
+
+  async upsert({ id, email, displayName, isAnonymous }) {
+    await this.getConnection().execute(`
+      INSERT INTO users (
+        id, email, display_name, is_anonymous, last_seen_at
+      ) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON DUPLICATE KEY UPDATE
+        email = COALESCE(VALUES(email), email),
+        display_name = COALESCE(VALUES(display_name), display_name),
+        is_anonymous = VALUES(is_anonymous),
+        last_seen_at = CURRENT_TIMESTAMP
+    `, [
+      id,
+      email || null,
+      displayName || null,
+      isAnonymous ? 1 : 0
+    ]);
+  }
+
+  async updateTimeZone(id, timeZone) {
+    await this.getConnection().execute(`
+      UPDATE users SET time_zone = ? WHERE id = ?
+    `, [timeZone, id]);
+  }
+
+  async findById(id) {
+    const result = await this.getConnection().execute(`
+      SELECT * FROM users WHERE id = ?
+    `, [id]);
+
+    return toRows(result)[0] || null;
+  }
+}
+
+export default UserRepository;
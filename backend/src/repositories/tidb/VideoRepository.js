@@ -0,0 +1,160 @@
+import { toRows, toVectorString } from './helpers.js';
+
+class VideoRepository {
+  constructor(getConnection) {
+    this.getConnection = getConnection;
+  }
+
+  async upsert(videoData) {
+    const {
+      videoId,
+      title,
+      description,
+      channelTitle,
+      url,
+      searchTag,
+      sessionId,
+      embedding,
+      embeddingModel,
+      comments,
+      durationSeconds
+    } = videoData;
+
+    await this.getConnection().execute(`
+      INSERT INTO youtube_videos (
+        video_id, title, description, channel_title, url, 
+        search_tag, session_id, content_embedding, embedding_model, embedding_dimensions,
+        comments, duration_seconds
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        title = VALUES(title),
+        description = VALUES(description),
+        channel_title = VALUES(channel_title),
+        url = VALUES(url),
+        search_tag = COALESCE(VALUES(search_tag), search_tag),
+        session_id = COALESCE(VALUES(session_id), session_id),
+        content_embedding = COALESCE(VALUES(content_embedding), content_embedding),
+        embedding_model = COALESCE(VALUES(embedding_model), embedding_model),
+        embedding_dimensions = COALESCE(VALUES(embedding_dimensions), embedding_dimensions),
+        comments = COALESCE(VALUES(comments), comments),
+        duration_seconds = COALESCE(VALUES(duration_seconds), duration_seconds),
+        updated_at = CURRENT_TIMESTAMP
+    `, [
+      videoId,
+      title,
+      description,
+      channelTitle,
+      url,
+      searchTag,
+      sessionId,
+      toVectorString(embedding),
+      embedding ? embeddingModel : null,
+      embedding ? embedding.length : null,
+      comments ? JSON.stringify(comments) : null,
+      durationSeconds ?? null
+    ]);
+  }
+
+  // Only vectors from `model` with the same dimension are comparable
+  async findSimilar(embedding, model, limit, threshold, userId = null) {
+    const watchedFilter = userId ? `
+        AND NOT EXISTS (
+          SELECT 1 FROM video_watch_history h
+          WHERE h.user_id = ? AND h.video_id = youtube_videos.video_id
+        )` : '';
+    const vectorString = toVectorString(embedding);
+    const params = userId
+      ? [vectorString, model, embedding.length, userId, threshold, limit]
+      : [vectorString, model, embedding.length, threshold, limit];
+
+    const result = await this.getConnection().execute(`
+      SELECT 
+        video_id,
+        title,
+        description,
+        channel_title,
+        url,
+        search_tag,
+        comments,
+        duration_seconds,
+        (1 - VEC_COSINE_DISTANCE(content_embedding, ?)) as similarity
+      FROM youtube_videos
+      WHERE content_embedding IS NOT NULL
+        AND embedding_model = ? AND embedding_dimensions = ?${watchedFilter}
+      HAVING similarity >= ?
+      ORDER BY similarity DESC
+      LIMIT ?
+    `, params);
+
+    return toRows(result);
+  }
+
+  async findById(videoId) {
+    const result = await this.getConnection().execute(`
+      SELECT video_id, title, description, channel_title, url, search_tag, duration_seconds
+      FROM youtube_videos
+      WHERE video_id = ?
+    `, [videoId]);
+
+    return toRows(result)[0] || null;
+  }
+
+  async findEmbeddedIds(videoIds, model) {
+    if (videoIds.length === 0) return new Set();
+
+    const placeholders = videoIds.map(() => '?').join(',');
+    const result = await this.getConnection().execute(`
+      SELECT video_id FROM youtube_videos
+      WHERE video_id IN (${placeholders}) AND content_embedding IS NOT NULL AND embedding_model = ?
+    `, [...videoIds, model]);
+
+    return new Set(toRows(result).map(row => row.video_id));
+  }
+
+  // Keyset-paginated so a row that keeps failing can't stall the caller
+  async findStaleEmbeddings(model, afterId, limit) {
+    const result = await this.getConnection().execute(`
+      SELECT video_id, title, description, comments
+      FROM youtube_videos
+      WHERE content_embedding IS NOT NULL
+        AND (embedding_model IS NULL OR embedding_model <> ?)
+        AND video_id > ?
+      ORDER BY video_id
+      LIMIT ?
+    `, [model, afterId || '', limit]);
+
+    return toRows(result);
+  }
+
+  async updateEmbedding(videoId, embedding, model) {
+    await this.getConnection().execute(`
+      UPDATE youtube_videos
+      SET content_embedding = ?, embedding_model = ?, embedding_dimensions = ?
+      WHERE video_id = ?
+    `, [toVectorString(embedding), embedding ? model : null, embedding ? embedding.length : null, videoId]);
+  }
+
+  async getEmbeddingStats() {
+    const result = await this.getConnection().execute(`
+      SELECT embedding_model AS model, embedding_dimensions AS dimensions, COUNT(*) AS total
+      FROM youtube_videos
+      WHERE content_embedding IS NOT NULL
+      GROUP BY embedding_model, embedding_dimensions
+    `);
+
+    return toRows(result).map(row => ({ model: row.model, dimensions: row.dimensions, total: Number(row.total) }));
+  }
+
+  async updateDuration(videoId, durationSeconds) {
+    await this.getConnection().execute(`
+      UPDATE youtube_videos SET duration_seconds = ? WHERE video_id = ?
+    `, [durationSeconds, videoId]);
+  }
+
+  async count() {
+    const result = await this.getConnection().execute('SELECT COUNT(*) as total FROM youtube_videos');
+    return Number(toRows(result)[0]?.total || 0);
+  }
+}
+
+export default VideoRepository;
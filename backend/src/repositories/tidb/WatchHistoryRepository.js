@@ -0,0 +1,39 @@
+import { toAffectedCount } from './helpers.js';
+
+class WatchHistoryRepository {
+  constructor(getConnection) {
+    this.getConnection = getConnection;
+  }
+
+  async markWatched(userId, videoIds) {
+    const placeholders = videoIds.map(() => '(?, ?)').join(',');
+    const params = videoIds.flatMap(videoId => [userId, videoId]);
+
+    await this.getConnection().execute(`
+      INSERT INTO video_watch_history (user_id, video_id)
+      VALUES ${placeholders}
+      ON DUPLICATE KEY UPDATE watched_at = CURRENT_TIMESTAMP
+    `, params);
+  }
+
+  async reset(userId, videoIds = null) {
+    let result;
+
+    if (Array.isArray(videoIds) && videoIds.length > 0) {
+      const placeholders = videoIds.map(() => '?').join(',');
+      result = await this.getConnection().execute(`
+        DELETE FROM video_watch_history
+        WHERE user_id = ? AND video_id IN (${placeholders})
+      `, [userId, ...videoIds]);
+    } else {
+      result = await this.getConnection().execute(`
+        DELETE FROM video_watch_history
+        WHERE user_id = ?
+      `, [userId]);
+    }
+
+    return toAffectedCount(result);
+  }
+}
+
+export default WatchHistoryRepository;
@@ -0,0 +1,27 @@
+import { toRows } from './helpers.js';
+
+class YouTubeQuotaRepository {
+  constructor(getConnection) {
+    this.getConnection = getConnection;
+  }
+
+  async record(date, endpoint, units) {
+    await this.getConnection().execute(`
+      INSERT INTO youtube_quota_usage (usage_date, endpoint, units, calls)
+      VALUES (?, ?, ?, 1)
+      ON DUPLICATE KEY UPDATE units = units + VALUES(units), calls = calls + 1
+    `, [date, endpoint, units]);
+  }
+
+  async findByDate(date) {
+    const result = await this.getConnection().execute(`
+      SELECT endpoint, units, calls FROM youtube_quota_usage
+      WHERE usage_date = ?
+      ORDER BY units DESC
+    `, [date]);
+
+    return toRows(result).map(row => ({ endpoint: row.endpoint, units: Number(row.units), calls: Number(row.calls) }));
+  }
+}
+
+export default YouTubeQuotaRepository;
@@ -0,0 +1,5 @@
+export const toRows = (result) => Array.isArray(result) ? result : (result?.rows || []);
+
+export const toAffectedCount = (result) => result?.affectedRows || result?.rowsAffected || result?.changedRows || 0;
+
+export const toVectorString = (embedding) => embedding ? `[${embedding.join(',')}]` : null;
@@ -0,0 +1,33 @@
+import { getConnection, testConnection, initializeDatabase } from '../../config/database.js';
+import VideoRepository from './VideoRepository.js';
+import MemeTemplateRepository from './MemeTemplateRepository.js';
+import MemeRepository from './MemeRepository.js';
+import MeetingRepository from './MeetingRepository.js';
+import UserRepository from './UserRepository.js';
+import LikedVideoRepository from './LikedVideoRepository.js';
+import WatchHistoryRepository from './WatchHistoryRepository.js';
+import JobRepository from './JobRepository.js';
+import TokenCacheRepository from './TokenCacheRepository.js';
+import CalendarSyncRepository from './CalendarSyncRepository.js';
+import EmbeddingCacheRepository from './EmbeddingCacheRepository.js';
+import YouTubeQuotaRepository from './YouTubeQuotaRepository.js';
+
+export const createTidbRepositories = () => ({
+  videos: new VideoRepository(getConnection),
+  memeTemplates: new MemeTemplateRepository(getConnection),
+  memes: new MemeRepository(getConnection),
+  meetings: new MeetingRepository(getConnection),
+  users: new UserRepository(getConnection),
+  likedVideos: new LikedVideoRepository(getConnection),
+  watchHistory: new WatchHistoryRepository(getConnection),
+  jobs: new JobRepository(getConnection),
+  tokenCache: new TokenCacheRepository(getConnection),
+  calendarSync: new CalendarSyncRepository(getConnection),
+  embeddingCache: new EmbeddingCacheRepository(getConnection),
+  youtubeQuota: new YouTubeQuotaRepository(getConnection),
+
+  async initialize() {
+    await testConnection();
+    await initializeDatabase();
+  }
+});
@@ -6,9 +6,21 @@ import TeamsController from '../controllers/TeamsController.js';
 import AuthController from '../controllers/AuthController.js';
 import IngestionController from '../controllers/IngestionController.js';
 import MemeController from '../controllers/MemeController.js';
+import UserController from '../controllers/UserController.js';
+import JobController from '../controllers/JobController.js';
+import EmotionService from '../services/EmotionService.js';
+import { QUOTA_ESTIMATES } from '../services/YouTubeService.js';
 import {
-  sanitizeInput
+  sanitizeInput,
+  validateEmotionOptions
 } from '../middleware/validation.js';
+import {
+  resolveUserIdentity,
+  requireUserIdentity
+} from '../middleware/identity.js';
+import { requireYouTubeQuota } from '../middleware/quota.js';
+import { requireAdminKey } from '../middleware/admin.js';
+import { requireTrustedHost } from '../middleware/host.js';
 
 const router = express.Router();
 
@@ -38,6 +50,7 @@ const imageUpload = multer({
 });
 
 router.use(sanitizeInput);
+router.use(resolveUserIdentity);
 
 router.get('/health', (req, res) => {
   res.status(200).json({
@@ -51,24 +64,77 @@ router.get('/health', (req, res) => {
   });
 });
 
+router.get('/emotion/providers', (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      providers: EmotionService.listProviders()
+    }
+  });
+});
+
 router.get('/teams/today', 
   TeamsController.getTodaysMeetings
 );
 
+router.post('/teams/sync',
+  TeamsController.syncMeetings
+);
+
+router.post('/teams/meetings/:id/share',
+  TeamsController.shareToMeeting
+);
+
 router.post('/agent/ingest',
+  requireUserIdentity,
+  requireYouTubeQuota(QUOTA_ESTIMATES.searchShorts),
   imageUpload.single('selfie'),
+  validateEmotionOptions,
   AgentController.ingestVideos
 );
 
 router.post('/agent/filter',
   imageUpload.single('selfie'),
+  validateEmotionOptions,
   AgentController.filterVideos
 );
 
 router.post('/agent/ingest-liked-videos',
+  requireUserIdentity,
+  requireYouTubeQuota(QUOTA_ESTIMATES.recommendedVideos),
   AgentController.ingestLikedVideos
 );
 
+router.get('/jobs/:id',
+  requireUserIdentity,
+  JobController.getJob
+);
+
+router.get('/jobs/:id/events',
+  requireUserIdentity,
+  JobController.streamJobEvents
+);
+
+router.get('/users/me',
+  requireUserIdentity,
+  UserController.getProfile
+);
+
+router.get('/users/me/likes',
+  requireUserIdentity,
+  UserController.listLikedVideos
+);
+
+router.post('/users/me/likes',
+  requireUserIdentity,
+  UserController.likeVideo
+);
+
+router.delete('/users/me/likes/:videoId',
+  requireUserIdentity,
+  UserController.unlikeVideo
+);
+
 router.get('/auth/login',
   AuthController.login
 );
@@ -86,19 +152,95 @@ router.get('/ingest/content-stats',
   IngestionController.getContentStats
 );
 
+router.get('/ingest/youtube-quota',
+  IngestionController.getYouTubeQuota
+);
+
+router.get('/ingest/embeddings',
+  IngestionController.getEmbeddingStatus
+);
+
+router.post('/ingest/reembed',
+  requireAdminKey,
+  requireUserIdentity,
+  IngestionController.reembed
+);
+
 router.post('/ingest/reset-watched',
+  requireUserIdentity,
   IngestionController.resetWatched
 );
 
 router.post('/memes/ingest',
+  requireUserIdentity,
   MemeController.ingestMemes
 );
 
 router.post('/memes/create',
+  requireTrustedHost,
   imageUpload.single('selfie'),
+  validateEmotionOptions,
   MemeController.createMemeFromUserData
 );
 
+router.get('/memes/images/:imageId',
+  MemeController.getMemeImage
+);
+
+router.get('/memes',
+  requireUserIdentity,
+  requireTrustedHost,
+  MemeController.listMemes
+);
+
+router.get('/memes/:memeId',
+  requireUserIdentity,
+  requireTrustedHost,
+  MemeController.getMeme
+);
+
+router.get('/memes/:memeId/download',
+  requireUserIdentity,
+  MemeController.downloadMeme
+);
+
+router.put('/memes/:memeId/favorite',
+  requireUserIdentity,
+  requireTrustedHost,
+  MemeController.favoriteMeme
+);
+
+router.delete('/memes/:memeId/favorite',
+  requireUserIdentity,
+  requireTrustedHost,
+  MemeController.unfavoriteMeme
+);
+
+router.delete('/memes/:memeId',
+  requireUserIdentity,
+  MemeController.deleteMeme
+);
+
+router.get('/memes/templates/:templateId/layout',
+  requireAdminKey,
+  MemeController.getTemplateLayout
+);
+
+router.put('/memes/templates/:templateId/layout',
+  requireAdminKey,
+  MemeController.updateTemplateLayout
+);
+
+router.delete('/memes/templates/:templateId/layout',
+  requireAdminKey,
+  MemeController.resetTemplateLayout
+);
+
+router.post('/memes/templates/:templateId/layout/preview',
+  requireAdminKey,
+  MemeController.previewTemplateLayout
+);
+
 router.get('/docs', (req, res) => {
   res.status(200).json({
     status: 'success',
@@ -108,23 +250,54 @@ router.get('/docs', (req, res) => {
       description: 'AI-powered workplace engagement platform',
       endpoints: {
         agent: {
-          'POST /api/agent/ingest': 'Main video ingestion workflow (multipart: selfie + description)',
-          'POST /api/agent/filter': 'Filter videos based on context analysis (multipart: selfie + description)',
-          'POST /api/agent/ingest-liked-videos': 'Ingest videos based on user likes'
+          'POST /api/agent/ingest': 'Queue the main video ingestion workflow (multipart: description, optional selfie, emotionProvider, faceIndex, teamMood; without a selfie the mood is read from the description), returns a job id; 429 with Retry-After when today\'s YouTube quota can\'t pay for a search',
+          'POST /api/agent/filter': 'Filter videos based on context analysis (multipart: description, optional selfie, emotionProvider, faceIndex, teamMood; without a selfie the mood is read from the description; the playlist fits maxMinutes, or else the next free gap in today\'s calendar)',
+          'POST /api/agent/ingest-liked-videos': 'Queue ingestion based on user likes (posted IDs or the caller\'s stored likes), returns a job id; 429 with Retry-After when today\'s YouTube quota is used up'
+        },
+        jobs: {
+          'GET /api/jobs/:id': 'Get job status, stage, stored/failed counts and final result',
+          'GET /api/jobs/:id/events': 'Server-Sent Events stream of job progress (snapshot, progress, completed, failed)'
+        },
+        users: {
+          'GET /api/users/me': 'Get the caller\'s profile',
+          'GET /api/users/me/likes': 'List the caller\'s liked videos',
+          'POST /api/users/me/likes': 'Like a video (JSON: videoId, title, channelTitle, url, description)',
+          'DELETE /api/users/me/likes/:videoId': 'Unlike a video'
         },
         teams: {
-          'GET /api/teams/today': 'Get today\'s meetings for authenticated user',
+          'GET /api/teams/today': 'Get today\'s meetings for authenticated user, in their mailbox time zone (optional ?hours=N for the next N hours instead)',
+          'POST /api/teams/sync': 'Sync the signed-in user\'s calendar from Microsoft Graph now (delta query; body { full: true } forces a full resync)',
+          'POST /api/teams/meetings/:id/share': 'Post a video ({ type: "video", videoId }) or meme ({ type: "meme", imageUrl, pageUrl?, templateName? }) into the meeting chat as an adaptive card, with an optional message',
           'GET /api/auth/login': 'Login with Microsoft account',
           'GET /api/auth/callback': 'OAuth callback (automatic)',
-          'GET /api/auth/logout': 'Logout and clear session'
+          'GET /api/auth/logout': 'Logout, stop calendar sync and forget the Microsoft tokens'
         },
         content: {
           'GET /api/ingest/content-stats': 'Get database statistics (videos/memes count)',
-          'POST /api/ingest/reset-watched': 'Reset watch history for refresh functionality'
+          'GET /api/ingest/youtube-quota': 'Today\'s YouTube API quota usage (Pacific Time day) per endpoint, with the limit, remaining units and reset time',
+          'GET /api/ingest/embeddings': 'Count stored video and meme embeddings per model and dimension, with the model searches use',
+          'POST /api/ingest/reembed': 'Queue a resumable job that re-embeds stored videos and memes with a model (JSON: model?, targets?: ["videos", "memes"]; defaults to the active model), returns a job id; the model must be OPENAI_EMBEDDING_MODEL or listed in REEMBED_ALLOWED_MODELS (X-Admin-Key)',
+          'POST /api/ingest/reset-watched': 'Reset the caller\'s watch history for refresh functionality'
         },
         memes: {
-          'POST /api/memes/ingest': 'Ingest meme templates into database',
-          'POST /api/memes/create': 'Create personalized meme from user context'
+          'POST /api/memes/ingest': 'Queue meme template ingestion, returns a job id',
+          'POST /api/memes/create': 'Create personalized meme from user context (multipart: description, optional selfie, emotionProvider, faceIndex, teamMood; without a selfie the mood is read from the description); the captions are rendered on this server unless MEME_RENDERER=imgflip. The meme is saved to the caller\'s history and its id returned as memeId',
+          'GET /api/memes/images/:imageId': 'PNG of a meme rendered on this server',
+          'GET /api/memes': 'The caller\'s memes, newest first (?favorites=true for favourites only, ?limit=1-100, ?offset=N), with the total',
+          'GET /api/memes/:memeId': 'One of the caller\'s memes: template, texts, explanation, emotion snapshot, source video, image and favourite flag',
+          'GET /api/memes/:memeId/download': 'Download a meme\'s image as an attachment (redirects to Imgflip for memes it rendered)',
+          'PUT /api/memes/:memeId/favorite': 'Mark a meme as a favourite',
+          'DELETE /api/memes/:memeId/favorite': 'Unmark a favourite meme',
+          'DELETE /api/memes/:memeId': 'Delete a meme from the caller\'s history, along with its rendered image'
+        },
+        admin: {
+          'GET /api/memes/templates/:templateId/layout': 'Box layout of a meme template: one rectangle per text box (x, y, width, height as fractions of the image) with align, verticalAlign, color, outlineColor, maxLines and rotation, and whether it is the default, seeded or custom one (X-Admin-Key)',
+          'PUT /api/memes/templates/:templateId/layout': 'Replace a template\'s box layout (JSON: boxLayout, one box per text box; omitted styles take the defaults) (X-Admin-Key)',
+          'DELETE /api/memes/templates/:templateId/layout': 'Revert a template to its seeded layout, or the generic top/bottom one (X-Admin-Key)',
+          'POST /api/memes/templates/:templateId/layout/preview': 'PNG of the template with its boxes outlined, using the posted boxLayout or the stored one and the posted texts or box numbers; nothing is saved (X-Admin-Key)'
+        },
+        emotion: {
+          'GET /api/emotion/providers': 'List emotion detection providers and whether they are configured'
         },
         general: {
           'GET /api/health': 'Service health check',
@@ -1,127 +1,144 @@
 import YouTubeVideoModel from '../models/YouTubeVideo.js';
 import logger from '../utils/logger.js';
-
+import { AppError } from '../middleware/errorHandler.js';
+import { fitPlaylist, getTotalSeconds } from '../utils/playlist.js';
+import { mapConcurrent } from '../utils/concurrency.js';
+import config from '../config/index.js';
+import YouTubeQuotaService, { QuotaExceededError } from './YouTubeQuotaService.js';
+
+const MAX_PLAYLIST_VIDEOS = 20;
+// A time budget is filled from a wider pool so short gaps still get a full playlist
+const PLAYLIST_CANDIDATES = 50;
+const SHORTS_PER_TAG = 10;
+const RECOMMENDATIONS_PER_VIDEO = 10;
+
+// Shared by concurrent jobs, so per-run state such as the session id stays local to each workflow
 class AgentOrchestrator {
-  constructor() {
-    this.currentSession = null;
+  reportProgress(onProgress, update) {
+    if (!onProgress) return;
+
+    try {
+      onProgress(update);
+    } catch (error) {
+      logger.warn('Progress listener failed', { error: error.message });
+    }
   }
 
   async executeIngestionWorkflowWithUserInfo(input) {
-    const { selfieBuffer, description, userEmail, userToken } = input;
+    const { selfieBuffer, description, userEmail, userToken, emotionOptions, onProgress } = input;
     const sessionId = `context-${Date.now()}`;
-    this.currentSession = sessionId;
 
     try {
       logger.info('Starting ingestion workflow', { sessionId });
 
+      // Fail before paying for emotion analysis and tags if not even one search fits
+      const { default: YouTubeService, QUOTA_ESTIMATES } = await import('./YouTubeService.js');
+      const quotaUsage = await YouTubeQuotaService.getUsage();
+      if (quotaUsage.remaining < QUOTA_ESTIMATES.searchShorts) {
+        throw new QuotaExceededError(quotaUsage);
+      }
+
+      this.reportProgress(onProgress, { stage: 'analyzing_emotion' });
       const EmotionService = (await import('./EmotionService.js')).default;
-      const emotionData = await EmotionService.analyzeEmotion(selfieBuffer, 'aws');
+      const emotionData = await EmotionService.analyzeContext({ imageBuffer: selfieBuffer, description }, emotionOptions);
+      this.reportProgress(onProgress, {
+        stage: 'emotion_analyzed',
+        emotions: emotionData.emotions,
+        primaryEmotion: emotionData.primaryEmotion,
+        source: emotionData.source,
+        faceCount: emotionData.faces.length,
+        selectedFaceIndex: emotionData.selectedFaceIndex
+      });
 
+      this.reportProgress(onProgress, { stage: 'loading_calendar' });
       const TeamsService = (await import('./TeamsService.js')).default;
-      let calendarEvents = [];
+      let calendarContext = null;
 
       try {
         if (userEmail) {
-          const cached = await TeamsService.getCachedMeetings(userEmail);
-          if (cached && cached.length > 0) {
-            calendarEvents = cached;
-          }
+          calendarContext = await TeamsService.getCalendarContext(userEmail, { window: 'today' });
         }
       } catch (calendarError) {
         logger.warn('Could not fetch calendar events', { error: calendarError.message });
-        calendarEvents = [];
       }
 
+      this.reportProgress(onProgress, { stage: 'generating_tags', calendarEventCount: calendarContext?.events.length || 0 });
       const OpenAIService = (await import('./OpenAIService.js')).default;
       const analysisResult = await OpenAIService.generateContextTags({
         emotionData,
-        calendarEvents,
+        calendar: calendarContext,
         description
       });
+      this.reportProgress(onProgress, { stage: 'tags_generated', tags: analysisResult.tags || [] });
 
 
-      const YouTubeService = (await import('./YouTubeService.js')).default;
-      const OpenAIServiceEmbed = (await import('./OpenAIService.js')).default;
       const shortsResults = {};
-      let totalVideosStored = 0;
-
-      if (analysisResult.tags && analysisResult.tags.length > 0) {
-        for (const tag of analysisResult.tags) {
+      const totals = { stored: 0, failed: 0, alreadyEmbedded: 0 };
+      const quota = await this.planYouTubeQuota(analysisResult.tags || [], {
+        unitsPerItem: QUOTA_ESTIMATES.searchShorts,
+        resultsPerItem: SHORTS_PER_TAG,
+        unitsPerResult: QUOTA_ESTIMATES.comments
+      }, onProgress);
+
+      // Tags run side by side; the YouTube and LLM gates keep the combined request rate in check
+      if (quota.items.length > 0) {
+        await mapConcurrent(quota.items, config.pipeline.concurrency, async (tag) => {
           try {
-            const shorts = await YouTubeService.searchShorts(tag, 10);
+            this.reportProgress(onProgress, { stage: 'searching_videos', currentTag: tag });
+            const shorts = await YouTubeService.searchShorts(tag, quota.resultsPerItem);
             shortsResults[tag] = shorts;
+            this.reportProgress(onProgress, { stage: 'storing_videos', currentTag: tag, found: shorts.length });
 
-            for (const short of shorts) {
-              try {
-                let comments = [];
-                try {
-                  comments = await YouTubeService.getVideoComments(short.videoId, 3);
-                } catch (commentError) {
-                }
-
-                let embedding = null;
-                try {
-                  embedding = await OpenAIServiceEmbed.generateVideoEmbedding(short, comments);
-                } catch (embedError) {
-                  logger.warn('Failed to generate embedding for video', {
-                    videoId: short.videoId,
-                    error: embedError.message
-                  });
-                }
-
-                await YouTubeVideoModel.upsert({
-                  videoId: short.videoId,
-                  title: short.title,
-                  description: short.description,
-                  channelTitle: short.channelTitle,
-                  url: short.url,
-                  searchTag: tag,
-                  sessionId: sessionId,
-                  embedding: embedding,
-                  comments: comments
-                });
-
-                totalVideosStored++;
-
-              } catch (storeError) {
-                logger.warn('Failed to store video', {
-                  videoId: short.videoId,
-                  error: storeError.message
-                });
-              }
-            }
+            await this.storeVideos(shorts, {
+              searchTag: tag,
+              sessionId,
+              commentLimit: 3,
+              totals,
+              onProgress
+            });
 
           } catch (error) {
+            if (error instanceof QuotaExceededError) quota.exhausted = true;
             logger.warn('Failed to search shorts for tag', { tag, error: error.message });
           }
-        }
+        });
       }
 
       logger.info('Ingestion completed successfully', {
-        totalVideosStored,
+        totalVideosStored: totals.stored,
+        alreadyEmbedded: totals.alreadyEmbedded,
         sessionId
       });
 
       return {
         success: true,
-        sessionId: this.currentSession,
+        sessionId,
         analysis: {
           emotions: emotionData,
           calendar: {
-            eventCount: calendarEvents.length,
-            events: calendarEvents
+            eventCount: calendarContext?.events.length || 0,
+            events: calendarContext?.events || [],
+            timeZone: calendarContext?.timeZone || null,
+            signals: calendarContext?.signals || null
           },
           tags: analysisResult.tags || [],
           contextDescription: analysisResult.contextDescription || '',
           youtubeShorts: shortsResults,
-          totalVideosStored: totalVideosStored
+          totalVideosStored: totals.stored,
+          totalVideosFailed: totals.failed,
+          totalVideosAlreadyEmbedded: totals.alreadyEmbedded,
+          youtubeQuota: {
+            skippedTags: quota.skipped,
+            resultsPerTag: quota.resultsPerItem,
+            exhausted: quota.exhausted
+          }
         }
       };
 
     } catch (error) {
       logger.logError(error, {
         context: 'INGESTION_WORKFLOW',
-        sessionId: this.currentSession
+        sessionId
       });
 
       throw error;
@@ -130,20 +147,20 @@ class AgentOrchestrator {
 
 
   async executeFilteringWorkflow(input) {
-    const { selfieBuffer, description, userEmail, userToken } = input;
+    const { selfieBuffer, description, userEmail, userToken, userId, emotionOptions, maxMinutes = null } = input;
     const sessionId = `filter-${Date.now()}`;
     
     try {
 
       const EmotionService = (await import('./EmotionService.js')).default;
-      const emotionData = await EmotionService.analyzeEmotion(selfieBuffer, 'aws');
+      const emotionData = await EmotionService.analyzeContext({ imageBuffer: selfieBuffer, description }, emotionOptions);
 
       const TeamsService = (await import('./TeamsService.js')).default;
-      let calendarEvents = [];
+      let calendarContext = null;
       
       if (userEmail) {
         try {
-          calendarEvents = await TeamsService.getCachedMeetings(userEmail) || [];
+          calendarContext = await TeamsService.getCalendarContext(userEmail, { window: 'today' });
         } catch (error) {
           logger.warn('Could not fetch calendar events', { error: error.message });
         }
@@ -153,7 +170,7 @@ class AgentOrchestrator {
 
       const analysisResult = await OpenAIService.generateContextTags({
         emotionData,
-        calendarEvents,
+        calendar: calendarContext,
         description
       });
 
@@ -161,14 +178,26 @@ class AgentOrchestrator {
 
       const contextEmbedding = await OpenAIService.generateEmbedding(analysisResult.contextDescription);
 
-      const YouTubeVideoModel = (await import('../models/YouTubeVideo.js')).default;
-      const filteredVideos = await YouTubeVideoModel.findSimilar(contextEmbedding, 20, 0.1);
+      // An explicit maxMinutes wins; otherwise fit the next free gap in today's calendar
+      const calendarGapMinutes = calendarContext?.signals.nextFreeGap.minutes ?? null;
+      const budgetMinutes = maxMinutes ?? calendarGapMinutes;
+      const budgetSource = maxMinutes !== null ? 'request' : (calendarGapMinutes !== null ? 'calendar' : null);
+
+      let filteredVideos;
+      if (budgetMinutes === null) {
+        filteredVideos = await YouTubeVideoModel.findSimilar(contextEmbedding, MAX_PLAYLIST_VIDEOS, 0.1, userId);
+      } else {
+        const candidates = await YouTubeVideoModel.findSimilar(contextEmbedding, PLAYLIST_CANDIDATES, 0.1, userId);
+        await this.fillMissingDurations(candidates);
+        filteredVideos = fitPlaylist(candidates, budgetMinutes * 60, MAX_PLAYLIST_VIDEOS).videos;
+      }
 
-      if (filteredVideos.length > 0) {
+      if (filteredVideos.length > 0 && userId) {
         try {
+          const WatchHistory = (await import('../models/WatchHistory.js')).default;
           const videoIds = filteredVideos.map(v => v.video_id).filter(Boolean);
           if (videoIds.length > 0) {
-            await YouTubeVideoModel.markAsWatched(videoIds);
+            await WatchHistory.markWatched(userId, videoIds);
           }
         } catch (watchError) {
           logger.warn('Failed to mark videos as watched', { 
@@ -184,7 +213,20 @@ class AgentOrchestrator {
         sessionId,
         data: {
           filteredVideos,
-          totalVideos: filteredVideos.length
+          totalVideos: filteredVideos.length,
+          playlist: {
+            maxMinutes: budgetMinutes,
+            source: budgetSource,
+            totalSeconds: getTotalSeconds(filteredVideos)
+          },
+          emotion: {
+            source: emotionData.source,
+            primaryEmotion: emotionData.primaryEmotion,
+            faces: emotionData.faces,
+            selectedFaceIndex: emotionData.selectedFaceIndex,
+            selection: emotionData.selection,
+            teamMood: emotionData.teamMood
+          }
         }
       };
 
@@ -194,96 +236,217 @@ class AgentOrchestrator {
     }
   }
 
+  // Videos stored before durations were tracked get them looked up once, then persisted
+  async fillMissingDurations(videos) {
+    const missing = videos.filter(video => video.duration_seconds === null || video.duration_seconds === undefined);
+    if (missing.length === 0) return;
+
+    try {
+      const YouTubeService = (await import('./YouTubeService.js')).default;
+      const durations = await YouTubeService.getVideoDurations(missing.map(video => video.video_id));
+
+      for (const video of missing) {
+        const durationSeconds = durations.get(video.video_id);
+        if (durationSeconds === null || durationSeconds === undefined) continue;
+
+        video.duration_seconds = durationSeconds;
+        await YouTubeVideoModel.updateDuration(video.video_id, durationSeconds);
+      }
+    } catch (error) {
+      logger.warn('Failed to backfill video durations', { count: missing.length, error: error.message });
+    }
+  }
+
+  // Trims `items` to what is left of today's YouTube quota; throws when not even one fits
+  async planYouTubeQuota(items, costs, onProgress) {
+    const plan = await YouTubeQuotaService.planBudget(items.length, costs);
+    if (items.length > 0 && plan.items === 0) {
+      throw new QuotaExceededError(plan.usage);
+    }
+
+    const skipped = items.slice(plan.items);
+    if (skipped.length > 0 || plan.resultsPerItem < costs.resultsPerItem) {
+      logger.warn('Ingestion trimmed to fit the YouTube quota', {
+        planned: plan.items,
+        skipped: skipped.length,
+        resultsPerItem: plan.resultsPerItem,
+        remainingUnits: plan.usage.remaining
+      });
+      this.reportProgress(onProgress, {
+        stage: 'quota_limited',
+        planned: plan.items,
+        skipped: skipped.length,
+        remainingQuota: plan.usage.remaining
+      });
+    }
+
+    return {
+      items: items.slice(0, plan.items),
+      skipped,
+      resultsPerItem: plan.resultsPerItem,
+      exhausted: false
+    };
+  }
+
+  // Comments and embeddings are only fetched for videos that have no embedding yet; the rest
+  // just get their metadata refreshed. A batch's embeddings go out in a single request.
+  async storeVideos(videos, { searchTag, sessionId, commentLimit, totals, onProgress }) {
+    const YouTubeService = (await import('./YouTubeService.js')).default;
+    const OpenAIService = (await import('./OpenAIService.js')).default;
+
+    let embeddedIds = new Set();
+    try {
+      embeddedIds = await YouTubeVideoModel.findEmbeddedIds(videos.map(video => video.videoId));
+    } catch (error) {
+      logger.warn('Failed to check for existing embeddings', { error: error.message });
+    }
+
+    const toEmbed = videos.filter(video => !embeddedIds.has(video.videoId));
+    const commentsById = new Map();
+    await mapConcurrent(toEmbed, config.pipeline.concurrency, async (video) => {
+      let comments = [];
+      try {
+        comments = await YouTubeService.getVideoComments(video.videoId, commentLimit);
+      } catch (commentError) {
+      }
+      commentsById.set(video.videoId, comments);
+    });
+
+    const embeddingsById = new Map();
+    if (toEmbed.length > 0) {
+      try {
+        const embeddings = await OpenAIService.generateVideoEmbeddings(
+          toEmbed.map(video => ({ video, comments: commentsById.get(video.videoId) }))
+        );
+        toEmbed.forEach((video, index) => embeddingsById.set(video.videoId, embeddings[index]));
+      } catch (embedError) {
+        logger.warn('Failed to generate embeddings for videos', {
+          videoIds: toEmbed.map(video => video.videoId),
+          error: embedError.message
+        });
+      }
+    }
+
+    for (const video of videos) {
+      const alreadyEmbedded = embeddedIds.has(video.videoId);
+
+      try {
+        await YouTubeVideoModel.upsert({
+          videoId: video.videoId,
+          title: video.title,
+          description: video.description,
+          channelTitle: video.channelTitle,
+          url: video.url,
+          searchTag,
+          sessionId,
+          embedding: embeddingsById.get(video.videoId) || null,
+          comments: alreadyEmbedded ? null : commentsById.get(video.videoId),
+          durationSeconds: video.durationSeconds
+        });
+
+        totals.stored++;
+        if (alreadyEmbedded) totals.alreadyEmbedded++;
+        this.reportProgress(onProgress, {
+          stage: 'storing_videos',
+          stored: totals.stored,
+          alreadyEmbedded: totals.alreadyEmbedded,
+          lastVideo: { videoId: video.videoId, title: video.title }
+        });
+
+      } catch (storeError) {
+        totals.failed++;
+        this.reportProgress(onProgress, { stage: 'storing_videos', failed: totals.failed });
+        logger.warn('Failed to store video', {
+          videoId: video.videoId,
+          error: storeError.message
+        });
+      }
+    }
+  }
+
   async executeLikedVideosIngestion(input) {
-    const { likedVideoIds } = input;
+    const { userId, onProgress } = input;
+    let { likedVideoIds } = input;
     const sessionId = `liked-ingest-${Date.now()}`;
-    this.currentSession = sessionId;
 
     try {
+      if ((!Array.isArray(likedVideoIds) || likedVideoIds.length === 0) && userId) {
+        const LikedVideo = (await import('../models/LikedVideo.js')).default;
+        const storedLikes = await LikedVideo.findByUser(userId);
+        likedVideoIds = storedLikes.map(video => video.video_id);
+      }
+
+      if (!Array.isArray(likedVideoIds) || likedVideoIds.length === 0) {
+        throw new AppError('No liked videos to ingest', 400);
+      }
+
       logger.info('Starting liked videos ingestion workflow', { 
         sessionId,
         likedCount: likedVideoIds.length 
       });
 
-      const YouTubeService = (await import('./YouTubeService.js')).default;
-      const OpenAIServiceEmbed = (await import('./OpenAIService.js')).default;
+      const { default: YouTubeService, QUOTA_ESTIMATES } = await import('./YouTubeService.js');
       const recommendedVideos = {};
-      let totalVideosStored = 0;
-
-      for (const videoId of likedVideoIds) {
+      const totals = { stored: 0, failed: 0, alreadyEmbedded: 0 };
+      const quota = await this.planYouTubeQuota(likedVideoIds, {
+        unitsPerItem: QUOTA_ESTIMATES.recommendedVideos,
+        resultsPerItem: RECOMMENDATIONS_PER_VIDEO,
+        unitsPerResult: QUOTA_ESTIMATES.comments
+      }, onProgress);
+
+      await mapConcurrent(quota.items, config.pipeline.concurrency, async (videoId) => {
         try {
-          const videos = await YouTubeService.getRecommendedVideos(videoId, 10);
+          this.reportProgress(onProgress, { stage: 'searching_videos', currentVideoId: videoId });
+          const videos = await YouTubeService.getRecommendedVideos(videoId, quota.resultsPerItem);
           recommendedVideos[videoId] = videos;
-
-          for (const video of videos) {
-            try {
-              let comments = [];
-              try {
-                comments = await YouTubeService.getVideoComments(video.videoId, 5);
-              } catch (commentError) {
-              }
-
-              let embedding = null;
-              try {
-                embedding = await OpenAIServiceEmbed.generateVideoEmbedding(video, comments);
-              } catch (embedError) {
-                logger.warn('Failed to generate embedding for video', {
-                  videoId: video.videoId,
-                  error: embedError.message
-                });
-              }
-
-              await YouTubeVideoModel.upsert({
-                videoId: video.videoId,
-                title: video.title,
-                description: video.description,
-                channelTitle: video.channelTitle,
-                url: video.url,
-                searchTag: `recommended_from_${videoId}`,
-                sessionId: sessionId,
-                embedding: embedding,
-                comments: comments
-              });
-
-              totalVideosStored++;
-
-            } catch (storeError) {
-              logger.warn('Failed to store video', {
-                videoId: video.videoId,
-                error: storeError.message
-              });
-            }
-          }
+          this.reportProgress(onProgress, { stage: 'storing_videos', currentVideoId: videoId, found: videos.length });
+
+          await this.storeVideos(videos, {
+            searchTag: `recommended_from_${videoId}`,
+            sessionId,
+            commentLimit: 5,
+            totals,
+            onProgress
+          });
 
         } catch (error) {
+          if (error instanceof QuotaExceededError) quota.exhausted = true;
           logger.warn('Failed to get recommendations for video', { 
             videoId, 
             error: error.message 
           });
         }
-      }
+      });
 
       logger.info('Liked videos ingestion completed successfully', {
-        totalVideosStored,
+        totalVideosStored: totals.stored,
+        alreadyEmbedded: totals.alreadyEmbedded,
         sessionId,
         basedOnVideos: likedVideoIds.length
       });
 
       return {
         success: true,
-        sessionId: this.currentSession,
+        sessionId,
         data: {
           recommendedVideos: recommendedVideos,
-          totalVideosStored: totalVideosStored,
+          totalVideosStored: totals.stored,
+          totalVideosFailed: totals.failed,
+          totalVideosAlreadyEmbedded: totals.alreadyEmbedded,
           videosAnalyzed: Object.values(recommendedVideos).flat().length,
-          basedOnLikedVideos: likedVideoIds.length
+          basedOnLikedVideos: likedVideoIds.length,
+          youtubeQuota: {
+            skippedVideoIds: quota.skipped,
+            resultsPerVideo: quota.resultsPerItem,
+            exhausted: quota.exhausted
+          }
         }
       };
 
     } catch (error) {
       logger.logError(error, {
         context: 'LIKED_VIDEOS_INGESTION_WORKFLOW',
-        sessionId: this.currentSession
+        sessionId
       });
 
       throw error;
@@ -0,0 +1,44 @@
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { TokenBucket, createLimiter, withRetry, getErrorStatus } from '../utils/concurrency.js';
+
+// Every call to one external API goes through its gate, which bounds how many run at once,
+// spaces them out with a token bucket and retries 429s, 5xx and network errors with backoff.
+// Concurrent workflows therefore share one budget per API instead of each having their own.
+class ApiGate {
+  constructor(name, { concurrency, ratePerSecond, attempts, baseDelayMs }) {
+    this.name = name;
+    this.limit = createLimiter(concurrency);
+    this.bucket = new TokenBucket({ ratePerSecond });
+    this.retry = { attempts, baseDelayMs };
+  }
+
+  // The concurrency slot is given up while waiting to retry
+  run(fn) {
+    return withRetry(
+      () => this.limit(async () => {
+        await this.bucket.take();
+        return fn();
+      }),
+      {
+        ...this.retry,
+        onRetry: ({ attempt, delayMs, error }) => logger.warn('Retrying external API call', {
+          api: this.name,
+          attempt,
+          delayMs: Math.round(delayMs),
+          status: getErrorStatus(error),
+          error: error.message
+        })
+      }
+    );
+  }
+}
+
+const { apis, retry } = config.pipeline;
+
+export const youtubeGate = new ApiGate('youtube', { ...apis.youtube, ...retry });
+export const imgflipGate = new ApiGate('imgflip', { ...apis.imgflip, ...retry });
+// The OpenAI SDK already retries with backoff (LLM_MAX_RETRIES), so this gate only limits
+export const llmGate = new ApiGate('llm', { ...apis.llm, attempts: 1, baseDelayMs: 0 });
+
+export default ApiGate;
@@ -0,0 +1,194 @@
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+import CalendarSyncState from '../models/CalendarSyncState.js';
+import TeamsMeeting from '../models/TeamsMeeting.js';
+import TeamsService from './TeamsService.js';
+import MicrosoftAuthService from './MicrosoftAuthService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Keeps teams_meetings in step with each signed-in user's calendar using
+// calendarView/delta. A delta link is only valid for the window it was created
+// with, so the window is restarted once half of it has elapsed.
+class CalendarSyncService {
+  constructor() {
+    this.timer = null;
+    this.isSyncingAll = false;
+    this.inFlight = new Map();
+  }
+
+  register(userEmail, homeAccountId) {
+    return CalendarSyncState.register(userEmail, homeAccountId);
+  }
+
+  // A sync already running finishes, but its state update then matches no row
+  unregister(userEmail) {
+    return CalendarSyncState.unregister(userEmail);
+  }
+
+  start() {
+    const { intervalMinutes } = config.calendarSync;
+    if (!intervalMinutes || this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.syncAll().catch(error => logger.logError(error, { context: 'CALENDAR_SYNC_ALL' }));
+    }, intervalMinutes * 60 * 1000);
+    this.timer.unref();
+
+    logger.info('Calendar sync scheduled', { intervalMinutes });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async syncAll() {
+    if (this.isSyncingAll) return;
+    this.isSyncingAll = true;
+
+    try {
+      const states = await CalendarSyncState.findAll();
+
+      for (const state of states) {
+        try {
+          await this.syncUser(state.user_email);
+        } catch (error) {
+          logger.warn('Calendar sync failed for user', { userEmail: state.user_email, error: error.message });
+        }
+      }
+    } finally {
+      this.isSyncingAll = false;
+    }
+  }
+
+  // Concurrent calls for the same user share one sync. A full sync, or one with a fresh
+  // token, is queued behind the running one instead, and later calls share that.
+  syncUser(userEmail, options = {}) {
+    const running = this.inFlight.get(userEmail);
+    if (running && !options.full && !options.accessToken) {
+      return running;
+    }
+
+    const sync = (running ? running.catch(() => {}) : Promise.resolve())
+      .then(() => this.runSync(userEmail, options))
+      .finally(() => {
+        if (this.inFlight.get(userEmail) === sync) this.inFlight.delete(userEmail);
+      });
+    this.inFlight.set(userEmail, sync);
+    return sync;
+  }
+
+  async runSync(userEmail, { accessToken = null, full = false } = {}) {
+    const state = await CalendarSyncState.findByUser(userEmail);
+    if (!state) {
+      throw new AppError('Calendar sync is not set up for this user. Go to /api/auth/login', 404);
+    }
+
+    const token = accessToken || await MicrosoftAuthService.acquireTokenForAccount(state.home_account_id);
+    const now = new Date();
+    const { windowDays } = config.calendarSync;
+    const windowExpiring = !state.window_end || state.window_end.getTime() - now.getTime() < (windowDays / 2) * DAY_MS;
+    const isFullSync = full || !state.delta_link || windowExpiring;
+
+    const windowStart = isFullSync ? new Date(now.getTime() - DAY_MS) : state.window_start;
+    const windowEnd = isFullSync ? new Date(now.getTime() + windowDays * DAY_MS) : state.window_end;
+    const url = isFullSync
+      ? `/me/calendarView/delta?${new URLSearchParams({
+        startDateTime: windowStart.toISOString(),
+        endDateTime: windowEnd.toISOString()
+      })}`
+      : state.delta_link;
+
+    let summary;
+    try {
+      summary = await this.applyDelta(userEmail, token, url);
+    } catch (error) {
+      if (error.status === 410 && !isFullSync) {
+        logger.info('Calendar delta link expired, restarting sync', { userEmail });
+        return this.runSync(userEmail, { accessToken: token, full: true });
+      }
+
+      await CalendarSyncState.update(userEmail, {
+        deltaLink: state.delta_link,
+        windowStart: state.window_start,
+        windowEnd: state.window_end,
+        lastSyncedAt: state.last_synced_at,
+        lastError: error.message
+      });
+      throw error;
+    }
+
+    if (isFullSync) {
+      summary.removed += await this.removeUnseenMeetings(userEmail, windowStart, windowEnd, summary.seenIds);
+    }
+
+    await CalendarSyncState.update(userEmail, {
+      deltaLink: summary.deltaLink,
+      windowStart,
+      windowEnd,
+      lastSyncedAt: new Date(),
+      lastError: null
+    });
+
+    logger.info('Calendar synced', {
+      userEmail,
+      fullSync: isFullSync,
+      upserted: summary.upserted,
+      removed: summary.removed
+    });
+
+    return {
+      fullSync: isFullSync,
+      upserted: summary.upserted,
+      removed: summary.removed,
+      window: { start: windowStart.toISOString(), end: windowEnd.toISOString() }
+    };
+  }
+
+  async applyDelta(userEmail, token, url) {
+    const seenIds = new Set();
+    let upserted = 0;
+    let removed = 0;
+    let nextUrl = url;
+    let deltaLink = null;
+
+    while (nextUrl) {
+      const page = await TeamsService.makeGraphApiCall(nextUrl, token, 'GET', null, { prefer: ['odata.maxpagesize=50'] });
+
+      for (const event of page.value || []) {
+        if (event['@removed'] || event.isCancelled) {
+          await TeamsMeeting.remove(userEmail, event.id);
+          removed++;
+          continue;
+        }
+
+        const [meeting] = TeamsService.formatCalendarEvents([event]);
+        await TeamsService.cacheMeetings(userEmail, [meeting]);
+        seenIds.add(event.id);
+        upserted++;
+      }
+
+      nextUrl = page['@odata.nextLink'] || null;
+      deltaLink = page['@odata.deltaLink'] || deltaLink;
+    }
+
+    return { upserted, removed, deltaLink, seenIds };
+  }
+
+  // A fresh delta round lists every live event, so cached ones it didn't mention were deleted
+  async removeUnseenMeetings(userEmail, windowStart, windowEnd, seenIds) {
+    const cached = await TeamsMeeting.findInWindow(userEmail, windowStart, windowEnd);
+    const stale = cached.filter(meeting => !seenIds.has(meeting.id));
+
+    for (const meeting of stale) {
+      await TeamsMeeting.remove(userEmail, meeting.id);
+    }
+    return stale.length;
+  }
+}
+
+export default new CalendarSyncService();
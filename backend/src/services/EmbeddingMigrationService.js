@@ -0,0 +1,110 @@
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import YouTubeVideoModel from '../models/YouTubeVideo.js';
+import MemeTemplate from '../models/MemeTemplate.js';
+import OpenAIService from './OpenAIService.js';
+
+const parseComments = (comments) => {
+  if (!comments) return [];
+  if (typeof comments !== 'string') return comments;
+
+  try {
+    return JSON.parse(comments);
+  } catch {
+    return [];
+  }
+};
+
+// Each target knows how to page through its stale rows and rebuild the embedded text
+const TARGETS = {
+  videos: {
+    model: YouTubeVideoModel,
+    getId: row => row.video_id,
+    embed: (rows, model) => OpenAIService.generateVideoEmbeddings(
+      rows.map(row => ({ video: { videoId: row.video_id, title: row.title, description: row.description }, comments: parseComments(row.comments) })),
+      model
+    )
+  },
+  memes: {
+    model: MemeTemplate,
+    getId: row => row.id,
+    embed: async (rows, model) => {
+      const texts = rows.map(row => row.use_cases?.trim() || null);
+      const withText = texts.filter(Boolean);
+      const embeddings = withText.length > 0 ? await OpenAIService.generateEmbeddings(withText, model) : [];
+      return texts.map(text => (text ? embeddings[withText.indexOf(text)] : null));
+    }
+  }
+};
+
+export const EMBEDDING_TARGETS = Object.keys(TARGETS);
+
+// Moves stored vectors to another embedding model. Rows are only ever selected by
+// "not yet on the target model", so a restarted run picks up where the last one stopped.
+class EmbeddingMigrationService {
+  async getStatus() {
+    const [videos, memes] = await Promise.all([
+      YouTubeVideoModel.getEmbeddingStats(),
+      MemeTemplate.getEmbeddingStats()
+    ]);
+
+    return { activeModel: config.llm.models.embedding, videos, memes };
+  }
+
+  async reembed({ model = config.llm.models.embedding, targets = EMBEDDING_TARGETS, onProgress } = {}) {
+    const reportProgress = (update) => {
+      if (onProgress) onProgress(update);
+    };
+    const totals = { stored: 0, failed: 0 };
+    const result = { model, targets: {} };
+
+    for (const name of targets) {
+      reportProgress({ stage: `reembedding_${name}` });
+      result.targets[name] = await this.reembedTarget(name, model, totals, reportProgress);
+    }
+
+    logger.info('Re-embedding completed', { model, ...result.targets });
+    return result;
+  }
+
+  async reembedTarget(name, model, totals, reportProgress) {
+    const target = TARGETS[name];
+    const summary = { reembedded: 0, cleared: 0, failed: 0 };
+    let afterId = null;
+
+    while (true) {
+      const rows = await target.model.findStaleEmbeddings(model, afterId, config.llm.embeddingBatchSize);
+      if (rows.length === 0) break;
+
+      // A failed API call fails the job; rows already moved stay moved
+      const embeddings = await target.embed(rows, model);
+
+      for (const [index, row] of rows.entries()) {
+        const id = target.getId(row);
+        const embedding = embeddings[index] || null;
+
+        try {
+          // Rows with nothing left to embed lose their stale vector so searches can't mix models
+          await target.model.updateEmbedding(id, embedding, model);
+          if (embedding) {
+            summary.reembedded++;
+            totals.stored++;
+          } else {
+            summary.cleared++;
+          }
+        } catch (error) {
+          summary.failed++;
+          totals.failed++;
+          logger.warn('Failed to store re-embedded vector', { target: name, id, error: error.message });
+        }
+      }
+
+      afterId = target.getId(rows[rows.length - 1]);
+      reportProgress({ stage: `reembedding_${name}`, stored: totals.stored, failed: totals.failed, lastId: afterId });
+    }
+
+    return summary;
+  }
+}
+
+export default new EmbeddingMigrationService();
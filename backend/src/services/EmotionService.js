@@ -1,142 +1,117 @@
-import AWS from 'aws-sdk';
-import OpenAI from 'openai';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
-import fs from 'fs/promises';
+import { AppError } from '../middleware/errorHandler.js';
+import AwsRekognitionProvider from './emotion/AwsRekognitionProvider.js';
+import OpenAIVisionProvider from './emotion/OpenAIVisionProvider.js';
+import LocalEmotionProvider from './emotion/LocalEmotionProvider.js';
+import { toCanonicalEmotionResult, toCanonicalTextEmotionResult } from './emotion/schema.js';
 
+// Providers expose `name`, `isAvailable()`, `analyzeImage(imageBuffer)` and optionally
+// `analyzeText(text)`; their raw output is converted to the canonical result defined in
+// ./emotion/schema.js.
 class EmotionService {
   constructor() {
-    if (process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
-      this.rekognition = new AWS.Rekognition({
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-        region: process.env.AWS_REGION || 'us-east-1'
-      });
-      this.awsConfigured = true;
-    } else {
-      this.awsConfigured = false;
-    }
+    this.providers = new Map();
+
+    this.register(new AwsRekognitionProvider());
+    this.register(new OpenAIVisionProvider());
+    this.register(new LocalEmotionProvider());
+  }
+
+  register(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  hasProvider(name) {
+    return this.providers.has(name);
+  }
 
-    this.openai = new OpenAI({
-      apiKey: config.openai.apiKey
-    });
+  listProviders() {
+    return [...this.providers.values()].map(provider => ({
+      name: provider.name,
+      available: provider.isAvailable(),
+      isDefault: provider.name === config.emotion.provider
+    }));
   }
 
-  async analyzeWithAWS(imageBuffer) {
-    if (!this.awsConfigured) {
-      throw new Error('AWS Rekognition not configured. Set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY');
+  resolveProvider(preferredProvider = null) {
+    const name = preferredProvider || config.emotion.provider;
+    const provider = this.providers.get(name);
+
+    if (!provider) {
+      throw new AppError(`Unknown emotion provider: ${name}`, 400);
     }
 
-    try {
-      const params = {
-        Image: {
-          Bytes: imageBuffer
-        },
-        Attributes: ['ALL']
-      };
-
-      const result = await this.rekognition.detectFaces(params).promise();
-      
-      if (!result.FaceDetails || result.FaceDetails.length === 0) {
-        return { error: 'No face detected in image' };
-      }
+    if (provider.isAvailable()) {
+      return provider;
+    }
 
-      const face = result.FaceDetails[0];
-      
-      const emotions = {};
-      face.Emotions.forEach(emotion => {
-        emotions[emotion.Type.toLowerCase()] = Math.round(emotion.Confidence);
+    const fallback = this.providers.get(config.emotion.fallbackProvider);
+    if (fallback && fallback.isAvailable()) {
+      logger.warn('Emotion provider unavailable, using fallback', {
+        requested: name,
+        fallback: fallback.name
       });
-
-      return {
-        emotions,
-        faceDetails: {
-          ageRange: `${face.AgeRange.Low}-${face.AgeRange.High}`,
-          gender: face.Gender.Value,
-          smile: face.Smile.Value,
-          confidence: Math.round(face.Confidence)
-        }
-      };
-    } catch (error) {
-      logger.error('AWS Rekognition error', error);
-      throw new Error(`Failed to analyze emotions with AWS: ${error.message}`);
+      return fallback;
     }
+
+    throw new AppError(`Emotion provider "${name}" is not configured`, 503);
   }
 
-  async analyzeWithOpenAI(imageBuffer) {
-    try {
-      const base64Image = imageBuffer.toString('base64');
-      
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o-mini",
-        messages: [
-          {
-            role: "user",
-            content: [
-              {
-                type: "text",
-                text: "Analyze the emotions in this selfie. Return a JSON object with: emotions (object with percentages for happy, sad, angry, surprised, neutral, confused), dominantEmotion (string), and brief description (string). Be accurate and concise."
-              },
-              {
-                type: "image_url",
-                image_url: {
-                  url: `data:image/jpeg;base64,${base64Image}`
-                }
-              }
-            ]
-          }
-        ],
-        max_tokens: 300
-      });
+  // Not every provider reads text, so fall back to the configured fallback and finally
+  // to the local lexicon, which always works
+  resolveTextProvider(preferredProvider = null) {
+    const candidates = [preferredProvider || config.emotion.provider, config.emotion.fallbackProvider, 'local'];
 
-      const result = response.choices[0].message.content;
-      
-      try {
-        return JSON.parse(result);
-      } catch {
-        return {
-          description: result,
-          emotions: null,
-          dominantEmotion: 'unknown'
-        };
+    for (const name of candidates) {
+      const provider = this.providers.get(name);
+      if (provider && provider.isAvailable() && typeof provider.analyzeText === 'function') {
+        return provider;
       }
+    }
+
+    throw new AppError('No emotion provider can analyze text', 503);
+  }
+
+  // options: { provider, faceIndex, teamMood }
+  async analyzeEmotion(imageBuffer, options = {}) {
+    const { provider: preferredProvider = null, faceIndex = null, teamMood = false } = options;
+    const provider = this.resolveProvider(preferredProvider);
+
+    try {
+      const raw = await provider.analyzeImage(imageBuffer);
+      return toCanonicalEmotionResult(provider.name, raw, { faceIndex, teamMood });
     } catch (error) {
-      logger.error('OpenAI Vision error', error);
-      throw new Error(`Failed to analyze emotions with OpenAI: ${error.message}`);
+      logger.error('Emotion analysis failed', { provider: provider.name, error: error.message });
+      throw error;
     }
   }
 
-  async analyzeEmotion(imageBuffer, preferredService = 'aws') {
-    
+  async analyzeText(text, options = {}) {
+    const preferredProvider = options.provider || null;
+    if (preferredProvider && !this.hasProvider(preferredProvider)) {
+      throw new AppError(`Unknown emotion provider: ${preferredProvider}`, 400);
+    }
+
+    const provider = this.resolveTextProvider(preferredProvider);
+
     try {
-      if (preferredService === 'aws' && this.awsConfigured) {
-        return {
-          service: 'aws',
-          ...await this.analyzeWithAWS(imageBuffer)
-        };
-      } else if (preferredService === 'openai' || !this.awsConfigured) {
-        return {
-          service: 'openai',
-          ...await this.analyzeWithOpenAI(imageBuffer)
-        };
-      } else {
-        throw new Error('No emotion detection service available');
-      }
+      const raw = await provider.analyzeText(text);
+      return toCanonicalTextEmotionResult(provider.name, raw);
     } catch (error) {
-      logger.error('Emotion analysis failed', error);
-      
-      if (preferredService === 'aws' && !this.awsConfigured) {
-        return {
-          service: 'openai',
-          ...await this.analyzeWithOpenAI(imageBuffer)
-        };
-      }
-      
+      logger.error('Text emotion analysis failed', { provider: provider.name, error: error.message });
       throw error;
     }
   }
 
+  // Selfie when one was uploaded, otherwise the mood description alone
+  async analyzeContext({ imageBuffer, description }, options = {}) {
+    if (imageBuffer) {
+      return this.analyzeEmotion(imageBuffer, options);
+    }
 
+    return this.analyzeText(description, options);
+  }
 }
 
-export default new EmotionService();
\ No newline at end of file
+export default new EmotionService();
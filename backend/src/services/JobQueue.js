@@ -0,0 +1,211 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import Job from '../models/Job.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+const PROGRESS_FLUSH_INTERVAL_MS = 1000;
+// Only these are kept in the job's progress; everything else a handler reports (the current
+// tag, the last video, emotions, ...) is passed through to subscribers as `detail`
+const PROGRESS_COUNTERS = ['stored', 'failed', 'alreadyEmbedded', 'total'];
+
+class JobQueue extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+    this.handlers = new Map();
+    this.pending = [];
+    this.activeCount = 0;
+    this.progressState = new Map();
+  }
+
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  async enqueue(type, payload = {}, options = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`No handler registered for job type: ${type}`);
+    }
+
+    const id = uuidv4();
+    await Job.create({ id, type, userId: options.userId, payload });
+
+    this.pending.push(id);
+    setImmediate(() => this.drain());
+
+    return id;
+  }
+
+  async getJob(id) {
+    return Job.findById(id);
+  }
+
+  subscribe(jobId, listener) {
+    const eventName = `job:${jobId}`;
+    this.on(eventName, listener);
+    return () => this.off(eventName, listener);
+  }
+
+  publish(jobId, event) {
+    this.emit(`job:${jobId}`, { jobId, timestamp: new Date().toISOString(), ...event });
+  }
+
+  async recover() {
+    const unfinished = await Job.findByStatus(['queued', 'running']);
+
+    for (const job of unfinished) {
+      if (job.status === 'running' && job.attempts >= config.jobs.maxAttempts) {
+        await Job.update(job.id, {
+          status: 'failed',
+          stage: 'failed',
+          error: 'Job was interrupted too many times by server restarts'
+        });
+        continue;
+      }
+
+      if (job.status === 'running') {
+        await Job.update(job.id, { status: 'queued', stage: 'queued' });
+      }
+
+      this.pending.push(job.id);
+    }
+
+    if (unfinished.length > 0) {
+      logger.info('Recovered unfinished jobs', { count: this.pending.length });
+      setImmediate(() => this.drain());
+    }
+  }
+
+  drain() {
+    while (this.activeCount < config.jobs.concurrency && this.pending.length > 0) {
+      const jobId = this.pending.shift();
+      this.activeCount++;
+
+      this.run(jobId)
+        .catch(error => logger.logError(error, { context: 'JOB_QUEUE_RUN', jobId }))
+        .finally(() => {
+          this.activeCount--;
+          this.drain();
+        });
+    }
+  }
+
+  async run(jobId) {
+    const job = await Job.findById(jobId);
+
+    if (!job || job.status !== 'queued') {
+      return;
+    }
+
+    const handler = this.handlers.get(job.type);
+    if (!handler) {
+      await Job.update(jobId, {
+        status: 'failed',
+        stage: 'failed',
+        error: `No handler registered for job type: ${job.type}`
+      });
+      return;
+    }
+
+    this.progressState.set(jobId, {
+      progress: { stored: 0, failed: 0 },
+      stage: 'started',
+      lastFlush: 0,
+      pendingWrite: Promise.resolve()
+    });
+
+    await Job.update(jobId, {
+      status: 'running',
+      stage: 'started',
+      attempts: (job.attempts || 0) + 1
+    });
+
+    logger.info('Job started', { jobId, type: job.type });
+    this.publish(jobId, { event: 'started', status: 'running', stage: 'started' });
+
+    try {
+      const result = await handler(job.payload || {}, {
+        jobId,
+        userId: job.user_id,
+        reportProgress: (update) => this.reportProgress(jobId, update)
+      });
+
+      const state = this.progressState.get(jobId);
+      await state.pendingWrite;
+      await Job.update(jobId, {
+        status: 'completed',
+        stage: 'completed',
+        progress: state.progress,
+        result: result ?? null
+      });
+
+      logger.info('Job completed', { jobId, type: job.type });
+      this.publish(jobId, {
+        event: 'completed',
+        status: 'completed',
+        stage: 'completed',
+        progress: state.progress,
+        result: result ?? null
+      });
+    } catch (error) {
+      logger.logError(error, { context: 'JOB_FAILED', jobId, type: job.type });
+
+      const state = this.progressState.get(jobId);
+      await state.pendingWrite;
+      await Job.update(jobId, {
+        status: 'failed',
+        stage: 'failed',
+        progress: state.progress,
+        error: error.message
+      });
+      this.publish(jobId, {
+        event: 'failed',
+        status: 'failed',
+        stage: 'failed',
+        progress: state.progress,
+        error: error.message
+      });
+    } finally {
+      this.progressState.delete(jobId);
+    }
+  }
+
+  reportProgress(jobId, update = {}) {
+    const state = this.progressState.get(jobId);
+    if (!state) return;
+
+    const { stage, ...detail } = update;
+    const stageChanged = stage && stage !== state.stage;
+
+    if (stage) {
+      state.stage = stage;
+    }
+    for (const counter of PROGRESS_COUNTERS) {
+      if (Number.isFinite(detail[counter])) {
+        state.progress[counter] = detail[counter];
+      }
+    }
+
+    this.publish(jobId, {
+      event: 'progress',
+      status: 'running',
+      stage: state.stage,
+      progress: { ...state.progress },
+      detail
+    });
+
+    const now = Date.now();
+    if (!stageChanged && now - state.lastFlush < PROGRESS_FLUSH_INTERVAL_MS) {
+      return;
+    }
+    state.lastFlush = now;
+
+    const snapshot = { stage: state.stage, progress: { ...state.progress } };
+    state.pendingWrite = state.pendingWrite
+      .then(() => Job.update(jobId, snapshot))
+      .catch(error => logger.warn('Failed to persist job progress', { jobId, error: error.message }));
+  }
+}
+
+export default new JobQueue();
@@ -0,0 +1,129 @@
+import OpenAI from 'openai';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { llmGate } from './ApiGate.js';
+
+export class StructuredOutputError extends AppError {
+  constructor(task, reason) {
+    super(`The language model returned invalid output for ${task}: ${reason}`, 502);
+    this.task = task;
+  }
+}
+
+// Models often wrap JSON in code fences or add a sentence around it
+export const parseJsonContent = (content) => {
+  const text = (content || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      return JSON.parse(text.slice(start, end + 1));
+    }
+    throw error;
+  }
+};
+
+// Single entry point for chat and embedding calls. It speaks the OpenAI wire protocol,
+// so LLM_BASE_URL can point at Ollama, llama.cpp, vLLM or a mock server instead of OpenAI.
+// Each task (tags, memeText, vision, ...) resolves its own model from config.llm.models.
+class LLMClient {
+  constructor() {
+    this.client = new OpenAI({
+      apiKey: config.llm.apiKey,
+      baseURL: config.llm.baseUrl || undefined,
+      timeout: config.llm.timeoutMs,
+      maxRetries: config.llm.maxRetries
+    });
+  }
+
+  getModel(task) {
+    return config.llm.models[task] || config.llm.models.default;
+  }
+
+  // `options` are chat completion parameters; `model` and `timeoutMs` override the task defaults
+  async chat(task, messages, options = {}) {
+    const { model = this.getModel(task), timeoutMs, ...params } = options;
+    const startTime = Date.now();
+
+    try {
+      const response = await llmGate.run(() => this.client.chat.completions.create(
+        { model, messages, ...params },
+        timeoutMs ? { timeout: timeoutMs } : undefined
+      ));
+
+      logger.debug('LLM completion', {
+        task,
+        model,
+        durationMs: Date.now() - startTime,
+        totalTokens: response.usage?.total_tokens
+      });
+
+      return {
+        content: response.choices[0].message.content,
+        usage: response.usage,
+        model: response.model,
+        finishReason: response.choices[0].finish_reason
+      };
+    } catch (error) {
+      logger.logError(error, { context: 'LLM_CHAT', task, model, durationMs: Date.now() - startTime });
+      throw error;
+    }
+  }
+
+  // Asks for JSON, validates it against a Joi `schema` and returns the validated value.
+  // Invalid replies are sent back with the validation error so the model can repair them.
+  async chatJson(task, messages, schema, options = {}) {
+    const { repairAttempts = config.llm.repairAttempts, ...chatOptions } = options;
+    const conversation = [...messages];
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= repairAttempts; attempt++) {
+      const response = await this.chat(task, conversation, {
+        ...(config.llm.jsonMode ? { response_format: { type: 'json_object' } } : {}),
+        ...chatOptions
+      });
+
+      try {
+        const { error, value } = schema.validate(parseJsonContent(response.content), { abortEarly: false });
+        if (error) throw error;
+        return value;
+      } catch (error) {
+        lastError = error;
+        logger.warn('LLM returned invalid structured output', { task, attempt, error: error.message });
+
+        conversation.push(
+          { role: 'assistant', content: response.content || '' },
+          { role: 'user', content: `That reply was invalid: ${error.message}. Reply again with only the corrected JSON object.` }
+        );
+      }
+    }
+
+    throw new StructuredOutputError(task, lastError.message);
+  }
+
+  async embed(input, { model = config.llm.models.embedding } = {}) {
+    const startTime = Date.now();
+
+    try {
+      const response = await llmGate.run(() => this.client.embeddings.create({
+        model,
+        input,
+        encoding_format: 'float'
+      }));
+
+      // The response isn't guaranteed to be in input order
+      return [...response.data]
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    } catch (error) {
+      logger.logError(error, { context: 'LLM_EMBED', model, durationMs: Date.now() - startTime });
+      throw error;
+    }
+  }
+}
+
+export default new LLMClient();
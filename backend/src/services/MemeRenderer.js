@@ -0,0 +1,125 @@
+import fs from 'fs/promises';
+import path from 'path';
+import fetch from 'node-fetch';
+import sharp from 'sharp';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { imgflipGate } from './ApiGate.js';
+import { BOX_STYLE_DEFAULTS, defaultBoxLayout, fitText, LINE_HEIGHT } from '../utils/memeLayout.js';
+
+const TEMPLATE_CACHE_DIR = path.join(process.cwd(), 'uploads', 'templates');
+const MAX_WIDTH = 1000;
+const MIN_FONT_SIZE = 14;
+// Baseline offset from the top of a line, in ems
+const ASCENT = 0.85 + (LINE_HEIGHT - 1) / 2;
+const TEXT_ANCHORS = { left: 'start', center: 'middle', right: 'end' };
+const GUIDE_COLOR = '#ff00ff';
+
+const escapeXml = (text) => text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+// Draws captions onto template images, by default white uppercase text with a black
+// outline, sized to fit each box. Nothing but the template image download leaves the server.
+class MemeRenderer {
+  // `boxes` are { x, y, width, height } fractions of the image plus the styles described
+  // by BOX_STYLE_DEFAULTS, one per text. `showBoxes` outlines them, for layout previews.
+  async render({ templateId, templateUrl, texts, boxes = null, showBoxes = false }) {
+    const source = await this.loadTemplateImage(templateId, templateUrl);
+    const { data, info } = await sharp(source)
+      .rotate()
+      .resize({ width: MAX_WIDTH, withoutEnlargement: true })
+      .png()
+      .toBuffer({ resolveWithObject: true });
+
+    const overlay = this.buildOverlay(info.width, info.height, boxes || defaultBoxLayout(texts.length), texts, { showBoxes });
+
+    return sharp(data)
+      .composite([{ input: Buffer.from(overlay), top: 0, left: 0 }])
+      .png()
+      .toBuffer();
+  }
+
+  buildOverlay(width, height, boxes, texts, { showBoxes = false } = {}) {
+    const captions = boxes.map((layoutBox, index) => {
+      const box = { ...BOX_STYLE_DEFAULTS, ...layoutBox };
+      const text = texts[index]?.trim();
+      const area = {
+        x: box.x * width,
+        y: box.y * height,
+        width: box.width * width,
+        height: box.height * height
+      };
+
+      const guide = showBoxes
+        ? `<rect x="${area.x.toFixed(1)}" y="${area.y.toFixed(1)}" width="${area.width.toFixed(1)}" height="${area.height.toFixed(1)}" `
+          + `fill="none" stroke="${GUIDE_COLOR}" stroke-width="2" stroke-dasharray="8 6"/>`
+        : '';
+      const caption = text ? this.buildCaption(text, area, box, width) : '';
+      if (!guide && !caption) return '';
+
+      const centerX = (area.x + area.width / 2).toFixed(1);
+      const centerY = (area.y + area.height / 2).toFixed(1);
+      const transform = box.rotation ? ` transform="rotate(${box.rotation} ${centerX} ${centerY})"` : '';
+      return `<g${transform}>${guide}${caption}</g>`;
+    }).join('');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">`
+      + `<g font-family="${escapeXml(config.memes.fontFamily)}" font-weight="bold" `
+      + `stroke-linejoin="round" paint-order="stroke">${captions}</g></svg>`;
+  }
+
+  buildCaption(text, area, box, imageWidth) {
+    const { fontSize, lines } = fitText(text.toUpperCase(), area, {
+      minFontSize: MIN_FONT_SIZE,
+      maxFontSize: Math.round(imageWidth / 8),
+      maxLines: box.maxLines
+    });
+
+    const lineHeight = fontSize * LINE_HEIGHT;
+    const slack = area.height - lines.length * lineHeight;
+    const top = area.y + { top: 0, middle: slack / 2, bottom: slack }[box.verticalAlign];
+    const anchorX = { left: area.x, center: area.x + area.width / 2, right: area.x + area.width }[box.align].toFixed(1);
+    const tspans = lines.map((line, lineIndex) => {
+      const baseline = top + lineIndex * lineHeight + fontSize * ASCENT;
+      return `<tspan x="${anchorX}" y="${baseline.toFixed(1)}">${escapeXml(line)}</tspan>`;
+    }).join('');
+
+    const stroke = box.outlineColor
+      ? `stroke="${escapeXml(box.outlineColor)}" stroke-width="${Math.max(1, fontSize / 12).toFixed(1)}"`
+      : 'stroke="none"';
+    return `<text font-size="${fontSize}" fill="${escapeXml(box.color)}" ${stroke} `
+      + `text-anchor="${TEXT_ANCHORS[box.align]}">${tspans}</text>`;
+  }
+
+  // Template images are downloaded once and kept on disk
+  async loadTemplateImage(templateId, templateUrl) {
+    const cachePath = path.join(TEMPLATE_CACHE_DIR, String(templateId).replace(/[^\w-]/g, '_'));
+
+    try {
+      return await fs.readFile(cachePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const image = await imgflipGate.run(async () => {
+      const response = await fetch(templateUrl);
+
+      if (!response.ok) {
+        const error = new Error(`Template image download failed: HTTP ${response.status}`);
+        error.status = response.status;
+        error.headers = response.headers;
+        throw error;
+      }
+      return Buffer.from(await response.arrayBuffer());
+    });
+
+    try {
+      await fs.mkdir(TEMPLATE_CACHE_DIR, { recursive: true });
+      await fs.writeFile(cachePath, image);
+    } catch (error) {
+      logger.warn('Failed to cache template image', { templateId, error: error.message });
+    }
+    return image;
+  }
+}
+
+export default new MemeRenderer();
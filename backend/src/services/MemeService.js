@@ -1,27 +1,44 @@
+import fs from 'fs/promises';
+import path from 'path';
 import fetch from 'node-fetch';
-import { v4 as uuidv4 } from 'uuid';
+import { v4 as uuidv4, validate as isUuid } from 'uuid';
 import logger from '../utils/logger.js';
 import OpenAIService from './OpenAIService.js';
+import LLMClient from './LLMClient.js';
+import { memeTextSchema } from './llmSchemas.js';
 import MemeTemplate from '../models/MemeTemplate.js';
+import Meme from '../models/Meme.js';
+import MemeRenderer from './MemeRenderer.js';
 import EmotionService from './EmotionService.js';
 import YouTubeService from './YouTubeService.js';
+import { imgflipGate } from './ApiGate.js';
+import config from '../config/index.js';
+import { mapConcurrent } from '../utils/concurrency.js';
+import { resolveBoxLayout } from '../utils/memeLayout.js';
+import { seededBoxLayout } from '../utils/memeLayoutSeeds.js';
+
+const RENDERED_MEMES_DIR = path.join(process.cwd(), 'uploads', 'memes');
 
 class MemeService {
   constructor() {
-    this.imgflipApiUrl = 'https://api.imgflip.com/get_memes';
-    this.imgflipCaptionUrl = 'https://api.imgflip.com/caption_image';
+    this.imgflipApiUrl = `${config.external.imgflip.baseUrl}/get_memes`;
+    this.imgflipCaptionUrl = `${config.external.imgflip.baseUrl}/caption_image`;
   }
 
   async fetchMemesFromImgflip() {
     try {
       
-      const response = await fetch(this.imgflipApiUrl);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      
-      const data = await response.json();
+      const data = await imgflipGate.run(async () => {
+        const response = await fetch(this.imgflipApiUrl);
+        
+        if (!response.ok) {
+          const error = new Error(`HTTP error! status: ${response.status}`);
+          error.status = response.status;
+          error.headers = response.headers;
+          throw error;
+        }
+        return response.json();
+      });
       
       if (!data.success) {
         throw new Error('Imgflip API request failed');
@@ -35,7 +52,9 @@ class MemeService {
         captions: meme.captions,
         useCases: null,
         useCasesEmbedding: null,
-        boxGuidelines: null
+        boxGuidelines: null,
+        boxLayout: seededBoxLayout(meme.id, meme.box_count),
+        boxLayoutSource: 'seed'
       }));
       
       return memes;
@@ -84,10 +103,14 @@ class MemeService {
   async ingestMemes(options = {}) {
     const { 
       count = 50,
-      delay = 1000
+      onProgress
     } = options;
+    const reportProgress = (update) => {
+      if (onProgress) onProgress(update);
+    };
 
     try {
+      reportProgress({ stage: 'fetching_templates' });
       const currentCount = await MemeTemplate.getCount();
 
       const allMemes = await this.fetchMemesFromImgflip();
@@ -107,36 +130,35 @@ class MemeService {
       }
 
 
-      const results = [];
+      let stored = 0;
+      let failed = 0;
+      reportProgress({ stage: 'processing_templates', total: memesToProcess.length, stored, failed });
 
-      for (let i = 0; i < memesToProcess.length; i++) {
-        const meme = memesToProcess[i];
-        const globalIndex = startIndex + i + 1;
-        
+      // Throttling is left to the LLM gate, which every use-case and embedding call goes through
+      const results = await mapConcurrent(memesToProcess, config.pipeline.concurrency, async (meme) => {
         try {
 
           const existingMeme = await MemeTemplate.findByImgflipId(meme.id);
           if (existingMeme) {
-            results.push({ id: meme.id, success: true, status: 'skipped' });
-            continue;
+            return { id: meme.id, success: true, status: 'skipped' };
           }
 
           await this.processMemeWithUseCases(meme);
           await MemeTemplate.upsert(meme);
-          results.push({ id: meme.id, success: true, status: 'ingested' });
-
-          if (i < memesToProcess.length - 1 && delay > 0) {
-            await new Promise(resolve => setTimeout(resolve, delay));
-          }
+          stored++;
+          reportProgress({ stage: 'processing_templates', stored, lastTemplate: { id: meme.id, name: meme.name } });
+          return { id: meme.id, success: true, status: 'ingested' };
 
         } catch (error) {
           logger.warn('Failed to process meme', { 
             memeId: meme.id, 
             error: error.message 
           });
-          results.push({ id: meme.id, success: false, error: error.message });
+          failed++;
+          reportProgress({ stage: 'processing_templates', failed });
+          return { id: meme.id, success: false, error: error.message };
         }
-      }
+      });
 
       const successCount = results.filter(r => r.success).length;
       const failCount = results.filter(r => !r.success).length;
@@ -180,13 +202,13 @@ class MemeService {
     }
   }
 
-  async createMemeFromUserData({ selfie, description, video_id }) {
+  async createMemeFromUserData({ selfie, description, video_id, emotionOptions, userId = null }) {
     try {
 
-      const emotionData = await EmotionService.analyzeWithAWS(selfie);
+      const emotionData = await EmotionService.analyzeContext({ imageBuffer: selfie, description }, emotionOptions);
       
-      if (emotionData.error) {
-        throw new Error(`Emotion analysis failed: ${emotionData.error}`);
+      if (emotionData.source === 'face' && !emotionData.faceDetected) {
+        throw new Error('Emotion analysis failed: No face detected in image');
       }
 
       let videoData = null;
@@ -222,9 +244,28 @@ class MemeService {
         videoData
       });
 
-      const memeImage = await this.createMemeImage(bestMeme.id, memeText.texts);
+      const memeImage = await this.createMemeImage(bestMeme, memeText.texts);
+
+      const emotionSnapshot = {
+        primaryEmotion: emotionData.primaryEmotion,
+        emotions: emotionData.emotions,
+        source: emotionData.source,
+        teamMood: emotionData.teamMood
+      };
+      const memeId = await this.saveMeme({
+        userId,
+        templateId: bestMeme.id,
+        templateName: bestMeme.name,
+        texts: memeText.texts,
+        explanation: memeText.explanation,
+        emotion: emotionSnapshot,
+        videoId: video_id,
+        videoTitle: videoData?.title,
+        ...memeImage
+      });
 
       return {
+        memeId,
         memeTemplate: {
           id: bestMeme.id,
           name: bestMeme.name,
@@ -234,12 +275,17 @@ class MemeService {
         },
         createdMeme: {
           imageUrl: memeImage.imageUrl,
-          pageUrl: memeImage.pageUrl
+          pageUrl: memeImage.pageUrl,
+          renderer: memeImage.renderer
         },
         context,
         emotionAnalysis: {
           primaryEmotion: emotionData.primaryEmotion,
-          emotions: emotionData.emotions
+          emotions: emotionData.emotions,
+          faces: emotionData.faces,
+          selectedFaceIndex: emotionData.selectedFaceIndex,
+          teamMood: emotionData.teamMood,
+          source: emotionData.source
         },
         memeText,
         videoData: videoData ? {
@@ -284,6 +330,7 @@ Provide a concise but comprehensive description of the user's current state and
           content: prompt
         }
       ], {
+        task: 'memeContext',
         temperature: 0.7,
         max_tokens: 300
       });
@@ -297,10 +344,11 @@ Provide a concise but comprehensive description of the user's current state and
 
   async generateMemeText({ memeTemplate, context, emotions, description, videoData }) {
     try {
+      const boxCount = memeTemplate.box_count || 2;
       const prompt = `Generate specific text for each box of this meme template based on the user's context:
 
 Meme Template: ${memeTemplate.name}
-Number of text boxes: ${memeTemplate.box_count}
+Number of text boxes: ${boxCount}
 Template Guidelines: ${memeTemplate.box_guidelines || 'No specific guidelines'}
 
 User Context: ${context}
@@ -309,7 +357,7 @@ Primary Emotion: ${emotions.primaryEmotion || 'Unknown'}
 
 ${videoData ? `Video Context: ${videoData.title}` : ''}
 
-Generate text for each of the ${memeTemplate.box_count} boxes that:
+Generate exactly ${boxCount} texts, one for each box, that:
 1. Follows the meme template's typical usage pattern
 2. Reflects the user's emotional state and situation
 3. Creates humor through contrast, irony, or relatability
@@ -324,24 +372,15 @@ Format as JSON:
 
 Provide only the JSON response.`;
 
-      const response = await OpenAIService.chat([
+      const result = await LLMClient.chatJson('memeText', [
         {
           role: 'user',
           content: prompt
         }
-      ], {
+      ], memeTextSchema(boxCount), {
         temperature: 0.8,
         max_tokens: 400
       });
-
-      let cleanContent = response.content.trim();
-      if (cleanContent.startsWith('```json')) {
-        cleanContent = cleanContent.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-      } else if (cleanContent.startsWith('```')) {
-        cleanContent = cleanContent.replace(/^```\s*/, '').replace(/\s*```$/, '');
-      }
-
-      const result = JSON.parse(cleanContent);
       
       return result;
     } catch (error) {
@@ -350,9 +389,179 @@ Provide only the JSON response.`;
     }
   }
 
-  async createMemeImage(templateId, texts) {
+  // Renders locally unless MEME_RENDERER=imgflip. Imgflip hosts every caption it renders
+  // publicly, so it is only used as a fallback when MEME_IMGFLIP_FALLBACK is set.
+  async createMemeImage(memeTemplate, texts) {
+    if (config.memes.renderer === 'imgflip') {
+      return this.createImgflipMeme(memeTemplate.id, texts);
+    }
+
+    try {
+      const image = await MemeRenderer.render({
+        templateId: memeTemplate.id,
+        templateUrl: memeTemplate.url,
+        texts,
+        boxes: resolveBoxLayout(memeTemplate)
+      });
+      const imageId = await this.saveRenderedMeme(image);
+
+      return {
+        imageId,
+        imageUrl: `/api/memes/images/${imageId}`,
+        pageUrl: null,
+        renderer: 'local'
+      };
+    } catch (error) {
+      if (!config.memes.imgflipFallback || !this.hasImgflipCredentials()) {
+        logger.logError(error, { context: 'RENDER_MEME_IMAGE', templateId: memeTemplate.id });
+        throw error;
+      }
+
+      logger.warn('Local meme rendering failed, falling back to Imgflip', {
+        templateId: memeTemplate.id,
+        error: error.message
+      });
+      return this.createImgflipMeme(memeTemplate.id, texts);
+    }
+  }
+
+  // A meme that was rendered but couldn't be recorded is still returned to its creator
+  async saveMeme(memeData) {
+    const id = uuidv4();
+
+    try {
+      await Meme.create({ id, ...memeData });
+      return id;
+    } catch (error) {
+      logger.warn('Failed to save meme to history', { templateId: memeData.templateId, error: error.message });
+      return null;
+    }
+  }
+
+  // Gallery entries; URLs are paths for memes served from here
+  toGalleryItem(meme) {
+    return {
+      id: meme.id,
+      templateId: meme.template_id,
+      templateName: meme.template_name,
+      texts: meme.texts,
+      explanation: meme.explanation,
+      emotion: meme.emotion,
+      video: meme.video_id ? { id: meme.video_id, title: meme.video_title } : null,
+      imageUrl: meme.image_url,
+      pageUrl: meme.page_url,
+      downloadUrl: `/api/memes/${meme.id}/download`,
+      renderer: meme.renderer,
+      isFavorite: meme.is_favorite,
+      createdAt: meme.created_at
+    };
+  }
+
+  async listMemes(userId, options) {
+    const { memes, total } = await Meme.findByUser(userId, options);
+    return { memes: memes.map(meme => this.toGalleryItem(meme)), total };
+  }
+
+  async getMeme(userId, memeId) {
+    const meme = isUuid(memeId) ? await Meme.findForUser(userId, memeId) : null;
+    return meme ? this.toGalleryItem(meme) : null;
+  }
+
+  async setMemeFavorite(userId, memeId, isFavorite) {
+    if (!await this.getMeme(userId, memeId)) return null;
+
+    await Meme.setFavorite(userId, memeId, isFavorite);
+    return this.getMeme(userId, memeId);
+  }
+
+  // Also deletes the rendered image, so links to it (e.g. in Teams cards) stop working
+  async deleteMeme(userId, memeId) {
+    const meme = isUuid(memeId) ? await Meme.findForUser(userId, memeId) : null;
+    if (!meme || !await Meme.remove(userId, memeId)) return false;
+
+    const filePath = meme.image_id && this.getRenderedMemePath(meme.image_id);
+    if (filePath) {
+      await fs.rm(filePath, { force: true }).catch(error => {
+        logger.warn('Failed to delete rendered meme', { memeId, error: error.message });
+      });
+    }
+    return true;
+  }
+
+  // A file for memes rendered here, else the URL of the image Imgflip hosts
+  async getMemeDownload(userId, memeId) {
+    const meme = isUuid(memeId) ? await Meme.findForUser(userId, memeId) : null;
+    if (!meme) return null;
+
+    const slug = (meme.template_name || 'meme').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const filePath = meme.image_id ? this.getRenderedMemePath(meme.image_id) : null;
+    return {
+      filePath,
+      url: filePath ? null : meme.image_url,
+      filename: `${slug || 'meme'}-${meme.id.slice(0, 8)}.png`
+    };
+  }
+
+  async getTemplateLayout(templateId) {
+    const template = await MemeTemplate.findByImgflipId(templateId);
+    if (!template) return null;
+
+    return {
+      templateId: template.id,
+      name: template.name,
+      url: template.url,
+      boxCount: template.box_count,
+      boxGuidelines: template.box_guidelines,
+      source: template.box_layout ? template.box_layout_source : 'default',
+      boxLayout: resolveBoxLayout(template)
+    };
+  }
+
+  // `layout` must already be validated against the template's box count
+  async updateTemplateLayout(templateId, layout) {
+    await MemeTemplate.updateBoxLayout(templateId, layout, 'custom');
+    return this.getTemplateLayout(templateId);
+  }
+
+  // Back to the shipped seed if there is one, else the generic layout. Null for unknown templates.
+  async resetTemplateLayout(templateId) {
+    const template = await MemeTemplate.findByImgflipId(templateId);
+    if (!template) return null;
+
+    await MemeTemplate.updateBoxLayout(templateId, seededBoxLayout(templateId, template.box_count), 'seed');
+    return this.getTemplateLayout(templateId);
+  }
+
+  // Draws `texts` (box numbers by default) with the box outlines, without saving anything
+  async renderLayoutPreview(template, layout, texts = null) {
+    return MemeRenderer.render({
+      templateId: template.templateId,
+      templateUrl: template.url,
+      texts: texts || layout.map((_, index) => `Box ${index + 1}`),
+      boxes: layout,
+      showBoxes: true
+    });
+  }
+
+  async saveRenderedMeme(image) {
+    const imageId = uuidv4();
+    await fs.mkdir(RENDERED_MEMES_DIR, { recursive: true });
+    await fs.writeFile(path.join(RENDERED_MEMES_DIR, `${imageId}.png`), image);
+    return imageId;
+  }
+
+  // Null for anything that isn't an id we generated, so the id can't escape the directory
+  getRenderedMemePath(imageId) {
+    return isUuid(imageId) ? path.join(RENDERED_MEMES_DIR, `${imageId}.png`) : null;
+  }
+
+  hasImgflipCredentials() {
+    return !!(process.env.IMGFLIP_USERNAME && process.env.IMGFLIP_PASSWORD);
+  }
+
+  async createImgflipMeme(templateId, texts) {
     try {
-      if (!process.env.IMGFLIP_USERNAME || !process.env.IMGFLIP_PASSWORD) {
+      if (!this.hasImgflipCredentials()) {
         throw new Error('Imgflip credentials not configured. Set IMGFLIP_USERNAME and IMGFLIP_PASSWORD');
       }
 
@@ -366,16 +575,24 @@ Provide only the JSON response.`;
         formData.append(`boxes[${index}][text]`, text);
       });
 
-      const response = await fetch(this.imgflipCaptionUrl, {
-        method: 'POST',
-        body: formData,
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
+      const data = await imgflipGate.run(async () => {
+        const response = await fetch(this.imgflipCaptionUrl, {
+          method: 'POST',
+          body: formData,
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+          }
+        });
+
+        if (response.status === 429 || response.status >= 500) {
+          const error = new Error(`Imgflip API error: HTTP ${response.status}`);
+          error.status = response.status;
+          error.headers = response.headers;
+          throw error;
         }
+        return response.json();
       });
 
-      const data = await response.json();
-
       if (!data.success) {
         throw new Error(`Imgflip API error: ${data.error_message}`);
       }
@@ -383,7 +600,8 @@ Provide only the JSON response.`;
 
       return {
         imageUrl: data.data.url,
-        pageUrl: data.data.page_url
+        pageUrl: data.data.page_url,
+        renderer: 'imgflip'
       };
     } catch (error) {
       logger.logError(error, { context: 'CREATE_MEME_IMAGE' });
@@ -0,0 +1,115 @@
+import { ConfidentialClientApplication, DistributedCachePlugin } from '@azure/msal-node';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getRepository } from '../repositories/index.js';
+
+// Each signed-in account's MSAL cache, including its refresh token, is its own tokenCache
+// row, so background sync survives restarts and one user's refresh can't overwrite another's.
+const tokenCacheKey = (homeAccountId) => `account:${homeAccountId}`;
+
+// Load and persist failures only cost a fresh sign-in, so they are logged, not thrown
+const tokenCacheClient = {
+  async get(key) {
+    if (!key) return null;
+
+    try {
+      return await getRepository('tokenCache').get(key);
+    } catch (error) {
+      logger.warn('Failed to load MSAL token cache', { key, error: error.message });
+      return null;
+    }
+  },
+  async set(key, data) {
+    if (!key) return;
+
+    try {
+      await getRepository('tokenCache').set(key, data);
+    } catch (error) {
+      logger.warn('Failed to persist MSAL token cache', { key, error: error.message });
+    }
+  }
+};
+
+// Delegated (signed-in user) MSAL clients. A client only ever holds one account's cache
+// partition, so each token operation gets its own; before sign-in the partition is unknown
+// and is taken from the account MSAL returns.
+class MicrosoftAuthService {
+  constructor() {
+    this.SCOPES = [
+      'openid',
+      'profile',
+      'email',
+      'offline_access',
+      'Calendars.Read',
+      'MailboxSettings.Read',
+      'Chat.Read',
+      'Chat.ReadWrite',
+      'ChatMessage.Send',
+      'OnlineMeetings.Read',
+      'OnlineMeetings.ReadWrite'
+    ];
+  }
+
+  createClient(homeAccountId = null) {
+    return new ConfidentialClientApplication({
+      auth: {
+        clientId: config.external.microsoft.clientId,
+        authority: `https://login.microsoftonline.com/${config.external.microsoft.tenantId}`,
+        clientSecret: config.external.microsoft.clientSecret
+      },
+      cache: {
+        cachePlugin: new DistributedCachePlugin(tokenCacheClient, {
+          getKey: async () => homeAccountId ? tokenCacheKey(homeAccountId) : null,
+          extractKey: async (account) => tokenCacheKey(account.homeAccountId)
+        })
+      }
+    });
+  }
+
+  getAuthCodeUrl() {
+    return this.createClient().getAuthCodeUrl({
+      scopes: this.SCOPES,
+      redirectUri: config.external.microsoft.redirectUri,
+      prompt: 'consent'
+    });
+  }
+
+  acquireTokenByCode(code) {
+    return this.createClient().acquireTokenByCode({
+      code,
+      scopes: this.SCOPES,
+      redirectUri: config.external.microsoft.redirectUri
+    });
+  }
+
+  // Drops the account's cache partition, refresh token included
+  async removeAccount(homeAccountId) {
+    await getRepository('tokenCache').remove(tokenCacheKey(homeAccountId));
+    logger.info('Microsoft account removed from token cache', { homeAccountId });
+  }
+
+  // Uses the cached refresh token when the access token has expired
+  async acquireTokenForAccount(homeAccountId) {
+    const client = this.createClient(homeAccountId);
+    const account = await client.getTokenCache().getAccountByHomeId(homeAccountId);
+
+    if (!account) {
+      throw new AppError('Microsoft account is no longer signed in. Go to /api/auth/login', 401);
+    }
+
+    try {
+      const response = await client.acquireTokenSilent({
+        account,
+        scopes: this.SCOPES
+      });
+
+      return response.accessToken;
+    } catch (error) {
+      logger.warn('Silent token acquisition failed', { homeAccountId, error: error.message });
+      throw new AppError('Microsoft sign-in has expired. Go to /api/auth/login', 401);
+    }
+  }
+}
+
+export default new MicrosoftAuthService();
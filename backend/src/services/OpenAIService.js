@@ -1,31 +1,68 @@
-import OpenAI from 'openai';
+import crypto from 'crypto';
 import config from '../config/index.js';
+import LLMClient from './LLMClient.js';
+import { getRepository } from '../repositories/index.js';
+import { contextTagsSchema, memeUseCasesSchema } from './llmSchemas.js';
 import logger from '../utils/logger.js';
+import { formatZonedTime } from '../utils/time.js';
+
+const hashContent = (text) => crypto.createHash('sha256').update(text).digest('hex');
 
 class OpenAIService {
-  constructor() {
-    this.client = new OpenAI({
-      apiKey: config.openai.apiKey
-    });
+  async generateEmbedding(text, model = null) {
+    const [embedding] = await this.generateEmbeddings([text], model);
+    return embedding;
   }
   
-  async generateEmbedding(text, model = null) {
-    const startTime = Date.now();
+  // Embeds many texts in as few API calls as possible. Embeddings are cached by model and
+  // SHA-256 of the text, so an identical string is only sent to the API once per model.
+  async generateEmbeddings(texts, model = null) {
+    const embeddingModel = model || config.llm.models.embedding;
+    const hashes = texts.map(hashContent);
+    const embeddings = await this.readEmbeddingCache(embeddingModel, [...new Set(hashes)]);
+    
+    const missing = new Map();
+    hashes.forEach((hash, index) => {
+      if (!embeddings.has(hash)) missing.set(hash, texts[index]);
+    });
+    
+    const pending = [...missing.entries()];
+    const { embeddingBatchSize } = config.llm;
+    
+    for (let i = 0; i < pending.length; i += embeddingBatchSize) {
+      const batch = pending.slice(i, i + embeddingBatchSize);
+      
+      try {
+        const vectors = await LLMClient.embed(batch.map(([, text]) => text), { model: embeddingModel });
+        const entries = batch.map(([hash], index) => ({ hash, embedding: vectors[index] }));
+        
+        entries.forEach(({ hash, embedding }) => embeddings.set(hash, embedding));
+        await this.writeEmbeddingCache(embeddingModel, entries);
+      } catch (error) {
+        logger.logError(error, { context: 'GENERATE_EMBEDDINGS', batchSize: batch.length, text: batch[0][1].substring(0, 100) });
+        throw error;
+      }
+    }
     
+    logger.debug('Embeddings resolved', { requested: texts.length, embedded: pending.length, model: embeddingModel });
+    return hashes.map(hash => embeddings.get(hash));
+  }
+  
+  // The cache only saves cost; a storage failure must not break embedding
+  async readEmbeddingCache(model, hashes) {
     try {
-      const response = await this.client.embeddings.create({
-        model: model || config.openai.embeddingModel,
-        input: text,
-        encoding_format: 'float'
-      });
-      
-      const duration = Date.now() - startTime;
-      
-      return response.data[0].embedding;
+      return await getRepository('embeddingCache').getMany(model, hashes);
     } catch (error) {
-      const duration = Date.now() - startTime;
-      logger.logError(error, { text: text.substring(0, 100) });
-      throw error;
+      logger.warn('Embedding cache read failed', { error: error.message });
+      return new Map();
+    }
+  }
+  
+  async writeEmbeddingCache(model, entries) {
+    try {
+      await getRepository('embeddingCache').setMany(model, entries);
+    } catch (error) {
+      logger.warn('Embedding cache write failed', { error: error.message });
     }
   }
   
@@ -33,51 +70,32 @@ class OpenAIService {
     return await this.chat(messages, options);
   }
   
+  // `options.task` picks the configured model for that task (see config.llm.models)
   async chat(messages, options = {}) {
-    const startTime = Date.now();
+    const { task = 'default', ...params } = options;
     
-    const defaultOptions = {
-      model: config.openai.model,
+    return await LLMClient.chat(task, messages, {
       temperature: 0.7,
       max_tokens: 2000,
-      ...options
-    };
-    
-    try {
-      const response = await this.client.chat.completions.create({
-        messages,
-        ...defaultOptions
-      });
-      
-      const duration = Date.now() - startTime;
-      
-      return {
-        content: response.choices[0].message.content,
-        usage: response.usage,
-        model: response.model,
-        finishReason: response.choices[0].finish_reason
-      };
-    } catch (error) {
-      const duration = Date.now() - startTime;
-      logger.logError(error, { messageCount: messages.length });
-      throw error;
-    }
+      ...params
+    });
   }
 
   async generateContextTags(context) {
-    const { emotionData, calendarEvents, description } = context;
+    const { emotionData, calendar, description } = context;
     
     const contextPrompt = `
       Analyze the following context and extract meaningful insights that would be further used in YouTube:
       
       1. User description of how they are feeling: ${description || 'No description provided'}
       
-      2. Emotional State from Selfie:
-      - All Emotions: ${JSON.stringify(emotionData?.emotions || {}, null, 2)}
-      - Primary Emotion: ${emotionData?.primaryEmotion || 'Unknown'}
+      2. Emotional State ${emotionData?.source === 'text' ? 'inferred from the description text (no selfie provided)' : 'from Selfie'}:
+      - All Emotions (scores from 0 to 1): ${JSON.stringify(emotionData?.emotions || {}, null, 2)}
+      - Primary Emotion: ${emotionData?.primaryEmotion || 'Unknown'}${emotionData?.teamMood ? `
+      - Team photo: these are the blended emotions of ${emotionData.teamMood.faceCount} people` : ''}
       
-      3. Today's Calendar (${calendarEvents?.length || 0} events):
-      ${calendarEvents?.map(event => `- ${event.subject}: ${event.start?.dateTime} to ${event.end?.dateTime}`).join('\n') || 'No events scheduled'}
+      3. Today's Calendar (${calendar?.events.length || 0} events${calendar ? `, times in ${calendar.timeZone}` : ''}):
+      ${this.describeCalendar(calendar)}
       
       Based on this context, provide:
       1. A list of meaningful YouTube searchable tags that capture the essence of the user's current state and context
@@ -90,53 +108,92 @@ class OpenAIService {
       }
     `;
     
-    try {
-      const response = await this.generateCompletion([
-        {
-          role: 'user',
-          content: contextPrompt
-        }
-      ], {
-        model: 'gpt-4',
-        temperature: 0.7,
-        max_tokens: 500
-      });
+    return await LLMClient.chatJson('tags', [
+      {
+        role: 'user',
+        content: contextPrompt
+      }
+    ], contextTagsSchema, {
+      temperature: 0.7,
+      max_tokens: 500
+    });
+  }
 
-      const result = JSON.parse(response.content);
-      
-      
-      return result;
-    } catch (error) {
-      logger.error('Failed to generate context tags', { error: error.message });
-      return { tags: [], contextDescription: '' };
+  describeCalendar(calendar) {
+    if (!calendar?.events.length) {
+      return 'No events scheduled';
     }
+    
+    const { events, signals, timeZone } = calendar;
+    const time = (iso) => iso ? formatZonedTime(iso, timeZone) : '?';
+    
+    const eventLines = events.map(event => {
+      const details = [
+        event.organizer?.name && `organized by ${event.organizer.name}`,
+        event.attendeeCount !== null && event.attendeeCount !== undefined && `${event.attendeeCount} attendees`,
+        event.isOnlineMeeting && 'Teams call',
+        event.showAs && event.showAs !== 'busy' && `shown as ${event.showAs}`,
+        event.importance === 'high' && 'high importance',
+        event.categories?.length && `categories: ${event.categories.join(', ')}`
+      ].filter(Boolean);
+      
+      return `- ${time(event.start)}-${time(event.end)} ${event.subject || 'No subject'}${details.length ? ` (${details.join('; ')})` : ''}`;
+    });
+    
+    const { backToBack, nextFreeGap } = signals;
+    const signalLines = [
+      `- Total meeting time: ${signals.meetingMinutes} minutes across ${signals.busyMeetingCount} meetings`,
+      `- Currently in a meeting: ${signals.inMeeting ? `yes (${signals.currentMeeting})` : 'no'}`,
+      `- Minutes until next meeting: ${signals.minutesUntilNextMeeting ?? 'none left today'}`,
+      `- Next free gap: ${nextFreeGap.minutes ?? 'rest of the day'}${nextFreeGap.minutes !== null ? ' minutes' : ''} starting ${time(nextFreeGap.start)}`,
+      `- Back-to-back: ${backToBack.currentStreak > 1 ? `in a streak of ${backToBack.currentStreak} meetings until ${time(backToBack.currentStreakEndsAt)}` : 'not in a streak'}; longest today is ${backToBack.longestStreak} meetings (${backToBack.longestStreakMinutes} minutes)`
+    ];
+    
+    return `${eventLines.join('\n      ')}
+      
+      Calendar signals:
+      ${signalLines.join('\n      ')}`;
+  }
+
+  buildVideoEmbeddingText(video, comments = []) {
+    const commentsText = comments.map(comment => 
+      comment.text ||
+      ''
+    ).join(' ');
+    
+    return [
+      video.title || '',
+      video.description || '',
+      commentsText
+    ].filter(text => text.trim()).join(' ');
   }
 
   async generateVideoEmbedding(video, comments = []) {
+    const [embedding] = await this.generateVideoEmbeddings([{ video, comments }]);
+    return embedding;
+  }
+
+  // items: [{ video, comments }]; returns embeddings in the same order, null where there is no text
+  async generateVideoEmbeddings(items, model = null) {
+    const texts = items.map(({ video, comments }) => this.buildVideoEmbeddingText(video, comments));
+    const embeddable = texts
+      .map((text, index) => ({ text, index }))
+      .filter(({ text, index }) => {
+        if (text.trim()) return true;
+        logger.warn('No text to embed for video', { videoId: items[index].video.videoId });
+        return false;
+      });
+    
     try {
-      const commentsText = comments.map(comment => 
-        comment.text ||
-        ''
-      ).join(' ');
-      
-      const textToEmbed = [
-        video.title || '',
-        video.description || '',
-        commentsText
-      ].filter(text => text.trim()).join(' ');
-      
-      if (!textToEmbed.trim()) {
-        logger.warn('No text to embed for video', { videoId: video.videoId });
-        return null;
-      }
-      
-      const embedding = await this.generateEmbedding(textToEmbed);
-      
-      
-      return embedding;
+      const embeddings = await this.generateEmbeddings(embeddable.map(({ text }) => text), model);
+      const results = items.map(() => null);
+      embeddable.forEach(({ index }, position) => {
+        results[index] = embeddings[position];
+      });
+      return results;
     } catch (error) {
-      logger.error('Failed to generate video embedding', {
-        videoId: video.videoId,
+      logger.error('Failed to generate video embeddings', {
+        videoIds: items.map(({ video }) => video.videoId),
         error: error.message
       });
       throw error;
@@ -163,35 +220,15 @@ Format as JSON:
 
 Provide only the JSON response.`;
 
-    try {
-      const response = await this.chat([
-        {
-          role: 'user',
-          content: prompt
-        }
-      ], {
-        temperature: 0.7,
-        max_tokens: 800
-      });
-
-      let cleanContent = response.content.trim();
-      if (cleanContent.startsWith('```json')) {
-        cleanContent = cleanContent.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-      } else if (cleanContent.startsWith('```')) {
-        cleanContent = cleanContent.replace(/^```\s*/, '').replace(/\s*```$/, '');
+    return await LLMClient.chatJson('memeUseCases', [
+      {
+        role: 'user',
+        content: prompt
       }
-
-      const result = JSON.parse(cleanContent);
-      
-      
-      return result;
-    } catch (error) {
-      logger.logError(error, { memeName: name });
-      return {
-        useCases: [],
-        boxGuidelines: {}
-      };
-    }
+    ], memeUseCasesSchema, {
+      temperature: 0.7,
+      max_tokens: 800
+    });
   }
 
 }
@@ -1,7 +1,12 @@
+import { randomUUID } from 'crypto';
 import { ConfidentialClientApplication } from '@azure/msal-node';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
-import { getConnection } from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import TeamsMeeting from '../models/TeamsMeeting.js';
+import User from '../models/User.js';
+import { getZonedDayBounds, graphDateTimeToUtc, resolveTimeZone } from '../utils/time.js';
+import { summarizeCalendar } from '../utils/calendar.js';
 import 'isomorphic-fetch';
 
 class TeamsService {
@@ -36,14 +41,16 @@ class TeamsService {
     }
   }
   
-  async makeGraphApiCall(endpoint, userToken = null, method = 'GET', body = null) {
+  // `endpoint` is relative to GRAPH_API_BASE_URL, or an absolute URL such as an @odata.nextLink
+  async makeGraphApiCall(endpoint, userToken = null, method = 'GET', body = null, { prefer = [] } = {}) {
     const accessToken = userToken || await this.getAccessToken();
     
     const options = {
       method,
       headers: {
         'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        'Prefer': ['outlook.timezone="UTC"', ...prefer].join(', ')
       }
     };
     
@@ -51,11 +58,14 @@ class TeamsService {
       options.body = JSON.stringify(body);
     }
     
-    const response = await fetch(`https://graph.microsoft.com/v1.0${endpoint}`, options);
+    const url = /^https?:\/\//.test(endpoint) ? endpoint : `${this.clientConfig.graphBaseUrl}${endpoint}`;
+    const response = await fetch(url, options);
     
     if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`Graph API error: ${response.status} - ${error}`);
+      const errorBody = await response.text();
+      const error = new Error(`Graph API error: ${response.status} - ${errorBody}`);
+      error.status = response.status;
+      throw error;
     }
     
     return response.json();
@@ -66,7 +76,7 @@ class TeamsService {
       const userEmail = options.userEmail || userPrincipalName || 'me';
       
       if (!options.forceRefresh) {
-        const cachedEvents = await this.getCachedMeetings(userEmail, options);
+        const cachedEvents = await this.getCachedMeetings(userEmail);
         if (cachedEvents && cachedEvents.length > 0) {
           return cachedEvents;
         }
@@ -79,7 +89,7 @@ class TeamsService {
         '$filter': `start/dateTime ge '${startDateTime}' and end/dateTime le '${endDateTime}'`,
         '$orderby': 'start/dateTime',
         '$top': options.maxResults || 50,
-        '$select': 'id,subject,start,end,bodyPreview'
+        '$select': 'id,subject,start,end,bodyPreview,organizer,attendees,importance,isOnlineMeeting,showAs,categories'
       });
       
       const endpoint = options.userToken
@@ -101,14 +111,80 @@ class TeamsService {
   }
   
   formatCalendarEvents(events) {
-    return events.map(event => ({
-      id: event.id,
-      subject: event.subject,
-      start: event.start?.dateTime,
-      end: event.end?.dateTime,
-      duration: this.calculateDuration(event.start?.dateTime, event.end?.dateTime),
-      bodyPreview: event.bodyPreview || ''
-    }));
+    return events.map(event => {
+      const start = graphDateTimeToUtc(event.start);
+      const end = graphDateTimeToUtc(event.end);
+      
+      return {
+        id: event.id,
+        subject: event.subject,
+        start: start?.toISOString() || null,
+        end: end?.toISOString() || null,
+        duration: this.calculateDuration(start, end),
+        bodyPreview: event.bodyPreview || '',
+        organizer: {
+          name: event.organizer?.emailAddress?.name || null,
+          email: event.organizer?.emailAddress?.address || null
+        },
+        attendeeCount: Array.isArray(event.attendees) ? event.attendees.length : null,
+        importance: event.importance || null,
+        isOnlineMeeting: typeof event.isOnlineMeeting === 'boolean' ? event.isOnlineMeeting : null,
+        showAs: event.showAs || null,
+        categories: event.categories || []
+      };
+    });
+  }
+
+  async getMailboxTimeZone(userPrincipalName, userToken = null) {
+    const endpoint = userToken
+      ? '/me/mailboxSettings'
+      : `/users/${userPrincipalName}/mailboxSettings`;
+    
+    const settings = await this.makeGraphApiCall(endpoint, userToken);
+    return resolveTimeZone(settings.timeZone);
+  }
+
+  // Stores the mailbox zone on the user record so "today" can be computed in local time later
+  async syncUserTimeZone(userEmail, userToken = null) {
+    const timeZone = await this.getMailboxTimeZone(userEmail, userToken);
+    if (!timeZone) {
+      logger.warn('Mailbox time zone not recognised', { userEmail });
+      return null;
+    }
+    
+    const userId = userEmail.toLowerCase();
+    await User.upsert({ id: userId, email: userEmail, isAnonymous: false });
+    await User.setTimeZone(userId, timeZone);
+    return timeZone;
+  }
+
+  async getUserTimeZone(userEmail) {
+    const fallback = resolveTimeZone(this.clientConfig.defaultTimeZone) || 'UTC';
+    if (!userEmail) return fallback;
+    
+    try {
+      const user = await User.findById(userEmail.toLowerCase());
+      return resolveTimeZone(user?.time_zone) || fallback;
+    } catch (error) {
+      logger.warn('Could not load user time zone', { userEmail, error: error.message });
+      return fallback;
+    }
+  }
+
+  // window: 'today' (local midnight to midnight in the user's zone) or 'upcoming' (now + hours)
+  async getMeetingWindow(userEmail, { window = 'upcoming', hours = 12 } = {}) {
+    const timeZone = await this.getUserTimeZone(userEmail);
+    const now = new Date();
+    
+    if (window === 'today') {
+      return { timeZone, ...getZonedDayBounds(timeZone, now) };
+    }
+    
+    return {
+      timeZone,
+      start: now,
+      end: new Date(now.getTime() + hours * 60 * 60 * 1000)
+    };
   }
 
 
@@ -148,25 +224,7 @@ class TeamsService {
 
   async sendEventMessage(eventId, message, userToken = null) {
     try {
-
-      const eventEndpoint = `/me/calendar/events/${eventId}`;
-      const event = await this.makeGraphApiCall(eventEndpoint, userToken);
-      
-      if (!event.isOnlineMeeting) {
-        throw new Error('Event is not a Teams meeting');
-      }
-      
-      const meetingUrl = event.onlineMeetingUrl || event.onlineMeeting?.joinUrl;
-      if (!meetingUrl) {
-        throw new Error('No Teams meeting URL found');
-      }
-      
-      const threadIdMatch = meetingUrl.match(/meetup-join\/([^\/\?]+)/);
-      if (!threadIdMatch) {
-        throw new Error('Could not extract thread ID from meeting URL');
-      }
-      
-      const threadId = decodeURIComponent(threadIdMatch[1]);
+      const threadId = await this.getEventChatThreadId(eventId, userToken);
       
       const messagePayload = {
         body: {
@@ -175,15 +233,7 @@ class TeamsService {
         }
       };
       
-      const chatEndpoint = `/chats/${threadId}/messages`;
-      const result = await this.makeGraphApiCall(chatEndpoint, userToken, 'POST', messagePayload);
-      
-      return {
-        success: true,
-        messageId: result.id,
-        chatThreadId: threadId,
-        sentAt: result.createdDateTime
-      };
+      return await this.postChatMessage(threadId, messagePayload, userToken);
       
     } catch (error) {
       logger.error('Error sending event message', { eventId, error: error.message });
@@ -191,7 +241,87 @@ class TeamsService {
     }
   }
 
+  // Posts an adaptive card into the chat of the Teams meeting behind a calendar event
+  async shareToMeeting(eventId, card, userToken = null) {
+    try {
+      const threadId = await this.getEventChatThreadId(eventId, userToken);
+      const attachmentId = randomUUID();
+      
+      const messagePayload = {
+        body: {
+          contentType: 'html',
+          content: `<attachment id="${attachmentId}"></attachment>`
+        },
+        attachments: [{
+          id: attachmentId,
+          contentType: 'application/vnd.microsoft.card.adaptive',
+          content: JSON.stringify(card)
+        }]
+      };
+      
+      return await this.postChatMessage(threadId, messagePayload, userToken);
+      
+    } catch (error) {
+      logger.error('Error sharing to meeting', { eventId, error: error.message });
+      
+      if (error instanceof AppError) throw error;
+      if (error.status === 404) throw new AppError('Meeting not found', 404);
+      if (error.status === 401) throw new AppError('Login expired. Go to /api/auth/login', 401);
+      if (error.status === 403) throw new AppError('Not allowed to post in this meeting chat', 403);
+      throw error;
+    }
+  }
+
+  buildShareCard({ title, subtitle, imageUrl, linkUrl, linkTitle, message }) {
+    const openLink = linkUrl ? { type: 'Action.OpenUrl', url: linkUrl } : undefined;
+    
+    return {
+      type: 'AdaptiveCard',
+      $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+      version: '1.4',
+      body: [
+        message && { type: 'TextBlock', text: message, wrap: true },
+        { type: 'TextBlock', text: title, weight: 'Bolder', size: 'Medium', wrap: true },
+        subtitle && { type: 'TextBlock', text: subtitle, isSubtle: true, spacing: 'None', wrap: true },
+        imageUrl && { type: 'Image', url: imageUrl, size: 'Stretch', altText: title, selectAction: openLink }
+      ].filter(Boolean),
+      actions: openLink ? [{ ...openLink, title: linkTitle || 'Open' }] : []
+    };
+  }
+
+  // The meeting chat thread id is embedded in the event's Teams join URL
+  async getEventChatThreadId(eventId, userToken = null) {
+    const eventEndpoint = `/me/calendar/events/${encodeURIComponent(eventId)}`;
+    const event = await this.makeGraphApiCall(eventEndpoint, userToken);
+    
+    if (!event.isOnlineMeeting) {
+      throw new AppError('Event is not a Teams meeting', 400);
+    }
+    
+    const meetingUrl = event.onlineMeetingUrl || event.onlineMeeting?.joinUrl;
+    if (!meetingUrl) {
+      throw new AppError('No Teams meeting URL found', 400);
+    }
+    
+    const threadIdMatch = meetingUrl.match(/meetup-join\/([^\/\?]+)/);
+    if (!threadIdMatch) {
+      throw new AppError('Could not extract thread ID from meeting URL', 400);
+    }
+    
+    return decodeURIComponent(threadIdMatch[1]);
+  }
 
+  async postChatMessage(threadId, messagePayload, userToken = null) {
+    const chatEndpoint = `/chats/${threadId}/messages`;
+    const result = await this.makeGraphApiCall(chatEndpoint, userToken, 'POST', messagePayload);
+    
+    return {
+      success: true,
+      messageId: result.id,
+      chatThreadId: threadId,
+      sentAt: result.createdDateTime
+    };
+  }
 
   calculateDuration(startTime, endTime) {
     if (!startTime || !endTime) return 0;
@@ -204,68 +334,67 @@ class TeamsService {
 
   async cacheMeetings(userEmail, meetings) {
     try {
-      const conn = getConnection();
-      
       for (const meeting of meetings) {
-        const startTime = meeting.start ? new Date(new Date(meeting.start).getTime() + (6 * 60 * 60 * 1000)) : null;
-        const endTime = meeting.end ? new Date(new Date(meeting.end).getTime() + (6 * 60 * 60 * 1000)) : null;
-        
-        await conn.execute(`
-          INSERT INTO teams_meetings (
-            id, user_email, subject, start_time, end_time, duration_minutes, body_preview
-          ) VALUES (?, ?, ?, ?, ?, ?, ?)
-          ON DUPLICATE KEY UPDATE
-            subject = VALUES(subject),
-            start_time = VALUES(start_time),
-            end_time = VALUES(end_time),
-            duration_minutes = VALUES(duration_minutes),
-            body_preview = VALUES(body_preview),
-            updated_at = NOW()
-        `, [
-          meeting.id,
+        await TeamsMeeting.upsert({
+          id: meeting.id,
           userEmail,
-          meeting.subject,
-          startTime,
-          endTime,
-          meeting.duration,
-          meeting.bodyPreview || ''
-        ]);
+          subject: meeting.subject,
+          startTime: meeting.start ? new Date(meeting.start) : null,
+          endTime: meeting.end ? new Date(meeting.end) : null,
+          durationMinutes: meeting.duration,
+          bodyPreview: meeting.bodyPreview || '',
+          organizerName: meeting.organizer?.name,
+          organizerEmail: meeting.organizer?.email,
+          attendeeCount: meeting.attendeeCount,
+          importance: meeting.importance,
+          isOnlineMeeting: meeting.isOnlineMeeting,
+          showAs: meeting.showAs,
+          categories: meeting.categories
+        });
       }
     } catch (error) {
       logger.error('Failed to cache meetings', { userEmail, error: error.message });
     }
   }
 
-  async getCachedMeetings(userEmail) {
-    try {
-      const conn = getConnection();
+  // Cached meetings for the window plus derived schedule signals, for prompt building
+  async getCalendarContext(userEmail, windowOptions = {}) {
+    const { timeZone, start, end } = await this.getMeetingWindow(userEmail, windowOptions);
+    const events = await this.getCachedMeetings(userEmail, { start, end }) || [];
 
-      const now = new Date();
-      const nowAdjusted = new Date(now.getTime() + (3 * 60 * 60 * 1000));
-      
-      const next12Hours = new Date(nowAdjusted.getTime() + (12 * 60 * 60 * 1000));
+    return {
+      timeZone,
+      events,
+      signals: summarizeCalendar(events, { until: end })
+    };
+  }
 
-      const result = await conn.execute(`
-        SELECT * FROM teams_meetings 
-        WHERE user_email = ? 
-        AND (
-          (start_time >= ? AND start_time <= ?)  
-          OR 
-          (start_time < ? AND end_time > ?)       
-        )
-        ORDER BY start_time ASC
-      `, [userEmail, nowAdjusted, next12Hours, nowAdjusted, nowAdjusted]);
+  // Accepts window options for getMeetingWindow, or an already computed { start, end }
+  async getCachedMeetings(userEmail, windowOptions = {}) {
+    try {
+      const { start, end } = windowOptions.start && windowOptions.end
+        ? windowOptions
+        : await this.getMeetingWindow(userEmail, windowOptions);
+      const result = await TeamsMeeting.findInWindow(userEmail, start, end);
 
       return result.map(row => ({
         subject: row.subject,
-        start: row.start_time,
-        end: row.end_time,
+        start: row.start_time ? new Date(row.start_time).toISOString() : null,
+        end: row.end_time ? new Date(row.end_time).toISOString() : null,
         duration: row.duration_minutes,
         bodyPreview: row.body_preview || '',
         description: row.body_preview || '',
         id: row.id,
         meetingId: row.id,
-        organizer: row.user_email
+        organizer: {
+          name: row.organizer_name || null,
+          email: row.organizer_email || null
+        },
+        attendeeCount: row.attendee_count ?? null,
+        importance: row.importance || null,
+        isOnlineMeeting: row.is_online_meeting ?? null,
+        showAs: row.show_as || null,
+        categories: row.categories || []
       }));
     } catch (error) {
       logger.error('Failed to get cached meetings', { userEmail, error: error.message, stack: error.stack });
@@ -0,0 +1,117 @@
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+import YouTubeQuota from '../models/YouTubeQuota.js';
+import { formatZonedDate, getZonedDayBounds } from '../utils/time.js';
+
+// The daily quota resets at midnight Pacific Time
+const QUOTA_TIME_ZONE = 'America/Los_Angeles';
+
+// Units per call, from https://developers.google.com/youtube/v3/determine_quota_cost
+export const QUOTA_COSTS = {
+  search: 100,
+  videos: 1,
+  commentThreads: 1
+};
+
+export class QuotaExceededError extends AppError {
+  constructor(usage) {
+    super(`YouTube API quota for today is used up (${usage.used} of ${usage.limit} units). It resets at ${usage.resetsAt}.`, 429);
+    this.usage = usage;
+    this.retryAfterSeconds = Math.max(1, Math.ceil((new Date(usage.resetsAt).getTime() - Date.now()) / 1000));
+  }
+}
+
+// Keeps a per-day, per-endpoint ledger of the units we spend. Spending is checked and counted
+// in memory before each call, so concurrent requests can't overrun the limit, and the ledger
+// is written in the background. Units are charged even when a call fails, as YouTube does.
+class YouTubeQuotaService {
+  constructor() {
+    this.today = null;
+  }
+
+  getCost(endpoint) {
+    return QUOTA_COSTS[endpoint] ?? 1;
+  }
+
+  getDay(now = new Date()) {
+    return {
+      date: formatZonedDate(now, QUOTA_TIME_ZONE),
+      resetsAt: getZonedDayBounds(QUOTA_TIME_ZONE, now).end
+    };
+  }
+
+  // Re-reads the ledger so usage by other processes is picked up
+  async getUsage() {
+    const { date, resetsAt } = this.getDay();
+    const endpoints = await YouTubeQuota.findByDate(date);
+    const recorded = endpoints.reduce((sum, entry) => sum + entry.units, 0);
+
+    if (this.today?.date !== date) {
+      this.today = { date, used: 0, exhausted: false };
+    }
+    this.today.used = Math.max(this.today.used, recorded);
+
+    const limit = config.external.youtube.dailyQuota;
+    const used = this.today.exhausted ? Math.max(this.today.used, limit) : this.today.used;
+
+    return {
+      date,
+      limit,
+      used,
+      remaining: Math.max(0, limit - used),
+      exhausted: used >= limit,
+      resetsAt: resetsAt.toISOString(),
+      endpoints
+    };
+  }
+
+  async spend(endpoint) {
+    const { date } = this.getDay();
+    if (this.today?.date !== date) {
+      await this.getUsage();
+    }
+
+    const units = this.getCost(endpoint);
+    if (this.today.exhausted || this.today.used + units > config.external.youtube.dailyQuota) {
+      throw new QuotaExceededError(await this.getUsage());
+    }
+
+    this.today.used += units;
+    YouTubeQuota.record(date, endpoint, units)
+      .catch(error => logger.warn('Failed to record YouTube quota usage', { endpoint, error: error.message }));
+    return units;
+  }
+
+  // YouTube said so, whatever our ledger thinks (e.g. the key is shared with another app)
+  async markExhausted() {
+    const usage = await this.getUsage();
+    this.today.exhausted = true;
+    logger.warn('YouTube API quota exhausted', { date: usage.date, used: usage.used });
+    return this.getUsage();
+  }
+
+  // How many of `itemCount` items fit in what's left today. An item costs `unitsPerItem` plus
+  // `unitsPerResult` for each of up to `resultsPerItem` results. When not even one item fits
+  // with every result, one item is planned with fewer results.
+  async planBudget(itemCount, { unitsPerItem, resultsPerItem, unitsPerResult = 0 }) {
+    const usage = await this.getUsage();
+    const fullCost = unitsPerItem + resultsPerItem * unitsPerResult;
+    const items = Math.min(itemCount, Math.floor(usage.remaining / fullCost));
+
+    if (items > 0 || itemCount === 0) {
+      return { items, resultsPerItem, usage };
+    }
+
+    const affordableResults = unitsPerResult > 0
+      ? Math.floor((usage.remaining - unitsPerItem) / unitsPerResult)
+      : 0;
+    if (affordableResults >= 1) {
+      return { items: 1, resultsPerItem: Math.min(resultsPerItem, affordableResults), usage };
+    }
+
+    return { items: 0, resultsPerItem: 0, usage };
+  }
+}
+
+export default new YouTubeQuotaService();
@@ -2,11 +2,26 @@ import axios from 'axios';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
 import OpenAIService from './OpenAIService.js';
+import { parseIsoDuration } from '../utils/time.js';
+import { youtubeGate } from './ApiGate.js';
+import YouTubeQuotaService, { QUOTA_COSTS, QuotaExceededError } from './YouTubeQuotaService.js';
+
+// videos.list accepts at most 50 ids per call
+const VIDEO_IDS_PER_REQUEST = 50;
+
+const QUOTA_ERROR_REASONS = new Set(['quotaExceeded', 'dailyLimitExceeded']);
+
+// Quota units per call, not counting comment fetches for the videos returned
+export const QUOTA_ESTIMATES = {
+  searchShorts: QUOTA_COSTS.search + QUOTA_COSTS.videos,
+  recommendedVideos: QUOTA_COSTS.videos + QUOTA_COSTS.search + QUOTA_COSTS.videos,
+  comments: QUOTA_COSTS.commentThreads
+};
 
 class YouTubeService {
   constructor() {
     this.apiKey = config.external.youtube.apiKey;
-    this.baseUrl = 'https://www.googleapis.com/youtube/v3';
+    this.baseUrl = config.external.youtube.baseUrl;
   }
   
   extractVideoId(url) {
@@ -23,30 +38,48 @@ class YouTubeService {
     throw new Error('Invalid YouTube URL or video ID');
   }
 
+  // Every call is charged to the quota ledger; `path` names the endpoint, e.g. '/search'
+  get(path, params) {
+    const endpoint = path.slice(1);
+
+    return youtubeGate.run(async () => {
+      await YouTubeQuotaService.spend(endpoint);
+
+      try {
+        return await axios.get(`${this.baseUrl}${path}`, {
+          params: { ...params, key: this.apiKey }
+        });
+      } catch (error) {
+        const reason = error.response?.data?.error?.errors?.[0]?.reason;
+        if (error.response?.status === 403 && QUOTA_ERROR_REASONS.has(reason)) {
+          throw new QuotaExceededError(await YouTubeQuotaService.markExhausted());
+        }
+        throw error;
+      }
+    });
+  }
+
   
   async searchShorts(query, maxResults = 20) {
     const startTime = Date.now();
     
     try {
-      const searchResponse = await axios.get(`${this.baseUrl}/search`, {
-        params: {
-          part: 'snippet',
-          q: query,
-          type: 'video',
-          videoDuration: 'short',
-          maxResults: maxResults,
-          key: this.apiKey,
-          order: 'relevance',
-          regionCode: 'US',
-          relevanceLanguage: 'en'
-        }
+      const searchResponse = await this.get('/search', {
+        part: 'snippet',
+        q: query,
+        type: 'video',
+        videoDuration: 'short',
+        maxResults: maxResults,
+        order: 'relevance',
+        regionCode: 'US',
+        relevanceLanguage: 'en'
       });
 
       if (!searchResponse.data.items || searchResponse.data.items.length === 0) {
         return [];
       }
 
-      return searchResponse.data.items.map(item => ({
+      const shorts = searchResponse.data.items.map(item => ({
         videoId: item.id.videoId,
         title: item.snippet.title,
         url: `https://www.youtube.com/shorts/${item.id.videoId}`,
@@ -54,6 +87,8 @@ class YouTubeService {
         channelTitle: item.snippet.channelTitle,
         publishedAt: item.snippet.publishedAt
       }));
+
+      return await this.attachDurations(shorts);
       
     } catch (error) {
       const duration = Date.now() - startTime;
@@ -66,12 +101,9 @@ class YouTubeService {
     const startTime = Date.now();
     
     try {
-      const response = await axios.get(`${this.baseUrl}/videos`, {
-        params: {
-          part: 'snippet,statistics',
-          id: videoId,
-          key: this.apiKey
-        }
+      const response = await this.get('/videos', {
+        part: 'snippet,statistics,contentDetails',
+        id: videoId
       });
 
 
@@ -88,7 +120,8 @@ class YouTubeService {
         publishedAt: video.snippet.publishedAt,
         viewCount: video.statistics.viewCount,
         likeCount: video.statistics.likeCount,
-        commentCount: video.statistics.commentCount
+        commentCount: video.statistics.commentCount,
+        durationSeconds: parseIsoDuration(video.contentDetails?.duration)
       };
       
     } catch (error) {
@@ -99,16 +132,43 @@ class YouTubeService {
 
 
 
+  // Map of videoId -> duration in seconds; search results don't include contentDetails
+  async getVideoDurations(videoIds) {
+    const durations = new Map();
+    const uniqueIds = [...new Set(videoIds.filter(Boolean))];
+
+    for (let i = 0; i < uniqueIds.length; i += VIDEO_IDS_PER_REQUEST) {
+      const batch = uniqueIds.slice(i, i + VIDEO_IDS_PER_REQUEST);
+      const response = await this.get('/videos', {
+        part: 'contentDetails',
+        id: batch.join(',')
+      });
+
+      for (const item of response.data.items || []) {
+        durations.set(item.id, parseIsoDuration(item.contentDetails?.duration));
+      }
+    }
+
+    return durations;
+  }
+
+  async attachDurations(videos) {
+    try {
+      const durations = await this.getVideoDurations(videos.map(video => video.videoId));
+      return videos.map(video => ({ ...video, durationSeconds: durations.get(video.videoId) ?? null }));
+    } catch (error) {
+      logger.warn('Failed to fetch video durations', { count: videos.length, error: error.message });
+      return videos.map(video => ({ ...video, durationSeconds: null }));
+    }
+  }
+
   async getVideoComments(videoId, maxResults = 5) {
     try {
-      const response = await axios.get(`${this.baseUrl}/commentThreads`, {
-        params: {
-          part: 'snippet',
-          videoId: videoId,
-          order: 'relevance',
-          maxResults: maxResults,
-          key: this.apiKey
-        }
+      const response = await this.get('/commentThreads', {
+        part: 'snippet',
+        videoId: videoId,
+        order: 'relevance',
+        maxResults: maxResults
       });
 
       if (!response.data.items || response.data.items.length === 0) {
@@ -133,12 +193,9 @@ class YouTubeService {
 
   async getRecommendedVideos(videoId, maxResults = 10) {
     try {
-      const videoResponse = await axios.get(`${this.baseUrl}/videos`, {
-        params: {
-          part: 'snippet,statistics',
-          id: videoId,
-          key: this.apiKey
-        }
+      const videoResponse = await this.get('/videos', {
+        part: 'snippet,statistics',
+        id: videoId
       });
 
       if (!videoResponse.data.items?.length) {
@@ -158,15 +215,12 @@ class YouTubeService {
       const searchTerms = [...tags.slice(0, 3), ...titleWords.slice(0, 3)];
       const searchQuery = searchTerms.join(' ');
 
-      const searchResponse = await axios.get(`${this.baseUrl}/search`, {
-        params: {
-          part: 'snippet',
-          q: searchQuery,
-          type: 'video',
-          maxResults: maxResults + 5, // Get extra to filter out the original
-          order: 'relevance',
-          key: this.apiKey
-        }
+      const searchResponse = await this.get('/search', {
+        part: 'snippet',
+        q: searchQuery,
+        type: 'video',
+        maxResults: maxResults + 5, // Get extra to filter out the original
+        order: 'relevance'
       });
 
       const relatedVideos = searchResponse.data.items
@@ -184,7 +238,7 @@ class YouTubeService {
         }));
 
 
-      return relatedVideos;
+      return await this.attachDurations(relatedVideos);
 
     } catch (error) {
       logger.logError(error, { videoId, maxResults });
@@ -0,0 +1,65 @@
+import AWS from 'aws-sdk';
+import logger from '../../utils/logger.js';
+
+class AwsRekognitionProvider {
+  constructor() {
+    this.name = 'aws';
+
+    if (process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
+      this.rekognition = new AWS.Rekognition({
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        region: process.env.AWS_REGION || 'us-east-1'
+      });
+    }
+  }
+
+  isAvailable() {
+    return !!this.rekognition;
+  }
+
+  async analyzeImage(imageBuffer) {
+    if (!this.isAvailable()) {
+      throw new Error('AWS Rekognition not configured. Set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY');
+    }
+
+    try {
+      const params = {
+        Image: {
+          Bytes: imageBuffer
+        },
+        Attributes: ['ALL']
+      };
+
+      const result = await this.rekognition.detectFaces(params).promise();
+      
+      const faces = (result.FaceDetails || []).map(face => {
+        const emotions = {};
+        face.Emotions.forEach(emotion => {
+          emotions[emotion.Type.toLowerCase()] = emotion.Confidence;
+        });
+
+        return {
+          emotions,
+          ageRange: { low: face.AgeRange.Low, high: face.AgeRange.High },
+          gender: face.Gender.Value,
+          smile: face.Smile.Value,
+          confidence: face.Confidence,
+          boundingBox: face.BoundingBox ? {
+            left: face.BoundingBox.Left,
+            top: face.BoundingBox.Top,
+            width: face.BoundingBox.Width,
+            height: face.BoundingBox.Height
+          } : null
+        };
+      });
+
+      return { faces };
+    } catch (error) {
+      logger.error('AWS Rekognition error', error);
+      throw new Error(`Failed to analyze emotions with AWS: ${error.message}`);
+    }
+  }
+}
+
+export default AwsRekognitionProvider;
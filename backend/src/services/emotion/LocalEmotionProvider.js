@@ -0,0 +1,72 @@
+import crypto from 'crypto';
+import { EMOTION_LABELS } from './schema.js';
+
+const TEXT_LEXICON = {
+  happy: ['happy', 'glad', 'great', 'excited', 'joy', 'good', 'awesome', 'love', 'fun', 'cheerful', 'proud', 'energized'],
+  calm: ['calm', 'relaxed', 'chill', 'peaceful', 'fine', 'okay', 'ok', 'steady', 'rested', 'focused'],
+  sad: ['sad', 'down', 'tired', 'exhausted', 'lonely', 'blue', 'drained', 'bored', 'meh', 'unhappy'],
+  angry: ['angry', 'mad', 'annoyed', 'frustrated', 'furious', 'irritated', 'pissed'],
+  surprised: ['surprised', 'shocked', 'amazed', 'unexpected', 'wow'],
+  confused: ['confused', 'lost', 'unsure', 'stuck', 'overwhelmed', 'puzzled'],
+  disgusted: ['disgusted', 'gross', 'sick', 'fed up'],
+  fear: ['anxious', 'nervous', 'worried', 'stressed', 'scared', 'afraid', 'panic', 'deadline']
+};
+
+// Deterministic stand-in for development and CI: the same image always yields
+// the same emotions, derived from its SHA-256 digest, with no network calls.
+class LocalEmotionProvider {
+  constructor() {
+    this.name = 'local';
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async analyzeImage(imageBuffer) {
+    const digest = crypto.createHash('sha256').update(imageBuffer).digest();
+    const weights = EMOTION_LABELS.map((label, index) => digest[index] + 1);
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+    const emotions = {};
+    EMOTION_LABELS.forEach((label, index) => {
+      emotions[label] = Math.round((weights[index] / totalWeight) * 100);
+    });
+
+    const ageLow = 20 + (digest[8] % 30);
+
+    return {
+      faces: [{
+        emotions,
+        ageRange: { low: ageLow, high: ageLow + 8 },
+        gender: null,
+        smile: emotions.happy === Math.max(...Object.values(emotions)),
+        confidence: 99,
+        boundingBox: { left: 0.25, top: 0.2, width: 0.5, height: 0.6 }
+      }]
+    };
+  }
+
+  // Keyword counts over a small lexicon; text without any match reads as calm with low confidence
+  async analyzeText(text) {
+    const normalized = ` ${String(text || '').toLowerCase().replace(/[^a-z\s]/g, ' ').replace(/\s+/g, ' ')} `;
+    const emotions = {};
+    let matches = 0;
+
+    for (const [label, words] of Object.entries(TEXT_LEXICON)) {
+      emotions[label] = words.reduce((count, word) => count + normalized.split(` ${word} `).length - 1, 0);
+      matches += emotions[label];
+    }
+
+    if (matches === 0) {
+      return { emotions: { calm: 1 }, confidence: 0.2 };
+    }
+
+    return {
+      emotions,
+      confidence: Math.min(1, 0.4 + matches * 0.15)
+    };
+  }
+}
+
+export default LocalEmotionProvider;
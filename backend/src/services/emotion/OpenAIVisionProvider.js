@@ -0,0 +1,86 @@
+import config from '../../config/index.js';
+import LLMClient from '../LLMClient.js';
+import logger from '../../utils/logger.js';
+import { AppError } from '../../middleware/errorHandler.js';
+import { EMOTION_LABELS, llmEmotionResponseSchema, llmTextEmotionResponseSchema } from './schema.js';
+
+// Keeps the status of what failed: 502 for unusable model output, the upstream status otherwise
+const toProviderError = (message, error) => {
+  const wrapped = new AppError(`${message}: ${error.message}`, error.statusCode || error.status || 502);
+  wrapped.cause = error;
+  return wrapped;
+};
+
+class OpenAIVisionProvider {
+  constructor() {
+    this.name = 'openai';
+  }
+
+  isAvailable() {
+    return config.llm.isConfigured;
+  }
+
+  async analyzeImage(imageBuffer) {
+    try {
+      const base64Image = imageBuffer.toString('base64');
+      
+      const value = await LLMClient.chatJson('vision', [
+        {
+          role: "user",
+          content: [
+            {
+              type: "text",
+              text: `Analyze the emotions of every face in this photo. Return a JSON object with: faces (array, empty if no face is visible, one entry per face ordered left to right, each with emotions (object with a score from 0 to 1 for each of: ${EMOTION_LABELS.join(', ')}), dominantEmotion (one of those labels), confidence (0 to 1, how sure you are) and boundingBox (left, top, width, height as fractions of the image size)) and description (brief string). Be accurate and concise.`
+            },
+            {
+              type: "image_url",
+              image_url: {
+                url: `data:image/jpeg;base64,${base64Image}`
+              }
+            }
+          ]
+        }
+      ], llmEmotionResponseSchema, {
+        max_tokens: 800
+      });
+      
+      return {
+        faces: value.faces.map(face => ({
+          emotions: face.emotions,
+          primaryEmotion: face.dominantEmotion,
+          confidence: face.confidence,
+          boundingBox: face.boundingBox || null
+        })),
+        description: value.description
+      };
+    } catch (error) {
+      logger.error('OpenAI Vision error', error);
+      throw toProviderError('Failed to analyze emotions with OpenAI', error);
+    }
+  }
+
+  async analyzeText(text) {
+    try {
+      const value = await LLMClient.chatJson('textEmotion', [
+        {
+          role: "user",
+          content: `Estimate the emotional state of the person who wrote this text: "${text}". Return a JSON object with: emotions (object with a score from 0 to 1 for each of: ${EMOTION_LABELS.join(', ')}), dominantEmotion (one of those labels) and confidence (0 to 1, how clearly the text expresses a mood).`
+        }
+      ], llmTextEmotionResponseSchema, {
+        max_tokens: 200,
+        temperature: 0
+      });
+
+      return {
+        emotions: value.emotions,
+        primaryEmotion: value.dominantEmotion,
+        confidence: value.confidence
+      };
+    } catch (error) {
+      logger.error('OpenAI text sentiment error', error);
+      throw toProviderError('Failed to analyze text sentiment with OpenAI', error);
+    }
+  }
+}
+
+export default OpenAIVisionProvider;
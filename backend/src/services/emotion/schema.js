@@ -0,0 +1,268 @@
+import Joi from 'joi';
+import { AppError } from '../../middleware/errorHandler.js';
+
+export const EMOTION_LABELS = ['happy', 'calm', 'sad', 'angry', 'surprised', 'confused', 'disgusted', 'fear'];
+
+const LABEL_ALIASES = {
+  happiness: 'happy',
+  joy: 'happy',
+  neutral: 'calm',
+  relaxed: 'calm',
+  sadness: 'sad',
+  anger: 'angry',
+  surprise: 'surprised',
+  confusion: 'confused',
+  disgust: 'disgusted',
+  fearful: 'fear',
+  scared: 'fear',
+  afraid: 'fear'
+};
+
+const unitScore = Joi.number().min(0).max(1);
+
+const emotionScoresSchema = Joi.object(Object.fromEntries(EMOTION_LABELS.map(label => [label, unitScore.required()])));
+
+const boundingBoxSchema = Joi.object({
+  left: unitScore.required(),
+  top: unitScore.required(),
+  width: unitScore.required(),
+  height: unitScore.required()
+});
+
+const faceAttributes = {
+  ageRange: Joi.object({
+    low: Joi.number().integer().min(0).required(),
+    high: Joi.number().integer().min(0).required()
+  }).allow(null),
+  gender: Joi.string().allow(null),
+  smile: Joi.boolean().allow(null),
+  confidence: unitScore.required(),
+  boundingBox: boundingBoxSchema.allow(null)
+};
+
+const detectedFaceSchema = Joi.object({
+  index: Joi.number().integer().min(0).required(),
+  emotions: emotionScoresSchema.required(),
+  primaryEmotion: Joi.string().valid(...EMOTION_LABELS).allow(null).required(),
+  ...faceAttributes
+});
+
+export const emotionResultSchema = Joi.object({
+  provider: Joi.string().required(),
+  source: Joi.string().valid('face', 'text').required(),
+  faceDetected: Joi.boolean().required(),
+  emotions: emotionScoresSchema.required(),
+  primaryEmotion: Joi.string().valid(...EMOTION_LABELS).allow(null).required(),
+  confidence: unitScore.required(),
+  face: Joi.object(faceAttributes).allow(null).required(),
+  faces: Joi.array().items(detectedFaceSchema).required(),
+  selectedFaceIndex: Joi.number().integer().min(0).allow(null).required(),
+  selection: Joi.string().valid('auto', 'requested', 'team').allow(null).required(),
+  teamMood: Joi.object({
+    faceCount: Joi.number().integer().min(1).required(),
+    emotions: emotionScoresSchema.required(),
+    primaryEmotion: Joi.string().valid(...EMOTION_LABELS).allow(null).required()
+  }).allow(null).required(),
+  description: Joi.string().allow('', null)
+});
+
+const llmFaceSchema = Joi.object({
+  emotions: Joi.object().pattern(Joi.string(), Joi.number().min(0).max(100)).min(1).required(),
+  dominantEmotion: Joi.string().allow(null),
+  confidence: Joi.number().min(0).max(100),
+  boundingBox: Joi.object({
+    left: unitScore.required(),
+    top: unitScore.required(),
+    width: unitScore.required(),
+    height: unitScore.required()
+  }).allow(null)
+}).unknown();
+
+// Raw vision-model output; scores may be percentages or fractions and labels may be synonyms
+export const llmEmotionResponseSchema = Joi.object({
+  faces: Joi.array().items(llmFaceSchema).required(),
+  description: Joi.string().allow('')
+}).unknown();
+
+export const llmTextEmotionResponseSchema = Joi.object({
+  emotions: Joi.object().pattern(Joi.string(), Joi.number().min(0).max(100)).min(1).required(),
+  dominantEmotion: Joi.string().allow(null),
+  confidence: Joi.number().min(0).max(100)
+}).unknown();
+
+export const normalizeEmotionLabel = (label) => {
+  if (!label) return null;
+  
+  const key = String(label).trim().toLowerCase();
+  const normalized = LABEL_ALIASES[key] || key;
+  return EMOTION_LABELS.includes(normalized) ? normalized : null;
+};
+
+const toUnit = (value, isPercentScale) => {
+  const number = Number(value) || 0;
+  const scaled = isPercentScale ? number / 100 : number;
+  return Math.round(Math.min(1, Math.max(0, scaled)) * 1000) / 1000;
+};
+
+export const normalizeEmotionScores = (rawEmotions = {}) => {
+  const values = Object.values(rawEmotions).map(Number).filter(Number.isFinite);
+  const isPercentScale = values.some(value => value > 1);
+  
+  const scores = Object.fromEntries(EMOTION_LABELS.map(label => [label, 0]));
+  for (const [label, value] of Object.entries(rawEmotions)) {
+    const normalized = normalizeEmotionLabel(label);
+    if (normalized) {
+      scores[normalized] += toUnit(value, isPercentScale);
+    }
+  }
+  
+  const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+  if (total > 0) {
+    for (const label of EMOTION_LABELS) {
+      scores[label] = Math.round((scores[label] / total) * 1000) / 1000;
+    }
+  }
+  
+  return scores;
+};
+
+export const getPrimaryEmotion = (scores) => {
+  const [label, score] = Object.entries(scores).sort(([, a], [, b]) => b - a)[0] || [];
+  return score > 0 ? label : null;
+};
+
+const roundScores = (scores) => Object.fromEntries(
+  Object.entries(scores).map(([label, score]) => [label, Math.round(score * 1000) / 1000])
+);
+
+const toDetectedFace = (rawFace, index) => {
+  const emotions = normalizeEmotionScores(rawFace.emotions);
+  const confidence = rawFace.confidence ?? 1;
+  
+  return {
+    index,
+    emotions,
+    primaryEmotion: normalizeEmotionLabel(rawFace.primaryEmotion) || getPrimaryEmotion(emotions),
+    ageRange: rawFace.ageRange || null,
+    gender: rawFace.gender || null,
+    smile: rawFace.smile ?? null,
+    confidence: toUnit(confidence, confidence > 1),
+    boundingBox: rawFace.boundingBox || null
+  };
+};
+
+const faceArea = (face) => face.boundingBox ? face.boundingBox.width * face.boundingBox.height : 0;
+
+// Largest face wins, weighted by detection confidence so a blurry background face loses to the subject
+export const pickDefaultFace = (faces) => faces.reduce((best, face) => {
+  const score = (faceArea(face) || 1) * face.confidence;
+  const bestScore = (faceArea(best) || 1) * best.confidence;
+  return score > bestScore ? face : best;
+}, faces[0]);
+
+// Confidence-weighted blend of every face; faces count equally when none has any confidence
+export const aggregateTeamMood = (faces) => {
+  const totalConfidence = faces.reduce((sum, face) => sum + face.confidence, 0);
+  const emotions = Object.fromEntries(EMOTION_LABELS.map(label => [label, 0]));
+  
+  for (const face of faces) {
+    const weight = totalConfidence > 0 ? face.confidence / totalConfidence : 1 / faces.length;
+    for (const label of EMOTION_LABELS) {
+      emotions[label] += face.emotions[label] * weight;
+    }
+  }
+  
+  const rounded = roundScores(emotions);
+  return {
+    faceCount: faces.length,
+    emotions: rounded,
+    primaryEmotion: getPrimaryEmotion(rounded)
+  };
+};
+
+export const toCanonicalEmotionResult = (provider, raw, options = {}) => {
+  const { faceIndex = null, teamMood = false } = options;
+  const faces = (raw.faces || []).map(toDetectedFace);
+  const faceDetected = faces.length > 0;
+  
+  if (faceIndex !== null && faceIndex !== undefined && !faces[faceIndex]) {
+    throw new AppError(`Face index ${faceIndex} is out of range: ${faces.length} face(s) detected`, 400);
+  }
+  
+  const aggregate = teamMood && faces.length > 1 ? aggregateTeamMood(faces) : null;
+  let selectedFace = null;
+  let selection = null;
+  
+  if (faceDetected) {
+    if (faceIndex !== null && faceIndex !== undefined) {
+      selectedFace = faces[faceIndex];
+      selection = 'requested';
+    } else {
+      selectedFace = pickDefaultFace(faces);
+      selection = aggregate ? 'team' : 'auto';
+    }
+  }
+  
+  const emotions = aggregate && selection === 'team'
+    ? aggregate.emotions
+    : (selectedFace?.emotions || normalizeEmotionScores({}));
+  const primaryEmotion = aggregate && selection === 'team'
+    ? aggregate.primaryEmotion
+    : (selectedFace?.primaryEmotion || null);
+  
+  const result = {
+    provider,
+    source: 'face',
+    faceDetected,
+    emotions,
+    primaryEmotion,
+    confidence: selectedFace?.confidence || 0,
+    face: selectedFace ? {
+      ageRange: selectedFace.ageRange,
+      gender: selectedFace.gender,
+      smile: selectedFace.smile,
+      confidence: selectedFace.confidence,
+      boundingBox: selectedFace.boundingBox
+    } : null,
+    faces,
+    selectedFaceIndex: selectedFace ? selectedFace.index : null,
+    selection,
+    teamMood: aggregate,
+    description: raw.description || null
+  };
+  
+  const { error, value } = emotionResultSchema.validate(result);
+  if (error) {
+    throw new Error(`Invalid emotion result from ${provider}: ${error.message}`);
+  }
+  
+  return value;
+};
+
+// Text sentiment has no face, so only the score fields are populated
+export const toCanonicalTextEmotionResult = (provider, raw) => {
+  const emotions = normalizeEmotionScores(raw.emotions);
+  const confidence = raw.confidence ?? 0;
+  
+  const result = {
+    provider,
+    source: 'text',
+    faceDetected: false,
+    emotions,
+    primaryEmotion: normalizeEmotionLabel(raw.primaryEmotion) || getPrimaryEmotion(emotions),
+    confidence: toUnit(confidence, confidence > 1),
+    face: null,
+    faces: [],
+    selectedFaceIndex: null,
+    selection: null,
+    teamMood: null,
+    description: raw.description || null
+  };
+  
+  const { error, value } = emotionResultSchema.validate(result);
+  if (error) {
+    throw new Error(`Invalid text emotion result from ${provider}: ${error.message}`);
+  }
+  
+  return value;
+};
@@ -0,0 +1,22 @@
+import Joi from 'joi';
+
+// Shapes of the JSON replies we ask the LLM for. Validated by LLMClient.chatJson.
+
+export const contextTagsSchema = Joi.object({
+  tags: Joi.array().items(Joi.string().trim().min(1).max(100)).min(1).max(20).required(),
+  contextDescription: Joi.string().trim().min(1).required()
+}).unknown();
+
+export const memeUseCasesSchema = Joi.object({
+  useCases: Joi.string().trim().min(1).required(),
+  boxGuidelines: Joi.string().trim().min(1).required()
+}).unknown();
+
+// Exactly one caption per text box of the template
+export const memeTextSchema = (boxCount) => Joi.object({
+  texts: Joi.array()
+    .items(Joi.string().trim().max(200).allow(''))
+    .length(boxCount)
+    .required(),
+  explanation: Joi.string().allow('').default('')
+}).unknown();
@@ -0,0 +1,75 @@
+const MINUTE_MS = 60 * 1000;
+
+// Meetings separated by at most this gap still count as back-to-back
+export const BACK_TO_BACK_GAP_MINUTES = 5;
+
+const toMinutes = (ms) => Math.round(ms / MINUTE_MS);
+
+// Events shown as free (e.g. FYI invites) don't block the user's time
+const isBusy = (meeting) => meeting.showAs !== 'free' && !!meeting.start && !!meeting.end;
+
+const buildStreaks = (busy) => {
+  const streaks = [];
+
+  for (const meeting of busy) {
+    const last = streaks[streaks.length - 1];
+
+    if (last && meeting.startMs - last.endMs <= BACK_TO_BACK_GAP_MINUTES * MINUTE_MS) {
+      last.count++;
+      last.endMs = Math.max(last.endMs, meeting.endMs);
+    } else {
+      streaks.push({ count: 1, startMs: meeting.startMs, endMs: meeting.endMs });
+    }
+  }
+
+  return streaks;
+};
+
+// Derives schedule signals from meetings with ISO `start`/`end`. `until` bounds the
+// free gap after the last meeting; without it that gap is open-ended (minutes: null).
+export const summarizeCalendar = (meetings = [], { now = new Date(), until = null } = {}) => {
+  const nowMs = now.getTime();
+  const busy = meetings
+    .filter(isBusy)
+    .map(meeting => ({ ...meeting, startMs: Date.parse(meeting.start), endMs: Date.parse(meeting.end) }))
+    .filter(meeting => !isNaN(meeting.startMs) && !isNaN(meeting.endMs))
+    .sort((a, b) => a.startMs - b.startMs);
+
+  const streaks = buildStreaks(busy);
+  const longestStreak = streaks.reduce((best, streak) => (
+    !best || streak.count > best.count ? streak : best
+  ), null);
+  const currentStreak = streaks.find(streak => streak.startMs <= nowMs && streak.endMs > nowMs) || null;
+
+  const currentMeeting = busy.find(meeting => meeting.startMs <= nowMs && meeting.endMs > nowMs) || null;
+  const nextMeeting = busy.find(meeting => meeting.startMs > nowMs) || null;
+
+  // The next real break starts when the current back-to-back run is over
+  const freeFromMs = currentStreak ? currentStreak.endMs : nowMs;
+  const meetingAfterBreak = busy.find(meeting => meeting.startMs >= freeFromMs);
+  const untilMs = until ? new Date(until).getTime() : null;
+  const freeUntilMs = meetingAfterBreak ? meetingAfterBreak.startMs : untilMs;
+
+  return {
+    meetingCount: meetings.length,
+    busyMeetingCount: busy.length,
+    meetingMinutes: busy.reduce((total, meeting) => total + toMinutes(meeting.endMs - meeting.startMs), 0),
+    onlineMeetingCount: meetings.filter(meeting => meeting.isOnlineMeeting).length,
+    highImportanceCount: meetings.filter(meeting => meeting.importance === 'high').length,
+    largestAttendeeCount: Math.max(0, ...meetings.map(meeting => meeting.attendeeCount || 0)),
+    inMeeting: !!currentMeeting,
+    currentMeeting: currentMeeting?.subject || null,
+    nextMeeting: nextMeeting?.subject || null,
+    minutesUntilNextMeeting: nextMeeting ? toMinutes(nextMeeting.startMs - nowMs) : null,
+    nextFreeGap: {
+      start: new Date(freeFromMs).toISOString(),
+      minutes: freeUntilMs !== null ? Math.max(0, toMinutes(freeUntilMs - freeFromMs)) : null
+    },
+    backToBack: {
+      currentStreak: currentStreak?.count || 0,
+      currentStreakEndsAt: currentStreak ? new Date(currentStreak.endMs).toISOString() : null,
+      longestStreak: longestStreak?.count || 0,
+      longestStreakMinutes: longestStreak ? toMinutes(longestStreak.endMs - longestStreak.startMs) : 0
+    }
+  };
+};
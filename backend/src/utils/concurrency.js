@@ -0,0 +1,121 @@
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Refills `ratePerSecond` tokens per second up to `burst`. Waiters are served in order.
+// A rate of 0 disables the limit.
+export class TokenBucket {
+  constructor({ ratePerSecond, burst = Math.max(1, Math.ceil(ratePerSecond)) }) {
+    this.ratePerSecond = ratePerSecond;
+    this.burst = burst;
+    this.tokens = burst;
+    this.lastRefill = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) / 1000) * this.ratePerSecond);
+    this.lastRefill = now;
+  }
+
+  take() {
+    if (!this.ratePerSecond) return Promise.resolve();
+
+    const turn = this.queue.then(async () => {
+      this.refill();
+      if (this.tokens < 1) {
+        await sleep(Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000));
+        this.refill();
+      }
+      this.tokens -= 1;
+    });
+    this.queue = turn;
+    return turn;
+  }
+}
+
+// Returns `limit(fn)`, which runs `fn` once fewer than `concurrency` calls are in flight
+export const createLimiter = (concurrency) => {
+  const waiting = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= concurrency || waiting.length === 0) return;
+
+    const { fn, resolve, reject } = waiting.shift();
+    active++;
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (fn) => new Promise((resolve, reject) => {
+    waiting.push({ fn, resolve, reject });
+    next();
+  });
+};
+
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE']);
+
+// Works for axios errors (error.response.status) and errors that carry `status` themselves
+export const getErrorStatus = (error) => error?.response?.status ?? error?.status ?? null;
+
+export const isRetryableError = (error) => {
+  const status = getErrorStatus(error);
+  if (status === null) return RETRYABLE_NETWORK_CODES.has(error?.code);
+  return status === 429 || status >= 500;
+};
+
+const getRetryAfterMs = (error) => {
+  const headers = error?.response?.headers || error?.headers;
+  const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Exponential backoff with jitter; a Retry-After header wins when the server sends one
+export const withRetry = async (fn, {
+  attempts = 3,
+  baseDelayMs = 500,
+  maxDelayMs = 30000,
+  isRetryable = isRetryableError,
+  onRetry
+} = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= attempts || !isRetryable(error)) throw error;
+
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+      const delayMs = Math.min(maxDelayMs, getRetryAfterMs(error) ?? backoff / 2 + Math.random() * (backoff / 2));
+      if (onRetry) onRetry({ attempt, delayMs, error });
+      await sleep(delayMs);
+    }
+  }
+};
+
+// Like Promise.all(items.map(fn)) with at most `concurrency` calls in flight. Results keep
+// the input order; `fn` should handle its own errors, as the first rejection is rethrown.
+export const mapConcurrent = async (items, concurrency, fn) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+};
@@ -0,0 +1,137 @@
+import Joi from 'joi';
+
+// Text boxes are fractions of the image size, so one layout fits any resolution of a template
+const MARGIN = 0.04;
+const EDGE_BOX_HEIGHT = 0.22;
+
+export const LINE_HEIGHT = 1.1;
+
+// Everything about a box but its rectangle. maxLines null means as many as fit;
+// rotation is in degrees clockwise around the centre of the box.
+export const BOX_STYLE_DEFAULTS = {
+  align: 'center',
+  verticalAlign: 'middle',
+  color: '#ffffff',
+  outlineColor: '#000000',
+  maxLines: null,
+  rotation: 0
+};
+
+// Top and bottom captions for one or two boxes, otherwise equal horizontal bands
+export const defaultBoxLayout = (boxCount) => {
+  const width = 1 - MARGIN * 2;
+  const top = { x: MARGIN, y: MARGIN / 2, width, height: EDGE_BOX_HEIGHT };
+  const bottom = { x: MARGIN, y: 1 - MARGIN / 2 - EDGE_BOX_HEIGHT, width, height: EDGE_BOX_HEIGHT };
+
+  if (boxCount <= 1) return [bottom];
+  if (boxCount === 2) return [top, bottom];
+
+  const height = (1 - MARGIN) / boxCount;
+  return Array.from({ length: boxCount }, (_, index) => ({
+    x: MARGIN,
+    y: MARGIN / 2 + index * height,
+    width,
+    height
+  }));
+};
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+const boxSchema = Joi.object({
+  x: Joi.number().min(0).max(1).required(),
+  y: Joi.number().min(0).max(1).required(),
+  width: Joi.number().greater(0).max(1).required(),
+  height: Joi.number().greater(0).max(1).required(),
+  align: Joi.string().valid('left', 'center', 'right').default(BOX_STYLE_DEFAULTS.align),
+  verticalAlign: Joi.string().valid('top', 'middle', 'bottom').default(BOX_STYLE_DEFAULTS.verticalAlign),
+  color: Joi.string().pattern(HEX_COLOR).default(BOX_STYLE_DEFAULTS.color),
+  outlineColor: Joi.string().pattern(HEX_COLOR).allow(null).default(BOX_STYLE_DEFAULTS.outlineColor),
+  maxLines: Joi.number().integer().min(1).max(10).allow(null).default(BOX_STYLE_DEFAULTS.maxLines),
+  rotation: Joi.number().min(-180).max(180).default(BOX_STYLE_DEFAULTS.rotation)
+}).custom((box, helpers) => {
+  // Rounding in layout editors shouldn't push a box that touches the edge out of the image
+  if (box.x + box.width > 1.001 || box.y + box.height > 1.001) {
+    return helpers.message('{{#label}} must lie inside the image');
+  }
+  return box;
+});
+
+// One box per text box of the template, in caption order
+export const boxLayoutSchema = (boxCount) => Joi.array().items(boxSchema).length(boxCount).required();
+
+// Fills in the style defaults; `{ error }` describes the first problem found
+export const validateBoxLayout = (layout, boxCount) => boxLayoutSchema(boxCount).validate(layout, {
+  stripUnknown: true
+});
+
+// The stored layout of a template row, or the generic one for its box count
+export const resolveBoxLayout = (template) => {
+  const boxCount = template.box_count || 2;
+  const stored = Array.isArray(template.box_layout) && template.box_layout.length === boxCount
+    ? template.box_layout
+    : defaultBoxLayout(boxCount);
+
+  return stored.map(box => ({ ...BOX_STYLE_DEFAULTS, ...box }));
+};
+
+// No font metrics are available before rasterising, so widths are estimated in ems.
+// The estimate errs wide: Impact is narrower than the fallback fonts it may resolve to.
+const charWidth = (char) => {
+  if (' .,:;!|\'"iIlj1()[]'.includes(char)) return 0.36;
+  if ('MW@%&'.includes(char)) return 0.95;
+  return 0.68;
+};
+
+export const estimateTextWidth = (text, fontSize) => [...text].reduce((sum, char) => sum + charWidth(char), 0) * fontSize;
+
+// Greedy word wrap; words wider than the line are split across lines
+export const wrapText = (text, fontSize, maxWidth) => {
+  const lines = [];
+  let line = '';
+
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (estimateTextWidth(candidate, fontSize) <= maxWidth) {
+      line = candidate;
+      continue;
+    }
+
+    if (line) lines.push(line);
+    line = '';
+
+    for (const char of word) {
+      if (line && estimateTextWidth(line + char, fontSize) > maxWidth) {
+        lines.push(line);
+        line = '';
+      }
+      line += char;
+    }
+  }
+
+  if (line) lines.push(line);
+  return lines;
+};
+
+// Largest font size at which the wrapped text fits `width` x `height` pixels in at most
+// `maxLines` lines. Text that doesn't fit even at `minFontSize` keeps the lines that do,
+// the last one ending in "...".
+export const fitText = (text, { width, height }, { minFontSize = 12, maxFontSize = 72, maxLines: lineLimit = null } = {}) => {
+  const upper = Math.max(minFontSize, Math.min(maxFontSize, Math.floor(height)));
+
+  for (let fontSize = upper; ; fontSize = Math.max(minFontSize, fontSize - 2)) {
+    const lines = wrapText(text, fontSize, width);
+    if (lines.length * fontSize * LINE_HEIGHT <= height && (!lineLimit || lines.length <= lineLimit)) {
+      return { fontSize, lines };
+    }
+    if (fontSize === minFontSize) break;
+  }
+
+  const fittingLines = Math.max(1, Math.floor(height / (minFontSize * LINE_HEIGHT)));
+  const maxLines = lineLimit ? Math.min(lineLimit, fittingLines) : fittingLines;
+  const lines = wrapText(text, minFontSize, width);
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = `${lines[maxLines - 1].replace(/.{0,3}$/, '')}...`;
+  }
+  return { fontSize: minFontSize, lines };
+};
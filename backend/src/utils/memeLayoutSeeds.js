@@ -0,0 +1,127 @@
+import { validateBoxLayout } from './memeLayout.js';
+
+// Hand-placed text boxes for popular Imgflip templates, keyed by Imgflip id, in the order
+// Imgflip numbers the boxes. Positions are fractions of the image; anything left out takes
+// BOX_STYLE_DEFAULTS. They are starting points: tune them with PUT /api/memes/templates/:id/layout.
+const DARK_TEXT = { color: '#000000', outlineColor: null };
+
+const SEEDED_BOX_LAYOUTS = {
+  // Two panels on the right of Drake rejecting, then approving
+  '181913649': {
+    name: 'Drake Hotline Bling',
+    boxes: [
+      { x: 0.52, y: 0.02, width: 0.46, height: 0.46, ...DARK_TEXT },
+      { x: 0.52, y: 0.52, width: 0.46, height: 0.46, ...DARK_TEXT }
+    ]
+  },
+  '87743020': {
+    name: 'Two Buttons',
+    boxes: [
+      { x: 0.08, y: 0.07, width: 0.26, height: 0.11, rotation: -12, maxLines: 3 },
+      { x: 0.38, y: 0.04, width: 0.26, height: 0.11, rotation: -12, maxLines: 3 },
+      { x: 0.04, y: 0.78, width: 0.92, height: 0.2 }
+    ]
+  },
+  // The woman in red, the boyfriend, the girlfriend
+  '112126428': {
+    name: 'Distracted Boyfriend',
+    boxes: [
+      { x: 0.06, y: 0.62, width: 0.34, height: 0.25 },
+      { x: 0.42, y: 0.32, width: 0.26, height: 0.25 },
+      { x: 0.68, y: 0.45, width: 0.3, height: 0.25 }
+    ]
+  },
+  '217743513': {
+    name: 'UNO Draw 25 Cards',
+    boxes: [
+      { x: 0.08, y: 0.22, width: 0.32, height: 0.22, maxLines: 4, ...DARK_TEXT },
+      { x: 0.04, y: 0.78, width: 0.92, height: 0.2 }
+    ]
+  },
+  '129242436': {
+    name: 'Change My Mind',
+    boxes: [
+      { x: 0.3, y: 0.62, width: 0.42, height: 0.22, rotation: -4, ...DARK_TEXT },
+      { x: 0.04, y: 0.02, width: 0.92, height: 0.2 }
+    ]
+  },
+  // Left sign, right sign, car
+  '124822590': {
+    name: 'Left Exit 12 Off Ramp',
+    boxes: [
+      { x: 0.2, y: 0.05, width: 0.3, height: 0.2, maxLines: 3 },
+      { x: 0.53, y: 0.05, width: 0.3, height: 0.2, maxLines: 3 },
+      { x: 0.38, y: 0.68, width: 0.36, height: 0.2 }
+    ]
+  },
+  '188390779': {
+    name: 'Woman Yelling At Cat',
+    boxes: [
+      { x: 0.02, y: 0.02, width: 0.46, height: 0.3 },
+      { x: 0.52, y: 0.02, width: 0.46, height: 0.3 }
+    ]
+  },
+  // One box per brain, in the white panels on the left
+  '93895088': {
+    name: 'Expanding Brain',
+    boxes: [0, 1, 2, 3].map(index => ({
+      x: 0.02,
+      y: 0.01 + index * 0.25,
+      width: 0.46,
+      height: 0.23,
+      ...DARK_TEXT
+    }))
+  },
+  '178591752': {
+    name: 'Tuxedo Winnie The Pooh',
+    boxes: [
+      { x: 0.52, y: 0.02, width: 0.46, height: 0.46, ...DARK_TEXT },
+      { x: 0.52, y: 0.52, width: 0.46, height: 0.46, ...DARK_TEXT }
+    ]
+  },
+  // Robin's line, then Batman's reply
+  '438680': {
+    name: 'Batman Slapping Robin',
+    boxes: [
+      { x: 0.02, y: 0.01, width: 0.46, height: 0.2, maxLines: 3, ...DARK_TEXT },
+      { x: 0.52, y: 0.01, width: 0.46, height: 0.2, maxLines: 3, ...DARK_TEXT }
+    ]
+  },
+  '252600902': {
+    name: 'Always Has Been',
+    boxes: [
+      { x: 0.02, y: 0.05, width: 0.5, height: 0.3 },
+      { x: 0.5, y: 0.15, width: 0.48, height: 0.25 }
+    ]
+  },
+  // Left arm, right arm, the handshake
+  '135256802': {
+    name: 'Epic Handshake',
+    boxes: [
+      { x: 0.02, y: 0.45, width: 0.35, height: 0.25 },
+      { x: 0.63, y: 0.45, width: 0.35, height: 0.25 },
+      { x: 0.3, y: 0.05, width: 0.4, height: 0.25 }
+    ]
+  },
+  // The man, the butterfly, the question
+  '100777631': {
+    name: 'Is This A Pigeon',
+    boxes: [
+      { x: 0.08, y: 0.35, width: 0.4, height: 0.2 },
+      { x: 0.6, y: 0.1, width: 0.38, height: 0.2 },
+      { x: 0.04, y: 0.78, width: 0.92, height: 0.2 }
+    ]
+  }
+};
+
+// The seed with its defaults filled in. Null when there is none, or when Imgflip now
+// reports a different number of boxes for the template.
+export const seededBoxLayout = (templateId, boxCount) => {
+  const seed = SEEDED_BOX_LAYOUTS[templateId];
+  if (!seed) return null;
+
+  const { error, value } = validateBoxLayout(seed.boxes, boxCount);
+  return error ? null : value;
+};
+
+export const seededTemplateIds = () => Object.keys(SEEDED_BOX_LAYOUTS);
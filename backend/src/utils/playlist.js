@@ -0,0 +1,20 @@
+export const getTotalSeconds = (videos) => videos.reduce((total, video) => total + (video.duration_seconds || 0), 0);
+
+// Keeps the most relevant videos (input order) whose combined runtime fits in `maxSeconds`.
+// Videos of unknown length are left out because they could overrun the break.
+export const fitPlaylist = (videos, maxSeconds, maxVideos = Infinity) => {
+  const playlist = [];
+  let totalSeconds = 0;
+
+  for (const video of videos) {
+    if (playlist.length >= maxVideos) break;
+
+    const duration = video.duration_seconds;
+    if (!duration || totalSeconds + duration > maxSeconds) continue;
+
+    playlist.push(video);
+    totalSeconds += duration;
+  }
+
+  return { videos: playlist, totalSeconds };
+};
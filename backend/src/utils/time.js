@@ -0,0 +1,208 @@
+// Outlook mailbox settings report Windows zone names; Intl only understands IANA ones
+const WINDOWS_TO_IANA = {
+  'Dateline Standard Time': 'Etc/GMT+12',
+  'UTC-11': 'Etc/GMT+11',
+  'Hawaiian Standard Time': 'Pacific/Honolulu',
+  'Alaskan Standard Time': 'America/Anchorage',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'Pacific Standard Time (Mexico)': 'America/Tijuana',
+  'US Mountain Standard Time': 'America/Phoenix',
+  'Mountain Standard Time': 'America/Denver',
+  'Central America Standard Time': 'America/Guatemala',
+  'Central Standard Time': 'America/Chicago',
+  'Central Standard Time (Mexico)': 'America/Mexico_City',
+  'Canada Central Standard Time': 'America/Regina',
+  'SA Pacific Standard Time': 'America/Bogota',
+  'Eastern Standard Time': 'America/New_York',
+  'US Eastern Standard Time': 'America/Indianapolis',
+  'Venezuela Standard Time': 'America/Caracas',
+  'Atlantic Standard Time': 'America/Halifax',
+  'SA Western Standard Time': 'America/La_Paz',
+  'Pacific SA Standard Time': 'America/Santiago',
+  'Newfoundland Standard Time': 'America/St_Johns',
+  'E. South America Standard Time': 'America/Sao_Paulo',
+  'Argentina Standard Time': 'America/Buenos_Aires',
+  'Greenland Standard Time': 'America/Godthab',
+  'UTC-02': 'Etc/GMT+2',
+  'Azores Standard Time': 'Atlantic/Azores',
+  'Cape Verde Standard Time': 'Atlantic/Cape_Verde',
+  'UTC': 'Etc/UTC',
+  'Coordinated Universal Time': 'Etc/UTC',
+  'GMT Standard Time': 'Europe/London',
+  'Greenwich Standard Time': 'Atlantic/Reykjavik',
+  'Morocco Standard Time': 'Africa/Casablanca',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central European Standard Time': 'Europe/Warsaw',
+  'W. Central Africa Standard Time': 'Africa/Lagos',
+  'GTB Standard Time': 'Europe/Bucharest',
+  'E. Europe Standard Time': 'Europe/Chisinau',
+  'FLE Standard Time': 'Europe/Kiev',
+  'Egypt Standard Time': 'Africa/Cairo',
+  'South Africa Standard Time': 'Africa/Johannesburg',
+  'Israel Standard Time': 'Asia/Jerusalem',
+  'Turkey Standard Time': 'Europe/Istanbul',
+  'Jordan Standard Time': 'Asia/Amman',
+  'Arabic Standard Time': 'Asia/Baghdad',
+  'Arab Standard Time': 'Asia/Riyadh',
+  'Russian Standard Time': 'Europe/Moscow',
+  'E. Africa Standard Time': 'Africa/Nairobi',
+  'Iran Standard Time': 'Asia/Tehran',
+  'Arabian Standard Time': 'Asia/Dubai',
+  'Caucasus Standard Time': 'Asia/Yerevan',
+  'Afghanistan Standard Time': 'Asia/Kabul',
+  'West Asia Standard Time': 'Asia/Tashkent',
+  'Pakistan Standard Time': 'Asia/Karachi',
+  'India Standard Time': 'Asia/Calcutta',
+  'Sri Lanka Standard Time': 'Asia/Colombo',
+  'Nepal Standard Time': 'Asia/Katmandu',
+  'Central Asia Standard Time': 'Asia/Almaty',
+  'Bangladesh Standard Time': 'Asia/Dhaka',
+  'Myanmar Standard Time': 'Asia/Rangoon',
+  'SE Asia Standard Time': 'Asia/Bangkok',
+  'North Asia Standard Time': 'Asia/Krasnoyarsk',
+  'China Standard Time': 'Asia/Shanghai',
+  'Singapore Standard Time': 'Asia/Singapore',
+  'Taipei Standard Time': 'Asia/Taipei',
+  'W. Australia Standard Time': 'Australia/Perth',
+  'Korea Standard Time': 'Asia/Seoul',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'Cen. Australia Standard Time': 'Australia/Adelaide',
+  'AUS Central Standard Time': 'Australia/Darwin',
+  'E. Australia Standard Time': 'Australia/Brisbane',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'Tasmania Standard Time': 'Australia/Hobart',
+  'West Pacific Standard Time': 'Pacific/Port_Moresby',
+  'Central Pacific Standard Time': 'Pacific/Guadalcanal',
+  'New Zealand Standard Time': 'Pacific/Auckland',
+  'Fiji Standard Time': 'Pacific/Fiji',
+  'Tonga Standard Time': 'Pacific/Tongatapu'
+};
+
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Accepts IANA or Windows zone names and returns an IANA name, or null when unknown
+export const resolveTimeZone = (timeZone) => {
+  if (!timeZone) return null;
+  if (WINDOWS_TO_IANA[timeZone]) return WINDOWS_TO_IANA[timeZone];
+  return isValidTimeZone(timeZone) ? timeZone : null;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  return Object.fromEntries(
+    parts.filter(part => part.type !== 'literal').map(part => [part.type, Number(part.value)])
+  );
+};
+
+// Minutes to add to UTC to get wall-clock time in `timeZone` at the given instant
+export const getTimeZoneOffsetMinutes = (timeZone, date = new Date()) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+// Converts a wall-clock time in `timeZone` to the UTC instant, trying the offset in effect
+// the day before, then the day after. Like Date, a time repeated by a DST overlap resolves
+// to its first occurrence, and a time skipped by a DST gap moves forward by the gap.
+export const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offsetBefore = getTimeZoneOffsetMinutes(timeZone, new Date(wallClockAsUtc - DAY_MS));
+  const offsetAfter = getTimeZoneOffsetMinutes(timeZone, new Date(wallClockAsUtc + DAY_MS));
+
+  for (const offset of [offsetBefore, offsetAfter]) {
+    const instant = new Date(wallClockAsUtc - offset * 60000);
+    if (getTimeZoneOffsetMinutes(timeZone, instant) === offset) return instant;
+  }
+
+  return new Date(wallClockAsUtc - offsetBefore * 60000);
+};
+
+// Local midnight to the next local midnight in `timeZone`, as UTC instants
+export const getZonedDayBounds = (timeZone, date = new Date()) => {
+  const today = getZonedParts(date, timeZone);
+  const tomorrow = new Date(Date.UTC(today.year, today.month - 1, today.day + 1));
+
+  return {
+    start: zonedTimeToUtc({ year: today.year, month: today.month, day: today.day }, timeZone),
+    end: zonedTimeToUtc({
+      year: tomorrow.getUTCFullYear(),
+      month: tomorrow.getUTCMonth() + 1,
+      day: tomorrow.getUTCDate()
+    }, timeZone)
+  };
+};
+
+// Graph returns `{ dateTime, timeZone }` with no offset in `dateTime`
+export const graphDateTimeToUtc = (graphDateTime) => {
+  if (!graphDateTime?.dateTime) return null;
+
+  const { dateTime, timeZone } = graphDateTime;
+  if (/([zZ]|[+-]\d{2}:\d{2})$/.test(dateTime)) {
+    return new Date(dateTime);
+  }
+
+  const zone = resolveTimeZone(timeZone) || 'Etc/UTC';
+  const match = dateTime.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  return zonedTimeToUtc({ year, month, day, hour, minute, second }, zone);
+};
+
+// TiDB DATETIME columns carry no zone; we always write and read them as UTC
+export const toUtcSqlDateTime = (date) => date ? new Date(date).toISOString().slice(0, 19).replace('T', ' ') : null;
+
+export const fromUtcSqlDateTime = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  return new Date(`${String(value).replace(' ', 'T')}Z`);
+};
+
+// "HH:MM" wall-clock time in `timeZone`
+export const formatZonedTime = (date, timeZone) => new Intl.DateTimeFormat('en-GB', {
+  timeZone,
+  hourCycle: 'h23',
+  hour: '2-digit',
+  minute: '2-digit'
+}).format(new Date(date));
+
+// "YYYY-MM-DD" calendar date in `timeZone`
+export const formatZonedDate = (date, timeZone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+}).format(new Date(date));
+
+// YouTube contentDetails.duration is ISO 8601, e.g. "PT1M5S" or "P1DT2H"
+export const parseIsoDuration = (duration) => {
+  const match = typeof duration === 'string'
+    && duration.match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/);
+  if (!match) return null;
+
+  const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  return Math.round(Number(days) * 86400 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds));
+};
@@ -0,0 +1,42 @@
+export const cosineSimilarity = (a, b) => {
+  if (!a || !b || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+// Brute-force top-k: rows are scored with `getEmbedding(row)` and rows without an embedding are skipped
+export const rankBySimilarity = (rows, embedding, getEmbedding, { limit, threshold }) => rows
+  .filter(row => getEmbedding(row))
+  .map(row => ({ row, similarity: cosineSimilarity(getEmbedding(row), embedding) }))
+  .filter(({ similarity }) => similarity >= threshold)
+  .sort((a, b) => b.similarity - a.similarity)
+  .slice(0, limit);
+
+// Rows with an embedding, counted per model and dimension
+export const countByEmbeddingModel = (rows, getEmbedding) => {
+  const counts = new Map();
+
+  for (const row of rows) {
+    const embedding = getEmbedding(row);
+    if (!embedding) continue;
+
+    const key = `${row.embedding_model}:${embedding.length}`;
+    const entry = counts.get(key) || { model: row.embedding_model ?? null, dimensions: embedding.length, total: 0 };
+    entry.total++;
+    counts.set(key, entry);
+  }
+  return [...counts.values()];
+};
+
+export const isStaleEmbedding = (row, embedding, model) => Boolean(embedding) && row.embedding_model !== model;
@@ -0,0 +1,148 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { startTestApp, DEVICE_ID } from '../support/testApp.js';
+import { STAND_IN_MEMES } from '../support/standIns/imgflip.js';
+import { videoIdFor } from '../support/standIns/youtube.js';
+
+const OTHER_DEVICE = { 'X-Device-Id': 'another-test-device' };
+
+// fetch() always sends the real Host header, so this uses http.get to send another one
+const getWithHost = (url, host) => new Promise((resolve, reject) => {
+  http.get(url, { headers: { Host: host, 'X-Device-Id': DEVICE_ID } }, (response) => {
+    response.resume();
+    response.on('end', () => resolve(response.statusCode));
+  }).on('error', reject);
+});
+
+describe('meme gallery', () => {
+  let app;
+  let created;
+
+  before(async () => {
+    app = await startTestApp();
+
+    const { body } = await app.request('POST', '/memes/ingest', { body: { count: STAND_IN_MEMES.length } });
+    const job = await app.waitForJob(body.data.jobId);
+    assert.equal(job.status, 'completed', job.error);
+  });
+
+  after(() => app?.close());
+
+  it('saves every created meme to the creator\'s history', async () => {
+    const videoId = videoIdFor('gallery-video');
+    const first = await app.request('POST', '/memes/create', {
+      body: { description: 'Three meetings before lunch', video_id: videoId }
+    });
+    const second = await app.request('POST', '/memes/create', {
+      body: { description: 'Inbox zero at last' }
+    });
+    assert.equal(first.status, 200, first.body.error);
+    assert.equal(second.status, 200, second.body.error);
+    created = [first.body.data, second.body.data];
+    assert.ok(created.every(result => result.memeId));
+
+    const { status, body } = await app.request('GET', '/memes');
+    assert.equal(status, 200);
+    assert.equal(body.data.total, 2);
+    assert.deepEqual(
+      body.data.memes.map(meme => meme.id).sort(),
+      created.map(result => result.memeId).sort()
+    );
+
+    const meme = body.data.memes.find(item => item.id === created[0].memeId);
+    assert.equal(meme.templateId, created[0].memeTemplate.id);
+    assert.equal(meme.templateName, created[0].memeTemplate.name);
+    assert.deepEqual(meme.texts, created[0].memeText.texts);
+    assert.equal(meme.explanation, created[0].memeText.explanation);
+    assert.equal(meme.emotion.primaryEmotion, created[0].emotionAnalysis.primaryEmotion);
+    assert.equal(meme.video.id, videoId);
+    assert.equal(meme.imageUrl, created[0].createdMeme.imageUrl);
+    assert.equal(meme.renderer, 'local');
+    assert.equal(meme.isFavorite, false);
+    assert.ok(!Number.isNaN(Date.parse(meme.createdAt)));
+  });
+
+  it('keeps each caller\'s memes private', async () => {
+    const { memeId } = created[0];
+    const list = await app.request('GET', '/memes', { headers: OTHER_DEVICE });
+    const single = await app.request('GET', `/memes/${memeId}`, { headers: OTHER_DEVICE });
+    const favorite = await app.request('PUT', `/memes/${memeId}/favorite`, { headers: OTHER_DEVICE });
+    const removal = await app.request('DELETE', `/memes/${memeId}`, { headers: OTHER_DEVICE });
+    const anonymous = await app.request('GET', '/memes', { headers: { 'X-Device-Id': '' } });
+
+    assert.equal(list.body.data.total, 0);
+    assert.equal(single.status, 404);
+    assert.equal(favorite.status, 404);
+    assert.equal(removal.status, 404);
+    assert.equal(anonymous.status, 400);
+
+    const own = await app.request('GET', `/memes/${memeId}`);
+    assert.equal(own.status, 200);
+    assert.equal(own.body.data.isFavorite, false);
+  });
+
+  it('only builds links from trusted Host headers', async () => {
+    const { memeId } = created[0];
+
+    assert.equal(await getWithHost(`${app.baseUrl}/memes/${memeId}`, 'attacker.example'), 400);
+    assert.equal(await getWithHost(`${app.baseUrl}/memes`, 'attacker.example:3002'), 400);
+    assert.equal(await getWithHost(`${app.baseUrl}/memes/${memeId}`, 'localhost:3002'), 200);
+  });
+
+  it('favourites and unfavourites memes', async () => {
+    const { memeId } = created[1];
+
+    const favorited = await app.request('PUT', `/memes/${memeId}/favorite`);
+    assert.equal(favorited.status, 200);
+    assert.equal(favorited.body.data.isFavorite, true);
+
+    const favorites = await app.request('GET', '/memes?favorites=true');
+    assert.deepEqual(favorites.body.data.memes.map(meme => meme.id), [memeId]);
+
+    const unfavorited = await app.request('DELETE', `/memes/${memeId}/favorite`);
+    assert.equal(unfavorited.body.data.isFavorite, false);
+
+    const none = await app.request('GET', '/memes?favorites=true');
+    assert.equal(none.body.data.total, 0);
+  });
+
+  it('pages through the history', async () => {
+    const page = await app.request('GET', '/memes?limit=1&offset=1');
+    assert.equal(page.status, 200);
+    assert.equal(page.body.data.count, 1);
+    assert.equal(page.body.data.total, 2);
+
+    const invalid = await app.request('GET', '/memes?limit=0');
+    assert.equal(invalid.status, 400);
+  });
+
+  it('downloads a meme again as an attachment', async () => {
+    const { body } = await app.request('GET', `/memes/${created[0].memeId}`);
+    // Plain links can't send X-Device-Id, so they carry it as a query parameter
+    const response = await fetch(`${body.data.downloadUrl}?deviceId=${DEVICE_ID}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'image/png');
+    assert.match(response.headers.get('content-disposition'), /^attachment; filename=".+\.png"$/);
+
+    const image = Buffer.from(await response.arrayBuffer());
+    const original = Buffer.from(await (await fetch(created[0].createdMeme.imageUrl)).arrayBuffer());
+    assert.ok(image.equals(original));
+  });
+
+  it('deletes a meme and its rendered image', async () => {
+    const { memeId, createdMeme } = created[0];
+
+    const { status } = await app.request('DELETE', `/memes/${memeId}`);
+    assert.equal(status, 200);
+
+    const again = await app.request('DELETE', `/memes/${memeId}`);
+    const image = await fetch(createdMeme.imageUrl);
+    const { body } = await app.request('GET', '/memes');
+
+    assert.equal(again.status, 404);
+    assert.equal(image.status, 404);
+    assert.deepEqual(body.data.memes.map(meme => meme.id), [created[1].memeId]);
+  });
+});
@@ -0,0 +1,224 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { startTestApp } from '../support/testApp.js';
+import { STAND_IN_MEMES } from '../support/standIns/imgflip.js';
+import { videoIdFor } from '../support/standIns/youtube.js';
+
+const DESCRIPTION = 'Stuck choosing between two urgent tasks';
+const ADMIN_KEY = 'test-admin-key-0123456789';
+const admin = { 'X-Admin-Key': ADMIN_KEY };
+
+// How many pixels are white, and the rightmost column with one
+const findWhitePixels = async (image) => {
+  const { data, info } = await sharp(image).raw().toBuffer({ resolveWithObject: true });
+  let count = 0;
+  let maxX = -1;
+  for (let i = 0; i < data.length; i += info.channels) {
+    if (data[i] > 240 && data[i + 1] > 240 && data[i + 2] > 240) {
+      count++;
+      maxX = Math.max(maxX, (i / info.channels) % info.width);
+    }
+  }
+  return { count, maxX, width: info.width };
+};
+
+// White captions confined to the left half of the image
+const leftHalfLayout = (boxCount) => Array.from({ length: boxCount }, (_, index) => ({
+  x: 0.02,
+  y: index / boxCount,
+  width: 0.4,
+  height: 1 / boxCount,
+  align: 'left',
+  color: '#ffffff'
+}));
+
+describe('meme workflow', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestApp({ env: { MEME_IMGFLIP_FALLBACK: 'true', ADMIN_API_KEY: ADMIN_KEY } });
+  });
+
+  after(() => app?.close());
+
+  it('ingests Imgflip templates with generated use cases', async () => {
+    const { status, body } = await app.request('POST', '/memes/ingest', { body: { count: STAND_IN_MEMES.length } });
+    assert.equal(status, 202);
+
+    const job = await app.waitForJob(body.data.jobId);
+    assert.equal(job.status, 'completed', job.error);
+    assert.equal(job.result.successful, STAND_IN_MEMES.length);
+    assert.equal(job.result.databaseCountAfter, STAND_IN_MEMES.length);
+
+    const useCasePrompts = app.standIns.openai.requestsTo('/v1/chat/completions')
+      .filter(request => request.body.messages[0].content.includes('Analyze this popular meme template'));
+    assert.equal(useCasePrompts.length, STAND_IN_MEMES.length);
+  });
+
+  it('renders the captions locally without sending them to Imgflip', async () => {
+    const videoId = videoIdFor('meme-video');
+    const { status, body } = await app.request('POST', '/memes/create', {
+      body: { description: DESCRIPTION, video_id: videoId }
+    });
+
+    assert.equal(status, 200, body.error);
+    const { memeTemplate, createdMeme, memeText, videoData } = body.data;
+    const template = STAND_IN_MEMES.find(meme => meme.id === memeTemplate.id);
+
+    assert.ok(template);
+    assert.equal(createdMeme.renderer, 'local');
+    assert.equal(createdMeme.pageUrl, null);
+    assert.ok(createdMeme.imageUrl.startsWith(`${app.baseUrl}/memes/images/`));
+    assert.equal(memeText.texts.length, template.box_count);
+    assert.match(videoData.title, new RegExp(videoId));
+    assert.equal(app.standIns.imgflip.requestsTo('/caption_image').length, 0);
+
+    const response = await fetch(createdMeme.imageUrl);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'image/png');
+    assert.equal(response.headers.get('cross-origin-resource-policy'), 'cross-origin');
+
+    const image = Buffer.from(await response.arrayBuffer());
+    const { width, height } = await sharp(image).metadata();
+    assert.deepEqual({ width, height }, { width: template.width, height: template.height });
+    assert.ok((await findWhitePixels(image)).count > 0, 'captions were drawn');
+  });
+
+  it('returns 404 for unknown meme images', async () => {
+    const unknown = await fetch(`${app.baseUrl}/memes/images/00000000-0000-4000-8000-000000000000`);
+    const invalid = await fetch(`${app.baseUrl}/memes/images/..%2F..%2Fpackage.json`);
+
+    assert.equal(unknown.status, 404);
+    assert.equal(invalid.status, 404);
+  });
+
+  it('seeds box layouts for known templates during ingestion', async () => {
+    const drake = await app.request('GET', '/memes/templates/181913649/layout', { headers: admin });
+    assert.equal(drake.status, 200);
+    assert.equal(drake.body.data.source, 'seed');
+    assert.equal(drake.body.data.boxLayout.length, 2);
+    assert.deepEqual(
+      drake.body.data.boxLayout.map(({ x, color, outlineColor }) => ({ x, color, outlineColor })),
+      [{ x: 0.52, color: '#000000', outlineColor: null }, { x: 0.52, color: '#000000', outlineColor: null }]
+    );
+
+    const unseeded = await app.request('GET', '/memes/templates/61579/layout', { headers: admin });
+    assert.equal(unseeded.status, 200);
+    assert.equal(unseeded.body.data.source, 'default');
+    assert.equal(unseeded.body.data.boxLayout.length, 2);
+    assert.equal(unseeded.body.data.boxLayout[0].align, 'center');
+  });
+
+  it('requires the admin key for layout endpoints', async () => {
+    const missing = await app.request('GET', '/memes/templates/181913649/layout');
+    const wrong = await app.request('GET', '/memes/templates/181913649/layout', {
+      headers: { 'X-Admin-Key': 'not-the-admin-key-at-all' }
+    });
+    const unknown = await app.request('GET', '/memes/templates/404/layout', { headers: admin });
+    const unknownReset = await app.request('DELETE', '/memes/templates/404/layout', { headers: admin });
+
+    assert.equal(missing.status, 401);
+    assert.equal(wrong.status, 401);
+    assert.equal(unknown.status, 404);
+    assert.equal(unknownReset.status, 404);
+  });
+
+  it('rejects layouts that do not fit the template', async () => {
+    const route = '/memes/templates/87743020/layout';
+    const wrongCount = await app.request('PUT', route, { headers: admin, body: { boxLayout: leftHalfLayout(2) } });
+    const outside = await app.request('PUT', route, {
+      headers: admin,
+      body: { boxLayout: [...leftHalfLayout(2), { x: 0.8, y: 0.8, width: 0.5, height: 0.1 }] }
+    });
+    const badColor = await app.request('PUT', route, {
+      headers: admin,
+      body: { boxLayout: leftHalfLayout(3).map(box => ({ ...box, color: 'red' })) }
+    });
+
+    assert.equal(wrongCount.status, 400);
+    assert.equal(outside.status, 400);
+    assert.match(outside.body.error, /inside the image/);
+    assert.equal(badColor.status, 400);
+
+    const { body } = await app.request('GET', route, { headers: admin });
+    assert.equal(body.data.source, 'seed');
+  });
+
+  it('previews a layout with its boxes outlined without saving it', async () => {
+    const response = await fetch(`${app.baseUrl}/memes/templates/112126428/layout/preview`, {
+      method: 'POST',
+      headers: { ...admin, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ boxLayout: leftHalfLayout(3), texts: ['one', 'two', 'three'] })
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'image/png');
+    const preview = await findWhitePixels(Buffer.from(await response.arrayBuffer()));
+    assert.ok(preview.count > 0);
+    assert.ok(preview.maxX < preview.width / 2, 'captions stay in their boxes');
+
+    const { body } = await app.request('GET', '/memes/templates/112126428/layout', { headers: admin });
+    assert.equal(body.data.source, 'seed');
+  });
+
+  it('renders memes with the edited layouts', async () => {
+    for (const meme of STAND_IN_MEMES) {
+      const { status, body } = await app.request('PUT', `/memes/templates/${meme.id}/layout`, {
+        headers: admin,
+        body: { boxLayout: leftHalfLayout(meme.box_count) }
+      });
+      assert.equal(status, 200, body.error);
+      assert.equal(body.data.source, 'custom');
+      assert.equal(body.data.boxLayout[0].verticalAlign, 'middle');
+    }
+
+    const { status, body } = await app.request('POST', '/memes/create', { body: { description: DESCRIPTION } });
+    assert.equal(status, 200, body.error);
+
+    const image = Buffer.from(await (await fetch(body.data.createdMeme.imageUrl)).arrayBuffer());
+    const rendered = await findWhitePixels(image);
+    assert.ok(rendered.count > 0);
+    assert.ok(rendered.maxX < rendered.width / 2, 'captions follow the stored layout');
+
+    const reset = await app.request('DELETE', '/memes/templates/181913649/layout', { headers: admin });
+    assert.equal(reset.status, 200);
+    assert.equal(reset.body.data.source, 'seed');
+    assert.equal(reset.body.data.boxLayout[0].x, 0.52);
+  });
+
+  it('falls back to Imgflip when the template image cannot be downloaded', async () => {
+    for (const meme of STAND_IN_MEMES) {
+      app.standIns.imgflip.route(`GET /images/${meme.id}.png`, () => ({ status: 404, body: { error: 'Not found' } }));
+    }
+    await fs.rm(path.join(app.workDir, 'uploads', 'templates'), { recursive: true, force: true });
+
+    const { status, body } = await app.request('POST', '/memes/create', { body: { description: DESCRIPTION } });
+
+    assert.equal(status, 200, body.error);
+    const { memeTemplate, createdMeme, memeText } = body.data;
+    assert.equal(createdMeme.renderer, 'imgflip');
+    assert.equal(createdMeme.imageUrl, `https://i.imgflip.com/stand-in-${memeTemplate.id}.jpg`);
+
+    const [caption] = app.standIns.imgflip.requestsTo('/caption_image');
+    assert.equal(caption.body.template_id, memeTemplate.id);
+    assert.equal(caption.body.username, 'test-imgflip-user');
+    assert.deepEqual(
+      memeText.texts.map((_, index) => caption.body[`boxes[${index}][text]`]),
+      memeText.texts
+    );
+  });
+
+  it('reports Imgflip caption failures', async () => {
+    app.standIns.imgflip.route('POST /caption_image', () => ({
+      body: { success: false, error_message: 'Template is temporarily unavailable' }
+    }));
+
+    const { status, body } = await app.request('POST', '/memes/create', { body: { description: DESCRIPTION } });
+
+    assert.equal(status, 500);
+    assert.match(body.error, /Template is temporarily unavailable/);
+  });
+});
@@ -0,0 +1,189 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp } from '../support/testApp.js';
+import { videoIdFor } from '../support/standIns/youtube.js';
+
+const USER_EMAIL = 'dana@example.com';
+const DESCRIPTION = 'Drained after a long planning meeting, need something light';
+const STAND_IN_TAGS = ['calm focus music', 'funny office moments'];
+// Only a real token works when recording with FIXTURE_MODE=record
+const GRAPH_TOKEN = process.env.GRAPH_ACCESS_TOKEN || 'stand-in-graph-token';
+const ADMIN_KEY = 'test-admin-key-0123456789';
+const NEXT_EMBEDDING_MODEL = 'text-embedding-3-small';
+
+describe('video workflows', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestApp({
+      env: { ADMIN_API_KEY: ADMIN_KEY, REEMBED_ALLOWED_MODELS: NEXT_EMBEDDING_MODEL }
+    });
+  });
+
+  after(() => app?.close());
+
+  it('syncs the signed-in user\'s calendar from Graph', async () => {
+    const { default: CalendarSyncService } = await import('../../src/services/CalendarSyncService.js');
+    const { default: TeamsService } = await import('../../src/services/TeamsService.js');
+
+    await CalendarSyncService.register(USER_EMAIL, 'stand-in-home-account');
+    const summary = await CalendarSyncService.syncUser(USER_EMAIL, { accessToken: GRAPH_TOKEN });
+    const timeZone = await TeamsService.syncUserTimeZone(USER_EMAIL, GRAPH_TOKEN);
+
+    assert.equal(summary.fullSync, true);
+    assert.equal(summary.upserted, 1);
+    assert.equal(timeZone, 'Etc/UTC');
+    assert.equal(app.standIns.graph.requestsTo('/v1.0/me/calendarView/delta')[0].headers.authorization, `Bearer ${GRAPH_TOKEN}`);
+  });
+
+  it('ingests shorts for the tags generated from the description and calendar', async () => {
+    const { status, body } = await app.request('POST', '/agent/ingest', {
+      body: { description: DESCRIPTION, userEmail: USER_EMAIL }
+    });
+    assert.equal(status, 202);
+
+    const job = await app.waitForJob(body.data.jobId);
+    assert.equal(job.status, 'completed', job.error);
+
+    const { analysis } = job.result;
+    assert.deepEqual(analysis.tags, STAND_IN_TAGS);
+    assert.equal(analysis.emotionSource, 'text');
+    assert.equal(analysis.primaryEmotion, 'calm');
+    assert.equal(analysis.calendar.eventCount, 1);
+    assert.equal(analysis.totalVideosStored, 20);
+    assert.equal(analysis.totalVideosFailed, 0);
+    // Per-event detail (tags, the current video, ...) goes to the event stream, not the stored job
+    assert.deepEqual(job.progress, { stored: 20, failed: 0, alreadyEmbedded: 0 });
+
+    const searches = app.standIns.youtube.requestsTo('/youtube/v3/search');
+    assert.deepEqual(searches.map(request => request.query.q).sort(), STAND_IN_TAGS);
+    assert.ok(searches.every(request => request.query.key === 'test-youtube-key'));
+
+    const tagPrompt = app.standIns.openai.requestsTo('/v1/chat/completions')
+      .map(request => request.body.messages[0].content)
+      .find(content => content.includes('YouTube searchable tags'));
+    assert.match(tagPrompt, /Quarterly planning review/);
+  });
+
+  it('skips comments and embeddings for videos that are already embedded', async () => {
+    const commentFetches = app.standIns.youtube.requestsTo('/youtube/v3/commentThreads').length;
+
+    const { body } = await app.request('POST', '/agent/ingest', { body: { description: DESCRIPTION } });
+    const job = await app.waitForJob(body.data.jobId);
+
+    assert.equal(job.status, 'completed', job.error);
+    assert.equal(job.result.analysis.totalVideosAlreadyEmbedded, 20);
+    assert.equal(app.standIns.youtube.requestsTo('/youtube/v3/commentThreads').length, commentFetches);
+  });
+
+  it('filters stored videos into a playlist that fits the requested minutes', async () => {
+    const { status, body } = await app.request('POST', '/agent/filter', {
+      body: { description: DESCRIPTION, userEmail: USER_EMAIL, maxMinutes: 2 }
+    });
+
+    assert.equal(status, 200, body.message);
+    assert.ok(body.data.filteredVideos.length > 0);
+    assert.equal(body.data.playlist.source, 'request');
+    assert.ok(body.data.playlist.totalSeconds <= 120);
+    assert.equal(body.data.emotion.source, 'text');
+  });
+
+  it('passes the status of a failed emotion analysis on to the caller', async () => {
+    const chat = 'POST /v1/chat/completions';
+    const original = app.standIns.openai.routes.get(chat);
+    const replyToEmotion = (reply) => app.standIns.openai.route(chat, (request, server) => (
+      /Estimate the emotional state/.test(JSON.stringify(request.body.messages)) ? reply : original(request, server)
+    ));
+
+    try {
+      replyToEmotion({ body: { choices: [{ index: 0, message: { role: 'assistant', content: 'no idea' }, finish_reason: 'stop' }] } });
+      const unusable = await app.request('POST', '/agent/filter', { body: { description: DESCRIPTION } });
+
+      replyToEmotion({ status: 429, body: { error: { message: 'Rate limit reached', type: 'requests' } } });
+      const limited = await app.request('POST', '/agent/filter', { body: { description: DESCRIPTION } });
+
+      assert.equal(unusable.status, 502);
+      assert.match(unusable.body.message, /Failed to analyze text sentiment/);
+      assert.equal(limited.status, 429);
+    } finally {
+      app.standIns.openai.route(chat, original);
+    }
+  });
+
+  it('does not return the same videos to the same device twice', async () => {
+    const first = await app.request('POST', '/agent/filter', { body: { description: DESCRIPTION } });
+    const second = await app.request('POST', '/agent/filter', { body: { description: DESCRIPTION } });
+    const firstIds = new Set(first.body.data.filteredVideos.map(video => video.video_id));
+
+    assert.ok(firstIds.size > 0);
+    assert.ok(second.body.data.filteredVideos.every(video => !firstIds.has(video.video_id)));
+  });
+
+  it('ingests videos similar to the posted liked videos', async () => {
+    const likedVideoId = videoIdFor('liked-video');
+    const { status, body } = await app.request('POST', '/agent/ingest-liked-videos', {
+      body: { likedVideoIds: [likedVideoId] }
+    });
+    assert.equal(status, 202);
+
+    const job = await app.waitForJob(body.data.jobId);
+    assert.equal(job.status, 'completed', job.error);
+    assert.equal(job.result.basedOnLikedVideos, 1);
+    assert.equal(job.result.totalVideosStored, 10);
+    assert.ok(app.standIns.youtube.requestsTo('/youtube/v3/videos').some(request => request.query.id === likedVideoId));
+  });
+
+  it('only shows a job to the caller that started it', async () => {
+    const { body } = await app.request('POST', '/agent/ingest-liked-videos', {
+      body: { likedVideoIds: [videoIdFor('private-job')] }
+    });
+    const job = await app.waitForJob(body.data.jobId);
+    assert.equal(job.status, 'completed', job.error);
+
+    const otherDevice = await app.request('GET', `/jobs/${job.id}`, { headers: { 'X-Device-Id': 'another-test-device' } });
+    const anonymousRead = await app.request('GET', `/jobs/${job.id}`, { headers: { 'X-Device-Id': '' } });
+    const anonymousStart = await app.request('POST', '/agent/ingest', {
+      headers: { 'X-Device-Id': '' },
+      body: { description: DESCRIPTION }
+    });
+
+    assert.equal(otherDevice.status, 404);
+    assert.equal(anonymousRead.status, 400);
+    assert.equal(anonymousStart.status, 400);
+  });
+
+  it('only lets admins re-embed, and only with configured models', async () => {
+    const admin = { 'X-Admin-Key': ADMIN_KEY };
+    const anonymous = await app.request('POST', '/ingest/reembed', { body: { model: NEXT_EMBEDDING_MODEL } });
+    const unknownModel = await app.request('POST', '/ingest/reembed', {
+      headers: admin,
+      body: { model: 'some-other-embedding-model' }
+    });
+
+    assert.equal(anonymous.status, 401);
+    assert.equal(unknownModel.status, 400);
+    assert.match(unknownModel.body.message, /REEMBED_ALLOWED_MODELS/);
+
+    // The active model: everything is already on it, so nothing is re-embedded
+    const { status, body } = await app.request('POST', '/ingest/reembed', { headers: admin, body: {} });
+    assert.equal(status, 202);
+
+    const job = await app.waitForJob(body.data.jobId);
+    assert.equal(job.status, 'completed', job.error);
+    assert.equal(job.result.model, body.data.model);
+  });
+
+  it('refuses new ingestion once YouTube reports the daily quota as exceeded', async () => {
+    app.standIns.youtube.route('GET /youtube/v3/search', () => ({
+      status: 403,
+      body: { error: { code: 403, message: 'Quota exceeded', errors: [{ reason: 'quotaExceeded' }] } }
+    }));
+
+    const { body } = await app.request('POST', '/agent/ingest', { body: { description: 'Something new entirely' } });
+    await app.waitForJob(body.data.jobId);
+
+    const refused = await app.request('POST', '/agent/ingest', { body: { description: DESCRIPTION } });
+    assert.equal(refused.status, 429);
+    assert.ok(Number(refused.headers.get('retry-after')) > 0);
+  });
+});
@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+const slugify = (value) => value.replace(/^\/+/, '').replace(/[^a-zA-Z0-9]+/g, '-').replace(/-+$/, '') || 'root';
+
+const omit = (entries, ignored) => entries.filter(([name]) => !ignored.includes(name));
+
+// Recorded responses for one upstream API, one JSON file per distinct request under
+// test/fixtures/<service>/. Secrets (API keys, passwords) are dropped from the key
+// and never written to disk, so recordings are safe to commit.
+export class FixtureStore {
+  constructor(service, { dir = FIXTURES_DIR, ignoreParams = [], ignoreBodyFields = [] } = {}) {
+    this.dir = path.join(dir, service);
+    this.ignoreParams = ignoreParams;
+    this.ignoreBodyFields = ignoreBodyFields;
+  }
+
+  // `request`: { method, path, query, body } with query and body as plain objects
+  describe(request) {
+    const query = Object.fromEntries(omit(Object.entries(request.query || {}), this.ignoreParams).sort());
+    const body = request.body && typeof request.body === 'object'
+      ? Object.fromEntries(omit(Object.entries(request.body), this.ignoreBodyFields).sort())
+      : request.body || null;
+
+    return { method: request.method, path: request.path, query, body };
+  }
+
+  fileFor(request) {
+    const described = this.describe(request);
+    const hash = crypto.createHash('sha256').update(JSON.stringify(described)).digest('hex').slice(0, 12);
+    return path.join(this.dir, `${described.method.toLowerCase()}-${slugify(described.path)}-${hash}.json`);
+  }
+
+  async load(request) {
+    try {
+      const fixture = JSON.parse(await fs.readFile(this.fileFor(request), 'utf8'));
+      return fixture.response;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // `response`: { status, headers, body }
+  async save(request, response) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const fixture = { request: this.describe(request), response };
+    await fs.writeFile(this.fileFor(request), `${JSON.stringify(fixture, null, 2)}\n`);
+  }
+}
@@ -0,0 +1,208 @@
+// Stands in for TiDB when testing migrations. It tracks tables, column definitions and
+// indexes through the DDL the migrations issue, and keeps rows for the plain single-table
+// statements they run (the schema_migrations ledger, the token cache). Anything it doesn't
+// understand throws, like TiDB does for a missing table or column, so a migration that
+// relies on state its predecessors never created fails here too.
+
+const splitTopLevel = (text) => {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+};
+
+const columnList = (text) => text.split(',').map(name => name.trim());
+
+const likeToRegExp = (pattern) => new RegExp(`^${pattern
+  .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  .replace(/%/g, '.*')
+  .replace(/_/g, '.')}$`);
+
+export const createSchemaDatabase = () => {
+  const tables = new Map();
+  const statements = [];
+
+  const getTable = (name) => {
+    const table = tables.get(name);
+    if (!table) throw new Error(`Table '${name}' doesn't exist`);
+    return table;
+  };
+
+  const requireColumn = (table, tableName, column) => {
+    if (!table.columns.has(column)) throw new Error(`Unknown column '${column}' in '${tableName}'`);
+  };
+
+  const createTable = (name, body, ifNotExists) => {
+    if (tables.has(name)) {
+      if (ifNotExists) return;
+      throw new Error(`Table '${name}' already exists`);
+    }
+
+    const table = { columns: new Map(), indexes: new Map(), primaryKey: [], rows: [] };
+    for (const definition of splitTopLevel(body)) {
+      const primaryKey = definition.match(/^PRIMARY KEY \((.+)\)$/i);
+      const index = definition.match(/^(?:INDEX|KEY) (\w+) \((.+)\)$/i);
+
+      if (primaryKey) {
+        table.primaryKey = columnList(primaryKey[1]);
+      } else if (index) {
+        table.indexes.set(index[1], columnList(index[2]));
+      } else {
+        const [, column, rest] = definition.match(/^(\w+) (.+)$/);
+        table.columns.set(column, rest);
+        if (/\bPRIMARY KEY\b/i.test(rest)) table.primaryKey = [column];
+      }
+    }
+
+    tables.set(name, table);
+  };
+
+  const alterTable = (tableName, change) => {
+    const table = getTable(tableName);
+    let match;
+
+    if ((match = change.match(/^ADD COLUMN (IF NOT EXISTS )?(\w+) (.+)$/i))) {
+      const [, ifNotExists, column, definition] = match;
+      if (table.columns.has(column)) {
+        if (ifNotExists) return;
+        throw new Error(`Duplicate column name '${column}'`);
+      }
+      table.columns.set(column, definition);
+      table.rows.forEach(row => { row[column] = null; });
+    } else if ((match = change.match(/^DROP COLUMN (IF EXISTS )?(\w+)$/i))) {
+      const [, ifExists, column] = match;
+      if (!table.columns.has(column)) {
+        if (ifExists) return;
+        throw new Error(`Can't DROP '${column}'; check that column/key exists`);
+      }
+      table.columns.delete(column);
+      table.rows.forEach(row => { delete row[column]; });
+    } else if ((match = change.match(/^MODIFY COLUMN (\w+) (.+)$/i))) {
+      const [, column, definition] = match;
+      requireColumn(table, tableName, column);
+      table.columns.set(column, definition);
+    } else if ((match = change.match(/^ADD INDEX (IF NOT EXISTS )?(\w+) \((.+)\)$/i))) {
+      const [, ifNotExists, index, columns] = match;
+      if (table.indexes.has(index)) {
+        if (ifNotExists) return;
+        throw new Error(`Duplicate key name '${index}'`);
+      }
+      columnList(columns).forEach(column => requireColumn(table, tableName, column));
+      table.indexes.set(index, columnList(columns));
+    } else if ((match = change.match(/^DROP INDEX (IF EXISTS )?(\w+)$/i))) {
+      const [, ifExists, index] = match;
+      if (!table.indexes.has(index)) {
+        if (ifExists) return;
+        throw new Error(`Can't DROP '${index}'; check that column/key exists`);
+      }
+      table.indexes.delete(index);
+    } else {
+      throw new Error(`Unsupported ALTER TABLE: ${change}`);
+    }
+  };
+
+  const matchesWhere = (table, tableName, column, operator, value) => {
+    if (!column) return () => true;
+    requireColumn(table, tableName, column);
+    if (operator.toUpperCase() === 'LIKE') {
+      const pattern = likeToRegExp(value);
+      return row => pattern.test(String(row[column]));
+    }
+    return row => row[column] === value;
+  };
+
+  const execute = async (sql, params = []) => {
+    const statement = sql.replace(/\s+/g, ' ').trim();
+    statements.push(statement);
+    let match;
+
+    if ((match = statement.match(/^CREATE TABLE (IF NOT EXISTS )?(\w+) \((.+)\)$/i))) {
+      createTable(match[2], match[3], Boolean(match[1]));
+      return [];
+    }
+
+    if ((match = statement.match(/^DROP TABLE (IF EXISTS )?(\w+)$/i))) {
+      if (!tables.delete(match[2]) && !match[1]) throw new Error(`Unknown table '${match[2]}'`);
+      return [];
+    }
+
+    if ((match = statement.match(/^ALTER TABLE (\w+) (.+)$/i))) {
+      alterTable(match[1], match[2]);
+      return [];
+    }
+
+    if ((match = statement.match(/^SELECT (.+?) FROM (\w+)(?: WHERE (\w+) (=|LIKE) \?)?(?: ORDER BY (\w+))?$/i))) {
+      const [, selected, tableName, column, operator, orderBy] = match;
+      const table = getTable(tableName);
+      const columns = selected === '*' ? [...table.columns.keys()] : columnList(selected);
+      columns.forEach(name => requireColumn(table, tableName, name));
+
+      const rows = table.rows.filter(matchesWhere(table, tableName, column, operator, params[0]));
+      if (orderBy) {
+        requireColumn(table, tableName, orderBy);
+        rows.sort((a, b) => (a[orderBy] > b[orderBy] ? 1 : a[orderBy] < b[orderBy] ? -1 : 0));
+      }
+      return rows.map(row => Object.fromEntries(columns.map(name => [name, row[name]])));
+    }
+
+    if ((match = statement.match(/^INSERT INTO (\w+) \(([^)]+)\) VALUES \(([^)]+)\)( ON DUPLICATE KEY UPDATE .+)?$/i))) {
+      const [, tableName, columnText, , onDuplicate] = match;
+      const table = getTable(tableName);
+      const columns = columnList(columnText);
+      columns.forEach(name => requireColumn(table, tableName, name));
+
+      const row = Object.fromEntries([...table.columns.keys()].map(name => [name, null]));
+      columns.forEach((name, index) => { row[name] = params[index]; });
+
+      const existing = table.primaryKey.length > 0
+        && table.rows.find(other => table.primaryKey.every(key => other[key] === row[key]));
+      if (existing) {
+        if (!onDuplicate) throw new Error(`Duplicate entry for key '${tableName}.PRIMARY'`);
+        Object.assign(existing, Object.fromEntries(columns.map(name => [name, row[name]])));
+      } else {
+        table.rows.push(row);
+      }
+      return [];
+    }
+
+    if ((match = statement.match(/^DELETE FROM (\w+)(?: WHERE (\w+) (=|LIKE) \?)?$/i))) {
+      const [, tableName, column, operator] = match;
+      const table = getTable(tableName);
+      const matches = matchesWhere(table, tableName, column, operator, params[0]);
+      table.rows = table.rows.filter(row => !matches(row));
+      return [];
+    }
+
+    // Data fixes in migrations only touch existing rows, which these tests don't seed
+    if ((match = statement.match(/^UPDATE (\w+) /i))) {
+      if (getTable(match[1]).rows.length > 0) throw new Error(`Unsupported UPDATE on a non-empty table: ${statement}`);
+      return [];
+    }
+
+    throw new Error(`Unsupported statement: ${statement}`);
+  };
+
+  // Plain-object copy of the schema, comparable with deepEqual
+  const schema = () => Object.fromEntries([...tables].map(([name, table]) => [name, {
+    columns: Object.fromEntries(table.columns),
+    primaryKey: [...table.primaryKey],
+    indexes: Object.fromEntries(table.indexes)
+  }]));
+
+  const rows = (tableName) => getTable(tableName).rows.map(row => ({ ...row }));
+
+  return { execute, schema, rows, statements };
+};
@@ -0,0 +1,144 @@
+import http from 'http';
+import { FixtureStore } from './fixtureStore.js';
+
+// replay (default): answer from recorded fixtures, falling back to the synthetic routes.
+// record: forward every request to the real API and save the reply as a fixture.
+export const FIXTURE_MODE = process.env.FIXTURE_MODE === 'record' ? 'record' : 'replay';
+
+// Recorded bodies refer to the stand-in by this token, since its port changes every run
+const BASE_URL_TOKEN = '{{standInUrl}}';
+
+const HOP_BY_HOP_HEADERS = ['host', 'connection', 'content-length', 'accept-encoding'];
+const RECORDED_RESPONSE_HEADERS = ['content-type', 'retry-after'];
+const TEXT_CONTENT_TYPE = /json|text|xml|urlencoded/;
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+const parseBody = (raw, contentType = '') => {
+  if (!raw.length) return null;
+  if (contentType.includes('application/json')) return JSON.parse(raw.toString());
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(raw.toString()));
+  }
+  return raw.toString();
+};
+
+// Local HTTP server standing in for one upstream API. Paths mirror the real API, so
+// services only need their base URL pointed at `url`. Routes are keyed "METHOD /path"
+// and receive the parsed request ({ method, path, query, headers, body }); they return
+// { status, headers, body }, where a Buffer body is sent as is.
+export class StandInServer {
+  constructor({ name, upstream, routes = {}, mode = FIXTURE_MODE, fixturesDir, ignoreParams, ignoreBodyFields }) {
+    this.name = name;
+    this.upstream = upstream.replace(/\/$/, '');
+    this.routes = new Map(Object.entries(routes));
+    this.mode = mode;
+    this.fixtures = new FixtureStore(name, { dir: fixturesDir, ignoreParams, ignoreBodyFields });
+    this.requests = [];
+    this.url = null;
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => this.send(res, { status: 500, body: { error: error.message } }));
+    });
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  close() {
+    this.server.closeAllConnections();
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  // Replaces the synthetic reply for "METHOD /path", e.g. to simulate an upstream failure
+  route(key, handler) {
+    this.routes.set(key, handler);
+  }
+
+  requestsTo(path) {
+    return this.requests.filter(request => request.path === path);
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, this.url);
+    const raw = await readBody(req);
+    const request = {
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      body: parseBody(raw, req.headers['content-type'])
+    };
+    this.requests.push(request);
+
+    if (this.mode === 'record') {
+      const response = await this.forward(req, url, raw);
+      await this.fixtures.save(request, response);
+      return this.send(res, response);
+    }
+
+    const recorded = await this.fixtures.load(request);
+    if (recorded) {
+      return this.send(res, recorded);
+    }
+
+    const handler = this.routes.get(`${request.method} ${request.path}`);
+    if (!handler) {
+      return this.send(res, {
+        status: 501,
+        body: { error: `${this.name} stand-in has no fixture or route for ${request.method} ${request.path}` }
+      });
+    }
+    return this.send(res, await handler(request, this));
+  }
+
+  async forward(req, url, raw) {
+    const response = await fetch(`${this.upstream}${url.pathname}${url.search}`, {
+      method: req.method,
+      headers: Object.fromEntries(
+        Object.entries(req.headers).filter(([name]) => !HOP_BY_HOP_HEADERS.includes(name))
+      ),
+      body: raw.length ? raw : undefined
+    });
+
+    const contentType = response.headers.get('content-type') || '';
+    const headers = Object.fromEntries(
+      RECORDED_RESPONSE_HEADERS.filter(name => response.headers.has(name)).map(name => [name, response.headers.get(name)])
+    );
+
+    if (!TEXT_CONTENT_TYPE.test(contentType)) {
+      const bodyBase64 = Buffer.from(await response.arrayBuffer()).toString('base64');
+      return { status: response.status, headers, bodyBase64 };
+    }
+
+    // Absolute links in the reply (Graph nextLink/deltaLink) have to lead back here
+    const text = (await response.text()).split(this.upstream).join(BASE_URL_TOKEN);
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      body = text;
+    }
+
+    return { status: response.status, headers, body };
+  }
+
+  // Binary bodies are a Buffer, or base64 in `bodyBase64` when read back from a fixture
+  send(res, { status = 200, headers = {}, body = null, bodyBase64 = null }) {
+    res.writeHead(status, { 'content-type': 'application/json', ...headers });
+
+    if (bodyBase64 !== null || Buffer.isBuffer(body)) {
+      return res.end(bodyBase64 !== null ? Buffer.from(bodyBase64, 'base64') : body);
+    }
+
+    const payload = typeof body === 'string' ? body : JSON.stringify(body);
+    res.end(payload.split(BASE_URL_TOKEN).join(this.url));
+  }
+}
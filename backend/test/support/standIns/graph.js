@@ -0,0 +1,52 @@
+import { StandInServer } from '../standInServer.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Graph reports times without an offset, in the zone given next to them
+const toGraphDateTime = (date) => ({ dateTime: date.toISOString().replace('Z', '0000'), timeZone: 'UTC' });
+
+// A meeting that has just started, so it always overlaps "today" whatever the clock says
+export const defaultCalendarEvents = (now = new Date()) => [{
+  id: 'stand-in-event-1',
+  subject: 'Quarterly planning review',
+  start: new Date(now.getTime() - MINUTE_MS),
+  end: new Date(now.getTime() + 29 * MINUTE_MS),
+  organizer: { name: 'Dana Lee', address: 'dana@example.com' },
+  attendees: 6
+}];
+
+const toGraphEvent = (event) => ({
+  id: event.id,
+  subject: event.subject,
+  start: toGraphDateTime(event.start),
+  end: toGraphDateTime(event.end),
+  bodyPreview: event.bodyPreview || '',
+  organizer: { emailAddress: event.organizer },
+  attendees: Array.from({ length: event.attendees || 0 }, (_, index) => ({
+    emailAddress: { address: `attendee${index + 1}@example.com` }
+  })),
+  importance: 'normal',
+  isOnlineMeeting: true,
+  showAs: 'busy',
+  categories: []
+});
+
+export const createGraphStandIn = ({ timeZone = 'UTC', events = defaultCalendarEvents(), ...options } = {}) => new StandInServer({
+  name: 'graph',
+  upstream: 'https://graph.microsoft.com',
+  // The sync window moves with the clock
+  ignoreParams: ['startDateTime', 'endDateTime'],
+  ...options,
+  routes: {
+    'GET /v1.0/me/mailboxSettings': () => ({ body: { timeZone } }),
+
+    // The first round lists every event; following the delta link reports no changes
+    'GET /v1.0/me/calendarView/delta': ({ query }, standIn) => ({
+      body: {
+        value: query.$deltatoken ? [] : events.map(toGraphEvent),
+        '@odata.deltaLink': `${standIn.url}/v1.0/me/calendarView/delta?$deltatoken=stand-in`
+      }
+    }),
+    ...options.routes
+  }
+});
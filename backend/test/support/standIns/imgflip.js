@@ -0,0 +1,59 @@
+import sharp from 'sharp';
+import { StandInServer } from '../standInServer.js';
+
+export const STAND_IN_MEMES = [
+  { id: '181913649', name: 'Drake Hotline Bling', width: 600, height: 600, box_count: 2, captions: 1000 },
+  { id: '87743020', name: 'Two Buttons', width: 400, height: 600, box_count: 3, captions: 900 },
+  { id: '112126428', name: 'Distracted Boyfriend', width: 600, height: 400, box_count: 3, captions: 800 },
+  // Has no seeded box layout
+  { id: '61579', name: 'One Does Not Simply', width: 568, height: 335, box_count: 2, captions: 700 }
+];
+
+// Plain dark templates, so rendered captions are the only white pixels
+export const TEMPLATE_BACKGROUND = { r: 40, g: 60, b: 90 };
+
+const templateImage = ({ width, height }) => sharp({
+  create: { width, height, channels: 3, background: TEMPLATE_BACKGROUND }
+}).png().toBuffer();
+
+export const createImgflipStandIn = ({ memes = STAND_IN_MEMES, ...options } = {}) => new StandInServer({
+  name: 'imgflip',
+  upstream: 'https://api.imgflip.com',
+  ignoreBodyFields: ['username', 'password'],
+  ...options,
+  routes: {
+    'GET /get_memes': (request, standIn) => ({
+      body: {
+        success: true,
+        data: {
+          memes: memes.map(meme => ({ ...meme, url: `${standIn.url}/images/${meme.id}.png` }))
+        }
+      }
+    }),
+
+    ...Object.fromEntries(memes.map(meme => [
+      `GET /images/${meme.id}.png`,
+      async () => ({ headers: { 'content-type': 'image/png' }, body: await templateImage(meme) })
+    ])),
+
+    // Imgflip reports failures with HTTP 200 and success: false
+    'POST /caption_image': ({ body }) => {
+      if (!body?.username || !body?.password) {
+        return { body: { success: false, error_message: 'No username specified' } };
+      }
+      if (!memes.some(meme => meme.id === body.template_id)) {
+        return { body: { success: false, error_message: 'Invalid template_id' } };
+      }
+      return {
+        body: {
+          success: true,
+          data: {
+            url: `https://i.imgflip.com/stand-in-${body.template_id}.jpg`,
+            page_url: `https://imgflip.com/i/stand-in-${body.template_id}`
+          }
+        }
+      };
+    },
+    ...options.routes
+  }
+});
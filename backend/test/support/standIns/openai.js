@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import { StandInServer } from '../standInServer.js';
+
+const EMBEDDING_DIMENSIONS = 64;
+const EMBEDDING_BIAS = 1.2;
+
+// Bag-of-words vectors: texts sharing words score higher. The constant first component
+// keeps every pair above 0.5 similarity, so similarity thresholds in the services still
+// find a match for unrelated texts.
+export const embedText = (text) => {
+  const words = new Array(EMBEDDING_DIMENSIONS - 1).fill(0);
+  for (const word of String(text).toLowerCase().match(/[a-z]{3,}/g) || []) {
+    words[crypto.createHash('md5').update(word).digest().readUInt32BE(0) % words.length]++;
+  }
+
+  const norm = Math.sqrt(words.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return [EMBEDDING_BIAS, ...words.map(value => value / norm)];
+};
+
+// Canned replies picked by the prompt each service sends; the first match wins.
+// `reply` returns the message content, an object is sent as JSON.
+export const CHAT_REPLIES = [
+  {
+    match: /Estimate the emotional state/,
+    reply: () => ({
+      emotions: { calm: 0.7, happy: 0.2, sad: 0.05, angry: 0.05 },
+      dominantEmotion: 'calm',
+      confidence: 0.8
+    })
+  },
+  {
+    match: /YouTube searchable tags/,
+    reply: () => ({
+      tags: ['calm focus music', 'funny office moments'],
+      contextDescription: 'Calm focus music and light funny office moments to reset between meetings.'
+    })
+  },
+  {
+    match: /Analyze this popular meme template/,
+    reply: (prompt) => {
+      const name = prompt.match(/Meme Name: (.+)/)?.[1] || 'this template';
+      return {
+        useCases: `Choosing between two options at work, as in ${name}, when a meeting runs long.`,
+        boxGuidelines: 'The first box sets up the situation and the last box delivers the twist.'
+      };
+    }
+  },
+  {
+    match: /Analyze this user context/,
+    reply: () => 'Someone choosing between options at work while a long meeting runs on, calm but amused.'
+  },
+  {
+    match: /Generate specific text for each box/,
+    reply: (prompt) => {
+      const boxCount = Number(prompt.match(/Number of text boxes: (\d+)/)?.[1]) || 2;
+      return {
+        texts: Array.from({ length: boxCount }, (_, index) => `Box ${index + 1} caption`),
+        explanation: 'Stand-in captions, one per box.'
+      };
+    }
+  }
+];
+
+const completion = (model, content) => ({
+  id: `chatcmpl-${crypto.randomUUID()}`,
+  object: 'chat.completion',
+  created: Math.floor(Date.now() / 1000),
+  model,
+  choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+  usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+});
+
+export const createOpenAIStandIn = ({ replies = CHAT_REPLIES, ...options } = {}) => new StandInServer({
+  name: 'openai',
+  upstream: 'https://api.openai.com',
+  ...options,
+  routes: {
+    'POST /v1/chat/completions': ({ body }) => {
+      // Repair turns append to the conversation, so the first user message identifies the task
+      const prompt = body.messages.find(message => message.role === 'user')?.content;
+      const text = typeof prompt === 'string' ? prompt : JSON.stringify(prompt);
+      const entry = replies.find(({ match }) => match.test(text));
+
+      if (!entry) {
+        return {
+          status: 400,
+          body: { error: { message: 'The OpenAI stand-in has no reply for this prompt', type: 'invalid_request_error' } }
+        };
+      }
+
+      const content = entry.reply(text);
+      return { body: completion(body.model, typeof content === 'string' ? content : JSON.stringify(content)) };
+    },
+
+    'POST /v1/embeddings': ({ body }) => {
+      const inputs = Array.isArray(body.input) ? body.input : [body.input];
+      return {
+        body: {
+          object: 'list',
+          model: body.model,
+          // Reversed, since the API only promises that `index` identifies each input
+          data: inputs.map((input, index) => ({ object: 'embedding', index, embedding: embedText(input) })).reverse(),
+          usage: { prompt_tokens: 0, total_tokens: 0 }
+        }
+      };
+    },
+    ...options.routes
+  }
+});
@@ -0,0 +1,65 @@
+import crypto from 'crypto';
+import { StandInServer } from '../standInServer.js';
+
+// Stable 11 character ids, so the same query always returns the same videos
+export const videoIdFor = (seed) => crypto.createHash('sha256').update(seed).digest('base64url').slice(0, 11);
+
+const durationFor = (videoId) => `PT${20 + (videoId.charCodeAt(0) % 40)}S`;
+
+const snippetFor = (videoId, title) => ({
+  title,
+  description: `${title}. A short clip for the integration tests.`,
+  channelId: `UC${videoId}`,
+  channelTitle: `Channel ${videoId.slice(0, 4)}`,
+  publishedAt: '2024-01-15T12:00:00Z',
+  tags: title.toLowerCase().split(' ').slice(0, 3)
+});
+
+export const createYouTubeStandIn = (options = {}) => new StandInServer({
+  name: 'youtube',
+  upstream: 'https://www.googleapis.com',
+  ignoreParams: ['key'],
+  ...options,
+  routes: {
+    'GET /youtube/v3/search': ({ query }) => {
+      const count = Math.min(Number(query.maxResults) || 5, 50);
+      const items = Array.from({ length: count }, (_, index) => {
+        const videoId = videoIdFor(`${query.q}:${index}`);
+        return {
+          kind: 'youtube#searchResult',
+          id: { kind: 'youtube#video', videoId },
+          snippet: snippetFor(videoId, `${query.q} short ${index + 1}`)
+        };
+      });
+      return { body: { kind: 'youtube#searchListResponse', items } };
+    },
+
+    'GET /youtube/v3/videos': ({ query }) => ({
+      body: {
+        kind: 'youtube#videoListResponse',
+        items: query.id.split(',').map(videoId => ({
+          kind: 'youtube#video',
+          id: videoId,
+          snippet: snippetFor(videoId, `Liked video about calm focus ${videoId}`),
+          statistics: { viewCount: '1000', likeCount: '100', commentCount: '2' },
+          contentDetails: { duration: durationFor(videoId) }
+        }))
+      }
+    }),
+
+    'GET /youtube/v3/commentThreads': ({ query }) => ({
+      body: {
+        kind: 'youtube#commentThreadListResponse',
+        items: [1, 2].slice(0, Number(query.maxResults) || 2).map(index => ({
+          id: `${query.videoId}-comment-${index}`,
+          snippet: {
+            topLevelComment: {
+              snippet: { textDisplay: `Comment ${index}: this one is so relaxing`, likeCount: index }
+            }
+          }
+        }))
+      }
+    }),
+    ...options.routes
+  }
+});
@@ -0,0 +1,110 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createYouTubeStandIn } from './standIns/youtube.js';
+import { createGraphStandIn } from './standIns/graph.js';
+import { createImgflipStandIn } from './standIns/imgflip.js';
+import { createOpenAIStandIn } from './standIns/openai.js';
+
+export const DEVICE_ID = 'integration-test-device';
+
+const JOB_POLL_INTERVAL_MS = 50;
+const JOB_TIMEOUT_MS = 20000;
+
+// Replay accepts any credentials; export real ones before recording with FIXTURE_MODE=record
+const PLACEHOLDER_CREDENTIALS = {
+  OPENAI_API_KEY: 'test-openai-key',
+  YOUTUBE_API_KEY: 'test-youtube-key',
+  IMGFLIP_USERNAME: 'test-imgflip-user',
+  IMGFLIP_PASSWORD: 'test-imgflip-password',
+  MICROSOFT_CLIENT_ID: 'test-client-id',
+  MICROSOFT_CLIENT_SECRET: 'test-client-secret',
+  MICROSOFT_TENANT_ID: 'test-tenant-id'
+};
+
+// Starts the four stand-ins and the API against them with in-memory storage. Config is
+// read once per process, so call this at most once per test file, before anything
+// imports src/. `standIns` options are passed to the matching stand-in factory.
+// The API runs in a scratch directory (`workDir`), where it keeps uploads and renders.
+export const startTestApp = async ({ env = {}, standIns: standInOptions = {} } = {}) => {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'backend-test-app-'));
+  process.chdir(workDir);
+
+  const standIns = {
+    youtube: createYouTubeStandIn(standInOptions.youtube),
+    graph: createGraphStandIn(standInOptions.graph),
+    imgflip: createImgflipStandIn(standInOptions.imgflip),
+    openai: createOpenAIStandIn(standInOptions.openai)
+  };
+  await Promise.all(Object.values(standIns).map(standIn => standIn.start()));
+
+  for (const [name, value] of Object.entries(PLACEHOLDER_CREDENTIALS)) {
+    process.env[name] ??= value;
+  }
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    STORAGE_BACKEND: 'memory',
+    LOG_LEVEL: 'warn',
+    LOG_FILE: path.join(os.tmpdir(), 'backend-tests', 'app.log'),
+    EMOTION_PROVIDER: 'openai',
+    EMOTION_FALLBACK_PROVIDER: 'local',
+    CALENDAR_SYNC_INTERVAL_MINUTES: '0',
+    RATE_LIMIT_MAX_REQUESTS: '100000',
+    API_RETRY_BASE_MS: '10',
+    LLM_MAX_RETRIES: '0',
+    YOUTUBE_RATE_PER_SECOND: '0',
+    LLM_RATE_PER_SECOND: '0',
+    IMGFLIP_RATE_PER_SECOND: '0',
+    YOUTUBE_API_BASE_URL: `${standIns.youtube.url}/youtube/v3`,
+    GRAPH_API_BASE_URL: `${standIns.graph.url}/v1.0`,
+    IMGFLIP_API_BASE_URL: standIns.imgflip.url,
+    LLM_BASE_URL: `${standIns.openai.url}/v1`,
+    ...env
+  });
+
+  const { default: application } = await import('../../src/app.js');
+  await application.initialize();
+
+  const server = await new Promise(resolve => {
+    const listening = application.app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  // JSON unless `body` is a FormData
+  const request = async (method, route, { body, headers = {} } = {}) => {
+    const isForm = body instanceof FormData;
+    const response = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: {
+        'X-Device-Id': DEVICE_ID,
+        ...(body && !isForm ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: body ? (isForm ? body : JSON.stringify(body)) : undefined
+    });
+
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+
+  const waitForJob = async (jobId) => {
+    const deadline = Date.now() + JOB_TIMEOUT_MS;
+
+    while (Date.now() < deadline) {
+      const { body } = await request('GET', `/jobs/${jobId}`);
+      if (['completed', 'failed'].includes(body.data?.status)) {
+        return body.data;
+      }
+      await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+    }
+    throw new Error(`Job ${jobId} did not finish within ${JOB_TIMEOUT_MS}ms`);
+  };
+
+  const close = async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await Promise.all(Object.values(standIns).map(standIn => standIn.close()));
+    await fs.rm(workDir, { recursive: true, force: true });
+  };
+
+  return { baseUrl, workDir, standIns, request, waitForJob, close };
+};
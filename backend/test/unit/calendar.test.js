@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeCalendar } from '../../src/utils/calendar.js';
+
+const NOW = new Date('2026-03-02T10:00:00.000Z');
+
+// `start` and `end` are HH:MM on the day of NOW, in UTC
+const meeting = (subject, start, end, extra = {}) => ({
+  subject,
+  start: `2026-03-02T${start}:00.000Z`,
+  end: `2026-03-02T${end}:00.000Z`,
+  ...extra
+});
+
+describe('summarizeCalendar', () => {
+  it('counts meetings up to five minutes apart as one back-to-back streak', () => {
+    const summary = summarizeCalendar([
+      meeting('Standup', '09:30', '10:00'),
+      meeting('Design review', '10:05', '10:30'),
+      meeting('Planning', '10:30', '11:00'),
+      meeting('One to one', '11:06', '11:30')
+    ], { now: NOW });
+
+    assert.equal(summary.backToBack.longestStreak, 3);
+    assert.equal(summary.backToBack.longestStreakMinutes, 90);
+    assert.equal(summary.nextMeeting, 'Design review');
+    assert.equal(summary.minutesUntilNextMeeting, 5);
+    // Between two meetings of the streak is not a break
+    assert.equal(summary.inMeeting, false);
+    assert.equal(summary.backToBack.currentStreak, 3);
+    assert.deepEqual(summary.nextFreeGap, { start: '2026-03-02T11:00:00.000Z', minutes: 6 });
+  });
+
+  it('waits for the current streak to end before offering a free gap', () => {
+    const summary = summarizeCalendar([
+      meeting('Standup', '09:45', '10:15'),
+      meeting('Design review', '10:15', '11:00'),
+      meeting('Lunch talk', '12:00', '13:00')
+    ], { now: NOW });
+
+    assert.equal(summary.inMeeting, true);
+    assert.equal(summary.currentMeeting, 'Standup');
+    assert.equal(summary.backToBack.currentStreak, 2);
+    assert.equal(summary.backToBack.currentStreakEndsAt, '2026-03-02T11:00:00.000Z');
+    assert.deepEqual(summary.nextFreeGap, { start: '2026-03-02T11:00:00.000Z', minutes: 60 });
+  });
+
+  it('extends a streak to the latest end of overlapping meetings', () => {
+    const summary = summarizeCalendar([
+      meeting('All hands', '09:00', '11:00'),
+      meeting('Standup', '09:30', '09:45'),
+      meeting('Customer call', '11:03', '11:30')
+    ], { now: NOW });
+
+    assert.equal(summary.backToBack.longestStreak, 3);
+    assert.equal(summary.backToBack.longestStreakMinutes, 150);
+    assert.equal(summary.backToBack.currentStreakEndsAt, '2026-03-02T11:30:00.000Z');
+    assert.equal(summary.meetingMinutes, 162);
+  });
+
+  it('ignores meetings shown as free', () => {
+    const summary = summarizeCalendar([
+      meeting('FYI: office closed', '09:00', '17:00', { showAs: 'free' }),
+      meeting('Standup', '10:30', '10:45', { showAs: 'busy' })
+    ], { now: NOW });
+
+    assert.equal(summary.meetingCount, 2);
+    assert.equal(summary.busyMeetingCount, 1);
+    assert.equal(summary.inMeeting, false);
+    assert.equal(summary.currentMeeting, null);
+    assert.equal(summary.nextMeeting, 'Standup');
+    assert.deepEqual(summary.nextFreeGap, { start: NOW.toISOString(), minutes: 30 });
+  });
+
+  it('leaves the gap after the last meeting open-ended unless `until` bounds it', () => {
+    const meetings = [meeting('Standup', '09:30', '10:15')];
+
+    const open = summarizeCalendar(meetings, { now: NOW });
+    const bounded = summarizeCalendar(meetings, { now: NOW, until: '2026-03-02T12:00:00.000Z' });
+
+    assert.deepEqual(open.nextFreeGap, { start: '2026-03-02T10:15:00.000Z', minutes: null });
+    assert.deepEqual(bounded.nextFreeGap, { start: '2026-03-02T10:15:00.000Z', minutes: 105 });
+    assert.equal(open.nextMeeting, null);
+    assert.equal(open.minutesUntilNextMeeting, null);
+  });
+
+  it('summarizes an empty calendar', () => {
+    const summary = summarizeCalendar([], { now: NOW });
+
+    assert.equal(summary.busyMeetingCount, 0);
+    assert.equal(summary.largestAttendeeCount, 0);
+    assert.deepEqual(summary.nextFreeGap, { start: NOW.toISOString(), minutes: null });
+    assert.deepEqual(summary.backToBack, {
+      currentStreak: 0,
+      currentStreakEndsAt: null,
+      longestStreak: 0,
+      longestStreakMinutes: 0
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+};
+
+describe('CalendarSyncService.syncUser', () => {
+  let CalendarSyncService;
+  let runs;
+
+  before(async () => {
+    Object.assign(process.env, {
+      NODE_ENV: 'test',
+      STORAGE_BACKEND: 'memory',
+      OPENAI_API_KEY: 'test-openai-key',
+      CALENDAR_SYNC_INTERVAL_MINUTES: '0',
+      LOG_LEVEL: 'warn',
+      LOG_FILE: path.join(os.tmpdir(), 'backend-tests', 'unit.log')
+    });
+    ({ default: CalendarSyncService } = await import('../../src/services/CalendarSyncService.js'));
+
+    // Each run waits until the test finishes it
+    CalendarSyncService.runSync = (userEmail, options) => {
+      const run = { userEmail, options, ...deferred() };
+      runs.push(run);
+      return run.promise.then(() => ({ userEmail, full: !!options.full }));
+    };
+  });
+
+  beforeEach(() => {
+    runs = [];
+  });
+
+  const settle = () => new Promise(resolve => setImmediate(resolve));
+
+  it('shares a running sync with plain calls for the same user', async () => {
+    const first = CalendarSyncService.syncUser('a@example.com');
+    const second = CalendarSyncService.syncUser('a@example.com');
+    const otherUser = CalendarSyncService.syncUser('b@example.com');
+    await settle();
+
+    assert.equal(first, second);
+    assert.notEqual(first, otherUser);
+    assert.deepEqual(runs.map(run => run.userEmail), ['a@example.com', 'b@example.com']);
+
+    runs.forEach(run => run.resolve());
+    await Promise.all([first, otherUser]);
+  });
+
+  it('runs a full sync requested during a delta sync once that one finishes', async () => {
+    const delta = CalendarSyncService.syncUser('a@example.com');
+    const full = CalendarSyncService.syncUser('a@example.com', { full: true });
+    const afterFull = CalendarSyncService.syncUser('a@example.com');
+    await settle();
+
+    assert.notEqual(delta, full);
+    assert.equal(afterFull, full);
+    assert.equal(runs.length, 1);
+
+    runs[0].resolve();
+    await delta;
+    await settle();
+
+    assert.equal(runs.length, 2);
+    assert.equal(runs[1].options.full, true);
+
+    runs[1].resolve();
+    assert.deepEqual(await full, { userEmail: 'a@example.com', full: true });
+  });
+
+  it('still runs a queued sync with a fresh token when the running one fails', async () => {
+    const failing = CalendarSyncService.syncUser('a@example.com');
+    const withToken = CalendarSyncService.syncUser('a@example.com', { accessToken: 'fresh-token' });
+    await settle();
+
+    runs[0].resolve(Promise.reject(new Error('Graph is down')));
+    await assert.rejects(failing, /Graph is down/);
+    await settle();
+
+    assert.equal(runs[1].options.accessToken, 'fresh-token');
+    runs[1].resolve();
+    await withToken;
+
+    // Nothing is left in flight, so the next call starts a new sync
+    CalendarSyncService.syncUser('a@example.com');
+    await settle();
+    assert.equal(runs.length, 3);
+    runs[2].resolve();
+  });
+});
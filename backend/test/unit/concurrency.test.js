@@ -0,0 +1,137 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TokenBucket, createLimiter, withRetry, sleep } from '../../src/utils/concurrency.js';
+
+// Timers may fire a little early or late; spacing assertions allow for that
+const TIMER_SLACK_MS = 5;
+
+const httpError = (status, headers) => Object.assign(new Error(`HTTP ${status}`), { status, headers });
+
+describe('TokenBucket', () => {
+  it('serves waiters in order, spaced by the refill rate once the burst is spent', async () => {
+    const bucket = new TokenBucket({ ratePerSecond: 20, burst: 1 });
+    const started = Date.now();
+    const served = [];
+
+    await Promise.all([1, 2, 3].map(id => bucket.take().then(() => served.push({ id, at: Date.now() - started }))));
+
+    assert.deepEqual(served.map(turn => turn.id), [1, 2, 3]);
+    assert.ok(served[0].at < 50 - TIMER_SLACK_MS, `first take waited ${served[0].at}ms`);
+    for (let i = 1; i < served.length; i++) {
+      const spacing = served[i].at - served[i - 1].at;
+      assert.ok(spacing >= 50 - TIMER_SLACK_MS, `take ${i + 1} came ${spacing}ms after the previous one`);
+    }
+  });
+
+  it('hands out the whole burst without waiting', async () => {
+    const bucket = new TokenBucket({ ratePerSecond: 1, burst: 3 });
+    const started = Date.now();
+
+    await Promise.all([bucket.take(), bucket.take(), bucket.take()]);
+
+    assert.ok(Date.now() - started < 100);
+  });
+
+  it('does not limit at a rate of 0', async () => {
+    const bucket = new TokenBucket({ ratePerSecond: 0 });
+    const started = Date.now();
+
+    await Promise.all(Array.from({ length: 50 }, () => bucket.take()));
+
+    assert.ok(Date.now() - started < 100);
+  });
+});
+
+describe('createLimiter', () => {
+  it('never runs more than `concurrency` calls at once and returns every result', async () => {
+    const limit = createLimiter(2);
+    let active = 0;
+    let maxActive = 0;
+
+    const results = await Promise.all([1, 2, 3, 4, 5].map(value => limit(async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await sleep(10);
+      active--;
+      return value * 10;
+    })));
+
+    assert.equal(maxActive, 2);
+    assert.deepEqual(results, [10, 20, 30, 40, 50]);
+  });
+
+  it('frees the slot of a call that fails', async () => {
+    const limit = createLimiter(1);
+
+    const failed = limit(async () => { throw new Error('boom'); });
+    const next = limit(async () => 'next');
+
+    await assert.rejects(failed, /boom/);
+    assert.equal(await next, 'next');
+  });
+});
+
+describe('withRetry', () => {
+  it('retries 429 and 5xx responses until the call succeeds', async () => {
+    const failures = [httpError(429), { response: { status: 503 } }];
+    let calls = 0;
+
+    const result = await withRetry(async () => {
+      calls++;
+      if (failures.length > 0) throw failures.shift();
+      return 'ok';
+    }, { attempts: 3, baseDelayMs: 1 });
+
+    assert.equal(result, 'ok');
+    assert.equal(calls, 3);
+  });
+
+  it('does not retry other 4xx responses', async () => {
+    let calls = 0;
+
+    await assert.rejects(withRetry(async () => {
+      calls++;
+      throw httpError(404);
+    }, { attempts: 3, baseDelayMs: 1 }), /HTTP 404/);
+
+    assert.equal(calls, 1);
+  });
+
+  it('rethrows the last error once the attempts run out', async () => {
+    let calls = 0;
+
+    await assert.rejects(withRetry(async (attempt) => {
+      calls++;
+      throw httpError(500 + attempt);
+    }, { attempts: 3, baseDelayMs: 1 }), /HTTP 503/);
+
+    assert.equal(calls, 3);
+  });
+
+  it('waits for Retry-After instead of the backoff', async () => {
+    const delays = [];
+    const failures = [
+      httpError(429, { 'retry-after': '0.02' }),
+      httpError(503, new Headers({ 'retry-after': '0.03' }))
+    ];
+
+    const started = Date.now();
+    await withRetry(async () => {
+      if (failures.length > 0) throw failures.shift();
+    }, { attempts: 3, baseDelayMs: 60000, maxDelayMs: 120000, onRetry: ({ delayMs }) => delays.push(delayMs) });
+
+    assert.deepEqual(delays, [20, 30]);
+    assert.ok(Date.now() - started >= 50 - TIMER_SLACK_MS);
+  });
+
+  it('still caps a long Retry-After at maxDelayMs', async () => {
+    const delays = [];
+    let calls = 0;
+
+    await withRetry(async () => {
+      if (calls++ === 0) throw httpError(429, { 'retry-after': '3600' });
+    }, { attempts: 2, maxDelayMs: 5, onRetry: ({ delayMs }) => delays.push(delayMs) });
+
+    assert.deepEqual(delays, [5]);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+
+const DIMENSIONS = 1536;
+const legacyVector = (seed) => Array.from({ length: DIMENSIONS }, (_, index) => (index === seed ? 1 : 0));
+
+// Stands in for TiDB with just enough of the two statements involved: migration 010's
+// tagging UPDATE and the similarity search's model and dimension filter. Vectors stored
+// before the migration have no tag.
+const createLegacyDatabase = () => {
+  const tables = {
+    youtube_videos: [
+      { video_id: 'legacy-1', content_embedding: legacyVector(1), embedding_model: null },
+      { video_id: 'legacy-2', content_embedding: legacyVector(2), embedding_model: null },
+      { video_id: 'no-vector', content_embedding: null, embedding_model: null }
+    ],
+    meme_templates: [
+      { id: 'legacy-meme', use_cases_embedding: legacyVector(3), embedding_model: null }
+    ]
+  };
+
+  const execute = async (sql, params = []) => {
+    const update = sql.match(/UPDATE (\w+)\s+SET embedding_model = \?, embedding_dimensions = VEC_DIMS\((\w+)\)/);
+    if (update) {
+      const [, table, column] = update;
+      for (const row of tables[table].filter(row => row[column] && row.embedding_model === null)) {
+        Object.assign(row, { embedding_model: params[0], embedding_dimensions: row[column].length });
+      }
+      return [];
+    }
+
+    const search = sql.match(/FROM (youtube_videos|meme_templates)\s+WHERE (\w+) IS NOT NULL\s+AND embedding_model = \? AND embedding_dimensions = \?/);
+    if (search) {
+      const [, table, column] = search;
+      const [, model, dimensions] = params;
+      return tables[table]
+        .filter(row => row[column] && row.embedding_model === model && row.embedding_dimensions === dimensions)
+        .map(row => ({ ...row, similarity: 1 }));
+    }
+
+    // Schema changes don't matter here
+    return [];
+  };
+
+  return { tables, execute };
+};
+
+describe('migration 010 on a database with untagged vectors', () => {
+  let config;
+  let migration;
+  let VideoRepository;
+  let MemeTemplateRepository;
+
+  before(async () => {
+    delete process.env.OPENAI_EMBEDDING_MODEL;
+    delete process.env.LEGACY_EMBEDDING_MODEL;
+    Object.assign(process.env, {
+      NODE_ENV: 'test',
+      STORAGE_BACKEND: 'memory',
+      OPENAI_API_KEY: 'test-openai-key',
+      LOG_LEVEL: 'warn',
+      LOG_FILE: path.join(os.tmpdir(), 'backend-tests', 'unit.log')
+    });
+
+    ({ default: config } = await import('../../src/config/index.js'));
+    migration = await import('../../src/migrations/010-embedding-versioning.js');
+    ({ default: VideoRepository } = await import('../../src/repositories/tidb/VideoRepository.js'));
+    ({ default: MemeTemplateRepository } = await import('../../src/repositories/tidb/MemeTemplateRepository.js'));
+  });
+
+  it('keeps the stored vectors searchable with the default embedding model', async () => {
+    const database = createLegacyDatabase();
+    await migration.up(database);
+
+    const query = legacyVector(1);
+    const videos = await new VideoRepository(() => database).findSimilar(query, config.llm.models.embedding, 10, 0.5);
+    const memes = await new MemeTemplateRepository(() => database).findSimilar(query, config.llm.models.embedding, 10, 0.5);
+
+    assert.deepEqual(videos.map(video => video.video_id).sort(), ['legacy-1', 'legacy-2']);
+    assert.deepEqual(memes.map(meme => meme.id), ['legacy-meme']);
+    assert.equal(database.tables.youtube_videos.find(row => row.video_id === 'no-vector').embedding_model, null);
+  });
+
+  it('tags them with LEGACY_EMBEDDING_MODEL, which the active model must match to find them', async () => {
+    const database = createLegacyDatabase();
+    await migration.up(database);
+
+    assert.ok(database.tables.youtube_videos
+      .filter(row => row.content_embedding)
+      .every(row => row.embedding_model === config.llm.legacyEmbeddingModel));
+
+    const videos = await new VideoRepository(() => database).findSimilar(legacyVector(1), 'text-embedding-3-large', 10, 0.5);
+    assert.deepEqual(videos, []);
+  });
+});
@@ -0,0 +1,258 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+
+const zeroScores = (labels) => Object.fromEntries(labels.map(label => [label, 0]));
+
+const rawFace = (emotions, confidence, size) => ({
+  emotions,
+  confidence,
+  boundingBox: size ? { left: 0, top: 0, width: size, height: size } : null
+});
+
+// A small sharp face, the large subject and a large blurry face in the background
+const groupSelfie = () => ({
+  faces: [
+    rawFace({ happy: 1 }, 0.99, 0.1),
+    rawFace({ sad: 1 }, 0.9, 0.4),
+    rawFace({ angry: 1 }, 0.3, 0.5)
+  ]
+});
+
+describe('emotion schema', () => {
+  let schema;
+
+  before(async () => {
+    Object.assign(process.env, {
+      NODE_ENV: 'test',
+      STORAGE_BACKEND: 'memory',
+      OPENAI_API_KEY: 'test-openai-key',
+      LOG_LEVEL: 'warn',
+      LOG_FILE: path.join(os.tmpdir(), 'backend-tests', 'unit.log')
+    });
+    schema = await import('../../src/services/emotion/schema.js');
+  });
+
+  describe('normalizeEmotionLabel', () => {
+    it('maps synonyms and any casing to the canonical labels', () => {
+      assert.equal(schema.normalizeEmotionLabel('Happiness'), 'happy');
+      assert.equal(schema.normalizeEmotionLabel(' JOY '), 'happy');
+      assert.equal(schema.normalizeEmotionLabel('neutral'), 'calm');
+      assert.equal(schema.normalizeEmotionLabel('scared'), 'fear');
+      assert.equal(schema.normalizeEmotionLabel('angry'), 'angry');
+    });
+
+    it('returns null for labels outside the schema', () => {
+      assert.equal(schema.normalizeEmotionLabel('contempt'), null);
+      assert.equal(schema.normalizeEmotionLabel(''), null);
+      assert.equal(schema.normalizeEmotionLabel(null), null);
+    });
+  });
+
+  describe('normalizeEmotionScores', () => {
+    it('scales percentages to fractions that sum to 1, with every label present', () => {
+      assert.deepEqual(schema.normalizeEmotionScores({ happiness: 80, neutral: 20 }), {
+        ...zeroScores(schema.EMOTION_LABELS),
+        happy: 0.8,
+        calm: 0.2
+      });
+    });
+
+    it('rescales fractions that do not sum to 1', () => {
+      const scores = schema.normalizeEmotionScores({ happy: 0.3, sad: 0.1 });
+
+      assert.equal(scores.happy, 0.75);
+      assert.equal(scores.sad, 0.25);
+    });
+
+    it('adds up synonyms and drops unknown labels and non-numeric scores', () => {
+      const scores = schema.normalizeEmotionScores({ joy: 30, happiness: 30, sadness: 40, contempt: 90, angry: 'very' });
+
+      assert.equal(scores.happy, 0.6);
+      assert.equal(scores.sad, 0.4);
+      assert.equal(scores.angry, 0);
+      assert.equal(Object.keys(scores).length, schema.EMOTION_LABELS.length);
+    });
+
+    it('returns all zeros, and no primary emotion, when there is nothing to score', () => {
+      const scores = schema.normalizeEmotionScores({});
+
+      assert.deepEqual(scores, zeroScores(schema.EMOTION_LABELS));
+      assert.equal(schema.getPrimaryEmotion(scores), null);
+    });
+  });
+
+  describe('toCanonicalEmotionResult', () => {
+    it('normalizes a face from any provider to the canonical shape', () => {
+      const result = schema.toCanonicalEmotionResult('test', {
+        faces: [{
+          emotions: { HAPPY: 90, sadness: 10 },
+          confidence: 97,
+          ageRange: { low: 25, high: 35 },
+          boundingBox: { left: 0.1, top: 0.1, width: 0.5, height: 0.5 }
+        }],
+        description: 'A smiling person'
+      });
+
+      assert.equal(result.provider, 'test');
+      assert.equal(result.source, 'face');
+      assert.equal(result.faceDetected, true);
+      assert.equal(result.primaryEmotion, 'happy');
+      assert.equal(result.emotions.happy, 0.9);
+      assert.equal(result.confidence, 0.97);
+      assert.deepEqual(result.face.ageRange, { low: 25, high: 35 });
+      assert.equal(result.face.gender, null);
+      assert.equal(result.description, 'A smiling person');
+    });
+
+    it('prefers the provider primary emotion when it is a known label', () => {
+      const result = schema.toCanonicalEmotionResult('test', {
+        faces: [{ emotions: { happy: 0.5, surprised: 0.5 }, primaryEmotion: 'Surprise' }]
+      });
+
+      assert.equal(result.primaryEmotion, 'surprised');
+    });
+
+    it('reports no face with zero scores when none was detected', () => {
+      const result = schema.toCanonicalEmotionResult('test', { faces: [] });
+
+      assert.equal(result.faceDetected, false);
+      assert.deepEqual(result.emotions, zeroScores(schema.EMOTION_LABELS));
+      assert.equal(result.primaryEmotion, null);
+      assert.equal(result.confidence, 0);
+      assert.equal(result.face, null);
+    });
+
+    it('rejects provider output that does not fit the schema', () => {
+      assert.throws(() => schema.toCanonicalEmotionResult('test', {
+        faces: [{ emotions: { happy: 1 }, boundingBox: { left: 0, top: 0, width: 640, height: 480 } }]
+      }), /Invalid emotion result from test/);
+    });
+  });
+
+  describe('toCanonicalTextEmotionResult', () => {
+    it('fills in the score fields and leaves the face fields empty', () => {
+      const result = schema.toCanonicalTextEmotionResult('test', {
+        emotions: { sadness: 70, anger: 30 },
+        confidence: 85
+      });
+
+      assert.equal(result.source, 'text');
+      assert.equal(result.faceDetected, false);
+      assert.equal(result.primaryEmotion, 'sad');
+      assert.equal(result.emotions.angry, 0.3);
+      assert.equal(result.confidence, 0.85);
+      assert.deepEqual(result.faces, []);
+      assert.equal(result.face, null);
+    });
+  });
+
+  describe('pickDefaultFace', () => {
+    it('picks the largest face, weighted by detection confidence', () => {
+      const { faces } = schema.toCanonicalEmotionResult('test', groupSelfie());
+
+      assert.equal(schema.pickDefaultFace(faces).index, 1);
+    });
+
+    it('picks the most confident face when there are no bounding boxes', () => {
+      const { faces } = schema.toCanonicalEmotionResult('test', {
+        faces: [rawFace({ happy: 1 }, 0.6), rawFace({ sad: 1 }, 0.8), rawFace({ calm: 1 }, 0.7)]
+      });
+
+      assert.equal(schema.pickDefaultFace(faces).index, 1);
+    });
+
+    it('keeps the first face on a tie', () => {
+      const { faces } = schema.toCanonicalEmotionResult('test', {
+        faces: [rawFace({ happy: 1 }, 0.8, 0.3), rawFace({ sad: 1 }, 0.8, 0.3)]
+      });
+
+      assert.equal(schema.pickDefaultFace(faces).index, 0);
+    });
+  });
+
+  describe('aggregateTeamMood', () => {
+    it('blends the faces weighted by confidence', () => {
+      const { faces } = schema.toCanonicalEmotionResult('test', {
+        faces: [rawFace({ happy: 1 }, 1), rawFace({ sad: 1 }, 0.5)]
+      });
+
+      const mood = schema.aggregateTeamMood(faces);
+
+      assert.equal(mood.faceCount, 2);
+      assert.equal(mood.emotions.happy, 0.667);
+      assert.equal(mood.emotions.sad, 0.333);
+      assert.equal(mood.primaryEmotion, 'happy');
+    });
+
+    it('leaves out faces with no confidence, and blends equally when no face has any', () => {
+      const { faces } = schema.toCanonicalEmotionResult('test', {
+        faces: [rawFace({ happy: 1 }, 0), rawFace({ happy: 1 }, 0.5), rawFace({ sad: 1 }, 0.5)]
+      });
+
+      const { emotions } = schema.aggregateTeamMood(faces);
+      assert.deepEqual([emotions.happy, emotions.sad], [0.5, 0.5]);
+
+      const unsure = schema.aggregateTeamMood(faces.map(face => ({ ...face, confidence: 0 })));
+      assert.deepEqual([unsure.emotions.happy, unsure.emotions.sad], [0.667, 0.333]);
+    });
+  });
+
+  describe('face selection', () => {
+    it('describes the default face and lists every face', () => {
+      const result = schema.toCanonicalEmotionResult('test', groupSelfie());
+
+      assert.equal(result.faces.length, 3);
+      assert.deepEqual(result.faces.map(face => face.primaryEmotion), ['happy', 'sad', 'angry']);
+      assert.equal(result.selection, 'auto');
+      assert.equal(result.selectedFaceIndex, 1);
+      assert.equal(result.primaryEmotion, 'sad');
+      assert.equal(result.teamMood, null);
+    });
+
+    it('describes the requested face, including the first one', () => {
+      const result = schema.toCanonicalEmotionResult('test', groupSelfie(), { faceIndex: 0 });
+
+      assert.equal(result.selection, 'requested');
+      assert.equal(result.selectedFaceIndex, 0);
+      assert.equal(result.primaryEmotion, 'happy');
+      assert.equal(result.confidence, 0.99);
+    });
+
+    it('reports the team mood, and still names the default face, when asked for it', () => {
+      const result = schema.toCanonicalEmotionResult('test', groupSelfie(), { teamMood: true });
+
+      assert.equal(result.selection, 'team');
+      assert.equal(result.teamMood.faceCount, 3);
+      assert.deepEqual(result.emotions, result.teamMood.emotions);
+      assert.equal(result.primaryEmotion, 'happy');
+      assert.equal(result.selectedFaceIndex, 1);
+    });
+
+    it('lets a requested face win over the team mood, which is still reported', () => {
+      const result = schema.toCanonicalEmotionResult('test', groupSelfie(), { faceIndex: 2, teamMood: true });
+
+      assert.equal(result.selection, 'requested');
+      assert.equal(result.primaryEmotion, 'angry');
+      assert.equal(result.teamMood.faceCount, 3);
+    });
+
+    it('has no team mood for a single face', () => {
+      const result = schema.toCanonicalEmotionResult('test', { faces: [rawFace({ calm: 1 }, 0.9)] }, { teamMood: true });
+
+      assert.equal(result.selection, 'auto');
+      assert.equal(result.teamMood, null);
+    });
+
+    it('rejects a face index past the detected faces with a 400', () => {
+      for (const [raw, faceIndex] of [[groupSelfie(), 3], [{ faces: [] }, 0]]) {
+        assert.throws(() => schema.toCanonicalEmotionResult('test', raw, { faceIndex }), (error) => {
+          assert.equal(error.statusCode, 400);
+          assert.match(error.message, new RegExp(`Face index ${faceIndex} is out of range: ${raw.faces.length} face\\(s\\) detected`));
+          return true;
+        });
+      }
+    });
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { createOpenAIStandIn, embedText } from '../support/standIns/openai.js';
+
+describe('LLMClient.embed', () => {
+  let openai;
+  let LLMClient;
+
+  before(async () => {
+    openai = await createOpenAIStandIn().start();
+
+    Object.assign(process.env, {
+      NODE_ENV: 'test',
+      STORAGE_BACKEND: 'memory',
+      LOG_LEVEL: 'warn',
+      LOG_FILE: path.join(os.tmpdir(), 'backend-tests', 'unit.log'),
+      LLM_MAX_RETRIES: '0',
+      LLM_RATE_PER_SECOND: '0',
+      LLM_BASE_URL: `${openai.url}/v1`
+    });
+    ({ default: LLMClient } = await import('../../src/services/LLMClient.js'));
+  });
+
+  after(() => openai?.close());
+
+  it('returns one vector per input, in input order, whatever order the API replies in', async () => {
+    const inputs = ['Quarterly planning review', 'Morning standup', 'Coffee with the team'];
+
+    const vectors = await LLMClient.embed(inputs);
+
+    assert.deepEqual(vectors, inputs.map(embedText));
+  });
+});
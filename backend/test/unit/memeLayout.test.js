@@ -0,0 +1,210 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BOX_STYLE_DEFAULTS,
+  defaultBoxLayout,
+  estimateTextWidth,
+  fitText,
+  LINE_HEIGHT,
+  resolveBoxLayout,
+  validateBoxLayout,
+  wrapText
+} from '../../src/utils/memeLayout.js';
+
+const CAPTION = 'one does not simply walk into mordor';
+const LONG_CAPTION = 'when the code works on the first try and you have no idea why it works at all '.repeat(4).trim();
+
+const layoutBox = (overrides = {}) => ({ x: 0.05, y: 0.05, width: 0.9, height: 0.2, ...overrides });
+
+const assertFits = ({ fontSize, lines }, { width, height }) => {
+  assert.ok(lines.length * fontSize * LINE_HEIGHT <= height, `${lines.length} lines at ${fontSize}px overflow ${height}px`);
+  for (const line of lines) {
+    assert.ok(estimateTextWidth(line, fontSize) <= width, `"${line}" is wider than ${width}px`);
+  }
+};
+
+describe('estimateTextWidth', () => {
+  it('scales with the font size and counts wide letters wider', () => {
+    assert.equal(estimateTextWidth('Hi', 20), 2 * estimateTextWidth('Hi', 10));
+    assert.ok(estimateTextWidth('MW', 10) > estimateTextWidth('ab', 10));
+    assert.ok(estimateTextWidth('ab', 10) > estimateTextWidth('il', 10));
+  });
+});
+
+describe('wrapText', () => {
+  it('fills each line with as many words as fit', () => {
+    const lines = wrapText(CAPTION, 20, 150);
+
+    assert.deepEqual(lines, ['one does', 'not simply', 'walk into', 'mordor']);
+    assert.ok(lines.every(line => estimateTextWidth(line, 20) <= 150));
+  });
+
+  it('keeps text that fits on one line', () => {
+    assert.deepEqual(wrapText(CAPTION, 10, 1000), [CAPTION]);
+  });
+
+  it('splits a word wider than the line across lines', () => {
+    const lines = wrapText('Supercalifragilistic', 20, 100);
+
+    assert.ok(lines.length > 1);
+    assert.equal(lines.join(''), 'Supercalifragilistic');
+    assert.ok(lines.every(line => estimateTextWidth(line, 20) <= 100));
+  });
+
+  it('ignores extra whitespace and returns no lines for blank text', () => {
+    assert.deepEqual(wrapText('  one   does\nnot  ', 10, 1000), ['one does not']);
+    assert.deepEqual(wrapText('   ', 10, 1000), []);
+  });
+});
+
+describe('fitText', () => {
+  it('uses the largest font size that fits the box height', () => {
+    const box = { width: 400, height: 50 };
+    const fitted = fitText('Hi', box);
+
+    assert.deepEqual(fitted.lines, ['Hi']);
+    assertFits(fitted, box);
+    assert.ok((fitted.fontSize + 2) * LINE_HEIGHT > box.height);
+  });
+
+  it('never goes above maxFontSize', () => {
+    assert.equal(fitText('Hi', { width: 1000, height: 500 }, { maxFontSize: 60 }).fontSize, 60);
+  });
+
+  it('shrinks longer captions until every line fits', () => {
+    const box = { width: 400, height: 100 };
+    const short = fitText('Hi', box);
+    const long = fitText(CAPTION, box);
+
+    assert.ok(long.fontSize < short.fontSize);
+    assert.equal(long.lines.join(' '), CAPTION);
+    assertFits(long, box);
+  });
+
+  it('cuts text that does not fit at minFontSize and ends it with an ellipsis', () => {
+    const box = { width: 200, height: 60 };
+    const fitted = fitText(LONG_CAPTION, box);
+
+    assert.equal(fitted.fontSize, 12);
+    assert.equal(fitted.lines.length, Math.floor(box.height / (12 * LINE_HEIGHT)));
+    assert.ok(fitted.lines.at(-1).endsWith('...'));
+    assertFits(fitted, box);
+  });
+
+  it('wraps to at most maxLines, shrinking the font first', () => {
+    const box = { width: 400, height: 300 };
+    const unlimited = fitText(CAPTION, box);
+    const oneLine = fitText(CAPTION, box, { maxLines: 1 });
+
+    assert.ok(unlimited.lines.length > 1);
+    assert.deepEqual(oneLine.lines, [CAPTION]);
+    assert.ok(oneLine.fontSize < unlimited.fontSize);
+    assertFits(oneLine, box);
+  });
+
+  it('cuts text to maxLines when it does not fit them at minFontSize', () => {
+    const fitted = fitText(LONG_CAPTION, { width: 200, height: 300 }, { maxLines: 2 });
+
+    assert.equal(fitted.fontSize, 12);
+    assert.equal(fitted.lines.length, 2);
+    assert.ok(fitted.lines[1].endsWith('...'));
+  });
+
+  it('keeps one line even when the box is shorter than minFontSize', () => {
+    const fitted = fitText(LONG_CAPTION, { width: 200, height: 5 });
+
+    assert.equal(fitted.lines.length, 1);
+    assert.ok(fitted.lines[0].endsWith('...'));
+  });
+});
+
+describe('defaultBoxLayout', () => {
+  it('captions the bottom for one box and top and bottom for two', () => {
+    const [single] = defaultBoxLayout(1);
+    const [top, bottom] = defaultBoxLayout(2);
+
+    assert.deepEqual(single, bottom);
+    assert.ok(top.y < 0.1);
+    assert.ok(bottom.y + bottom.height > 0.9);
+  });
+
+  it('stacks equal bands for more boxes, all inside the image and in caption order', () => {
+    const layout = defaultBoxLayout(4);
+
+    assert.equal(layout.length, 4);
+    for (const [index, box] of layout.entries()) {
+      assert.ok(box.x >= 0 && box.y >= 0 && box.x + box.width <= 1 && box.y + box.height <= 1 + 1e-9);
+      assert.equal(box.height, layout[0].height);
+      if (index > 0) assert.ok(box.y >= layout[index - 1].y + layout[index - 1].height - 1e-9);
+    }
+  });
+});
+
+describe('validateBoxLayout', () => {
+  it('accepts one box per text box and fills in the style defaults', () => {
+    const { error, value } = validateBoxLayout([layoutBox(), layoutBox({ y: 0.75, align: 'left', rotation: -15 })], 2);
+
+    assert.equal(error, undefined);
+    assert.deepEqual(value[0], { ...BOX_STYLE_DEFAULTS, ...layoutBox() });
+    assert.equal(value[1].align, 'left');
+    assert.equal(value[1].rotation, -15);
+    assert.equal(value[1].color, BOX_STYLE_DEFAULTS.color);
+  });
+
+  it('drops unknown fields', () => {
+    const { error, value } = validateBoxLayout([layoutBox({ fontFamily: 'Comic Sans' })], 1);
+
+    assert.equal(error, undefined);
+    assert.equal('fontFamily' in value[0], false);
+  });
+
+  it('rejects a layout with more or fewer boxes than the template has', () => {
+    const tooMany = validateBoxLayout([layoutBox(), layoutBox(), layoutBox()], 2);
+    const tooFew = validateBoxLayout([layoutBox()], 2);
+
+    assert.match(tooMany.error.message, /must contain 2 items/);
+    assert.match(tooFew.error.message, /must contain 2 items/);
+  });
+
+  it('rejects a missing layout or one that is not a list', () => {
+    assert.match(validateBoxLayout(undefined, 2).error.message, /required/);
+    assert.match(validateBoxLayout({ 0: layoutBox(), 1: layoutBox() }, 2).error.message, /must be an array/);
+  });
+
+  it('rejects boxes that reach outside the image, allowing for rounding', () => {
+    assert.match(validateBoxLayout([layoutBox({ x: 0.5, width: 0.6 })], 1).error.message, /must lie inside the image/);
+    assert.match(validateBoxLayout([layoutBox({ y: 0.9 })], 1).error.message, /must lie inside the image/);
+    assert.equal(validateBoxLayout([layoutBox({ x: 0.0805, width: 0.92 })], 1).error, undefined);
+  });
+
+  it('rejects styles outside the allowed values', () => {
+    for (const style of [{ align: 'justify' }, { color: 'white' }, { rotation: 270 }, { maxLines: 0 }, { width: 0 }]) {
+      assert.ok(validateBoxLayout([layoutBox(style)], 1).error, JSON.stringify(style));
+    }
+  });
+});
+
+describe('resolveBoxLayout', () => {
+  it('uses the stored layout with the style defaults filled in', () => {
+    const stored = [layoutBox(), layoutBox({ y: 0.75, color: '#ffff00' })];
+    const layout = resolveBoxLayout({ box_count: 2, box_layout: stored });
+
+    assert.deepEqual(layout, stored.map(entry => ({ ...BOX_STYLE_DEFAULTS, ...entry })));
+  });
+
+  it('falls back to the default layout when none is stored', () => {
+    assert.deepEqual(resolveBoxLayout({ box_count: 3, box_layout: null }),
+      defaultBoxLayout(3).map(entry => ({ ...BOX_STYLE_DEFAULTS, ...entry })));
+  });
+
+  it('ignores a stored layout whose box count no longer matches the template', () => {
+    const layout = resolveBoxLayout({ box_count: 3, box_layout: [layoutBox(), layoutBox({ y: 0.75 })] });
+
+    assert.equal(layout.length, 3);
+    assert.deepEqual(layout, defaultBoxLayout(3).map(entry => ({ ...BOX_STYLE_DEFAULTS, ...entry })));
+  });
+
+  it('assumes two boxes when the template does not say', () => {
+    assert.equal(resolveBoxLayout({}).length, 2);
+  });
+});
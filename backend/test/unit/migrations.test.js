@@ -0,0 +1,80 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { createSchemaDatabase } from '../support/schemaDatabase.js';
+
+describe('migrations', () => {
+  let migrate;
+  let migrations;
+
+  before(async () => {
+    Object.assign(process.env, {
+      NODE_ENV: 'test',
+      STORAGE_BACKEND: 'memory',
+      OPENAI_API_KEY: 'test-openai-key',
+      LOG_LEVEL: 'warn',
+      LOG_FILE: path.join(os.tmpdir(), 'backend-tests', 'unit.log')
+    });
+
+    migrate = await import('../../src/config/migrate.js');
+    migrations = await migrate.loadMigrations();
+  });
+
+  const ledgerVersions = (database) => database.rows('schema_migrations').map(row => row.version);
+
+  it('numbers the migrations 1 to n without gaps', () => {
+    assert.deepEqual(migrations.map(migration => migration.version), migrations.map((_, index) => index + 1));
+  });
+
+  it('applies every migration once and records each in the ledger', async () => {
+    const database = createSchemaDatabase();
+    const versions = migrations.map(migration => migration.version);
+
+    assert.deepEqual(await migrate.runMigrations(database), versions);
+    assert.deepEqual(ledgerVersions(database), versions);
+    assert.ok((await migrate.getMigrationStatus(database)).every(migration => migration.applied));
+
+    const schema = database.schema();
+    assert.deepEqual(await migrate.runMigrations(database), []);
+    assert.deepEqual(database.schema(), schema);
+  });
+
+  it('rolls back newest first and leaves only the ledger behind', async () => {
+    const database = createSchemaDatabase();
+    await migrate.runMigrations(database);
+
+    assert.deepEqual(await migrate.rollbackMigrations(2, database), [migrations.length, migrations.length - 1]);
+    const status = await migrate.getMigrationStatus(database);
+    assert.deepEqual(status.filter(migration => !migration.applied).map(migration => migration.version),
+      [migrations.length - 1, migrations.length]);
+
+    await migrate.rollbackMigrations(migrations.length, database);
+
+    assert.deepEqual(ledgerVersions(database), []);
+    assert.deepEqual(Object.keys(database.schema()), ['schema_migrations']);
+    assert.ok((await migrate.getMigrationStatus(database)).every(migration => !migration.applied));
+    assert.deepEqual(await migrate.rollbackMigrations(1, database), []);
+  });
+
+  it('brings the schema back to where it was with each down', async () => {
+    const database = createSchemaDatabase();
+
+    for (const migration of migrations) {
+      const before = database.schema();
+      const label = `${migration.version}-${migration.name}`;
+
+      await migration.up(database);
+      const after = database.schema();
+
+      // The runner isn't transactional, so an interrupted up must be safe to run again
+      await migration.up(database);
+      assert.deepEqual(database.schema(), after, `${label} up is not repeatable`);
+
+      await migration.down(database);
+      assert.deepEqual(database.schema(), before, `${label} down does not reverse its up`);
+
+      await migration.up(database);
+    }
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fitPlaylist, getTotalSeconds } from '../../src/utils/playlist.js';
+
+const video = (id, durationSeconds) => ({ id, duration_seconds: durationSeconds });
+const ids = (videos) => videos.map(item => item.id);
+
+describe('fitPlaylist', () => {
+  it('keeps videos in input order while they fit', () => {
+    const { videos, totalSeconds } = fitPlaylist([video('a', 60), video('b', 90), video('c', 30)], 300);
+
+    assert.deepEqual(ids(videos), ['a', 'b', 'c']);
+    assert.equal(totalSeconds, 180);
+  });
+
+  it('skips a video that would overrun and fills the rest with shorter ones', () => {
+    const { videos, totalSeconds } = fitPlaylist([video('a', 120), video('b', 90), video('c', 45)], 180);
+
+    assert.deepEqual(ids(videos), ['a', 'c']);
+    assert.equal(totalSeconds, 165);
+  });
+
+  it('accepts a playlist that fills the time exactly', () => {
+    const { videos, totalSeconds } = fitPlaylist([video('a', 100), video('b', 80)], 180);
+
+    assert.deepEqual(ids(videos), ['a', 'b']);
+    assert.equal(totalSeconds, 180);
+  });
+
+  it('leaves out videos of unknown length', () => {
+    const { videos } = fitPlaylist([video('a', null), video('b', 0), { id: 'c' }, video('d', 30)], 600);
+
+    assert.deepEqual(ids(videos), ['d']);
+  });
+
+  it('stops at maxVideos', () => {
+    const { videos, totalSeconds } = fitPlaylist([video('a', 10), video('b', 10), video('c', 10)], 600, 2);
+
+    assert.deepEqual(ids(videos), ['a', 'b']);
+    assert.equal(totalSeconds, 20);
+  });
+
+  it('returns an empty playlist when nothing fits', () => {
+    assert.deepEqual(fitPlaylist([video('a', 120)], 60), { videos: [], totalSeconds: 0 });
+    assert.deepEqual(fitPlaylist([], 60), { videos: [], totalSeconds: 0 });
+  });
+});
+
+describe('getTotalSeconds', () => {
+  it('sums known durations and counts unknown ones as zero', () => {
+    assert.equal(getTotalSeconds([video('a', 60), video('b', null), video('c', 15)]), 75);
+  });
+});
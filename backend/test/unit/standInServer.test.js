@@ -0,0 +1,72 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { StandInServer } from '../support/standInServer.js';
+
+describe('StandInServer fixtures', () => {
+  let fixturesDir;
+  let upstream;
+
+  before(async () => {
+    fixturesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'stand-in-fixtures-'));
+    upstream = await new StandInServer({
+      name: 'upstream',
+      mode: 'replay',
+      fixturesDir,
+      routes: {
+        'GET /items': ({ query }, server) => ({
+          body: { items: [query.q], nextLink: `${server.url}/items?page=2` }
+        })
+      },
+      upstream: 'http://upstream.invalid'
+    }).start();
+  });
+
+  after(async () => {
+    await upstream.close();
+    await fs.rm(fixturesDir, { recursive: true, force: true });
+  });
+
+  const createStandIn = (mode, routes = {}) => new StandInServer({
+    name: 'service',
+    upstream: upstream.url,
+    mode,
+    fixturesDir,
+    routes,
+    ignoreParams: ['key']
+  }).start();
+
+  it('records upstream replies and replays them without the upstream', async () => {
+    const recorder = await createStandIn('record');
+    const recorded = await fetch(`${recorder.url}/items?q=cats&key=secret-key`).then(response => response.json());
+    await recorder.close();
+
+    assert.deepEqual(recorded, { items: ['cats'], nextLink: `${recorder.url}/items?page=2` });
+
+    const [file] = await fs.readdir(path.join(fixturesDir, 'service'));
+    const saved = await fs.readFile(path.join(fixturesDir, 'service', file), 'utf8');
+    assert.doesNotMatch(saved, /secret-key/);
+
+    const replayer = await createStandIn('replay', {
+      'GET /items': () => ({ body: { items: ['synthetic'] } })
+    });
+    const replayed = await fetch(`${replayer.url}/items?key=other-key&q=cats`).then(response => response.json());
+    await replayer.close();
+
+    assert.deepEqual(replayed, { items: ['cats'], nextLink: `${replayer.url}/items?page=2` });
+  });
+
+  it('falls back to the synthetic route when nothing was recorded', async () => {
+    const replayer = await createStandIn('replay', {
+      'GET /items': ({ query }) => ({ body: { items: [`synthetic ${query.q}`] } })
+    });
+    const synthetic = await fetch(`${replayer.url}/items?q=dogs`).then(response => response.json());
+    const missing = await fetch(`${replayer.url}/unknown`);
+    await replayer.close();
+
+    assert.deepEqual(synthetic, { items: ['synthetic dogs'] });
+    assert.equal(missing.status, 501);
+  });
+});
@@ -0,0 +1,175 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isValidTimeZone,
+  resolveTimeZone,
+  getTimeZoneOffsetMinutes,
+  zonedTimeToUtc,
+  getZonedDayBounds,
+  graphDateTimeToUtc,
+  toUtcSqlDateTime,
+  fromUtcSqlDateTime,
+  formatZonedTime,
+  formatZonedDate,
+  parseIsoDuration
+} from '../../src/utils/time.js';
+
+const LOS_ANGELES = 'America/Los_Angeles';
+const iso = (date) => date.toISOString();
+
+describe('resolveTimeZone', () => {
+  it('maps Windows zone names to IANA ones', () => {
+    assert.equal(resolveTimeZone('Pacific Standard Time'), LOS_ANGELES);
+    assert.equal(resolveTimeZone('W. Europe Standard Time'), 'Europe/Berlin');
+    assert.equal(resolveTimeZone('India Standard Time'), 'Asia/Calcutta');
+    assert.equal(resolveTimeZone('UTC'), 'Etc/UTC');
+  });
+
+  it('passes IANA names through and rejects unknown ones', () => {
+    assert.equal(resolveTimeZone('Europe/Paris'), 'Europe/Paris');
+    assert.equal(resolveTimeZone('Mars Standard Time'), null);
+    assert.equal(resolveTimeZone(''), null);
+    assert.equal(resolveTimeZone(undefined), null);
+  });
+
+  it('only maps to zones Intl knows', () => {
+    for (const zone of ['Pacific Standard Time', 'Tonga Standard Time', 'Nepal Standard Time']) {
+      assert.ok(isValidTimeZone(resolveTimeZone(zone)), zone);
+    }
+    assert.equal(isValidTimeZone('Not/A_Zone'), false);
+  });
+});
+
+describe('getTimeZoneOffsetMinutes', () => {
+  it('follows daylight saving time', () => {
+    assert.equal(getTimeZoneOffsetMinutes(LOS_ANGELES, new Date('2025-01-15T12:00:00Z')), -480);
+    assert.equal(getTimeZoneOffsetMinutes(LOS_ANGELES, new Date('2025-07-15T12:00:00Z')), -420);
+  });
+
+  it('handles offsets that are not whole hours', () => {
+    assert.equal(getTimeZoneOffsetMinutes('Asia/Calcutta', new Date('2025-01-15T12:00:00Z')), 330);
+    assert.equal(getTimeZoneOffsetMinutes('Asia/Katmandu', new Date('2025-01-15T12:00:00Z')), 345);
+  });
+});
+
+describe('zonedTimeToUtc', () => {
+  it('converts a wall-clock time with the offset in effect on that day', () => {
+    assert.equal(iso(zonedTimeToUtc({ year: 2025, month: 1, day: 15, hour: 9, minute: 30 }, LOS_ANGELES)), '2025-01-15T17:30:00.000Z');
+    assert.equal(iso(zonedTimeToUtc({ year: 2025, month: 7, day: 15, hour: 9, minute: 30 }, LOS_ANGELES)), '2025-07-15T16:30:00.000Z');
+    assert.equal(iso(zonedTimeToUtc({ year: 2025, month: 7, day: 15 }, 'Asia/Tokyo')), '2025-07-14T15:00:00.000Z');
+  });
+
+  it('uses the new offset right after clocks spring forward', () => {
+    // Clocks in Los Angeles went from 02:00 PST to 03:00 PDT on 9 March 2025
+    assert.equal(iso(zonedTimeToUtc({ year: 2025, month: 3, day: 9, hour: 1, minute: 59 }, LOS_ANGELES)), '2025-03-09T09:59:00.000Z');
+    assert.equal(iso(zonedTimeToUtc({ year: 2025, month: 3, day: 9, hour: 3 }, LOS_ANGELES)), '2025-03-09T10:00:00.000Z');
+  });
+
+  it('moves a time skipped by the spring-forward gap ahead by the gap', () => {
+    assert.equal(iso(zonedTimeToUtc({ year: 2025, month: 3, day: 9, hour: 2, minute: 30 }, LOS_ANGELES)), '2025-03-09T10:30:00.000Z');
+    assert.equal(iso(zonedTimeToUtc({ year: 2025, month: 3, day: 30, hour: 1, minute: 30 }, 'Europe/London')), '2025-03-30T01:30:00.000Z');
+  });
+
+  it('picks the first of the two times repeated when clocks fall back', () => {
+    assert.equal(iso(zonedTimeToUtc({ year: 2025, month: 11, day: 2, hour: 1, minute: 30 }, LOS_ANGELES)), '2025-11-02T08:30:00.000Z');
+    assert.equal(iso(zonedTimeToUtc({ year: 2025, month: 10, day: 26, hour: 1, minute: 30 }, 'Europe/London')), '2025-10-26T00:30:00.000Z');
+  });
+});
+
+describe('getZonedDayBounds', () => {
+  it('spans midnight to midnight in the zone', () => {
+    const { start, end } = getZonedDayBounds(LOS_ANGELES, new Date('2025-01-15T07:30:00Z'));
+
+    assert.equal(iso(start), '2025-01-14T08:00:00.000Z');
+    assert.equal(iso(end), '2025-01-15T08:00:00.000Z');
+  });
+
+  it('is 23 hours long on the day clocks spring forward and 25 on the day they fall back', () => {
+    const spring = getZonedDayBounds(LOS_ANGELES, new Date('2025-03-09T20:00:00Z'));
+    assert.equal(iso(spring.start), '2025-03-09T08:00:00.000Z');
+    assert.equal(iso(spring.end), '2025-03-10T07:00:00.000Z');
+
+    const fall = getZonedDayBounds(LOS_ANGELES, new Date('2025-11-02T20:00:00Z'));
+    assert.equal(iso(fall.start), '2025-11-02T07:00:00.000Z');
+    assert.equal(iso(fall.end), '2025-11-03T08:00:00.000Z');
+  });
+
+  it('starts at 01:00 where the clocks skip midnight', () => {
+    // Santiago went from 00:00 to 01:00 on 7 September 2025
+    const { start } = getZonedDayBounds('America/Santiago', new Date('2025-09-07T12:00:00Z'));
+
+    assert.equal(iso(start), '2025-09-07T04:00:00.000Z');
+    assert.equal(formatZonedTime(start, 'America/Santiago'), '01:00');
+  });
+});
+
+describe('graphDateTimeToUtc', () => {
+  it('reads Graph date times in the named Windows or IANA zone', () => {
+    assert.equal(iso(graphDateTimeToUtc({ dateTime: '2025-03-09T09:00:00.0000000', timeZone: 'Pacific Standard Time' })), '2025-03-09T16:00:00.000Z');
+    assert.equal(iso(graphDateTimeToUtc({ dateTime: '2025-03-08T09:00:00.0000000', timeZone: LOS_ANGELES })), '2025-03-08T17:00:00.000Z');
+  });
+
+  it('keeps an explicit offset and falls back to UTC for an unknown zone', () => {
+    assert.equal(iso(graphDateTimeToUtc({ dateTime: '2025-03-09T09:00:00+02:00', timeZone: 'Pacific Standard Time' })), '2025-03-09T07:00:00.000Z');
+    assert.equal(iso(graphDateTimeToUtc({ dateTime: '2025-03-09T09:00:00.0000000', timeZone: 'Mars Standard Time' })), '2025-03-09T09:00:00.000Z');
+  });
+
+  it('returns null for a missing or malformed date time', () => {
+    assert.equal(graphDateTimeToUtc(null), null);
+    assert.equal(graphDateTimeToUtc({ timeZone: 'UTC' }), null);
+    assert.equal(graphDateTimeToUtc({ dateTime: 'tomorrow', timeZone: 'UTC' }), null);
+  });
+});
+
+describe('toUtcSqlDateTime and fromUtcSqlDateTime', () => {
+  it('write and read DATETIME values as UTC whatever the input offset', () => {
+    assert.equal(toUtcSqlDateTime(new Date('2025-03-09T10:30:15.250Z')), '2025-03-09 10:30:15');
+    assert.equal(toUtcSqlDateTime('2025-03-09T03:30:15-07:00'), '2025-03-09 10:30:15');
+    assert.equal(iso(fromUtcSqlDateTime('2025-03-09 10:30:15')), '2025-03-09T10:30:15.000Z');
+  });
+
+  it('round-trip an instant to the second', () => {
+    const instant = new Date('2025-11-02T08:30:00Z');
+    assert.equal(iso(fromUtcSqlDateTime(toUtcSqlDateTime(instant))), iso(instant));
+  });
+
+  it('pass Date values through and map empty values to null', () => {
+    const date = new Date();
+    assert.equal(fromUtcSqlDateTime(date), date);
+    assert.equal(fromUtcSqlDateTime(null), null);
+    assert.equal(toUtcSqlDateTime(null), null);
+    assert.equal(toUtcSqlDateTime(undefined), null);
+  });
+});
+
+describe('formatZonedTime and formatZonedDate', () => {
+  it('format the wall-clock time and date in the zone', () => {
+    assert.equal(formatZonedTime('2025-03-09T10:30:00Z', LOS_ANGELES), '03:30');
+    assert.equal(formatZonedDate('2025-03-09T10:30:00Z', LOS_ANGELES), '2025-03-09');
+    assert.equal(formatZonedTime('2025-03-09T07:30:00Z', LOS_ANGELES), '23:30');
+    assert.equal(formatZonedDate('2025-03-09T07:30:00Z', LOS_ANGELES), '2025-03-08');
+  });
+});
+
+describe('parseIsoDuration', () => {
+  it('converts YouTube durations to seconds', () => {
+    assert.equal(parseIsoDuration('PT1M5S'), 65);
+    assert.equal(parseIsoDuration('PT2H'), 7200);
+    assert.equal(parseIsoDuration('P1DT2H'), 93600);
+    assert.equal(parseIsoDuration('PT1H2M3S'), 3723);
+    assert.equal(parseIsoDuration('PT0S'), 0);
+    assert.equal(parseIsoDuration('P0D'), 0);
+  });
+
+  it('rounds fractional seconds', () => {
+    assert.equal(parseIsoDuration('PT1.6S'), 2);
+  });
+
+  it('returns null for anything else', () => {
+    assert.equal(parseIsoDuration('1:05'), null);
+    assert.equal(parseIsoDuration('P1W'), null);
+    assert.equal(parseIsoDuration(''), null);
+    assert.equal(parseIsoDuration(65), null);
+    assert.equal(parseIsoDuration(undefined), null);
+  });
+});
@@ -0,0 +1,167 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+
+const DAILY_QUOTA = 250;
+
+// Spending writes the ledger in the background
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('YouTubeQuotaService', () => {
+  let YouTubeQuotaService;
+  let QuotaExceededError;
+
+  before(async () => {
+    Object.assign(process.env, {
+      NODE_ENV: 'test',
+      STORAGE_BACKEND: 'memory',
+      OPENAI_API_KEY: 'test-openai-key',
+      YOUTUBE_DAILY_QUOTA: String(DAILY_QUOTA),
+      LOG_LEVEL: 'warn',
+      LOG_FILE: path.join(os.tmpdir(), 'backend-tests', 'unit.log')
+    });
+    ({ default: YouTubeQuotaService, QuotaExceededError } = await import('../../src/services/YouTubeQuotaService.js'));
+
+    // Every test starts on its own Pacific day, so usage never carries over between them
+    mock.timers.enable({ apis: ['Date'] });
+  });
+
+  after(() => {
+    mock.timers.reset();
+  });
+
+  const setNow = (iso) => mock.timers.setTime(Date.parse(iso));
+
+  describe('spend', () => {
+    it('charges each endpoint its own cost and keeps a ledger per endpoint', async () => {
+      setNow('2025-06-10T18:00:00Z');
+
+      assert.equal(await YouTubeQuotaService.spend('search'), 100);
+      assert.equal(await YouTubeQuotaService.spend('videos'), 1);
+      assert.equal(await YouTubeQuotaService.spend('videos'), 1);
+      assert.equal(await YouTubeQuotaService.spend('commentThreads'), 1);
+      assert.equal(await YouTubeQuotaService.spend('playlistItems'), 1);
+      await settle();
+
+      const usage = await YouTubeQuotaService.getUsage();
+      assert.equal(usage.date, '2025-06-10');
+      assert.equal(usage.used, 104);
+      assert.equal(usage.remaining, DAILY_QUOTA - 104);
+      assert.deepEqual(usage.endpoints.map(({ endpoint, units, calls }) => [endpoint, units, calls]), [
+        ['search', 100, 1],
+        ['videos', 2, 2],
+        ['commentThreads', 1, 1],
+        ['playlistItems', 1, 1]
+      ]);
+    });
+
+    it('refuses a call that would go over the limit without charging for it', async () => {
+      setNow('2025-06-12T18:00:00Z');
+      await YouTubeQuotaService.spend('search');
+      await YouTubeQuotaService.spend('search');
+
+      await assert.rejects(YouTubeQuotaService.spend('search'), (error) => {
+        assert.ok(error instanceof QuotaExceededError);
+        assert.equal(error.statusCode, 429);
+        assert.equal(error.usage.used, 200);
+        // 11:00 PDT, so the reset at midnight Pacific is 13 hours away
+        assert.equal(error.usage.resetsAt, '2025-06-13T07:00:00.000Z');
+        assert.equal(error.retryAfterSeconds, 13 * 3600);
+        return true;
+      });
+
+      // Cheaper calls still fit in what's left
+      assert.equal(await YouTubeQuotaService.spend('videos'), 1);
+      await settle();
+      assert.equal((await YouTubeQuotaService.getUsage()).used, 201);
+    });
+
+    it('starts a new day at midnight Pacific time, not UTC', async () => {
+      setNow('2025-07-01T23:00:00Z');
+      await YouTubeQuotaService.spend('search');
+      await YouTubeQuotaService.spend('search');
+
+      // A new UTC day, but still 18:00 on 1 July in Los Angeles
+      setNow('2025-07-02T01:00:00Z');
+      await assert.rejects(YouTubeQuotaService.spend('search'), QuotaExceededError);
+
+      setNow('2025-07-02T07:00:00Z');
+      assert.equal(await YouTubeQuotaService.spend('search'), 100);
+      await settle();
+
+      const usage = await YouTubeQuotaService.getUsage();
+      assert.equal(usage.date, '2025-07-02');
+      assert.equal(usage.used, 100);
+      assert.equal(usage.resetsAt, '2025-07-03T07:00:00.000Z');
+    });
+
+    it('resets at 08:00 UTC while Pacific time is on standard time', async () => {
+      setNow('2025-01-15T07:30:00Z');
+      const usage = await YouTubeQuotaService.getUsage();
+
+      assert.equal(usage.date, '2025-01-14');
+      assert.equal(usage.resetsAt, '2025-01-15T08:00:00.000Z');
+    });
+
+    it('stays exhausted for the rest of the day once YouTube says so', async () => {
+      setNow('2025-08-01T16:00:00Z');
+      await YouTubeQuotaService.spend('videos');
+
+      const usage = await YouTubeQuotaService.markExhausted();
+      assert.equal(usage.exhausted, true);
+      assert.equal(usage.remaining, 0);
+      await assert.rejects(YouTubeQuotaService.spend('videos'), QuotaExceededError);
+
+      setNow('2025-08-02T07:00:00Z');
+      assert.equal(await YouTubeQuotaService.spend('videos'), 1);
+    });
+  });
+
+  describe('planBudget', () => {
+    const searches = { unitsPerItem: 100, resultsPerItem: 10, unitsPerResult: 1 };
+
+    it('plans as many full items as the remaining units allow', async () => {
+      setNow('2025-09-01T18:00:00Z');
+
+      const plan = await YouTubeQuotaService.planBudget(5, searches);
+
+      assert.equal(plan.items, 2);
+      assert.equal(plan.resultsPerItem, 10);
+      assert.equal(plan.usage.remaining, DAILY_QUOTA);
+      assert.equal((await YouTubeQuotaService.planBudget(1, searches)).items, 1);
+    });
+
+    it('plans one item with fewer results when a full one no longer fits', async () => {
+      setNow('2025-09-02T18:00:00Z');
+      await YouTubeQuotaService.spend('search');
+      await YouTubeQuotaService.spend('search');
+
+      const plan = await YouTubeQuotaService.planBudget(3, { unitsPerItem: 1, resultsPerItem: 100, unitsPerResult: 1 });
+
+      assert.deepEqual({ items: plan.items, resultsPerItem: plan.resultsPerItem }, { items: 1, resultsPerItem: 49 });
+    });
+
+    it('plans nothing when not even one item fits', async () => {
+      setNow('2025-09-03T18:00:00Z');
+      await YouTubeQuotaService.spend('search');
+      await YouTubeQuotaService.spend('search');
+
+      const plan = await YouTubeQuotaService.planBudget(3, searches);
+      assert.deepEqual({ items: plan.items, resultsPerItem: plan.resultsPerItem }, { items: 0, resultsPerItem: 0 });
+
+      const withoutResults = await YouTubeQuotaService.planBudget(3, { unitsPerItem: 100, resultsPerItem: 1 });
+      assert.deepEqual({ items: withoutResults.items, resultsPerItem: withoutResults.resultsPerItem }, { items: 0, resultsPerItem: 0 });
+    });
+
+    it('plans nothing once the quota is marked exhausted, and a new day starts with the full budget', async () => {
+      setNow('2025-09-04T18:00:00Z');
+      await YouTubeQuotaService.markExhausted();
+
+      assert.equal((await YouTubeQuotaService.planBudget(5, searches)).items, 0);
+
+      setNow('2025-09-05T07:00:00Z');
+      assert.equal((await YouTubeQuotaService.planBudget(5, searches)).items, 2);
+    });
+  });
+});
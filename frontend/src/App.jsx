@@ -5,8 +5,9 @@ import LikedVideos from './components/LikedVideos';
 import ContextAnalyzer from './components/ContextAnalyzer';
 import VideoResults from './components/VideoResults';
 import MemeDisplay from './components/MemeDisplay';
+import MemeGallery from './components/MemeGallery';
 import RefreshFeed from './components/RefreshFeed';
-import api, { getContentStats } from './utils/api';
+import api, { getContentStats, getLikedVideos, likeVideo, unlikeVideo } from './utils/api';
 import './App.css';
 
 function App() {
@@ -19,7 +20,9 @@ function App() {
   const [generatedMeme, setGeneratedMeme] = useState(null);
   const [isGeneratingMeme, setIsGeneratingMeme] = useState(false);
   const [memeError, setMemeError] = useState(null);
-  const [currentView, setCurrentView] = useState('setup'); // 'setup' or 'results'
+  const [currentView, setCurrentView] = useState('setup'); // 'setup', 'results' or 'gallery'
+  const [galleryReturnView, setGalleryReturnView] = useState('setup');
+  const [galleryRefreshKey, setGalleryRefreshKey] = useState(0);
   const [lastFilterHash, setLastFilterHash] = useState(null);
   const [lastIngestionHash, setLastIngestionHash] = useState(null);
   const [contentStats, setContentStats] = useState({ videos: 0, memes: 0 });
@@ -38,12 +41,42 @@ function App() {
     }
   };
 
+  const fetchLikedVideos = async () => {
+    try {
+      const response = await getLikedVideos();
+      if (response.status === 'success') {
+        setLikedVideos(response.data.likedVideos);
+      }
+    } catch (error) {
+      console.error('Failed to load liked videos:', error);
+    }
+  };
+
   useEffect(() => {
     fetchContentStats();
+    fetchLikedVideos();
   }, []);
 
+  const handleLikedVideosChange = async (newLiked) => {
+    const getVideoId = (video) => video.video_id || video.videoId;
+    const previousIds = new Set(likedVideos.map(getVideoId));
+    const nextIds = new Set(newLiked.map(getVideoId));
+
+    setLikedVideos(newLiked);
+
+    try {
+      await Promise.all([
+        ...newLiked.filter(video => !previousIds.has(getVideoId(video))).map(video => likeVideo(video)),
+        ...likedVideos.filter(video => !nextIds.has(getVideoId(video))).map(video => unlikeVideo(getVideoId(video)))
+      ]);
+    } catch (error) {
+      console.error('Failed to sync liked videos:', error);
+      fetchLikedVideos();
+    }
+  };
+
   const handleResetWatchHistory = async () => {
-    if (!window.confirm('Are you sure you want to reset all watch history? This will mark all videos as unwatched.')) {
+    if (!window.confirm('Are you sure you want to reset your watch history? This will mark all videos as unwatched for you.')) {
       return;
     }
 
@@ -58,8 +91,8 @@ function App() {
   };
 
   const handleRefreshFeed = async () => {
-    if (!selfieFile || !description) {
-      alert('Unable to refresh feed. Selfie and description are required.');
+    if (!description) {
+      alert('Unable to refresh feed. A mood description is required.');
       return;
     }
 
@@ -73,7 +106,9 @@ function App() {
     try {
       const resetResponse = await api.post('/ingest/reset-watched', { videoIds });
       const formData = new FormData();
-      formData.append('selfie', selfieFile);
+      if (selfieFile) {
+        formData.append('selfie', selfieFile);
+      }
       formData.append('description', description);
       
       const filterResponse = await api.post('/agent/filter', formData, {
@@ -105,6 +140,19 @@ function App() {
     setMemeError(null);
   };
 
+  // Every generated meme is saved on the server, so the gallery only needs reloading
+  const handleMemeGenerated = (meme) => {
+    setGeneratedMeme(meme);
+    if (meme) {
+      setGalleryRefreshKey(key => key + 1);
+    }
+  };
+
+  const handleOpenGallery = () => {
+    setGalleryReturnView(currentView);
+    setCurrentView('gallery');
+  };
+
   return (
     <div className="App">
       <div className={`container ${currentView === 'setup' ? 'setup-view' : 'results-view'}`}>
@@ -137,6 +185,10 @@ function App() {
                     <i className="fas fa-history"></i>
                     <span>Reset Watch History</span>
                   </button>
+                  <button className="reset-watch-button" onClick={handleOpenGallery}>
+                    <i className="fas fa-images"></i>
+                    <span>My Memes</span>
+                  </button>
                   
                   <div className="teams-connection-section">
                     <h3><i className="fab fa-microsoft"></i> Teams Connection</h3>
@@ -191,7 +243,7 @@ function App() {
                         onFilteredVideos={handleFilterVideos}
                         onIngestionResult={setIngestionResult}
                         likedVideos={likedVideos}
-                        onLikedVideosChange={setLikedVideos}
+                        onLikedVideosChange={handleLikedVideosChange}
                         onSelfieChange={setSelfieFile}
                         onDescriptionChange={setDescription}
                         showResults={false}
@@ -234,13 +286,19 @@ function App() {
                 >
                   <i className="fas fa-arrow-left"></i> Back
                 </button>
+                <button
+                    onClick={handleOpenGallery}
+                    className="back-button-compact"
+                >
+                  <i className="fas fa-images"></i> My Memes
+                </button>
               </div>
               
               <div className="section liked-videos-section">
                 <h2><i className="fas fa-heart"></i> Liked Videos</h2>
                 <LikedVideos
                     likedVideos={likedVideos}
-                    onLikedVideosChange={setLikedVideos}
+                    onLikedVideosChange={handleLikedVideosChange}
                     onLikedVideosIngested={(result) => {
                       setShowRefreshFeed(true);
                       setHasIngestedRecommendations(true);
@@ -267,12 +325,14 @@ function App() {
                       filteredVideos={filteredVideos}
                       ingestionResult={ingestionResult}
                       likedVideos={likedVideos}
-                      onLikedVideosChange={setLikedVideos}
+                      onLikedVideosChange={handleLikedVideosChange}
                       selfieFile={selfieFile}
                       description={description}
-                      onMemeGenerated={setGeneratedMeme}
+                      onMemeGenerated={handleMemeGenerated}
                       onMemeGenerating={setIsGeneratingMeme}
                       onMemeError={setMemeError}
+                      meetings={teamsMeetings}
+                      onMeetingsChange={setTeamsMeetings}
                   />
                 </div>
               </div>
@@ -284,12 +344,41 @@ function App() {
                     generatedMeme={generatedMeme}
                     isGenerating={isGeneratingMeme}
                     memeError={memeError}
+                    meetings={teamsMeetings}
+                    onMeetingsChange={setTeamsMeetings}
                   />
                 </div>
               </div>
             </div>
           </div>
         )}
+
+        {currentView === 'gallery' && (
+          <div className="results-container-new-layout">
+            <div className="results-logo-column">
+              <div className="logo-only-section">
+                <img src="/workvibe.png" alt="WorkVibe" className="results-logo-only"/>
+                <button
+                    onClick={() => setCurrentView(galleryReturnView)}
+                    className="back-button-compact"
+                >
+                  <i className="fas fa-arrow-left"></i> Back
+                </button>
+              </div>
+            </div>
+
+            <div className="gallery-content-section">
+              <div className="section meme-section">
+                <h2><i className="fas fa-images"></i> My Memes</h2>
+                <MemeGallery
+                  refreshKey={galleryRefreshKey}
+                  meetings={teamsMeetings}
+                  onMeetingsChange={setTeamsMeetings}
+                />
+              </div>
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
-import api from '../utils/api';
+import api, { streamJobEvents } from '../utils/api';
+import IngestionProgress from './IngestionProgress';
 
 function ContextAnalyzer({ 
   showInputs = true, 
@@ -26,6 +27,7 @@ function ContextAnalyzer({
   const [ingestionResult, setIngestionResult] = useState(externalIngestionResult || null);
   const [filteredVideos, setFilteredVideos] = useState(externalFilteredVideos || null);
   const [isIngesting, setIsIngesting] = useState(false);
+  const [ingestionEvents, setIngestionEvents] = useState([]);
   const [isFiltering, setIsFiltering] = useState(false);
   const [error, setError] = useState(null);
   const [previewUrl, setPreviewUrl] = useState(externalSelfieFile ? URL.createObjectURL(externalSelfieFile) : null);
@@ -34,6 +36,11 @@ function ContextAnalyzer({
   const [usingCachedIngestion, setUsingCachedIngestion] = useState(false);
   const [usingCachedFilter, setUsingCachedFilter] = useState(false);
   const [currentVideoIndex, setCurrentVideoIndex] = useState(0);
+  const [detectedFaces, setDetectedFaces] = useState([]);
+  const [autoFaceIndex, setAutoFaceIndex] = useState(null);
+  const [faceIndex, setFaceIndex] = useState(null);
+  const [teamMood, setTeamMood] = useState(false);
+  const [maxMinutes, setMaxMinutes] = useState('');
 
   useEffect(() => {
     if (externalFilteredVideos) {
@@ -74,7 +81,21 @@ function ContextAnalyzer({
   }, [externalDescription]);
 
   const createRequestHash = (photoFile, desc, emailVal) => {
-    return `${photoFile?.name || ''}_${photoFile?.size || ''}_${desc}_${emailVal || ''}`;
+    return `${photoFile?.name || ''}_${photoFile?.size || ''}_${desc}_${emailVal || ''}_${faceIndex ?? 'auto'}_${teamMood}`;
+  };
+
+  const appendFaceOptions = (formData) => {
+    if (faceIndex !== null) {
+      formData.append('faceIndex', String(faceIndex));
+    }
+    if (teamMood) {
+      formData.append('teamMood', 'true');
+    }
+  };
+
+  const updateDetectedFaces = (faces, selectedFaceIndex) => {
+    setDetectedFaces(faces || []);
+    setAutoFaceIndex(selectedFaceIndex ?? null);
   };
 
   const handlePhotoChange = (e) => {
@@ -82,6 +103,10 @@ function ContextAnalyzer({
     if (file) {
       setPhoto(file);
       setPreviewUrl(URL.createObjectURL(file));
+      setDetectedFaces([]);
+      setAutoFaceIndex(null);
+      setFaceIndex(null);
+      setTeamMood(false);
       if (onSelfieChange) {
         onSelfieChange(file);
       }
@@ -97,8 +122,8 @@ function ContextAnalyzer({
   };
 
   const handleIngestVideos = async () => {
-    if (!photo || !description) {
-      setError('Please provide both a photo and description for ingestion.');
+    if (!description) {
+      setError('Please describe your mood to start ingestion.');
       return;
     }
 
@@ -114,15 +139,19 @@ function ContextAnalyzer({
     setIsIngesting(true);
     setError(null);
     setUsingCachedIngestion(false);
+    setIngestionEvents([]);
 
     try {
       const formData = new FormData();
-      formData.append('selfie', photo);
+      if (photo) {
+        formData.append('selfie', photo);
+      }
       formData.append('description', description);
 
       if (email.trim()) {
         formData.append('email', email.trim());
       }
+      appendFaceOptions(formData);
       
       const response = await api.post('/agent/ingest', formData, {
         headers: {
@@ -130,16 +159,20 @@ function ContextAnalyzer({
         }
       });
 
-      console.log('Ingestion response:', response.data);
+      const job = await streamJobEvents(response.data.data.jobId, {
+        onEvent: (event) => setIngestionEvents(previous => [...previous, event])
+      });
+      console.log('Ingestion job finished:', job);
       
-      if (response.data.data) {
-        setIngestionResult(response.data.data);
+      if (job.result) {
+        setIngestionResult(job.result);
+        updateDetectedFaces(job.result.analysis?.faces, job.result.analysis?.selectedFaceIndex);
         setLastIngestionHash(currentHash);
         if (onIngestionHashChange) {
           onIngestionHashChange(currentHash);
         }
         if (onIngestionResult) {
-          onIngestionResult(response.data.data);
+          onIngestionResult(job.result);
         }
         if (onStatsRefresh) {
           onStatsRefresh();
@@ -147,20 +180,22 @@ function ContextAnalyzer({
       }
     } catch (error) {
       console.error('Ingestion error:', error);
-      setError('Failed to ingest videos. Please try again.');
+      setError(error.response?.status === 429
+        ? error.response.data.message
+        : 'Failed to ingest videos. Please try again.');
     }
 
     setIsIngesting(false);
   };
 
   const handleFilterVideos = async () => {
-    if (!photo || !description) {
-      setError('Please provide both a photo and description for filtering.');
+    if (!description) {
+      setError('Please describe your mood to find videos.');
       return;
     }
 
 
-    const currentHash = createRequestHash(photo, description, email);
+    const currentHash = `${createRequestHash(photo, description, email)}_${maxMinutes}`;
     if (currentHash === lastFilterHash && filteredVideos) {
       console.log('Using cached filter results');
       setUsingCachedFilter(true);
@@ -178,12 +213,18 @@ function ContextAnalyzer({
 
     try {
       const formData = new FormData();
-      formData.append('selfie', photo);
+      if (photo) {
+        formData.append('selfie', photo);
+      }
       formData.append('description', description);
       
       if (email.trim()) {
         formData.append('email', email.trim());
       }
+      appendFaceOptions(formData);
+      if (maxMinutes) {
+        formData.append('maxMinutes', maxMinutes);
+      }
 
       const response = await api.post('/agent/filter', formData, {
         headers: {
@@ -196,6 +237,7 @@ function ContextAnalyzer({
       
       if (response.data.data) {
         setFilteredVideos(response.data.data);
+        updateDetectedFaces(response.data.data.emotion?.faces, response.data.data.emotion?.selectedFaceIndex);
         setLastFilterHash(currentHash);
         if (onFilterHashChange) {
           onFilterHashChange(currentHash);
@@ -282,7 +324,7 @@ function ContextAnalyzer({
         <>
           <div className="analyzer-inputs">
         <div className={`input-group photo-upload-group ${photo ? 'has-photo' : ''}`}>
-          <label><i className="fas fa-portrait"></i> Upload Selfie</label>
+          <label><i className="fas fa-portrait"></i> Upload Selfie <span className="optional-hint">(optional)</span></label>
           <div className={`photo-upload-simple ${photo ? 'has-photo' : ''}`}>
             <input
               type="file"
@@ -305,6 +347,27 @@ function ContextAnalyzer({
               </label>
             )}
           </div>
+          {detectedFaces.length > 1 && (
+            <div className="face-picker">
+              <span className="face-picker-label">{detectedFaces.length} faces found. Whose mood should we use?</span>
+              <div className="face-picker-options">
+                {detectedFaces.map(face => (
+                  <button
+                    key={face.index}
+                    type="button"
+                    className={`face-picker-option ${!teamMood && (faceIndex ?? autoFaceIndex) === face.index ? 'selected' : ''}`}
+                    onClick={() => { setFaceIndex(face.index); setTeamMood(false); }}
+                  >
+                    Face {face.index + 1}{face.primaryEmotion ? ` · ${face.primaryEmotion}` : ''}
+                  </button>
+                ))}
+              </div>
+              <label className="face-picker-team">
+                <input type="checkbox" checked={teamMood} onChange={(e) => setTeamMood(e.target.checked)} />
+                Blend everyone into a team mood
+              </label>
+            </div>
+          )}
         </div>
 
         <div className="input-group">
@@ -318,6 +381,19 @@ function ContextAnalyzer({
           />
         </div>
 
+        <div className="input-group">
+          <label htmlFor="maxMinutes"><i className="fas fa-hourglass-half"></i> Break Length <span className="optional-hint">(minutes, optional; defaults to your next free gap)</span></label>
+          <input
+            id="maxMinutes"
+            type="number"
+            min="1"
+            max="1440"
+            placeholder="e.g. 10"
+            value={maxMinutes}
+            onChange={(e) => setMaxMinutes(e.target.value)}
+          />
+        </div>
+
       </div>
 
           <div className="analyzer-actions">
@@ -349,6 +425,8 @@ function ContextAnalyzer({
 
           </div>
 
+          <IngestionProgress events={ingestionEvents} isActive={isIngesting} />
+
           {ingestionResult && (
             <div className="analysis-results compact" style={{ marginTop: '16px' }}>
               <h4 style={{ color: '#28a745', marginBottom: '8px' }}>✅ Ingestion Complete</h4>
@@ -383,13 +461,13 @@ function ContextAnalyzer({
               </div>
             )}
 
-            {ingestionResult.analysis?.emotions && ingestionResult.analysis.emotions.length > 0 && (
+            {ingestionResult.analysis?.emotions && Object.keys(ingestionResult.analysis.emotions).length > 0 && (
               <div className="analysis-section">
                 <h4>Detected Emotions:</h4>
                 <ul>
-                  {ingestionResult.analysis.emotions.map((emotion, index) => (
-                    <li key={index}>
-                      {emotion.Type}: {(emotion.Confidence || 0).toFixed(1)}%
+                  {Object.entries(ingestionResult.analysis.emotions).map(([emotion, score]) => (
+                    <li key={emotion}>
+                      {emotion}: {(score * 100).toFixed(1)}%
                     </li>
                   ))}
                 </ul>
@@ -5,6 +5,7 @@ function TeamsMeetings({ authToken, meetings: propMeetings, onMeetingsChange })
   const [meetings, setMeetings] = useState(propMeetings || []);
   const [isLoading, setIsLoading] = useState(false);
   const [status, setStatus] = useState(null);
+  const [timeZone, setTimeZone] = useState(null);
 
   useEffect(() => {
     if (propMeetings) {
@@ -18,6 +19,7 @@ function TeamsMeetings({ authToken, meetings: propMeetings, onMeetingsChange })
 
     try {
       const response = await api.get('/teams/today');
+      setTimeZone(response.data.timeZone || null);
       
       if (response.data.events && response.data.events.length > 0) {
         console.log('Meeting data received:', response.data.events);
@@ -83,7 +85,7 @@ function TeamsMeetings({ authToken, meetings: propMeetings, onMeetingsChange })
                         if (startTime) {
                           const date = new Date(startTime);
                           if (!isNaN(date.getTime())) {
-                            return date.toLocaleString();
+                            return date.toLocaleString(undefined, timeZone ? { timeZone } : undefined);
                           }
                         }
                         return 'Time not available';
@@ -98,7 +100,7 @@ function TeamsMeetings({ authToken, meetings: propMeetings, onMeetingsChange })
                         if (endTime) {
                           const date = new Date(endTime);
                           if (!isNaN(date.getTime())) {
-                            return date.toLocaleString();
+                            return date.toLocaleString(undefined, timeZone ? { timeZone } : undefined);
                           }
                         }
                         return 'Time not available';
@@ -0,0 +1,102 @@
+const STAGE_LABELS = {
+  queued: 'Waiting for a worker',
+  started: 'Starting ingestion',
+  analyzing_emotion: 'Analyzing your mood',
+  emotion_analyzed: 'Mood analyzed',
+  loading_calendar: 'Checking today\'s meetings',
+  generating_tags: 'Generating YouTube search tags',
+  tags_generated: 'Search tags ready',
+  searching_videos: 'Searching YouTube',
+  storing_videos: 'Storing videos',
+  quota_limited: 'Trimmed to fit the YouTube quota',
+  completed: 'Ingestion complete',
+  failed: 'Ingestion failed'
+};
+
+const describeEvent = (event) => {
+  const detail = event.detail || {};
+
+  if (event.event === 'failed') {
+    return { icon: 'fas fa-times-circle', text: event.error || STAGE_LABELS.failed };
+  }
+  if (event.event === 'completed') {
+    return { icon: 'fas fa-check-circle', text: `${STAGE_LABELS.completed}: ${event.progress?.stored || 0} videos stored` };
+  }
+  if (event.event !== 'progress') {
+    return null;
+  }
+
+  switch (event.stage) {
+    case 'emotion_analyzed':
+      return {
+        icon: 'fas fa-smile',
+        text: detail.primaryEmotion
+          ? `${STAGE_LABELS.emotion_analyzed}: ${detail.primaryEmotion}${detail.source === 'text' ? ' (from your description)' : ''}`
+          : `${STAGE_LABELS.emotion_analyzed}: no face detected`
+      };
+    case 'generating_tags':
+      return {
+        icon: 'fas fa-brain',
+        text: detail.calendarEventCount !== undefined
+          ? `${STAGE_LABELS.generating_tags} (${detail.calendarEventCount} meetings in context)`
+          : STAGE_LABELS.generating_tags
+      };
+    case 'tags_generated':
+      return { icon: 'fas fa-tags', text: `Tags: ${(detail.tags || []).join(', ') || 'none'}` };
+    case 'searching_videos':
+      return { icon: 'fab fa-youtube', text: `Searching YouTube for "${detail.currentTag || detail.currentVideoId}"` };
+    case 'quota_limited':
+      return {
+        icon: 'fas fa-exclamation-triangle',
+        text: `${STAGE_LABELS.quota_limited}: ${detail.planned} searched, ${detail.skipped} skipped`
+      };
+    case 'storing_videos':
+      if (detail.lastVideo) {
+        return { icon: 'fas fa-database', text: `Stored: ${detail.lastVideo.title}` };
+      }
+      if (detail.found !== undefined) {
+        return { icon: 'fas fa-search', text: `Found ${detail.found} videos` };
+      }
+      if (detail.failed !== undefined) {
+        return { icon: 'fas fa-exclamation-triangle', text: 'A video could not be stored' };
+      }
+      return null;
+    default:
+      return STAGE_LABELS[event.stage]
+        ? { icon: 'fas fa-circle-notch', text: STAGE_LABELS[event.stage] }
+        : null;
+  }
+};
+
+function IngestionProgress({ events, isActive }) {
+  if (!events || events.length === 0) {
+    return null;
+  }
+
+  const latest = events[events.length - 1];
+  const entries = events
+    .map((event, index) => ({ key: `${event.timestamp || ''}-${index}`, ...describeEvent(event) }))
+    .filter(entry => entry.text);
+
+  return (
+    <div className="ingestion-progress">
+      <div className="ingestion-progress-header">
+        <span className="ingestion-progress-stage">
+          {isActive && <i className="fas fa-circle-notch fa-spin"></i>} {STAGE_LABELS[latest.stage] || latest.stage}
+        </span>
+        <span className="ingestion-progress-counts">
+          {latest.progress?.stored || 0} stored · {latest.progress?.failed || 0} failed
+        </span>
+      </div>
+      <ul className="ingestion-progress-log">
+        {entries.map(entry => (
+          <li key={entry.key}>
+            <i className={entry.icon}></i> {entry.text}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default IngestionProgress;
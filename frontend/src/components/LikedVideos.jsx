@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import api from '../utils/api';
+import api, { waitForJob } from '../utils/api';
 
 function LikedVideos({ likedVideos, onLikedVideosChange, onLikedVideosIngested }) {
   const [isIngesting, setIsIngesting] = useState(false);
@@ -33,27 +33,22 @@ function LikedVideos({ likedVideos, onLikedVideosChange, onLikedVideosIngested }
         likedVideoIds: videoIds
       });
 
-      console.log('Liked videos ingestion response:', response.data);
+      const job = await waitForJob(response.data.data.jobId);
+      console.log('Liked videos ingestion job finished:', job);
       
-      if (response.data.success) {
-        setIngestionStatus({
-          success: true,
-          message: `Successfully ingested ${response.data.data?.totalVideosStored || 0} videos`
-        });
-        
-        if (onLikedVideosIngested) {
-          onLikedVideosIngested(response.data.data);
-        }
-        
-        if (onLikedVideosChange) {
-          setTimeout(() => {
-            onLikedVideosChange([]);
-          }, 2000);
-        }
+      setIngestionStatus({
+        success: true,
+        message: `Successfully ingested ${job.result?.totalVideosStored || 0} videos`
+      });
+      
+      if (onLikedVideosIngested) {
+        onLikedVideosIngested(job.result);
       }
     } catch (error) {
       console.error('Liked videos ingestion error:', error);
-      setError('Failed to ingest liked videos. Please try again.');
+      setError(error.response?.status === 429
+        ? error.response.data.message
+        : 'Failed to ingest liked videos. Please try again.');
     } finally {
       setIsIngesting(false);
     }
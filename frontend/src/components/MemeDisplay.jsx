@@ -1,6 +1,7 @@
 import { useState } from 'react';
+import ShareToMeeting from './ShareToMeeting';
 
-function MemeDisplay({ generatedMeme, isGenerating, memeError }) {
+function MemeDisplay({ generatedMeme, isGenerating, memeError, meetings, onMeetingsChange }) {
   const [imageLoaded, setImageLoaded] = useState(false);
 
   if (!generatedMeme && !isGenerating && !memeError) {
@@ -61,7 +62,7 @@ function MemeDisplay({ generatedMeme, isGenerating, memeError }) {
                   const url = window.URL.createObjectURL(blob);
                   const link = document.createElement('a');
                   link.href = url;
-                  link.download = `meme-${Date.now()}.jpg`;
+                  link.download = `meme-${Date.now()}.${blob.type === 'image/png' ? 'png' : 'jpg'}`;
                   document.body.appendChild(link);
                   link.click();
                   document.body.removeChild(link);
@@ -76,6 +77,16 @@ function MemeDisplay({ generatedMeme, isGenerating, memeError }) {
             >
               <i className="fas fa-download"></i> Download Meme
             </button>
+            <ShareToMeeting
+              item={{
+                type: 'meme',
+                imageUrl: generatedMeme.createdMeme.imageUrl,
+                pageUrl: generatedMeme.createdMeme.pageUrl,
+                templateName: generatedMeme.memeTemplate?.name
+              }}
+              meetings={meetings}
+              onMeetingsChange={onMeetingsChange}
+            />
           </div>
         </div>
       )}
@@ -0,0 +1,166 @@
+import { useState, useEffect, useCallback } from 'react';
+import ShareToMeeting from './ShareToMeeting';
+import { getMemes, setMemeFavorite, deleteMeme, getMemeDownloadUrl } from '../utils/api';
+
+const PAGE_SIZE = 24;
+
+function MemeGallery({ refreshKey, meetings, onMeetingsChange }) {
+  const [memes, setMemes] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [favoritesOnly, setFavoritesOnly] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadMemes = useCallback(async ({ offset = 0 } = {}) => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await getMemes({ favoritesOnly, limit: PAGE_SIZE, offset });
+      setMemes(previous => offset === 0 ? response.data.memes : [...previous, ...response.data.memes]);
+      setTotal(response.data.total);
+    } catch (error) {
+      console.error('Failed to load memes:', error);
+      setError('Failed to load your memes. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [favoritesOnly]);
+
+  useEffect(() => {
+    loadMemes();
+  }, [loadMemes, refreshKey]);
+
+  const handleToggleFavorite = async (meme) => {
+    try {
+      const response = await setMemeFavorite(meme.id, !meme.isFavorite);
+      const updated = response.data;
+
+      if (favoritesOnly && !updated.isFavorite) {
+        setMemes(previous => previous.filter(item => item.id !== meme.id));
+        setTotal(previous => previous - 1);
+      } else {
+        setMemes(previous => previous.map(item => item.id === meme.id ? updated : item));
+      }
+    } catch (error) {
+      console.error('Failed to update favourite:', error);
+      setError('Failed to update favourite. Please try again.');
+    }
+  };
+
+  const handleDelete = async (meme) => {
+    if (!window.confirm('Delete this meme? Links to it, including ones shared to Teams, will stop working.')) {
+      return;
+    }
+
+    try {
+      await deleteMeme(meme.id);
+      setMemes(previous => previous.filter(item => item.id !== meme.id));
+      setTotal(previous => previous - 1);
+    } catch (error) {
+      console.error('Failed to delete meme:', error);
+      setError('Failed to delete meme. Please try again.');
+    }
+  };
+
+  return (
+    <div className="meme-gallery">
+      <div className="meme-gallery-toolbar">
+        <span className="meme-gallery-count">
+          {total} {favoritesOnly ? 'favourite' : 'meme'}{total === 1 ? '' : 's'}
+        </span>
+        <label className="meme-gallery-filter">
+          <input
+            type="checkbox"
+            checked={favoritesOnly}
+            onChange={(event) => setFavoritesOnly(event.target.checked)}
+          />
+          Favourites only
+        </label>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          {error}
+        </div>
+      )}
+
+      {!isLoading && memes.length === 0 && !error && (
+        <p className="info">
+          {favoritesOnly
+            ? 'No favourites yet. Star a meme to keep it here.'
+            : 'No memes yet. Generate one from a video and it will be saved here.'}
+        </p>
+      )}
+
+      <div className="meme-gallery-grid">
+        {memes.map(meme => (
+          <div key={meme.id} className="meme-gallery-item">
+            <img src={meme.imageUrl} alt={meme.texts.join(' / ')} className="meme-gallery-image" loading="lazy"/>
+            <div className="meme-gallery-details">
+              <span className="meme-gallery-template">{meme.templateName}</span>
+              <span className="meme-gallery-meta">
+                {new Date(meme.createdAt).toLocaleString()}
+                {meme.emotion?.primaryEmotion && ` · ${meme.emotion.primaryEmotion}`}
+              </span>
+              {meme.video && (
+                <span className="meme-gallery-meta" title={meme.video.title}>
+                  <i className="fab fa-youtube"></i> {meme.video.title}
+                </span>
+              )}
+            </div>
+            <div className="meme-gallery-actions">
+              <button
+                onClick={() => handleToggleFavorite(meme)}
+                className={`meme-gallery-button ${meme.isFavorite ? 'favorite' : ''}`}
+                title={meme.isFavorite ? 'Remove from favourites' : 'Add to favourites'}
+              >
+                <i className={meme.isFavorite ? 'fas fa-star' : 'far fa-star'}></i>
+              </button>
+              <a
+                href={getMemeDownloadUrl(meme)}
+                className="meme-gallery-button"
+                title="Download meme image"
+              >
+                <i className="fas fa-download"></i>
+              </a>
+              <button
+                onClick={() => handleDelete(meme)}
+                className="meme-gallery-button delete"
+                title="Delete meme"
+              >
+                <i className="fas fa-trash"></i>
+              </button>
+            </div>
+            <ShareToMeeting
+              item={{
+                type: 'meme',
+                imageUrl: meme.imageUrl,
+                pageUrl: meme.pageUrl,
+                templateName: meme.templateName
+              }}
+              meetings={meetings}
+              onMeetingsChange={onMeetingsChange}
+            />
+          </div>
+        ))}
+      </div>
+
+      {memes.length < total && (
+        <button
+          onClick={() => loadMemes({ offset: memes.length })}
+          disabled={isLoading}
+          className="back-button-compact meme-gallery-more"
+        >
+          {isLoading ? (
+            <><i className="fas fa-circle-notch fa-spin"></i> Loading...</>
+          ) : (
+            <>Load more</>
+          )}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default MemeGallery;
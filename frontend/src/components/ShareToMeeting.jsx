@@ -0,0 +1,106 @@
+import { useState } from 'react';
+import api, { shareToMeeting } from '../utils/api';
+
+function ShareToMeeting({ item, meetings = [], onMeetingsChange, disabled }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [sharingId, setSharingId] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [timeZone, setTimeZone] = useState(null);
+
+  const loadMeetings = async () => {
+    setIsLoading(true);
+
+    try {
+      const response = await api.get('/teams/today');
+      setTimeZone(response.data.timeZone || null);
+      if (onMeetingsChange) {
+        onMeetingsChange(response.data.events || []);
+      }
+    } catch (error) {
+      if (error.response && error.response.status === 401) {
+        setStatus({ type: 'error', text: 'Please authenticate first to access meetings' });
+      } else {
+        setStatus({ type: 'error', text: 'Failed to fetch meetings' });
+      }
+    }
+
+    setIsLoading(false);
+  };
+
+  const togglePicker = () => {
+    const opening = !isOpen;
+    setIsOpen(opening);
+    setStatus(null);
+
+    if (opening && meetings.length === 0) {
+      loadMeetings();
+    }
+  };
+
+  const handleShare = async (meeting) => {
+    setSharingId(meeting.id);
+    setStatus(null);
+
+    try {
+      await shareToMeeting(meeting.id, item);
+      setStatus({ type: 'success', text: `Shared to ${meeting.subject || 'meeting'}` });
+      setIsOpen(false);
+    } catch (error) {
+      setStatus({ type: 'error', text: error.response?.data?.message || 'Failed to share to meeting' });
+    } finally {
+      setSharingId(null);
+    }
+  };
+
+  const formatStart = (meeting) => {
+    const date = new Date(meeting.start);
+    if (isNaN(date.getTime())) return '';
+    return date.toLocaleTimeString(undefined, {
+      hour: '2-digit',
+      minute: '2-digit',
+      ...(timeZone ? { timeZone } : {})
+    });
+  };
+
+  return (
+    <div className="share-to-meeting">
+      <button
+        onClick={togglePicker}
+        className="share-button"
+        disabled={disabled || !item}
+        title="Post this into a Teams meeting chat"
+      >
+        <i className="fas fa-share-square"></i> Share to meeting
+      </button>
+
+      {isOpen && (
+        <div className="share-meeting-picker">
+          {isLoading && <p className="share-meeting-empty">Loading meetings...</p>}
+          {!isLoading && meetings.length === 0 && (
+            <p className="share-meeting-empty">No meetings found for today</p>
+          )}
+          {!isLoading && meetings.map((meeting, index) => (
+            <button
+              key={meeting.id || index}
+              onClick={() => handleShare(meeting)}
+              className="share-meeting-option"
+              disabled={!!sharingId}
+            >
+              <span className="share-meeting-subject">{meeting.subject || 'No Subject'}</span>
+              <span className="share-meeting-time">
+                {sharingId === meeting.id ? <i className="fas fa-circle-notch fa-spin"></i> : formatStart(meeting)}
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {status && (
+        <p className={`share-status ${status.type}`}>{status.text}</p>
+      )}
+    </div>
+  );
+}
+
+export default ShareToMeeting;
@@ -1,7 +1,8 @@
 import { useState, useEffect } from 'react';
 import { createMeme } from '../utils/api';
+import ShareToMeeting from './ShareToMeeting';
 
-function VideoResults({ filteredVideos, ingestionResult, likedVideos = [], onLikedVideosChange, selfieFile, description, onMemeGenerated, onMemeError, onMemeGenerating }) {
+function VideoResults({ filteredVideos, ingestionResult, likedVideos = [], onLikedVideosChange, selfieFile, description, onMemeGenerated, onMemeError, onMemeGenerating, meetings, onMeetingsChange }) {
   const [currentVideoIndex, setCurrentVideoIndex] = useState(0);
   const [generatingMeme, setGeneratingMeme] = useState(false);
 
@@ -39,6 +40,13 @@ function VideoResults({ filteredVideos, ingestionResult, likedVideos = [], onLik
   }, [currentVideoIndex, filteredVideos]);
 
   const currentVideo = filteredVideos?.filteredVideos?.[currentVideoIndex];
+  const playlist = filteredVideos?.playlist;
+
+  const formatDuration = (seconds) => {
+    const minutes = Math.floor(seconds / 60);
+    const rest = String(seconds % 60).padStart(2, '0');
+    return `${minutes}:${rest}`;
+  };
 
   const getEmbedUrl = (video) => {
     if (!video) return '';
@@ -67,8 +75,8 @@ function VideoResults({ filteredVideos, ingestionResult, likedVideos = [], onLik
   };
 
   const handleGenerateMeme = async (video) => {
-    if (!selfieFile || !description) {
-      if (onMemeError) onMemeError('Selfie and description are required to generate memes');
+    if (!description) {
+      if (onMemeError) onMemeError('A mood description is required to generate memes');
       return;
     }
 
@@ -100,6 +108,13 @@ function VideoResults({ filteredVideos, ingestionResult, likedVideos = [], onLik
 
   return (
     <div className="video-results">
+      {playlist?.maxMinutes && (
+        <p className="playlist-summary">
+          <i className="fas fa-hourglass-half"></i> {formatDuration(playlist.totalSeconds)} of videos
+          {playlist.source === 'calendar' ? ` for your ${playlist.maxMinutes}-minute gap before the next meeting` : ` within ${playlist.maxMinutes} minutes`}
+        </p>
+      )}
+
       {filteredVideos && filteredVideos.filteredVideos?.length > 0 && (
         <div className="video-carousel">
           <div className="video-container">
@@ -119,6 +134,9 @@ function VideoResults({ filteredVideos, ingestionResult, likedVideos = [], onLik
             </div>
             <div className="video-meta">
               <span className="channel">{currentVideo?.channel_title || currentVideo?.channelTitle}</span>
+              {currentVideo?.duration_seconds > 0 && (
+                <span className="duration">{formatDuration(currentVideo.duration_seconds)}</span>
+              )}
               {(currentVideo?.similarity || currentVideo?.similarity_score) && (
                 <span className="similarity">
                   Match: {((currentVideo.similarity || currentVideo.similarity_score) * 100).toFixed(1)}%
@@ -167,6 +185,11 @@ function VideoResults({ filteredVideos, ingestionResult, likedVideos = [], onLik
               <i className={generatingMeme ? 'fas fa-circle-notch fa-spin' : 'fas fa-magic'}></i> 
               {generatingMeme ? 'Generating...' : 'Generate Meme'}
             </button>
+            <ShareToMeeting
+              item={currentVideo ? { type: 'video', videoId: currentVideo.video_id || currentVideo.videoId } : null}
+              meetings={meetings}
+              onMeetingsChange={onMeetingsChange}
+            />
           </div>
 
         </div>
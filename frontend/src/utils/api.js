@@ -1,15 +1,29 @@
 import axios from 'axios';
 
+const DEVICE_ID_KEY = 'workvibe-device-id';
+
+export const getDeviceId = () => {
+  let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+  if (!deviceId) {
+    deviceId = crypto.randomUUID();
+    localStorage.setItem(DEVICE_ID_KEY, deviceId);
+  }
+  return deviceId;
+};
+
 const api = axios.create({
   baseURL: import.meta.env.VITE_API_URL || 'http://localhost:3002/api',
   withCredentials: true,
   headers: {
-    'Content-Type': 'application/json'
+    'Content-Type': 'application/json',
+    'X-Device-Id': getDeviceId()
   }
 });
 export const createMeme = async (selfieFile, description, videoId) => {
   const formData = new FormData();
-  formData.append('selfie', selfieFile);
+  if (selfieFile) {
+    formData.append('selfie', selfieFile);
+  }
   formData.append('description', description);
   if (videoId) {
     formData.append('video_id', videoId);
@@ -24,6 +38,119 @@ export const createMeme = async (selfieFile, description, videoId) => {
   return response.data;
 };
 
+export const getMemes = async ({ favoritesOnly = false, limit = 50, offset = 0 } = {}) => {
+  const response = await api.get('/memes', {
+    params: { favorites: favoritesOnly || undefined, limit, offset }
+  });
+  return response.data;
+};
+
+export const setMemeFavorite = async (memeId, isFavorite) => {
+  const url = `/memes/${encodeURIComponent(memeId)}/favorite`;
+  const response = isFavorite ? await api.put(url) : await api.delete(url);
+  return response.data;
+};
+
+export const deleteMeme = async (memeId) => {
+  const response = await api.delete(`/memes/${encodeURIComponent(memeId)}`);
+  return response.data;
+};
+
+// Links can't send X-Device-Id, so the device id goes in the query like the job streams
+export const getMemeDownloadUrl = (meme) => `${meme.downloadUrl}?deviceId=${encodeURIComponent(getDeviceId())}`;
+
+export const shareToMeeting = async (meetingId, item) => {
+  const response = await api.post(`/teams/meetings/${encodeURIComponent(meetingId)}/share`, item);
+  return response.data;
+};
+
+export const getLikedVideos = async () => {
+  const response = await api.get('/users/me/likes');
+  return response.data;
+};
+
+export const likeVideo = async (video) => {
+  const response = await api.post('/users/me/likes', {
+    videoId: video.video_id || video.videoId,
+    title: video.title,
+    description: video.description,
+    channelTitle: video.channel_title || video.channelTitle,
+    url: video.url
+  });
+  return response.data;
+};
+
+export const unlikeVideo = async (videoId) => {
+  const response = await api.delete(`/users/me/likes/${encodeURIComponent(videoId)}`);
+  return response.data;
+};
+
+export const getJob = async (jobId) => {
+  const response = await api.get(`/jobs/${jobId}`);
+  return response.data;
+};
+
+export const waitForJob = async (jobId, { intervalMs = 2000, onUpdate } = {}) => {
+  for (;;) {
+    const response = await getJob(jobId);
+    const job = response.data;
+
+    if (onUpdate) {
+      onUpdate(job);
+    }
+
+    if (job.status === 'completed') {
+      return job;
+    }
+    if (job.status === 'failed') {
+      throw new Error(job.error || 'Job failed');
+    }
+
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+};
+
+const JOB_STREAM_EVENTS = ['snapshot', 'started', 'progress', 'completed', 'failed'];
+
+export const streamJobEvents = (jobId, { onEvent } = {}) => new Promise((resolve, reject) => {
+  const url = `${api.defaults.baseURL}/jobs/${jobId}/events?deviceId=${encodeURIComponent(getDeviceId())}`;
+  const source = new EventSource(url, { withCredentials: true });
+  let finished = false;
+
+  const handleMessage = (eventName) => (message) => {
+    const data = JSON.parse(message.data);
+
+    if (onEvent) {
+      onEvent({ ...data, event: data.event || eventName });
+    }
+
+    if (data.status === 'completed') {
+      finished = true;
+      source.close();
+      resolve(data);
+    } else if (data.status === 'failed') {
+      finished = true;
+      source.close();
+      reject(new Error(data.error || 'Job failed'));
+    }
+  };
+
+  JOB_STREAM_EVENTS.forEach(eventName => {
+    source.addEventListener(eventName, handleMessage(eventName));
+  });
+
+  source.onerror = () => {
+    if (finished) return;
+
+    // Fall back to polling when the stream is unavailable (e.g. a proxy that buffers responses)
+    finished = true;
+    source.close();
+    waitForJob(jobId, {
+      onUpdate: (job) => onEvent && onEvent({ ...job, event: 'snapshot' })
+    }).then(resolve, reject);
+  };
+});
+
 export const getContentStats = async () => {
   const response = await api.get('/ingest/content-stats');
   return response.data;